@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+
+// Non-transferable ERC-721 badge for a backer's tier in one campaign.
+// Issued, upgraded and revoked by Crowdfunding (MINTER_ROLE).
+contract BackerBadge is ERC721, AccessControl {
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+
+    struct Badge {
+        uint256 campaignId;
+        uint8   tier;      // index into the campaign's tiers
+    }
+
+    mapping(uint256 => Badge) public badges;
+    // Badges of a failed or cancelled campaign stay with their holders but
+    // no longer count as backing a campaign.
+    mapping(uint256 => bool) public campaignVoided;
+
+    uint256 public nextTokenId;
+
+    event TierChanged(uint256 indexed tokenId, uint8 tier);
+    event CampaignVoided(uint256 indexed campaignId);
+
+    error Soulbound();
+
+    constructor(string memory name_, string memory symbol_, address admin)
+        ERC721(name_, symbol_)
+    {
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+    }
+
+    // _mint, not _safeMint: a backer contract without onERC721Received must
+    // still be able to contribute.
+    function mint(address to, uint256 campaignId, uint8 tier)
+        external
+        onlyRole(MINTER_ROLE)
+        returns (uint256 tokenId)
+    {
+        tokenId = nextTokenId++;
+        badges[tokenId] = Badge({campaignId: campaignId, tier: tier});
+        _mint(to, tokenId);
+    }
+
+    function setTier(uint256 tokenId, uint8 tier) external onlyRole(MINTER_ROLE) {
+        _requireOwned(tokenId);
+        badges[tokenId].tier = tier;
+        emit TierChanged(tokenId, tier);
+    }
+
+    function burn(uint256 tokenId) external onlyRole(MINTER_ROLE) {
+        _burn(tokenId);
+        delete badges[tokenId];
+    }
+
+    function voidCampaign(uint256 campaignId) external onlyRole(MINTER_ROLE) {
+        campaignVoided[campaignId] = true;
+        emit CampaignVoided(campaignId);
+    }
+
+    function isVoid(uint256 tokenId) external view returns (bool) {
+        _requireOwned(tokenId);
+        return campaignVoided[badges[tokenId].campaignId];
+    }
+
+    // only mints and burns move badges
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address from) {
+        from = super._update(to, tokenId, auth);
+        if (from != address(0) && to != address(0)) revert Soulbound();
+    }
+
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        override(ERC721, AccessControl)
+        returns (bool)
+    {
+        return super.supportsInterface(interfaceId);
+    }
+}
@@ -0,0 +1,294 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./Crowdfunding.sol";
+
+// A campaign creator run by co-owners. The team is the `creator` of its
+// campaigns, so every creator action on Crowdfunding (create, cancel, extend,
+// withdraw, milestones, ...) and every change to the team itself is a
+// proposal that executes once `threshold` current owners approve it.
+//
+// Withdrawals and payout claims land here and are split by the owners'
+// shares at that moment; each owner then claims their part.
+contract CampaignTeam {
+    using SafeERC20 for IERC20;
+
+    struct Proposal {
+        address target;   // crowdfunding, or this team for owner changes
+        bytes   data;
+        bool    executed;
+        bool    pays;     // brings funds to the team (withdraw, claimPayout)
+        address currency; // ... in this currency, address(0) = ETH
+    }
+
+    uint8  public constant MAX_OWNERS = 20;
+    uint16 public constant BPS        = 10_000;
+
+    Crowdfunding public immutable crowdfunding;
+
+    address[] private owners;
+    mapping(address => bool) public isOwner;
+    // owner => share of incoming funds in basis points, summing to BPS
+    mapping(address => uint16) public shareBps;
+    uint8 public threshold;
+
+    // Approvals only count while the approver stays an owner: removing an
+    // owner bumps their generation, so their old approvals are void even if
+    // they are added back later.
+    mapping(address => uint256) public ownerGeneration;
+    // proposalId => owner => generation the approval was given in (0 = none)
+    mapping(uint256 => mapping(address => uint256)) public approvedIn;
+
+    Proposal[] public proposals;
+
+    // owner => currency => split but not yet claimed
+    mapping(address => mapping(address => uint256)) public owed;
+    // currency => sum of owed, the part of the balance already split
+    mapping(address => uint256) public totalOwed;
+
+    event OwnerAdded(address indexed owner);
+    event OwnerRemoved(address indexed owner);
+    event SharesSet(address[] owners, uint16[] shareBps);
+    event ThresholdSet(uint8 threshold);
+    event Proposed(uint256 indexed id, address indexed proposer, address target, bytes data);
+    event Approved(uint256 indexed id, address indexed owner);
+    event ApprovalRevoked(uint256 indexed id, address indexed owner);
+    event Executed(uint256 indexed id);
+    event RevenueSplit(address indexed currency, uint256 amount);
+    event Claimed(address indexed owner, address indexed currency, address to, uint256 amount);
+
+    error NotTeamOwner();
+    error OnlyTeam();
+    error BadOwner();
+    error DuplicateOwner();
+    error TooManyOwners();
+    error BadShares();
+    error BadThreshold();
+    error BadTarget();
+    error BadProposal();
+    error AlreadyExecuted();
+    error AlreadyApproved();
+    error NotApproved();
+    error NotEnoughApprovals(uint256 approvals, uint256 threshold);
+    error NothingOwed();
+    error BadRecipient();
+    error PayoutFailed();
+
+    modifier onlyOwner() {
+        if (!isOwner[msg.sender]) revert NotTeamOwner();
+        _;
+    }
+
+    // Owner changes are proposals the team executes on itself.
+    modifier onlyTeam() {
+        if (msg.sender != address(this)) revert OnlyTeam();
+        _;
+    }
+
+    constructor(Crowdfunding crowdfunding_, address[] memory owners_, uint16[] memory shareBps_, uint8 threshold_) {
+        crowdfunding = crowdfunding_;
+        for (uint256 i = 0; i < owners_.length; i++) {
+            _addOwner(owners_[i]);
+        }
+        _setShares(shareBps_);
+        _setThreshold(threshold_);
+    }
+
+    // Withdrawals in ETH
+    receive() external payable {}
+
+    function getOwners() external view returns (address[] memory) {
+        return owners;
+    }
+
+    function proposalCount() external view returns (uint256) {
+        return proposals.length;
+    }
+
+    // Approvals by current owners.
+    function approvals(uint256 id) public view returns (uint256 count) {
+        for (uint256 i = 0; i < owners.length; i++) {
+            if (approvedIn[id][owners[i]] == ownerGeneration[owners[i]]) count++;
+        }
+    }
+
+    // The proposer's approval is included.
+    function propose(address target, bytes calldata data) external onlyOwner returns (uint256 id) {
+        if (target != address(crowdfunding) && target != address(this)) revert BadTarget();
+
+        (bool pays, address currency) = _payoutCurrency(target, data);
+        id = proposals.length;
+        proposals.push(Proposal({target: target, data: data, executed: false, pays: pays, currency: currency}));
+        emit Proposed(id, msg.sender, target, data);
+
+        _approve(id);
+    }
+
+    function approve(uint256 id) external onlyOwner {
+        _openProposal(id);
+        if (approvedIn[id][msg.sender] == ownerGeneration[msg.sender]) revert AlreadyApproved();
+        _approve(id);
+    }
+
+    function revoke(uint256 id) external onlyOwner {
+        _openProposal(id);
+        if (approvedIn[id][msg.sender] != ownerGeneration[msg.sender]) revert NotApproved();
+
+        approvedIn[id][msg.sender] = 0;
+        emit ApprovalRevoked(id, msg.sender);
+    }
+
+    // A call that reverts reverts the execution too, so the proposal stays
+    // open and can be executed again later.
+    function execute(uint256 id) external onlyOwner {
+        Proposal storage p = _openProposal(id);
+        uint256 count = approvals(id);
+        if (count < threshold) revert NotEnoughApprovals(count, threshold);
+
+        // effects
+        p.executed = true;
+
+        // interactions
+        Address.functionCall(p.target, p.data);
+        if (p.pays) _split(p.currency);
+
+        emit Executed(id);
+    }
+
+    // Splits whatever arrived outside a proposal (e.g. a payout someone else
+    // claimed for the team, or a direct transfer) by the current shares.
+    function distribute(address currency) external {
+        _split(currency);
+    }
+
+    function claim(address currency, address to) external {
+        if (to == address(0)) revert BadRecipient();
+        uint256 amount = owed[msg.sender][currency];
+        if (amount == 0) revert NothingOwed();
+
+        // effects
+        owed[msg.sender][currency] = 0;
+        totalOwed[currency] -= amount;
+
+        // interaction
+        if (currency == address(0)) {
+            (bool ok, ) = to.call{value: amount}("");
+            if (!ok) revert PayoutFailed();
+        } else {
+            IERC20(currency).safeTransfer(to, amount);
+        }
+
+        emit Claimed(msg.sender, currency, to, amount);
+    }
+
+    // `shareBps_` is every owner's share after the change, in getOwners() order
+    // (the new owner last).
+    function addOwner(address owner, uint16[] calldata shareBps_) external onlyTeam {
+        _addOwner(owner);
+        _setShares(shareBps_);
+    }
+
+    // `shareBps_` as for addOwner, without the removed owner; the others keep
+    // their order. What the owner is owed stays claimable.
+    function removeOwner(address owner, uint16[] calldata shareBps_) external onlyTeam {
+        if (!isOwner[owner]) revert BadOwner();
+        if (owners.length - 1 < threshold) revert BadThreshold();
+
+        uint256 last = owners.length - 1;
+        uint256 i = 0;
+        while (owners[i] != owner) i++;
+        for (; i < last; i++) owners[i] = owners[i + 1];
+        owners.pop();
+
+        isOwner[owner] = false;
+        shareBps[owner] = 0;
+        ownerGeneration[owner]++;
+        emit OwnerRemoved(owner);
+
+        _setShares(shareBps_);
+    }
+
+    function setShares(uint16[] calldata shareBps_) external onlyTeam {
+        _setShares(shareBps_);
+    }
+
+    function setThreshold(uint8 threshold_) external onlyTeam {
+        _setThreshold(threshold_);
+    }
+
+    function _addOwner(address owner) private {
+        if (owner == address(0) || owner == address(this)) revert BadOwner();
+        if (isOwner[owner]) revert DuplicateOwner();
+        if (owners.length == MAX_OWNERS) revert TooManyOwners();
+
+        owners.push(owner);
+        isOwner[owner] = true;
+        // a fresh generation, so approvals from an earlier membership are void
+        ownerGeneration[owner]++;
+        emit OwnerAdded(owner);
+    }
+
+    function _setShares(uint16[] memory shareBps_) private {
+        if (shareBps_.length != owners.length) revert BadShares();
+        uint256 total;
+        for (uint256 i = 0; i < shareBps_.length; i++) {
+            shareBps[owners[i]] = shareBps_[i];
+            total += shareBps_[i];
+        }
+        if (total != BPS) revert BadShares();
+        emit SharesSet(owners, shareBps_);
+    }
+
+    function _setThreshold(uint8 threshold_) private {
+        if (threshold_ == 0 || threshold_ > owners.length) revert BadThreshold();
+        threshold = threshold_;
+        emit ThresholdSet(threshold_);
+    }
+
+    function _openProposal(uint256 id) private view returns (Proposal storage p) {
+        if (id >= proposals.length) revert BadProposal();
+        p = proposals[id];
+        if (p.executed) revert AlreadyExecuted();
+    }
+
+    function _approve(uint256 id) private {
+        approvedIn[id][msg.sender] = ownerGeneration[msg.sender];
+        emit Approved(id, msg.sender);
+    }
+
+    // Crowdfunding calls that pay the team: withdraw(id) in the campaign's
+    // currency and claimPayout(currency, to) when `to` is the team.
+    function _payoutCurrency(address target, bytes calldata data) private view returns (bool pays, address currency) {
+        if (target != address(crowdfunding) || data.length < 4) return (false, address(0));
+
+        bytes4 selector = bytes4(data[:4]);
+        if (selector == Crowdfunding.withdraw.selector) {
+            uint256 id = abi.decode(data[4:], (uint256));
+            return (true, crowdfunding.campaignCurrency(id));
+        }
+        if (selector == Crowdfunding.claimPayout.selector) {
+            (address claimed, address to) = abi.decode(data[4:], (address, address));
+            return (to == address(this), claimed);
+        }
+    }
+
+    // Rounding dust stays unsplit and joins the next split.
+    function _split(address currency) private {
+        uint256 balance = currency == address(0) ? address(this).balance : IERC20(currency).balanceOf(address(this));
+        uint256 amount = balance - totalOwed[currency];
+        if (amount == 0) return;
+
+        uint256 split;
+        for (uint256 i = 0; i < owners.length; i++) {
+            uint256 part = amount * shareBps[owners[i]] / BPS;
+            owed[owners[i]][currency] += part;
+            split += part;
+        }
+        totalOwed[currency] += split;
+
+        emit RevenueSplit(currency, split);
+    }
+}
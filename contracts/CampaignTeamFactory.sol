@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./CampaignTeam.sol";
+
+// Deploys CampaignTeams for Crowdfunding and records them, so the frontend
+// can tell a team creator from a single wallet and list a user's teams.
+contract CampaignTeamFactory {
+    Crowdfunding public immutable crowdfunding;
+
+    mapping(address => bool) public isTeam;
+
+    event TeamCreated(address indexed team, address indexed creator);
+
+    constructor(Crowdfunding crowdfunding_) {
+        crowdfunding = crowdfunding_;
+    }
+
+    function createTeam(address[] calldata owners, uint16[] calldata shareBps, uint8 threshold)
+        external
+        returns (CampaignTeam team)
+    {
+        team = new CampaignTeam(crowdfunding, owners, shareBps, threshold);
+        isTeam[address(team)] = true;
+        emit TeamCreated(address(team), msg.sender);
+    }
+}
@@ -0,0 +1,101 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+
+// Who may back a private campaign, and how much. Crowdfunding configures a
+// campaign here when it is created with access options, and calls check()
+// on every contribution to it.
+//
+// A backer of a private campaign is admitted once, with a Merkle proof that
+// they are on its allowlist (scripts/allowlist.js builds the tree from a CSV)
+// or an EIP-712 attestation from its verifier key, e.g. signed after an
+// off-chain KYC check. Either only admits the backer it names, so anyone
+// may submit it, and Crowdfunding's contributeWithPass and
+// contributeTokenWithPass submit it along with the contribution.
+contract ContributionGate is EIP712 {
+    // All zero = anyone, any amount.
+    struct Access {
+        bytes32 allowlistRoot; // Merkle root of allowed backers, 0 = no allowlist
+        address verifier;      // signs attestations admitting backers, 0 = none
+        uint128 minWei;        // a backer's total contribution, 0 = no minimum
+        uint128 maxWei;        // a backer's total contribution, 0 = no maximum
+    }
+
+    bytes32 public constant ATTESTATION_TYPEHASH =
+        keccak256("Attestation(uint256 campaignId,address backer,uint64 expiry)");
+
+    address public immutable crowdfunding;
+
+    mapping(uint256 => Access) public access;
+    // campaignId => backer => admitted by proof or attestation
+    mapping(uint256 => mapping(address => bool)) public admitted;
+
+    event AccessConfigured(uint256 indexed id, bytes32 allowlistRoot, address verifier, uint128 minWei, uint128 maxWei);
+    event Admitted(uint256 indexed id, address indexed backer, bool attested);
+
+    error OnlyCrowdfunding();
+    error BadLimits();
+    error NotAllowed();
+    error BadAttestation();
+    error AttestationExpired();
+    error BelowMinimum(uint256 minWei);
+    error AboveMaximum(uint256 maxWei);
+
+    constructor(address crowdfunding_) EIP712("ContributionGate", "1") {
+        crowdfunding = crowdfunding_;
+    }
+
+    function configure(uint256 id, Access calldata a) external {
+        if (msg.sender != crowdfunding) revert OnlyCrowdfunding();
+        if (a.maxWei != 0 && a.maxWei < a.minWei) revert BadLimits();
+
+        access[id] = a;
+        emit AccessConfigured(id, a.allowlistRoot, a.verifier, a.minWei, a.maxWei);
+    }
+
+    // Private campaigns only take contributions from admitted backers.
+    function isPrivate(uint256 id) public view returns (bool) {
+        Access storage a = access[id];
+        return a.allowlistRoot != 0 || a.verifier != address(0);
+    }
+
+    // `pass` = abi.encode(bytes32[] proof, uint64 expiry, bytes signature):
+    // an attestation when the signature is set, otherwise an allowlist proof.
+    // Does nothing for public campaigns and backers already admitted.
+    function admit(uint256 id, address backer, bytes calldata pass) external {
+        if (admitted[id][backer] || !isPrivate(id)) return;
+
+        (bytes32[] memory proof, uint64 expiry, bytes memory signature) =
+            abi.decode(pass, (bytes32[], uint64, bytes));
+        Access storage a = access[id];
+        bool attested = signature.length != 0;
+        if (attested) {
+            if (a.verifier == address(0)) revert BadAttestation();
+            if (block.timestamp > expiry) revert AttestationExpired();
+            bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(ATTESTATION_TYPEHASH, id, backer, expiry)));
+            if (!SignatureChecker.isValidSignatureNow(a.verifier, digest, signature)) revert BadAttestation();
+        } else if (a.allowlistRoot == 0 || !MerkleProof.verify(proof, a.allowlistRoot, leaf(backer))) {
+            revert NotAllowed();
+        }
+
+        admitted[id][backer] = true;
+        emit Admitted(id, backer, attested);
+    }
+
+    // Reverts unless `backer` may hold `totalWei` in campaign `id` (their
+    // contributions including the one being made).
+    function check(uint256 id, address backer, uint256 totalWei) external view {
+        if (isPrivate(id) && !admitted[id][backer]) revert NotAllowed();
+        Access storage a = access[id];
+        if (totalWei < a.minWei) revert BelowMinimum(a.minWei);
+        if (a.maxWei != 0 && totalWei > a.maxWei) revert AboveMaximum(a.maxWei);
+    }
+
+    // Allowlist leaf, as in OpenZeppelin's StandardMerkleTree for ["address"]
+    function leaf(address backer) public pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(backer))));
+    }
+}
@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+// Relays EIP-712 signed requests to contracts that trust it (Crowdfunding),
+// so users can act without holding ETH for gas. Each signer has a sequential
+// nonce and every request carries a deadline.
+contract CrowdForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("CrowdForwarder") {}
+}
@@ -1,39 +1,219 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "./RewardToken.sol";
+import "./BackerBadge.sol";
+import "./ContributionGate.sol";
+
+// Calls relayed by the trusted ERC-2771 forwarder act for the request signer,
+// so every sender check below goes through _msgSender().
+//
+// Deployed behind an ERC-1967 proxy (UUPS) and upgraded by UPGRADER_ROLE.
+// State lives in the proxy: new variables go after the existing ones, and
+// scripts/upgrade.js refuses an implementation whose storage layout moves,
+// retypes or renames anything already deployed.
+contract Crowdfunding is AccessControl, ERC2771Context, Initializable, UUPSUpgradeable {
+    using SafeERC20 for IERC20;
 
-contract Crowdfunding {
     struct Campaign {
         address creator;
         bytes32 titleHash;
         uint128 goalWei;
         uint256 totalRaised;
         uint64  deadline;    // unix timestamp
-        uint8   flags;       // bit0=finalized, bit1=successful
+        uint8   flags;       // bit0=finalized, bit1=successful, bit2=milestone rejected, bit3=cancelled, bit4=no rewards
+    }
+
+    // Optional creation-time settings, see createCampaignWithOptions
+    struct CampaignOptions {
+        uint16[]  milestoneBps;    // tranche sizes in basis points, must sum to 10000
+        uint128[] stretchGoalsWei; // strictly increasing, all above goalWei
+        address   currency;        // ERC-20 token, or address(0) for native ETH
+        uint128   hardCapWei;      // contributions stop at this total, 0 = no cap
+        bool      finishOnGoal;    // close contributions as soon as goalWei is raised
+        TierOption[] tiers;        // strictly increasing minWei
+        ContributionGate.Access access; // allowlist, verifier and per-backer limits
     }
-    
-    uint8 public constant FINALIZED_MASK  = 1; // 0b01
-    uint8 public constant SUCCESSFUL_MASK = 2; // 0b10
 
-    RewardToken public immutable rewardToken;
+    // The name is only emitted (CampaignTiersSet), like the title.
+    struct TierOption {
+        string  name;
+        uint128 minWei;  // cumulative contribution needed, in campaign currency
+        uint32  limit;   // badges available, 0 = unlimited
+    }
+
+    struct Tier {
+        uint128 minWei;
+        uint32  limit;
+        uint32  claimed; // badges currently at this tier
+    }
 
-    // 1 ETH (1e18 wei) => 1000 tokens (1000 * 1e18 token units)
+    // Funds of a successful campaign with milestones are released tranche by
+    // tranche, each after a backer vote weighted by contribution.
+    struct MilestonePlan {
+        uint8   count;
+        uint8   current;       // index of the next milestone to vote on
+        uint64  voteEnd;       // 0 while no vote is open
+        uint256 baseWei;       // totalRaised at finalize
+        uint256 releasedWei;   // sum of approved tranches
+        uint256 releasableWei; // approved but not yet withdrawn
+        uint256 approveWeight;
+        uint256 rejectWeight;
+    }
+    
+    uint8 public constant FINALIZED_MASK          = 1; // 0b001
+    uint8 public constant SUCCESSFUL_MASK         = 2; // 0b010
+    uint8 public constant MILESTONE_REJECTED_MASK = 4; // 0b100
+    uint8 public constant CANCELLED_MASK          = 8; // 0b1000
+    uint8 public constant NO_REWARDS_MASK         = 16; // 0b10000
+
+    uint16 public constant BPS               = 10_000;
+    uint8  public constant MAX_MILESTONES    = 10;
+    uint8  public constant MAX_STRETCH_GOALS = 10;
+    uint8  public constant MAX_TIERS         = 10;
+    uint64 public constant MILESTONE_VOTE_PERIOD = 3 days;
+    // time the creator has to request the next milestone, from finalize or
+    // from the last approval
+    uint64 public constant MILESTONE_REQUEST_WINDOW = 90 days;
+    // total a creator may push a deadline back, over all extensions
+    uint64 public constant MAX_DEADLINE_EXTENSION = 30 days;
+    uint16 public constant MAX_PLATFORM_FEE_BPS   = 1_000; // 10%
+
+    bytes32 public constant CONFIG_ROLE = keccak256("CONFIG_ROLE");
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+
+    RewardToken public rewardToken;
+    BackerBadge public badge;
+
+    // Initial ETH reward rate: 1 ETH (1e18 wei) => 1000 tokens (1000 * 1e18 token units)
     uint256 public constant RATE = 1000;
 
+    // currency => reward token units minted per currency unit (address(0) = ETH)
+    mapping(address => uint256) public rewardRates;
+    // ERC-20 tokens campaigns may be denominated in; ETH is always allowed
+    mapping(address => bool) public allowedCurrencies;
+
+    // Allowed range for a new campaign's durationSeconds
+    uint64 public minCampaignDuration;
+    uint64 public maxCampaignDuration;
+
+    // Share of every withdrawal paid to the treasury. Each campaign keeps the
+    // fee that applied when it was created (campaignFeeBps).
+    address public treasury;
+    uint16 public platformFeeBps;
+    mapping(uint256 => uint16) public campaignFeeBps;
+    // campaignId => fees paid to the treasury, in the campaign currency
+    mapping(uint256 => uint256) public feesCollected;
+
+    // Payouts that could not be pushed (e.g. a contract wallet that rejects
+    // ETH), claimable to any address with claimPayout.
+    // recipient => currency (address(0) = ETH) => amount
+    mapping(address => mapping(address => uint256)) public pendingPayouts;
+
     Campaign[] public campaigns;
 
     // campaignId => contributor => amountWei
     mapping(uint256 => mapping(address => uint256)) public contributions;
 
+    // Rewards are minted into this contract at contribution time and only
+    // become claimable once the campaign succeeds (pro rata to released
+    // tranches for milestone campaigns). Refunds and reclaims burn the rest.
+    // campaignId => backer => reward token units
+    mapping(uint256 => mapping(address => uint256)) public rewardsEarned;
+    mapping(uint256 => mapping(address => uint256)) public rewardsClaimed;
+
+    // campaignId => ERC-20 token, address(0) for ETH campaigns.
+    // goalWei, totalRaised and contributions are in this currency's units.
+    mapping(uint256 => address) public campaignCurrency;
+
+    mapping(uint256 => uint16[]) public milestoneBps;
+    mapping(uint256 => MilestonePlan) public milestonePlans;
+    // campaignId => milestone index => backer => voted
+    mapping(uint256 => mapping(uint256 => mapping(address => bool))) public milestoneVoted;
+
+    mapping(uint256 => uint128[]) public stretchGoals;
+    mapping(uint256 => uint8) public stretchGoalsReached;
+
+    mapping(uint256 => uint128) public hardCaps;
+    mapping(uint256 => bool) public finishOnGoal;
+    // campaignId => seconds added to the original deadline so far
+    mapping(uint256 => uint64) public deadlineExtensions;
+
+    mapping(uint256 => Tier[]) public tiers;
+    // campaignId => backer => tier index + 1 of their badge, 0 = none
+    mapping(uint256 => mapping(address => uint8)) public backerTier;
+    mapping(uint256 => mapping(address => uint256)) public badgeOf;
+
+    // Campaigns created with access options are gated: every contribution is
+    // checked against the allowlist, attestations and limits in the gate.
+    ContributionGate public contributionGate;
+    mapping(uint256 => bool) public gated;
+
+    // Campaigns created shorter than rewardMinDuration or with a fee below
+    // rewardMinFeeBps mint no rewards (NO_REWARDS_MASK), and none are
+    // claimable before rewardsVestAt, i.e. rewardMinDuration after creation,
+    // even if the campaign closed early. Creators never earn rewards on their
+    // own campaigns. Together this makes cycling funds through a campaign
+    // cost at least the fee for every CRWD it yields.
+    uint64 public rewardMinDuration;
+    uint16 public rewardMinFeeBps;
+    mapping(uint256 => uint64) public rewardsVestAt;
+
+    // campaignId => when the next milestone request is due. Past it, backers
+    // can reclaim the unreleased share as if the milestone had been
+    // rejected. 0 = no deadline (no milestone left, or finalized before
+    // deadlines existed).
+    mapping(uint256 => uint64) public milestoneRequestDue;
+
     event CampaignCreated(uint256 indexed id, address indexed creator, string title, uint256 goalWei, uint64 deadline);
     event Contributed(uint256 indexed id, address indexed contributor, uint256 amountWei, uint256 rewardMinted);
     event Finalized(uint256 indexed id, bool successful);
     event Withdrawn(uint256 indexed id, address indexed creator, uint256 amountWei);
     event Refunded(uint256 indexed id, address indexed contributor, uint256 amountWei);
+    event CampaignMetadata(uint256 indexed id, string description, string imageUrl);
+    event CampaignOptionsSet(
+        uint256 indexed id,
+        uint16[] milestoneBps,
+        uint128[] stretchGoalsWei,
+        address currency,
+        uint128 hardCapWei,
+        bool finishOnGoal
+    );
+    event StretchGoalReached(uint256 indexed id, uint256 index, uint256 goalWei);
+    event MilestoneRequested(uint256 indexed id, uint256 index, uint64 voteEnd);
+    event MilestoneVoted(uint256 indexed id, uint256 index, address indexed backer, bool approve, uint256 weight);
+    event MilestoneResolved(uint256 indexed id, uint256 index, bool approved, uint256 releasedWei);
+    event Reclaimed(uint256 indexed id, address indexed backer, uint256 amountWei);
+    event MilestoneDue(uint256 indexed id, uint256 index, uint64 dueBy);
+    event RewardRateSet(address indexed currency, uint256 rate);
+    event CurrencyAllowed(address indexed currency, bool allowed);
+    event CampaignDurationBoundsSet(uint64 minDuration, uint64 maxDuration);
+    event PlatformFeeSet(uint16 feeBps);
+    event TreasurySet(address indexed treasury);
+    event RewardVestingSet(uint64 minDuration, uint16 minFeeBps);
+    event FeeCollected(uint256 indexed id, address indexed treasury, uint256 amountWei);
+    event PayoutDeferred(address indexed account, address indexed currency, uint256 amountWei);
+    event PayoutClaimed(address indexed account, address indexed currency, address to, uint256 amountWei);
+    event RewardsClaimed(uint256 indexed id, address indexed backer, uint256 amount);
+    event RewardsForfeited(uint256 indexed id, address indexed backer, uint256 amount);
+    event Cancelled(uint256 indexed id);
+    event DeadlineExtended(uint256 indexed id, uint64 deadline, uint64 totalExtension);
+    event ClosedEarly(uint256 indexed id, uint64 deadline);
+    event CampaignTiersSet(uint256 indexed id, TierOption[] tiers);
+    event TierAwarded(uint256 indexed id, address indexed backer, uint8 tier, uint256 tokenId);
+    event ContributionGateSet(address indexed gate);
 
     error GoalZero();
     error DurationZero();
+    error DurationOutOfRange(uint64 minDuration, uint64 maxDuration);
+    error BadDurationBounds();
     error TitleEmpty();
 
     error BadId();
@@ -47,13 +227,107 @@ contract Crowdfunding {
     error NotSuccessful();
     error NotCreator();
     error WithdrawNothing();
-    error WithdrawFailed();
+    error FeeTooHigh();
+    error BadTreasury();
     
     error RefundNothing();
-    error RefundFailed();
 
-    constructor(address rewardTokenAddress) {
+    error BadMilestones();
+    error BadStretchGoals();
+    error NoMilestones();
+    error MilestonesComplete();
+    error MilestonesRejected();
+    error MilestoneVoteOpen();
+    error NoMilestoneVote();
+    error MilestoneVoteEnded();
+    error MilestoneVoteNotEnded();
+    error AlreadyVoted();
+    error NoVotingPower();
+    error NotRejected();
+    error MilestoneRequestOverdue();
+    error ReclaimNothing();
+
+    error CurrencyNotAllowed();
+    error WrongCurrency();
+    error ClaimNothing();
+    error NoPendingPayout();
+    error BadRecipient();
+    error PayoutFailed();
+
+    error BadHardCap();
+    error HardCapExceeded(uint256 remaining);
+    error ExtensionTooLong();
+    error GoalNotReached();
+    error BadTiers();
+
+    // The forwarder is immutable, i.e. part of the implementation: an upgrade
+    // must be deployed with the same one.
+    constructor(address trustedForwarder_) ERC2771Context(trustedForwarder_) {
+        _disableInitializers();
+    }
+
+    function initialize(address rewardTokenAddress, address badgeAddress, address admin) external initializer {
         rewardToken = RewardToken(rewardTokenAddress);
+        badge = BackerBadge(badgeAddress);
+        rewardRates[address(0)] = RATE;
+        minCampaignDuration = 1;
+        maxCampaignDuration = 365 days;
+        treasury = admin;
+        rewardMinDuration = 7 days;
+        rewardMinFeeBps = 100;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(CONFIG_ROLE, admin);
+        _grantRole(UPGRADER_ROLE, admin);
+    }
+
+    function _authorizeUpgrade(address) internal override onlyRole(UPGRADER_ROLE) {}
+
+    function setRewardRate(address currency, uint256 rate) external onlyRole(CONFIG_ROLE) {
+        rewardRates[currency] = rate;
+        emit RewardRateSet(currency, rate);
+    }
+
+    function setCurrencyAllowed(address currency, bool allowed) external onlyRole(CONFIG_ROLE) {
+        if (currency == address(0)) revert WrongCurrency();
+        allowedCurrencies[currency] = allowed;
+        emit CurrencyAllowed(currency, allowed);
+    }
+
+    // Applies to campaigns created from now on.
+    function setPlatformFee(uint16 feeBps) external onlyRole(CONFIG_ROLE) {
+        if (feeBps > MAX_PLATFORM_FEE_BPS) revert FeeTooHigh();
+        platformFeeBps = feeBps;
+        emit PlatformFeeSet(feeBps);
+    }
+
+    function setTreasury(address treasury_) external onlyRole(CONFIG_ROLE) {
+        if (treasury_ == address(0)) revert BadTreasury();
+        treasury = treasury_;
+        emit TreasurySet(treasury_);
+    }
+
+    // Applies to campaigns created from now on.
+    function setRewardVesting(uint64 minDuration, uint16 minFeeBps) external onlyRole(CONFIG_ROLE) {
+        if (minFeeBps > MAX_PLATFORM_FEE_BPS) revert FeeTooHigh();
+        rewardMinDuration = minDuration;
+        rewardMinFeeBps = minFeeBps;
+        emit RewardVestingSet(minDuration, minFeeBps);
+    }
+
+    // Campaigns without access options never call the gate. Replacing it
+    // drops the access rules of gated campaigns configured on the old one.
+    function setContributionGate(ContributionGate gate) external onlyRole(CONFIG_ROLE) {
+        contributionGate = gate;
+        emit ContributionGateSet(address(gate));
+    }
+
+    // Extensions are bounded by MAX_DEADLINE_EXTENSION, not by these.
+    function setCampaignDurationBounds(uint64 minDuration, uint64 maxDuration) external onlyRole(CONFIG_ROLE) {
+        if (minDuration == 0 || minDuration > maxDuration) revert BadDurationBounds();
+        minCampaignDuration = minDuration;
+        maxCampaignDuration = maxDuration;
+        emit CampaignDurationBoundsSet(minDuration, maxDuration);
     }
 
     function createCampaign(
@@ -61,43 +335,360 @@ contract Crowdfunding {
         uint128 goalWei,
         uint64 durationSeconds
     ) external returns (uint256 id) {
+        id = _createCampaign(title, goalWei, durationSeconds);
+    }
+
+    function createCampaignWithOptions(
+        string calldata title,
+        uint128 goalWei,
+        uint64 durationSeconds,
+        CampaignOptions calldata options
+    ) external returns (uint256 id) {
+        if (options.currency != address(0) && !allowedCurrencies[options.currency]) {
+            revert CurrencyNotAllowed();
+        }
+        id = _createCampaign(title, goalWei, durationSeconds);
+        if (options.currency != address(0)) campaignCurrency[id] = options.currency;
+
+        uint256 n = options.milestoneBps.length;
+        if (n > MAX_MILESTONES) revert BadMilestones();
+        if (n != 0) {
+            uint256 sum;
+            for (uint256 i = 0; i < n; i++) {
+                if (options.milestoneBps[i] == 0) revert BadMilestones();
+                sum += options.milestoneBps[i];
+            }
+            if (sum != BPS) revert BadMilestones();
+            milestoneBps[id] = options.milestoneBps;
+            milestonePlans[id].count = uint8(n);
+        }
+
+        uint256 m = options.stretchGoalsWei.length;
+        if (m > MAX_STRETCH_GOALS) revert BadStretchGoals();
+        uint128 prev = goalWei;
+        for (uint256 i = 0; i < m; i++) {
+            if (options.stretchGoalsWei[i] <= prev) revert BadStretchGoals();
+            prev = options.stretchGoalsWei[i];
+        }
+        if (m != 0) stretchGoals[id] = options.stretchGoalsWei;
+
+        // every stretch goal has to stay reachable under the cap
+        if (options.hardCapWei != 0) {
+            if (options.hardCapWei < prev) revert BadHardCap();
+            hardCaps[id] = options.hardCapWei;
+        }
+        if (options.finishOnGoal) finishOnGoal[id] = true;
+
+        uint256 t = options.tiers.length;
+        if (t > MAX_TIERS) revert BadTiers();
+        uint128 prevMin = 0;
+        for (uint256 i = 0; i < t; i++) {
+            TierOption calldata tier = options.tiers[i];
+            if (bytes(tier.name).length == 0 || tier.minWei <= prevMin) revert BadTiers();
+            prevMin = tier.minWei;
+            tiers[id].push(Tier({minWei: tier.minWei, limit: tier.limit, claimed: 0}));
+        }
+        if (t != 0) emit CampaignTiersSet(id, options.tiers);
+
+        ContributionGate.Access calldata access = options.access;
+        if (access.allowlistRoot != 0 || access.verifier != address(0) || access.minWei != 0 || access.maxWei != 0) {
+            contributionGate.configure(id, access);
+            gated[id] = true;
+        }
+
+        emit CampaignOptionsSet(
+            id,
+            options.milestoneBps,
+            options.stretchGoalsWei,
+            options.currency,
+            options.hardCapWei,
+            options.finishOnGoal
+        );
+    }
+
+    function _createCampaign(
+        string calldata title,
+        uint128 goalWei,
+        uint64 durationSeconds
+    ) private returns (uint256 id) {
         if (bytes(title).length == 0) revert TitleEmpty();
         if (goalWei             == 0) revert GoalZero();
         if (durationSeconds     == 0) revert DurationZero();
+        if (durationSeconds < minCampaignDuration || durationSeconds > maxCampaignDuration) {
+            revert DurationOutOfRange(minCampaignDuration, maxCampaignDuration);
+        }
 
         uint64 deadline = uint64(block.timestamp) + durationSeconds;
+        bool rewarded = durationSeconds >= rewardMinDuration && platformFeeBps >= rewardMinFeeBps;
 
         campaigns.push(Campaign({
-            creator:     msg.sender,
+            creator:     _msgSender(),
             titleHash:   bytes32(keccak256(abi.encode(title))),
             goalWei:     goalWei,
             deadline:    deadline,
             totalRaised: 0,
-            flags:       0
+            flags:       rewarded ? 0 : NO_REWARDS_MASK
         }));
 
         id = campaigns.length - 1;
-        emit CampaignCreated(id, msg.sender, title, goalWei, deadline);
+        if (platformFeeBps != 0) campaignFeeBps[id] = platformFeeBps;
+        if (rewarded) rewardsVestAt[id] = uint64(block.timestamp) + rewardMinDuration;
+        emit CampaignCreated(id, _msgSender(), title, goalWei, deadline);
     }
 
-    function contribute(uint256 id) external payable {
+    // Description and image are only emitted, never stored, same as the title.
+    // The latest event for an id wins.
+    function setCampaignMetadata(
+        uint256 id,
+        string calldata description,
+        string calldata imageUrl
+    ) external {
         if (id >= campaigns.length) revert BadId();
+        if (_msgSender() != campaigns[id].creator) revert NotCreator();
 
-        Campaign storage c = campaigns[id];
+        emit CampaignMetadata(id, description, imageUrl);
+    }
+
+    function contribute(uint256 id) public payable {
+        (Campaign storage c, ) = _openCampaign(id, false);
+        if (msg.value == 0) revert ZeroValue();
+
+        _recordContribution(c, id, address(0), msg.value);
+    }
+
+    // ERC-20 campaigns: the caller must have approved `amount` first.
+    function contributeToken(uint256 id, uint256 amount) public {
+        (Campaign storage c, address currency) = _openCampaign(id, true);
+        if (amount == 0) revert ZeroValue();
+
+        _recordContribution(c, id, currency, _pull(currency, amount));
+    }
+
+    // Private campaigns: admit the caller with `pass` (see ContributionGate.admit)
+    // and contribute in one transaction. The pass is ignored once the caller
+    // is admitted, and on campaigns without access options.
+    function contributeWithPass(uint256 id, bytes calldata pass) external payable {
+        _admit(id, pass);
+        contribute(id);
+    }
+
+    function contributeTokenWithPass(uint256 id, uint256 amount, bytes calldata pass) external {
+        _admit(id, pass);
+        contributeToken(id, amount);
+    }
+
+    function _admit(uint256 id, bytes calldata pass) private {
+        if (gated[id]) contributionGate.admit(id, _msgSender(), pass);
+    }
+
+    // EIP-2612 variant of contributeToken. A failing permit is ignored if the
+    // allowance is already there (e.g. someone front-ran the same permit).
+    function contributeWithPermit(
+        uint256 id,
+        uint256 amount,
+        uint256 permitDeadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        (Campaign storage c, address currency) = _openCampaign(id, true);
+        if (amount == 0) revert ZeroValue();
+
+        try IERC20Permit(currency).permit(_msgSender(), address(this), amount, permitDeadline, v, r, s) {
+        } catch {}
+
+        _recordContribution(c, id, currency, _pull(currency, amount));
+    }
+
+    function _openCampaign(uint256 id, bool tokenCampaign)
+        private
+        view
+        returns (Campaign storage c, address currency)
+    {
+        if (id >= campaigns.length) revert BadId();
+
+        c = campaigns[id];
         unchecked {
             if (block.timestamp >= c.deadline) revert CampaignEnded();
         }
-        if (msg.value == 0) revert ZeroValue();
+        if ((c.flags & CANCELLED_MASK) != 0) revert CampaignEnded();
+        currency = campaignCurrency[id];
+        if ((currency != address(0)) != tokenCampaign) revert WrongCurrency();
+    }
+
+    // Returns what actually arrived, so fee-on-transfer tokens can't inflate totals.
+    function _pull(address currency, uint256 amount) private returns (uint256 received) {
+        IERC20 token = IERC20(currency);
+        uint256 before = token.balanceOf(address(this));
+        token.safeTransferFrom(_msgSender(), address(this), amount);
+        received = token.balanceOf(address(this)) - before;
+        if (received == 0) revert ZeroValue();
+    }
+
+    function _send(address currency, address to, uint256 amount) private returns (bool ok) {
+        if (currency == address(0)) {
+            (ok, ) = to.call{value: amount}("");
+        } else {
+            ok = IERC20(currency).trySafeTransfer(to, amount);
+        }
+    }
+
+    // A recipient that rejects the transfer must not block the payout for
+    // everyone else (or its own funds forever): credit it instead.
+    function _payOrCredit(address currency, address to, uint256 amount) private {
+        if (_send(currency, to, amount)) return;
+        pendingPayouts[to][currency] += amount;
+        emit PayoutDeferred(to, currency, amount);
+    }
+
+    function claimPayout(address currency, address to) external {
+        if (to == address(0)) revert BadRecipient();
+        uint256 amount = pendingPayouts[_msgSender()][currency];
+        if (amount == 0) revert NoPendingPayout();
+
+        // effects
+        pendingPayouts[_msgSender()][currency] = 0;
+
+        // interaction
+        if (!_send(currency, to, amount)) revert PayoutFailed();
+
+        emit PayoutClaimed(_msgSender(), currency, to, amount);
+    }
+
+    function _recordContribution(Campaign storage c, uint256 id, address currency, uint256 amount) private {
+        uint256 cap = hardCaps[id];
+        if (cap != 0 && c.totalRaised + amount > cap) revert HardCapExceeded(cap - c.totalRaised);
+
+        c.totalRaised += amount;
+        contributions[id][_msgSender()] += amount;
+        if (gated[id]) contributionGate.check(id, _msgSender(), contributions[id][_msgSender()]);
+
+        // Mint reward tokens proportional to contribution, at the currency's rate,
+        // into escrow until the campaign succeeds.
+        // For ETH: amount is wei; token has 18 decimals; 1000 => 1 ETH => 1000 tokens
+        // Nothing for the creator backing their own campaign.
+        uint256 rewardAmount = (c.flags & NO_REWARDS_MASK) != 0 || _msgSender() == c.creator
+            ? 0
+            : amount * rewardRates[currency];
+        if (rewardAmount != 0) {
+            rewardsEarned[id][_msgSender()] += rewardAmount;
+            rewardToken.mint(address(this), rewardAmount);
+        }
+
+        emit Contributed(id, _msgSender(), amount, rewardAmount);
+
+        uint128[] storage goals = stretchGoals[id];
+        uint8 reached = stretchGoalsReached[id];
+        while (reached < goals.length && c.totalRaised >= goals[reached]) {
+            emit StretchGoalReached(id, reached, goals[reached]);
+            reached++;
+        }
+        stretchGoalsReached[id] = reached;
+
+        _awardTier(id, _msgSender());
+
+        if (finishOnGoal[id] && c.totalRaised >= c.goalWei) _closeNow(c, id);
+    }
 
-        c.totalRaised += msg.value;
-        contributions[id][msg.sender] += msg.value;
+    // Moves the backer to the highest tier their total contribution reaches
+    // that still has badges left. An upgrade frees their slot in the old tier.
+    function _awardTier(uint256 id, address backer) private {
+        Tier[] storage campaignTiers = tiers[id];
+        uint256 current = backerTier[id][backer];
+        uint256 total = contributions[id][backer];
+
+        for (uint256 i = campaignTiers.length; i > current; i--) {
+            Tier storage tier = campaignTiers[i - 1];
+            if (total < tier.minWei) continue;
+            if (tier.limit != 0 && tier.claimed >= tier.limit) continue;
+
+            tier.claimed++;
+            backerTier[id][backer] = uint8(i);
+            uint256 tokenId;
+            if (current == 0) {
+                tokenId = badge.mint(backer, id, uint8(i - 1));
+                badgeOf[id][backer] = tokenId;
+            } else {
+                campaignTiers[current - 1].claimed--;
+                tokenId = badgeOf[id][backer];
+                badge.setTier(tokenId, uint8(i - 1));
+            }
+            emit TierAwarded(id, backer, uint8(i - 1), tokenId);
+            return;
+        }
+    }
+
+    // Refunded backers lose their badge.
+    function _revokeBadge(uint256 id, address backer) private {
+        if (backerTier[id][backer] == 0) return;
+        uint256 tokenId = badgeOf[id][backer];
+        backerTier[id][backer] = 0;
+        badgeOf[id][backer] = 0;
+        badge.burn(tokenId);
+    }
+
+    // Badges of backers who don't refund stay, marked void.
+    function _voidBadges(uint256 id) private {
+        if (tiers[id].length != 0) badge.voidCampaign(id);
+    }
+
+    // Creator-only controls for a campaign that has not been finalized.
+
+    // Ends the campaign as failed: contributions stop and backers can refund
+    // right away. Nothing is ever paid out to the creator. Only while it is
+    // running: past the deadline finalize decides whether it succeeded.
+    function cancel(uint256 id) external {
+        Campaign storage c = _creatorCampaign(id);
+        unchecked {
+            if (block.timestamp >= c.deadline) revert CampaignEnded();
+        }
+
+        c.flags |= FINALIZED_MASK | CANCELLED_MASK;
+        _voidBadges(id);
+
+        emit Cancelled(id);
+    }
+
+    // Pushes the deadline back by `extraSeconds`, at most
+    // MAX_DEADLINE_EXTENSION in total and only while the campaign is running.
+    function extendDeadline(uint256 id, uint64 extraSeconds) external {
+        Campaign storage c = _creatorCampaign(id);
+        unchecked {
+            if (block.timestamp >= c.deadline) revert CampaignEnded();
+        }
+        if (extraSeconds == 0) revert DurationZero();
+
+        uint64 total = deadlineExtensions[id] + extraSeconds;
+        if (total > MAX_DEADLINE_EXTENSION) revert ExtensionTooLong();
+        deadlineExtensions[id] = total;
+        c.deadline += extraSeconds;
+
+        emit DeadlineExtended(id, c.deadline, total);
+    }
+
+    // Stops contributions once the goal is met so the campaign can be
+    // finalized immediately instead of at the deadline.
+    function closeEarly(uint256 id) external {
+        Campaign storage c = _creatorCampaign(id);
+        unchecked {
+            if (block.timestamp >= c.deadline) revert CampaignEnded();
+        }
+        if (c.totalRaised < c.goalWei) revert GoalNotReached();
+
+        _closeNow(c, id);
+    }
 
-        // Mint reward tokens proportional to contribution
-        // msg.value is wei; token has 18 decimals; RATE=1000 => 1 ETH => 1000 tokens
-        uint256 rewardAmount = msg.value * RATE;
-        rewardToken.mint(msg.sender, rewardAmount);
+    function _closeNow(Campaign storage c, uint256 id) private {
+        c.deadline = uint64(block.timestamp);
+        emit ClosedEarly(id, c.deadline);
+    }
+
+    function _creatorCampaign(uint256 id) private view returns (Campaign storage c) {
+        if (id >= campaigns.length) revert BadId();
 
-        emit Contributed(id, msg.sender, msg.value, rewardAmount);
+        c = campaigns[id];
+        if (_msgSender() != c.creator) revert NotCreator();
+        if ((c.flags & FINALIZED_MASK) != 0) revert AlreadyFinalized();
     }
 
     function finalize(uint256 id) external {
@@ -109,10 +700,17 @@ contract Crowdfunding {
             if (block.timestamp < c.deadline) revert CampaignNotEnded();
         }
 
-        c.flags = FINALIZED_MASK;
+        c.flags |= FINALIZED_MASK;
         bool successful = c.totalRaised >= c.goalWei;
         if (successful) c.flags |= SUCCESSFUL_MASK;
 
+        MilestonePlan storage plan = milestonePlans[id];
+        if (successful && plan.count != 0) {
+            plan.baseWei = c.totalRaised;
+            _setMilestoneDue(id, 0);
+        }
+        if (!successful) _voidBadges(id);
+
         emit Finalized(id, successful);
     }
 
@@ -123,19 +721,29 @@ contract Crowdfunding {
         if ((c.flags & FINALIZED_MASK)  == 0) revert NotFinalized();
         if ((c.flags & SUCCESSFUL_MASK) == 0) revert NotSuccessful();
         address creator = c.creator;
-        if (msg.sender != creator) revert NotCreator();
+        if (_msgSender() != creator) revert NotCreator();
 
-        uint256 amount = c.totalRaised;
+        // with milestones only approved tranches can be withdrawn
+        MilestonePlan storage plan = milestonePlans[id];
+        uint256 amount = plan.count == 0 ? c.totalRaised : plan.releasableWei;
         if (amount == 0) revert WithdrawNothing();
 
         // effects
-        c.totalRaised = 0;
-
-        // interaction
-        (bool ok, ) = creator.call{value: amount}("");
-        if (!ok) revert WithdrawFailed();
+        c.totalRaised -= amount;
+        if (plan.count != 0) plan.releasableWei = 0;
+        uint256 fee = amount * campaignFeeBps[id] / BPS;
+        if (fee != 0) feesCollected[id] += fee;
+
+        // interactions
+        address currency = campaignCurrency[id];
+        if (fee != 0) {
+            address to = treasury;
+            _payOrCredit(currency, to, fee);
+            emit FeeCollected(id, to, fee);
+        }
+        _payOrCredit(currency, creator, amount - fee);
 
-        emit Withdrawn(id, c.creator, amount);
+        emit Withdrawn(id, c.creator, amount - fee);
     }
 
     function refund(uint256 id) external {
@@ -145,21 +753,200 @@ contract Crowdfunding {
         if ((c.flags & FINALIZED_MASK)  == 0) revert NotFinalized();
         if ((c.flags & SUCCESSFUL_MASK) != 0) revert AlreadyFinalized();
 
-        uint256 amount = contributions[id][msg.sender];
+        uint256 amount = contributions[id][_msgSender()];
         if (amount == 0) revert RefundNothing();
 
         // effects
-        contributions[id][msg.sender] = 0;
+        contributions[id][_msgSender()] = 0;
         c.totalRaised -= amount;
+        uint256 forfeited = rewardsEarned[id][_msgSender()];
+        rewardsEarned[id][_msgSender()] = 0;
 
         // interaction
-        (bool ok, ) = msg.sender.call{value: amount}("");
-        if (!ok) revert RefundFailed();
+        _forfeitRewards(id, forfeited);
+        _revokeBadge(id, _msgSender());
+        _payOrCredit(campaignCurrency[id], _msgSender(), amount);
+
+        emit Refunded(id, _msgSender(), amount);
+    }
+
+    function claimRewards(uint256 id) external {
+        if (id >= campaigns.length) revert BadId();
+
+        uint256 amount = claimableRewards(id, _msgSender());
+        if (amount == 0) revert ClaimNothing();
+
+        rewardsClaimed[id][_msgSender()] += amount;
+        rewardToken.transfer(_msgSender(), amount);
+
+        emit RewardsClaimed(id, _msgSender(), amount);
+    }
+
+    function claimableRewards(uint256 id, address backer) public view returns (uint256) {
+        if (block.timestamp < rewardsVestAt[id]) return 0;
+        return _vestedRewards(id, backer) - rewardsClaimed[id][backer];
+    }
+
+    function _vestedRewards(uint256 id, address backer) private view returns (uint256) {
+        if ((campaigns[id].flags & SUCCESSFUL_MASK) == 0) return 0;
 
-        emit Refunded(id, msg.sender, amount);
+        uint256 earned = rewardsEarned[id][backer];
+        MilestonePlan storage plan = milestonePlans[id];
+        // a backer of a successful campaign only has nothing left in it after
+        // reclaim, which cut rewardsEarned down to the vested part
+        if (plan.count == 0 || contributions[id][backer] == 0) return earned;
+        return earned * plan.releasedWei / plan.baseWei;
+    }
+
+    function _forfeitRewards(uint256 id, uint256 amount) private {
+        if (amount == 0) return;
+        rewardToken.burn(amount);
+        emit RewardsForfeited(id, _msgSender(), amount);
+    }
+
+    function requestMilestone(uint256 id) external {
+        (Campaign storage c, MilestonePlan storage plan) = _successfulWithMilestones(id);
+        if (_msgSender() != c.creator) revert NotCreator();
+        if ((c.flags & MILESTONE_REJECTED_MASK) != 0) revert MilestonesRejected();
+        if (plan.voteEnd != 0) revert MilestoneVoteOpen();
+        if (plan.current >= plan.count) revert MilestonesComplete();
+        if (_milestoneOverdue(id, plan)) revert MilestoneRequestOverdue();
+
+        uint64 voteEnd = uint64(block.timestamp) + MILESTONE_VOTE_PERIOD;
+        plan.voteEnd = voteEnd;
+        plan.approveWeight = 0;
+        plan.rejectWeight = 0;
+
+        emit MilestoneRequested(id, plan.current, voteEnd);
+    }
+
+    function voteMilestone(uint256 id, bool approve) external {
+        (, MilestonePlan storage plan) = _successfulWithMilestones(id);
+        if (plan.voteEnd == 0) revert NoMilestoneVote();
+        if (block.timestamp >= plan.voteEnd) revert MilestoneVoteEnded();
+
+        uint256 index = plan.current;
+        if (milestoneVoted[id][index][_msgSender()]) revert AlreadyVoted();
+        uint256 weight = contributions[id][_msgSender()];
+        if (weight == 0) revert NoVotingPower();
+
+        milestoneVoted[id][index][_msgSender()] = true;
+        if (approve) plan.approveWeight += weight;
+        else plan.rejectWeight += weight;
+
+        emit MilestoneVoted(id, index, _msgSender(), approve, weight);
+    }
+
+    // Anyone can close a vote once it ended. A tranche is released only if
+    // more weight approved than rejected: an empty or tied vote rejects, so
+    // no tranche leaves without backers approving it.
+    function resolveMilestone(uint256 id) external {
+        (Campaign storage c, MilestonePlan storage plan) = _successfulWithMilestones(id);
+        if (plan.voteEnd == 0) revert NoMilestoneVote();
+        if (block.timestamp < plan.voteEnd) revert MilestoneVoteNotEnded();
+
+        uint256 index = plan.current;
+        bool approved = plan.approveWeight > plan.rejectWeight;
+        uint256 tranche;
+
+        plan.voteEnd = 0;
+        if (approved) {
+            // last tranche takes the rounding remainder
+            tranche = index + 1 == plan.count
+                ? plan.baseWei - plan.releasedWei
+                : plan.baseWei * milestoneBps[id][index] / BPS;
+            plan.releasedWei += tranche;
+            plan.releasableWei += tranche;
+            plan.current += 1;
+            if (plan.current < plan.count) _setMilestoneDue(id, plan.current);
+            else milestoneRequestDue[id] = 0;
+        } else {
+            c.flags |= MILESTONE_REJECTED_MASK;
+        }
+
+        emit MilestoneResolved(id, index, approved, tranche);
+    }
+
+    function _setMilestoneDue(uint256 id, uint256 index) private {
+        uint64 dueBy = uint64(block.timestamp) + MILESTONE_REQUEST_WINDOW;
+        milestoneRequestDue[id] = dueBy;
+        emit MilestoneDue(id, index, dueBy);
+    }
+
+    function _milestoneOverdue(uint256 id, MilestonePlan storage plan) private view returns (bool) {
+        uint64 due = milestoneRequestDue[id];
+        return due != 0 && plan.voteEnd == 0 && block.timestamp >= due;
+    }
+
+    // After a rejected milestone, or once the creator let the next request
+    // fall overdue, backers take back their share of what was never
+    // released. An overdue campaign is marked rejected by the first reclaim.
+    function reclaim(uint256 id) external {
+        (Campaign storage c, MilestonePlan storage plan) = _successfulWithMilestones(id);
+        if ((c.flags & MILESTONE_REJECTED_MASK) == 0) {
+            if (!_milestoneOverdue(id, plan)) revert NotRejected();
+            c.flags |= MILESTONE_REJECTED_MASK;
+        }
+
+        uint256 contributed = contributions[id][_msgSender()];
+        uint256 amount = contributed * (plan.baseWei - plan.releasedWei) / plan.baseWei;
+        if (amount == 0) revert ReclaimNothing();
+
+        // effects
+        // rewards for tranches that were never released are burned; what is
+        // left in rewardsEarned is vested in full (see _vestedRewards)
+        uint256 vested = _vestedRewards(id, _msgSender());
+        uint256 forfeited = rewardsEarned[id][_msgSender()] - vested;
+        rewardsEarned[id][_msgSender()] = vested;
+        contributions[id][_msgSender()] = 0;
+        c.totalRaised -= amount;
+
+        // interaction
+        _forfeitRewards(id, forfeited);
+        _payOrCredit(campaignCurrency[id], _msgSender(), amount);
+
+        emit Reclaimed(id, _msgSender(), amount);
+    }
+
+    function _successfulWithMilestones(uint256 id)
+        private
+        view
+        returns (Campaign storage c, MilestonePlan storage plan)
+    {
+        if (id >= campaigns.length) revert BadId();
+
+        c = campaigns[id];
+        if ((c.flags & FINALIZED_MASK)  == 0) revert NotFinalized();
+        if ((c.flags & SUCCESSFUL_MASK) == 0) revert NotSuccessful();
+        plan = milestonePlans[id];
+        if (plan.count == 0) revert NoMilestones();
+    }
+
+    function getMilestoneBps(uint256 id) external view returns (uint16[] memory) {
+        return milestoneBps[id];
+    }
+
+    function getStretchGoals(uint256 id) external view returns (uint128[] memory) {
+        return stretchGoals[id];
+    }
+
+    function getTiers(uint256 id) external view returns (Tier[] memory) {
+        return tiers[id];
     }
 
     function campaignCount() external view returns (uint256) {
         return campaigns.length;
     }
+
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
 }
@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+// Holds Crowdfunding's state and funds and delegates every call to the
+// current implementation. Upgrades go through Crowdfunding.upgradeToAndCall
+// (UUPS), so the proxy itself has no admin functions.
+contract CrowdfundingProxy is ERC1967Proxy {
+    constructor(address implementation, bytes memory data) ERC1967Proxy(implementation, data) {}
+}
@@ -2,13 +2,19 @@
 pragma solidity ^0.8.24;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 
-contract RewardToken is ERC20, AccessControl {
+// CRWD doubles as the governance token: holders delegate (to themselves or
+// someone else) to get voting power in CrowdGovernor.
+contract RewardToken is ERC20, ERC20Permit, ERC20Votes, AccessControl {
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant BURNER_ROLE = keccak256("BURNER_ROLE");
 
     constructor(string memory name_, string memory symbol_, address admin)
         ERC20(name_, symbol_)
+        ERC20Permit(name_)
     {
         _grantRole(DEFAULT_ADMIN_ROLE, admin);
     }
@@ -16,4 +22,17 @@ contract RewardToken is ERC20, AccessControl {
     function mint(address to, uint256 amount) external onlyRole(MINTER_ROLE) {
         _mint(to, amount);
     }
+
+    // Burns from the caller's own balance only (e.g. forfeited escrowed rewards).
+    function burn(uint256 amount) external onlyRole(BURNER_ROLE) {
+        _burn(msg.sender, amount);
+    }
+
+    function _update(address from, address to, uint256 value) internal override(ERC20, ERC20Votes) {
+        super._update(from, to, value);
+    }
+
+    function nonces(address owner) public view override(ERC20Permit, Nonces) returns (uint256) {
+        return super.nonces(owner);
+    }
 }
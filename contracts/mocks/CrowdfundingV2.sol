@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "../Crowdfunding.sol";
+
+// Test-only upgrade target: appends a variable after Crowdfunding's storage
+// and adds a function, as a compatible release would.
+contract CrowdfundingV2 is Crowdfunding {
+    string public releaseNotes;
+
+    constructor(address trustedForwarder_) Crowdfunding(trustedForwarder_) {}
+
+    function setReleaseNotes(string calldata notes) external onlyRole(CONFIG_ROLE) {
+        releaseNotes = notes;
+    }
+}
@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// Test-only backer/creator that calls back into `target` when it receives
+// ETH. The reentrant call's outcome is recorded instead of bubbled up, so the
+// outer payout itself succeeds unless `rejecting` is set.
+contract ReentrancyAttacker {
+    address public immutable target;
+    bytes public reentryData;
+    bool public rejecting;
+    uint256 public reentryAttempts;
+    uint256 public reentrySuccesses;
+
+    error Rejected();
+
+    constructor(address target_) {
+        target = target_;
+    }
+
+    function setReentry(bytes calldata data) external {
+        reentryData = data;
+    }
+
+    function setRejecting(bool rejecting_) external {
+        rejecting = rejecting_;
+    }
+
+    function execute(bytes calldata data) external payable returns (bytes memory) {
+        (bool ok, bytes memory result) = target.call{value: msg.value}(data);
+        if (!ok) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    receive() external payable {
+        if (rejecting) revert Rejected();
+        // one level deep is enough to observe a double payout
+        if (reentryData.length == 0 || reentryAttempts != 0) return;
+        reentryAttempts++;
+        (bool ok, ) = target.call(reentryData);
+        if (ok) reentrySuccesses++;
+    }
+}
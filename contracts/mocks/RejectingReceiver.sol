@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// Test-only contract wallet that refuses ETH, e.g. a multisig without a
+// payable fallback. It can still act as a campaign creator or backer.
+contract RejectingReceiver {
+    error Rejected();
+
+    function execute(address target, bytes calldata data) external payable returns (bytes memory) {
+        (bool ok, bytes memory result) = target.call{value: msg.value}(data);
+        if (!ok) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    receive() external payable {
+        revert Rejected();
+    }
+}
@@ -0,0 +1,33 @@
+import { ethers } from 'ethers'
+import { formatAmount } from '../../shared/currency.js'
+import { isPrivate } from '../../shared/access.js'
+
+// Who may back the campaign and how much, the account's pass for a private
+// one, and `reason` (from accessReason) when it can't contribute yet.
+function Access({ campaign, access, reason, pass, onPassChange }) {
+  const { currency } = campaign
+  const needsPass = isPrivate(access) && !access.admitted
+
+  return (
+    <div className="access">
+      <strong>{isPrivate(access) ? "Private campaign" : "Backer limits"}</strong>
+      <ul>
+        {access.allowlistRoot !== ethers.ZeroHash && <li>Only addresses on its allowlist</li>}
+        {access.verifier !== ethers.ZeroAddress && <li>Backers verified by {access.verifier.substring(0, 10)}...</li>}
+        {access.minWei > 0n && <li>At least {formatAmount(access.minWei, currency)} {currency.symbol} per backer</li>}
+        {access.maxWei > 0n && <li>At most {formatAmount(access.maxWei, currency)} {currency.symbol} per backer</li>}
+        {isPrivate(access) && access.admitted && <li>You are admitted</li>}
+      </ul>
+      {needsPass && !campaign.finalized && (
+        <textarea
+          placeholder="Paste your allowlist file or attestation"
+          value={pass}
+          onChange={(e) => onPassChange(e.target.value)}
+        />
+      )}
+      {reason && <p className="access-reason">{reason}</p>}
+    </div>
+  )
+}
+
+export default Access
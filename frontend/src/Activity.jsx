@@ -0,0 +1,74 @@
+import { useState } from 'react'
+import { explorerTxUrl } from './networks.js'
+import { isOpen } from './transactions.js'
+
+// shown until "Show all"
+const RECENT = 4
+
+function statusText(tx, target) {
+  switch (tx.status) {
+    case "pending":
+      return tx.replacedHashes.length > 0 ? "Pending (sped up)" : "Pending"
+    case "confirmed":
+      return `Confirmed (${Math.min(tx.confirmations, target)}/${target})`
+    case "failed":
+      return "Failed"
+    case "cancelled":
+      return "Cancelled"
+    case "replaced":
+      return "Replaced"
+    default:
+      return "Dropped"
+  }
+}
+
+// Bottom-right panel: error notices, and the account's transactions from the
+// TransactionTracker with their status and confirmations.
+function Activity({ transactions, notices, chainId, target, onDismiss, onDismissNotice, onClear }) {
+  const [expanded, setExpanded] = useState(false)
+  if (transactions.length === 0 && notices.length === 0) return null
+
+  const shown = expanded ? transactions : transactions.slice(0, RECENT)
+  return (
+    <aside className="activity" aria-live="polite">
+      {notices.map((n) => (
+        <div key={n.key} className={`toast toast-${n.kind}`}>
+          <span>{n.message}</span>
+          <button className="toast-close" onClick={() => onDismissNotice(n.key)} aria-label="Dismiss">×</button>
+        </div>
+      ))}
+      {shown.map((tx) => {
+        const url = explorerTxUrl(chainId, tx.hash)
+        return (
+          <div key={tx.id} className={`toast toast-${tx.status}`}>
+            <div>
+              <strong>{tx.status === "confirmed" && tx.message ? tx.message : tx.label}</strong>
+              {tx.campaignId !== null && <span className="toast-meta"> · campaign #{tx.campaignId}</span>}
+              <div className="toast-meta">
+                {statusText(tx, target)}
+                {tx.nonce !== null && ` · nonce ${tx.nonce}`}
+                {" · "}
+                {url ? <a href={url} target="_blank" rel="noreferrer">{tx.hash.slice(0, 10)}...</a> : `${tx.hash.slice(0, 10)}...`}
+              </div>
+            </div>
+            {!isOpen(tx, target) && (
+              <button className="toast-close" onClick={() => onDismiss(tx.id)} aria-label="Dismiss">×</button>
+            )}
+          </div>
+        )
+      })}
+      {transactions.length > 0 && (
+        <div className="activity-controls">
+          {transactions.length > RECENT && (
+            <button className="secondary-btn" onClick={() => setExpanded(!expanded)}>
+              {expanded ? "Show recent" : `Show all (${transactions.length})`}
+            </button>
+          )}
+          <button className="secondary-btn" onClick={onClear}>Clear finished</button>
+        </div>
+      )}
+    </aside>
+  )
+}
+
+export default Activity
@@ -1,45 +1,260 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useEffectEvent, useRef, useSyncExternalStore } from 'react'
 import { ethers } from 'ethers'
-import CrowdfundingABI from './Crowdfunding.json'
-import RewardTokenABI from './RewardToken.json'
+import { INDEXER_URL, fetchIndexedCampaigns } from './indexer.js'
+import { fetchCampaignMetadata, isTitleVerified, safeImageUrl, tiersFromEvent } from '../../shared/metadata.js'
+import { fetchMyContributions } from '../../shared/contributions.js'
+import MyContributions from './MyContributions.jsx'
+import PendingPayouts from './PendingPayouts.jsx'
+import { parseMilestonePercents, parseStretchGoals, toMilestoneView } from './milestones.js'
+import CampaignBrowser from './CampaignBrowser.jsx'
+import CampaignCard from './CampaignCard.jsx'
+import CampaignDetail from './CampaignDetail.jsx'
+import { parseRoute, routeHash } from './browse.js'
+import Governance from './Governance.jsx'
+import Treasury from './Treasury.jsx'
+import Teams from './Teams.jsx'
+import { TEAM_ABI, awaitingApproval, creatorCall, fetchTeams } from './teams.js'
+import { parseTiers, toTierViews } from './tiers.js'
+import { encodePass, fetchAccess, isOpen, isPrivate, passFor } from '../../shared/access.js'
+import { ERC20_ABI, ETH, formatAmount, isEth, loadCurrencies, signPermit } from '../../shared/currency.js'
+import { getDeployment, knownChainIds, verifyDeployment } from './deployments.js'
+import { DISCONNECTED, WalletSession } from './wallet.js'
+import { SUPPORTED_NETWORKS, networkName } from './networks.js'
+import { errorMessage, preflight } from '../../shared/errors.js'
+import { RELAYED_FUNCTIONS, sendGasless } from '../../shared/metaTx.js'
+import { TARGET_CONFIRMATIONS, TransactionTracker } from './transactions.js'
+import Activity from './Activity.jsx'
+import { BACKER_STATE_EVENTS, CREATOR_PAYOUT_EVENTS, PAYOUT_EVENTS, createRefreshQueue, subscribeToEvents } from './liveEvents.js'
 import './App.css'
 
-const CROWDFUNDING_ADDRESS = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512"
-const TOKEN_ADDRESS = "0x5FbDB2315678afecb367f032d93F642f64180aa3"
+const noSubscription = () => () => {}
+const disconnectedState = () => DISCONNECTED
+const NO_TRANSACTIONS = []
+const noTransactions = () => NO_TRANSACTIONS
+
+const subscribeToHash = (onChange) => {
+  window.addEventListener("hashchange", onChange)
+  return () => window.removeEventListener("hashchange", onChange)
+}
+const currentHash = () => window.location.hash
+
+// A pending entry is normally cleared by the event its transaction emits;
+// this is the fallback if that event is never seen.
+const PENDING_FALLBACK_MS = 30_000
+
+// error notices close themselves after this long
+const NOTICE_MS = 10_000
+
+// scripts/relayer.js; without it every call is a normal transaction
+const RELAYER_URL = import.meta.env.VITE_RELAYER_URL ?? ""
+
+// countdowns and "ending soon" move on this often
+const CLOCK_TICK_MS = 15_000
+
+// campaigns read from the chain at a time: thousands one by one take
+// minutes, all at once swamp the RPC endpoint
+const CAMPAIGN_LOAD_BATCH = 20
+
+const nowSeconds = () => Math.floor(Date.now() / 1000)
 
 function App() {
   const [account, setAccount] = useState("")
   const [provider, setProvider] = useState(null)
   const [contract, setContract] = useState(null)
   const [tokenContract, setTokenContract] = useState(null)
+  const [governorContract, setGovernorContract] = useState(null)
+  const [timelockContract, setTimelockContract] = useState(null)
+  const [forwarderContract, setForwarderContract] = useState(null)
+  const [teamFactoryContract, setTeamFactoryContract] = useState(null)
+  // every team's address (lowercase), and the teams the account co-owns
+  const [teams, setTeams] = useState({ all: new Set(), mine: [] })
+  const [gateContract, setGateContract] = useState(null)
+  // campaign id -> access options (and whether the account is admitted), gated campaigns only
+  const [access, setAccess] = useState(new Map())
+  const [gasless, setGasless] = useState(false)
+  const hash = useSyncExternalStore(subscribeToHash, currentHash)
+  const route = parseRoute(hash)
+  // the list (with its filters) a detail page goes back to
+  const browseHash = useRef(routeHash({ view: "campaigns" }))
+  const [now, setNow] = useState(nowSeconds)
+  const [deployment, setDeployment] = useState(null)
+  const [networkError, setNetworkError] = useState("")
   const [campaigns, setCampaigns] = useState([])
+  const [campaignsLoaded, setCampaignsLoaded] = useState(false)
   const [userBalance, setUserBalance] = useState("0")
   const [ethBalance, setEthBalance] = useState("0.0")
+  const [myContributions, setMyContributions] = useState([])
+  // [{ currency, amount }] credited to the account by failed pushes
+  const [payouts, setPayouts] = useState([])
+  // optimistic state: [{ key, id, label, amountWei, hash }] per in-flight tx
+  const [pending, setPending] = useState([])
+  const pendingSeq = useRef(0)
+  // submitted transactions, per chain and account, kept across reloads
+  const [tracker, setTracker] = useState(null)
+  const transactions = useSyncExternalStore(tracker?.subscribe ?? noSubscription, tracker?.getState ?? noTransactions)
+  // [{ key, message, kind }] shown in the activity panel
+  const [notices, setNotices] = useState([])
+  const noticeSeq = useRef(0)
+  // id -> event-sourced title/description/image/options, for single-card reloads
+  const metadataRef = useRef(new Map())
   
   const [title, setTitle] = useState("")
+  const [description, setDescription] = useState("")
+  const [imageUrl, setImageUrl] = useState("")
   const [goal, setGoal] = useState("")
   const [duration, setDuration] = useState("")
-  const [contributeAmount, setContributeAmount] = useState({})
+  const [milestonesInput, setMilestonesInput] = useState("")
+  const [stretchGoalsInput, setStretchGoalsInput] = useState("")
+  const [currencyInput, setCurrencyInput] = useState("")
+  const [hardCapInput, setHardCapInput] = useState("")
+  const [finishOnGoalInput, setFinishOnGoalInput] = useState(false)
+  const [tiersInput, setTiersInput] = useState("")
+  // "" = the account itself, otherwise the address of one of its teams
+  const [creatorInput, setCreatorInput] = useState("")
+  const [allowlistInput, setAllowlistInput] = useState("")
+  const [verifierInput, setVerifierInput] = useState("")
+  const [minContributionInput, setMinContributionInput] = useState("")
+  const [maxContributionInput, setMaxContributionInput] = useState("")
 
-  const connectWallet = async () => {
-    if (window.ethereum) {
-      try {
-        const browserProvider = new ethers.BrowserProvider(window.ethereum)
-        const signer = await browserProvider.getSigner()
-        const userAddress = await signer.getAddress()
-        
-        const crowdfunding = new ethers.Contract(CROWDFUNDING_ADDRESS, CrowdfundingABI.abi, signer)
-        const token = new ethers.Contract(TOKEN_ADDRESS, RewardTokenABI.abi, signer)
-
-        setAccount(userAddress)
-        setProvider(browserProvider)
-        setContract(crowdfunding)
-        setTokenContract(token)
-      } catch (error) {
-        console.error(error)
+  const [session] = useState(() => window.ethereum ? new WalletSession(window.ethereum) : null)
+  const wallet = useSyncExternalStore(session?.subscribe ?? noSubscription, session?.getState ?? disconnectedState)
+  const sessionSeq = useRef(0)
+
+  useEffect(() => {
+    if (!session) return
+    session.start().catch((error) => console.error("Wallet reconnect failed:", error))
+    return () => session.stop()
+  }, [session])
+
+  // Rebuilt from scratch on every account or chain change so nothing is read
+  // from, or sent to, the previous chain or with the previous signer.
+  const openSession = async (walletAccount, chainId) => {
+    const seq = ++sessionSeq.current
+    const isCurrent = () => seq === sessionSeq.current
+
+    setAccount("")
+    setDeployment(null)
+    setProvider(null)
+    setContract(null)
+    setTokenContract(null)
+    setGovernorContract(null)
+    setTimelockContract(null)
+    setForwarderContract(null)
+    setTeamFactoryContract(null)
+    setTeams({ all: new Set(), mine: [] })
+    setGateContract(null)
+    setAccess(new Map())
+    setCampaigns([])
+    setCampaignsLoaded(false)
+    setMyContributions([])
+    setPayouts([])
+    setPending([])
+    setTracker(null)
+    metadataRef.current = new Map()
+    setUserBalance("0")
+    setEthBalance("0.0")
+    setNetworkError("")
+    if (!walletAccount) return
+
+    try {
+      // only talk to contracts recorded for this chain by scripts/deploy.js
+      const manifest = getDeployment(chainId)
+      if (!manifest) {
+        const known = knownChainIds()
+        setNetworkError(`No deployment for ${networkName(chainId)}. ` +
+          (known.length ? "Switch to a supported network." : "Run scripts/deploy.js first."))
+        return
       }
-    } else {
-      alert("Please install MetaMask!")
+
+      const browserProvider = new ethers.BrowserProvider(window.ethereum)
+      await verifyDeployment(browserProvider, manifest)
+      const signer = await browserProvider.getSigner(walletAccount)
+      if (!isCurrent()) return
+
+      const {
+        Crowdfunding, RewardToken, CrowdForwarder, CrowdGovernor, TimelockController, CampaignTeamFactory, ContributionGate,
+      } = manifest.contracts
+      setAccount(walletAccount)
+      setDeployment(manifest)
+      setProvider(browserProvider)
+      setContract(new ethers.Contract(Crowdfunding.address, Crowdfunding.abi, signer))
+      setTokenContract(new ethers.Contract(RewardToken.address, RewardToken.abi, signer))
+      setGovernorContract(new ethers.Contract(CrowdGovernor.address, CrowdGovernor.abi, signer))
+      setTimelockContract(new ethers.Contract(TimelockController.address, TimelockController.abi, signer))
+      setForwarderContract(new ethers.Contract(CrowdForwarder.address, CrowdForwarder.abi, browserProvider))
+      setTeamFactoryContract(new ethers.Contract(CampaignTeamFactory.address, CampaignTeamFactory.abi, signer))
+      setGateContract(new ethers.Contract(ContributionGate.address, ContributionGate.abi, signer))
+      setTracker(new TransactionTracker(browserProvider, { chainId, account: walletAccount }))
+    } catch (error) {
+      if (!isCurrent()) return
+      console.error(error)
+      setNetworkError(error.message)
+    }
+  }
+
+  useEffect(() => {
+    openSession(wallet.account, wallet.chainId)
+  }, [wallet.account, wallet.chainId])
+
+  // resumes tracking whatever was still open when the page was last closed
+  useEffect(() => {
+    if (!tracker) return
+    tracker.start()
+    return () => tracker.stop()
+  }, [tracker])
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(nowSeconds()), CLOCK_TICK_MS)
+    return () => clearInterval(timer)
+  }, [])
+
+  useEffect(() => {
+    if (parseRoute(hash).view === "campaigns") browseHash.current = hash || routeHash({ view: "campaigns" })
+  }, [hash])
+
+  // Filter changes replace the history entry; moving between pages and
+  // views adds one, so Back returns to the list as it was.
+  const navigate = (next, { replace = false } = {}) => {
+    const hash = routeHash(next)
+    if (replace) window.history.replaceState(null, "", hash)
+    else window.history.pushState(null, "", hash)
+    window.dispatchEvent(new HashChangeEvent("hashchange"))
+  }
+
+  // revert data may come from any deployed contract
+  const describeError = (error) => {
+    const interfaces = [contract, tokenContract, governorContract, timelockContract, forwarderContract, gateContract]
+      .filter(Boolean).map((c) => c.interface)
+    interfaces.push(new ethers.Interface(TEAM_ABI))
+    const badge = deployment?.contracts.BackerBadge
+    if (badge) interfaces.push(new ethers.Interface(badge.abi))
+    return errorMessage(error, interfaces)
+  }
+
+  const notify = (message, kind = "error") => {
+    const key = ++noticeSeq.current
+    const dismiss = () => setNotices((entries) => entries.filter((n) => n.key !== key))
+    setNotices((entries) => [...entries, { key, message, kind }])
+    setTimeout(dismiss, NOTICE_MS)
+  }
+
+  const connectWallet = async () => {
+    if (!session) {
+      notify("Please install MetaMask!")
+      return
+    }
+    try {
+      await session.connect()
+    } catch (error) {
+      console.error(error)
+    }
+  }
+
+  const switchNetwork = async (chainId) => {
+    try {
+      await session.switchChain(chainId)
+    } catch (error) {
+      console.error(error)
     }
   }
 
@@ -49,25 +264,136 @@ function App() {
     setEthBalance(ethers.formatEther(bal))
   }
 
+  // `meta` carries the event-sourced title/description/image; the title is
+  // only trusted if it hashes to the titleHash stored on-chain.
+  // `extra` holds milestone plan, stretch goal progress, hard cap, deadline
+  // extension, tier stock and the resolved campaign currency (amounts are in
+  // that currency's units).
+  const toCampaignView = (id, c, meta, extra) => {
+    const currency = extra.currency
+    const verified = isTitleVerified(meta?.title, c.titleHash)
+    const raisedWei = BigInt(c.totalRaised)
+    const milestones = toMilestoneView(extra.plan, extra.milestoneBps, c.flags, extra.milestoneRequestDue)
+    return {
+      id,
+      title: verified ? meta.title : `#${id}`,
+      // text we have for the title that does NOT match the on-chain hash
+      unverifiedTitle: meta?.title != null && !verified ? meta.title : null,
+      description: meta?.description ?? "",
+      imageUrl: safeImageUrl(meta?.imageUrl ?? ""),
+      creator: c.creator,
+      currency,
+      goal: formatAmount(c.goalWei, currency),
+      goalWei: BigInt(c.goalWei),
+      raised: formatAmount(c.totalRaised, currency),
+      raisedWei,
+      hardCapWei: extra.hardCap,
+      hardCap: extra.hardCap ? formatAmount(extra.hardCap, currency) : null,
+      finishOnGoal: extra.finishOnGoal,
+      // with milestones, only approved tranches can be withdrawn
+      withdrawableWei: milestones ? milestones.releasableWei : raisedWei,
+      milestones,
+      stretchGoals: extra.stretchGoals.map((g, i) => ({
+        goal: formatAmount(g, currency),
+        reached: i < extra.stretchGoalsReached,
+      })),
+      tiers: toTierViews(extra.tiers, extra.tiersClaimed, extra.myTier),
+      deadline: new Date(Number(c.deadline) * 1000).toLocaleString(),
+      deadlineTs: Number(c.deadline),
+      // seconds the creator has pushed the deadline back, shown to backers
+      deadlineExtension: extra.deadlineExtension,
+      finalized: (Number(c.flags) & 1) !== 0,
+      successful: (Number(c.flags) & 2) !== 0,
+      cancelled: (Number(c.flags) & 8) !== 0,
+      // too short or too cheap for backers to earn CRWD
+      noRewards: (Number(c.flags) & 16) !== 0
+    }
+  }
+
+  const loadCampaignFromChain = async (id, meta, currency) => {
+    const milestoneBps = meta?.milestoneBps ?? []
+    const stretchGoals = meta?.stretchGoals ?? []
+    const tiers = meta?.tiers ?? []
+    return toCampaignView(id, await contract.campaigns(id), meta, {
+      milestoneBps,
+      plan: milestoneBps.length ? await contract.milestonePlans(id) : null,
+      milestoneRequestDue: milestoneBps.length ? Number(await contract.milestoneRequestDue(id)) : 0,
+      stretchGoals,
+      stretchGoalsReached: stretchGoals.length ? Number(await contract.stretchGoalsReached(id)) : 0,
+      hardCap: meta?.hardCap ?? 0n,
+      finishOnGoal: meta?.finishOnGoal ?? false,
+      deadlineExtension: Number(await contract.deadlineExtensions(id)),
+      tiers,
+      tiersClaimed: tiers.length ? (await contract.getTiers(id)).map((t) => t.claimed) : [],
+      myTier: tiers.length ? Number(await contract.backerTier(id, account)) : 0,
+      currency,
+    })
+  }
+
+  const fetchCampaignsFromChain = async () => {
+    const count = Number(await contract.campaignCount())
+    const metadata = await fetchCampaignMetadata(contract, deployment.contracts.Crowdfunding.blockNumber)
+    metadataRef.current = metadata
+    const currencies = await loadCurrencies(provider, [...metadata.values()].map((m) => m.currency))
+    const loadedCampaigns = []
+    for (let start = 0; start < count; start += CAMPAIGN_LOAD_BATCH) {
+      const ids = Array.from({ length: Math.min(CAMPAIGN_LOAD_BATCH, count - start) }, (_, i) => start + i)
+      loadedCampaigns.push(...await Promise.all(ids.map((id) => {
+        const meta = metadata.get(id)
+        return loadCampaignFromChain(id, meta, currencies.get(meta?.currency) ?? ETH)
+      })))
+    }
+    return loadedCampaigns
+  }
+
+  const fetchCampaignsFromIndexer = async () => {
+    const indexed = await fetchIndexedCampaigns(INDEXER_URL)
+    metadataRef.current = new Map(indexed.map((c) => [c.id, {
+      title: c.title,
+      description: c.description,
+      imageUrl: c.imageUrl,
+      milestoneBps: c.milestones?.bps ?? [],
+      stretchGoals: c.stretchGoals,
+      currency: c.currency,
+      hardCap: BigInt(c.hardCapWei),
+      finishOnGoal: c.finishOnGoal,
+      tiers: c.tiers,
+    }]))
+    const currencies = await loadCurrencies(provider, indexed.map((c) => c.currency))
+    // the list endpoint has no per-backer data
+    const myTiers = new Map()
+    for (const c of indexed.filter((c) => c.tiers.length)) {
+      myTiers.set(c.id, Number(await contract.backerTier(c.id, account)))
+    }
+    return indexed.map((c) => toCampaignView(c.id, c, c, {
+      milestoneBps: c.milestones?.bps ?? [],
+      plan: c.milestones,
+      milestoneRequestDue: c.milestones?.requestDue ?? 0,
+      stretchGoals: c.stretchGoals,
+      stretchGoalsReached: c.stretchGoalsReached,
+      hardCap: BigInt(c.hardCapWei),
+      finishOnGoal: c.finishOnGoal,
+      deadlineExtension: c.deadlineExtension,
+      tiers: c.tiers,
+      tiersClaimed: c.tiers.map((t) => t.claimed),
+      myTier: myTiers.get(c.id) ?? 0,
+      currency: currencies.get(c.currency) ?? ETH,
+    }))
+  }
+
   const fetchCampaigns = async () => {
     if (!contract) return
     try {
-      const count = Number(await contract.campaignCount())
-      const loadedCampaigns = []
-      for (let i = 0; i < count; i++) {
-        const c = await contract.campaigns(i)
-        loadedCampaigns.push({
-          id: i,
-          title: JSON.parse(localStorage.getItem("campaignTitles") ?? "{}")[c.titleHash] ?? `#${i}`,
-          creator: c.creator,
-          goal: ethers.formatEther(c.goalWei),
-          raised: ethers.formatEther(c.totalRaised),
-          deadline: new Date(Number(c.deadline) * 1000).toLocaleString(),
-          finalized: (Number(c.flags) & 1) !== 0,
-          successful: (Number(c.flags) & 2) !== 0
-        })
+      let loadedCampaigns = null
+      if (INDEXER_URL) {
+        try {
+          loadedCampaigns = await fetchCampaignsFromIndexer()
+        } catch (error) {
+          console.warn("Indexer unavailable, reading campaigns from chain:", error)
+        }
       }
-      setCampaigns(loadedCampaigns)
+      setCampaigns(loadedCampaigns ?? await fetchCampaignsFromChain())
+      setCampaignsLoaded(true)
     } catch (error) {
       console.error("Error fetching campaigns:", error)
     }
@@ -83,145 +409,607 @@ function App() {
     }
   }
 
+  const fetchContributions = async () => {
+    if (!contract || !account) return
+    try {
+      setMyContributions(await fetchMyContributions(contract, account, deployment.contracts.Crowdfunding.blockNumber))
+    } catch (error) {
+      console.error("Error fetching contributions:", error)
+    }
+  }
+
+  // ETH plus every currency a campaign is raising in
+  const fetchPayouts = async () => {
+    if (!contract || !account) return
+    try {
+      const currencies = new Map([[ETH.address, ETH], ...campaigns.map((c) => [c.currency.address, c.currency])])
+      const rows = await Promise.all([...currencies.values()].map(async (currency) => (
+        { currency, amount: await contract.pendingPayouts(account, currency.address) }
+      )))
+      setPayouts(rows.filter((r) => r.amount > 0n))
+    } catch (error) {
+      console.error("Error fetching pending payouts:", error)
+    }
+  }
+
+  // The payout, team and access reads scan logs or every currency, so they
+  // rerun when a campaign or currency is added, not on each card update;
+  // live events queue "payouts" and "teams" themselves.
+  const campaignIds = campaigns.map((c) => c.id).join(",")
+  const currencyKey = [...new Set(campaigns.map((c) => c.currency.address))].join(",")
+
+  const reloadPayouts = useEffectEvent(() => fetchPayouts())
+  useEffect(() => {
+    reloadPayouts()
+  }, [contract, account, currencyKey])
+
+  // shares are owed in ETH and every campaign currency
+  const fetchTeamsData = async () => {
+    if (!teamFactoryContract || !account) return
+    try {
+      const currencies = new Map([[ETH.address, ETH], ...campaigns.map((c) => [c.currency.address, c.currency])])
+      setTeams(await fetchTeams(teamFactoryContract, account, deployment.contracts.CampaignTeamFactory.blockNumber, [...currencies.values()]))
+    } catch (error) {
+      console.error("Error fetching teams:", error)
+    }
+  }
+
+  const reloadTeams = useEffectEvent(() => fetchTeamsData())
+  useEffect(() => {
+    reloadTeams()
+  }, [teamFactoryContract, account, currencyKey])
+
+  const fetchAccessData = async () => {
+    if (!gateContract || !account) return
+    try {
+      setAccess(await fetchAccess(gateContract, account, deployment.contracts.ContributionGate.blockNumber))
+    } catch (error) {
+      console.error("Error fetching campaign access:", error)
+    }
+  }
+
+  const reloadAccess = useEffectEvent(() => fetchAccessData())
+  useEffect(() => {
+    reloadAccess()
+  }, [gateContract, account, campaignIds])
+
+  // the account's team behind campaign `c`, if a team it co-owns created it
+  const teamOf = (c) => teams.mine.find((t) => t.address.toLowerCase() === c?.creator.toLowerCase()) ?? null
+
   useEffect(() => {
     if (contract) fetchCampaigns()
+    if (contract && account) fetchContributions()
     if (tokenContract && account) fetchBalance()
     if (provider && account) fetchEthBalance()
   }, [contract, tokenContract, provider, account])
 
+  // Reload a single card (or add it, for a new campaign).
+  const refreshCampaign = async (id) => {
+    const meta = metadataRef.current.get(id)
+    const currencyAddress = meta?.currency ?? ethers.ZeroAddress
+    const currency = (await loadCurrencies(provider, [currencyAddress])).get(currencyAddress)
+    const view = await loadCampaignFromChain(id, meta, currency)
+    setCampaigns((prev) => [...prev.filter((c) => c.id !== id), view].sort((a, b) => a.id - b.id))
+  }
+
+  const rememberMetadata = (name, args) => {
+    const id = Number(args.id)
+    const meta = metadataRef.current.get(id)
+      ?? {
+        title: null, description: "", imageUrl: "", milestoneBps: [], stretchGoals: [],
+        currency: ethers.ZeroAddress, hardCap: 0n, finishOnGoal: false, tiers: [],
+      }
+    if (name === "CampaignCreated") meta.title = args.title
+    if (name === "CampaignMetadata") {
+      meta.description = args.description
+      meta.imageUrl = args.imageUrl
+    }
+    if (name === "CampaignOptionsSet") {
+      meta.milestoneBps = [...args.milestoneBps]
+      meta.stretchGoals = [...args.stretchGoalsWei]
+      meta.currency = args.currency
+      meta.hardCap = args.hardCapWei
+      meta.finishOnGoal = args.finishOnGoal
+    }
+    if (name === "CampaignTiersSet") meta.tiers = tiersFromEvent(args.tiers)
+    metadataRef.current.set(id, meta)
+  }
+
+  const onChainEvent = useEffectEvent(({ name, args, log, mine }, queue) => {
+    setPending((entries) => entries.filter((e) => e.hash !== log.transactionHash))
+
+    if (name === "Transfer") {
+      queue.add("balance")
+      return
+    }
+    if (PAYOUT_EVENTS.includes(name)) {
+      queue.add("payouts")
+      queue.add("ethBalance")
+      return
+    }
+    const id = Number(args.id)
+    if (name.startsWith("Campaign")) rememberMetadata(name, args)
+    queue.add(`campaign:${id}`)
+    if (mine || (BACKER_STATE_EVENTS.includes(name) && myContributions.some((e) => e.id === id))) {
+      queue.add("contributions")
+    }
+    if (mine) queue.add("ethBalance")
+    // funds reaching a team the account co-owns change what it is owed
+    if (CREATOR_PAYOUT_EVENTS.includes(name) && teamOf(campaigns.find((c) => c.id === id))) queue.add("teams")
+  })
+
+  const applyRefresh = useEffectEvent((keys) => {
+    for (const key of keys) {
+      if (key.startsWith("campaign:")) {
+        refreshCampaign(Number(key.slice("campaign:".length)))
+          .catch((error) => console.error("Error refreshing campaign:", error))
+      }
+    }
+    if (keys.has("contributions")) fetchContributions()
+    if (keys.has("balance")) fetchBalance()
+    if (keys.has("ethBalance")) fetchEthBalance()
+    if (keys.has("payouts")) fetchPayouts()
+    if (keys.has("teams")) fetchTeamsData()
+  })
+
+  // Rebuilt whenever the session (provider, signer, account) changes.
+  useEffect(() => {
+    if (!contract) return
+    const queue = createRefreshQueue((keys) => applyRefresh(keys))
+    const unsubscribe = subscribeToEvents({
+      contract,
+      tokenContract,
+      account,
+      onEvent: (event) => onChainEvent(event, queue),
+    })
+    return () => {
+      queue.cancel()
+      unsubscribe()
+    }
+  }, [contract, tokenContract, account])
+
+  // Records `tx` in the activity panel and resolves with its receipt once it
+  // is mined; `message` replaces `label` there when it confirms.
+  const track = async (tx, { type, label, message, campaignId = null }) => {
+    // sendGasless handles have no nonce: it is the relayer's
+    await tracker.record(tx, { type, label, message, campaignId, relayed: tx.nonce === undefined })
+    return tracker.wait(tx.hash)
+  }
+
+  // Shows `label` (and `amountWei` as optimistic progress) on campaign `id`
+  // while the transaction from `send` is in flight.
+  const trackPending = async (id, label, send, { type, message, amountWei = 0n }) => {
+    const key = ++pendingSeq.current
+    const drop = () => setPending((entries) => entries.filter((e) => e.key !== key))
+    setPending((entries) => [...entries, { key, id, label, amountWei, hash: null }])
+    try {
+      const tx = await send()
+      setPending((entries) => entries.map((e) => (e.key === key ? { ...e, hash: tx.hash } : e)))
+      const receipt = await track(tx, { type, label, message, campaignId: id })
+      setTimeout(drop, PENDING_FALLBACK_MS)
+      return receipt
+    } catch (error) {
+      drop()
+      throw error
+    }
+  }
+
+  // In gasless mode calls the relayer sponsors are signed and relayed instead
+  // of sent; anything else (ETH contributions, approvals) is a transaction.
+  const send = (method, ...args) => gasless && RELAYED_FUNCTIONS.includes(method.name)
+    ? sendGasless({ forwarder: forwarderContract, signer: contract.runner, relayerUrl: RELAYER_URL }, method, ...args)
+    : preflight(method, ...args)
+
   const createCampaign = async () => {
     if (!contract) return
   
     try {
-      const goalWei = ethers.parseEther(goal)
-      const tx = await contract.createCampaign(title, goalWei, duration)
-      await tx.wait()
-  
-      const count = Number(await contract.campaignCount())
-      const lastIndex = Number(count) - 1
-      const created = await contract.campaigns(lastIndex)
-  
-      const titleHash = created.titleHash
-  
-      // store titleHash -> title (simple localStorage map)
-      // NOTE (by Roman): it would be better to use actual db.
-      // I do not store title on-chain because it adds overhead
-      // to deployment, so we handle it off-chain.
-      const key = "campaignTitles"
-      const map = JSON.parse(localStorage.getItem(key) ?? "{}")
-      map[titleHash] = title
-      localStorage.setItem(key, JSON.stringify(map))
-  
-      alert("Campaign Created!")
-      fetchCampaigns()
+      // blank currency = native ETH, otherwise an allowed ERC-20 address
+      const currencyAddress = currencyInput.trim() ? ethers.getAddress(currencyInput.trim()) : ethers.ZeroAddress
+      const currency = (await loadCurrencies(provider, [currencyAddress])).get(currencyAddress)
+      const goalWei = ethers.parseUnits(goal, currency.decimals)
+      const options = {
+        milestoneBps: parseMilestonePercents(milestonesInput),
+        stretchGoalsWei: parseStretchGoals(stretchGoalsInput, currency.decimals),
+        currency: currencyAddress,
+        hardCapWei: hardCapInput ? ethers.parseUnits(hardCapInput, currency.decimals) : 0n,
+        finishOnGoal: finishOnGoalInput,
+        tiers: parseTiers(tiersInput, currency.decimals),
+        access: {
+          allowlistRoot: allowlistInput.trim() || ethers.ZeroHash,
+          verifier: verifierInput.trim() ? ethers.getAddress(verifierInput.trim()) : ethers.ZeroAddress,
+          minWei: minContributionInput ? ethers.parseUnits(minContributionInput, currency.decimals) : 0n,
+          maxWei: maxContributionInput ? ethers.parseUnits(maxContributionInput, currency.decimals) : 0n,
+        },
+      }
+      const hasOptions = options.milestoneBps.length > 0 || options.stretchGoalsWei.length > 0
+        || !isEth(currency) || options.hardCapWei > 0n || options.finishOnGoal || options.tiers.length > 0
+        || !isOpen(options.access)
+
+      const team = teams.mine.find((t) => t.address === creatorInput)
+      if (team) {
+        if (description || imageUrl) throw new Error("Add the description and image with a team proposal once the campaign exists.")
+        const call = hasOptions
+          ? creatorCall(contract, "createCampaignWithOptions", [title, goalWei, duration, options])
+          : creatorCall(contract, "createCampaign", [title, goalWei, duration])
+        await track(await preflight(team.contract.propose, call.target, call.data), {
+          type: "propose",
+          label: `Proposing "${title}" to the team...`,
+          message: `Proposed to the team; the campaign is created once ${team.threshold} of ${team.owners.length} owners approve.`,
+        })
+        await fetchTeamsData()
+        return
+      }
+
+      const receipt = await trackPending(null, `Creating "${title}"...`, () => hasOptions
+        ? send(contract.createCampaignWithOptions, title, goalWei, duration, options)
+        : send(contract.createCampaign, title, goalWei, duration), {
+        type: hasOptions ? "createCampaignWithOptions" : "createCampaign",
+        message: `Campaign "${title}" created`,
+      })
+
+      // title is recovered from the CampaignCreated event; description and
+      // image go into a separate CampaignMetadata event
+      if (description || imageUrl) {
+        const created = receipt.logs
+          .map((log) => contract.interface.parseLog(log))
+          .find((log) => log?.name === "CampaignCreated")
+        await track(await send(contract.setCampaignMetadata, created.args.id, description, imageUrl), {
+          type: "setCampaignMetadata",
+          label: "Adding the description and image...",
+          message: "Description and image added",
+          campaignId: Number(created.args.id),
+        })
+      }
     } catch (error) {
       console.error(error)
-      alert("Transaction failed")
+      notify(describeError(error))
     }
   }
 
-  const contribute = async (id) => {
+  // `pass` (allowlist file or attestation) goes along with the contribution
+  // while the account is not admitted to a private campaign.
+  const contribute = async (id, amount, pass) => {
     if (!contract) return
     try {
-      const amount = contributeAmount[id]
       if (!amount) return
-      const tx = await contract.contribute(id, { value: ethers.parseEther(amount) })
-      await tx.wait()
-      alert("Contribution successful! Rewards minted.")
-      fetchCampaigns()
-      fetchBalance()
+      const c = campaigns.find((x) => x.id === id)
+      const amountWei = ethers.parseUnits(amount, c.currency.decimals)
+      const a = access.get(id)
+      const passArg = a && isPrivate(a) && !a.admitted ? encodePass(passFor(pass, id, account, a)) : null
+      const contributeEth = () => passArg
+        ? preflight(contract.contributeWithPass, id, passArg, { value: amountWei })
+        : preflight(contract.contribute, id, { value: amountWei })
+      await trackPending(id, `Contributing ${amount} ${c.currency.symbol}...`, () => isEth(c.currency)
+        ? contributeEth()
+        : contributeToken(id, c.currency, amountWei, passArg), {
+        type: "contribute",
+        message: c.noRewards || c.creator.toLowerCase() === account.toLowerCase()
+          ? `Contributed ${amount} ${c.currency.symbol}`
+          : `Contributed ${amount} ${c.currency.symbol}; rewards are held until the campaign succeeds`,
+        amountWei,
+      })
+      if (passArg) await fetchAccessData()
     } catch (error) {
       console.error(error)
-      alert("Contribution failed")
+      notify(describeError(error))
     }
   }
 
+  // ERC-20 campaigns: sign an EIP-2612 permit when the token supports it,
+  // otherwise approve() first and then contributeToken(). A `pass` needs the
+  // approval: contributeTokenWithPass takes no permit. In gasless mode the
+  // contribution is relayed either way; an approval is still a transaction.
+  const contributeToken = async (id, currency, amount, pass = null) => {
+    const signer = contract.runner
+    const spender = await contract.getAddress()
+    const deadline = Math.floor(Date.now() / 1000) + 20 * 60
+    const sig = pass ? null : await signPermit(signer, currency.address, spender, amount, deadline)
+    if (sig) return send(contract.contributeWithPermit, id, amount, deadline, sig.v, sig.r, sig.s)
+
+    const token = new ethers.Contract(currency.address, ERC20_ABI, signer)
+    if (await token.allowance(account, spender) < amount) {
+      await track(await token.approve(spender, amount), {
+        type: "approve",
+        label: `Approving ${currency.symbol}...`,
+        message: `${currency.symbol} approved`,
+        campaignId: id,
+      })
+    }
+    return pass ? send(contract.contributeTokenWithPass, id, amount, pass) : send(contract.contributeToken, id, amount)
+  }
+
   const finalize = async (id) => {
     if (!contract) return
     try {
-      const tx = await contract.finalize(id)
-      await tx.wait()
-      alert("Campaign Finalized")
-      fetchCampaigns()
+      await trackPending(id, "Finalizing...", () => send(contract.finalize, id), {
+        type: "finalize",
+        message: "Campaign finalized",
+      })
     } catch (error) {
       console.error(error)
-      alert("Finalize failed (Check deadline)")
+      notify(describeError(error))
     }
   }
 
-  const withdraw = async (id) => {
+  // On a campaign created by one of the account's teams the call becomes a
+  // proposal, which runs once enough co-owners approve it on the Teams page.
+  const sendCreatorTx = async (id, method, args, pendingLabel, successMessage) => {
+    if (!contract) return
+    const team = teamOf(campaigns.find((c) => c.id === id))
+    try {
+      if (team) {
+        const call = creatorCall(contract, method.name, args)
+        await track(await preflight(team.contract.propose, call.target, call.data), {
+          type: "propose",
+          label: `Proposing ${method.name} to the team...`,
+          message: `Proposed to the team; it runs once ${team.threshold} of ${team.owners.length} owners approve.`,
+          campaignId: id,
+        })
+        await fetchTeamsData()
+        return
+      }
+      await trackPending(id, pendingLabel, () => send(method, ...args), { type: method.name, message: successMessage })
+    } catch (error) {
+      console.error(error)
+      notify(describeError(error))
+    }
+  }
+
+  const withdraw = (id) => sendCreatorTx(id, contract.withdraw, [id], "Withdrawing...", "Funds Withdrawn")
+
+  const sendMilestoneTx = async (method, args, pendingLabel, successMessage) => {
     if (!contract) return
     try {
-      const tx = await contract.withdraw(id)
-      await tx.wait()
-      alert("Funds Withdrawn")
-      fetchCampaigns()
+      await trackPending(args[0], pendingLabel, () => send(method, ...args), { type: method.name, message: successMessage })
     } catch (error) {
       console.error(error)
-      alert("Withdraw failed")
+      notify(describeError(error))
     }
   }
 
+  const requestMilestone = (id) => sendCreatorTx(
+    id, contract.requestMilestone, [id], "Opening milestone vote...", "Milestone vote opened")
+
+  const voteMilestone = (id, approve) => sendMilestoneTx(
+    contract.voteMilestone, [id, approve], "Voting...", "Vote recorded")
+
+  const resolveMilestone = (id) => sendMilestoneTx(
+    contract.resolveMilestone, [id], "Resolving vote...", "Milestone vote resolved")
+
+  const reclaim = (id) => sendMilestoneTx(
+    contract.reclaim, [id], "Reclaiming...", "Unreleased share reclaimed")
+
+  const cancelCampaign = (id) => {
+    if (!confirm("Cancel this campaign? Backers will be able to refund immediately.")) return
+    return sendCreatorTx(id, contract.cancel, [id], "Cancelling...", "Campaign cancelled")
+  }
+
+  const extendDeadline = (id, days) => sendCreatorTx(
+    id, contract.extendDeadline, [id, Math.round(days * 86_400)], "Extending deadline...", "Deadline extended")
+
+  const closeEarly = (id) => sendCreatorTx(
+    id, contract.closeEarly, [id], "Closing...", "Campaign closed; it can be finalized now")
+
+  const claimRewards = async (id) => {
+    if (!contract) return
+    try {
+      await trackPending(id, "Claiming rewards...", () => send(contract.claimRewards, id), {
+        type: "claimRewards",
+        message: "Rewards claimed",
+      })
+    } catch (error) {
+      console.error(error)
+      notify(describeError(error))
+    }
+  }
+
+  const claimPayout = async (currency, to) => {
+    if (!contract) return
+    try {
+      await track(await send(contract.claimPayout, currency.address, to), {
+        type: "claimPayout",
+        label: `Claiming the ${currency.symbol} payout...`,
+        message: `${currency.symbol} payout sent to ${to}`,
+      })
+    } catch (error) {
+      console.error(error)
+      notify(describeError(error))
+    }
+  }
+
+  const refund = async (id) => {
+    if (!contract) return
+    try {
+      await trackPending(id, "Refunding...", () => send(contract.refund, id), {
+        type: "refund",
+        message: "Refund received",
+      })
+    } catch (error) {
+      console.error(error)
+      notify(describeError(error))
+    }
+  }
+
+  const renderCard = (c) => (
+    <CampaignCard
+      key={c.id}
+      campaign={c}
+      account={account}
+      now={now}
+      pending={pending.filter((p) => p.id === c.id)}
+      myContributionWei={myContributions.find((e) => e.id === c.id)?.currentWei ?? 0n}
+      access={access.get(c.id) ?? null}
+      team={teamOf(c)}
+      byTeam={teams.all.has(c.creator.toLowerCase())}
+      onContribute={contribute}
+      onFinalize={finalize}
+      onWithdraw={withdraw}
+      onCancel={cancelCampaign}
+      onExtend={extendDeadline}
+      onCloseEarly={closeEarly}
+      onRequestMilestone={requestMilestone}
+      onVoteMilestone={voteMilestone}
+      onResolveMilestone={resolveMilestone}
+      onReclaim={reclaim}
+    />
+  )
+
   return (
     <div className="container">
       <header id="headerContainer">
         <h1>Blockchain Crowdfunding</h1>
-        {!account ? (
-          <button id="connectWallet" onClick={connectWallet} className="connect-btn">Connect MetaMask</button>
+        {wallet.status !== "connected" ? (
+          <button id="connectWallet" onClick={connectWallet} className="connect-btn" disabled={wallet.status === "connecting"}>
+            Connect MetaMask
+          </button>
         ) : (
           <div className="wallet-info">
-            <p>Wallet: {account.substring(0, 6)}...{account.substring(38)}</p>
+            <p>Wallet: {wallet.account.substring(0, 6)}...{wallet.account.substring(38)}</p>
+            <p>Network: {networkName(wallet.chainId)}</p>
             <p>ETH: {Number(ethBalance).toFixed(4)}</p>
             <p>Reward Token Balance: {parseFloat(userBalance).toFixed(2)} CRWD</p>
+            {RELAYER_URL && forwarderContract && (
+              <label title="A relayer pays the gas. ETH contributions are still sent from your wallet.">
+                <input type="checkbox" checked={gasless} onChange={(e) => setGasless(e.target.checked)} />
+                {" "}Gasless (sign instead of send)
+              </label>
+            )}
+            <button className="secondary-btn" onClick={() => session.disconnect()}>Disconnect</button>
           </div>
         )}
       </header>
 
+      {networkError && (
+        <div className="network-error">
+          <p>{networkError}</p>
+          {knownChainIds().filter((id) => SUPPORTED_NETWORKS[id] && id !== wallet.chainId).map((id) => (
+            <button key={id} onClick={() => switchNetwork(id)}>Switch to {networkName(id)}</button>
+          ))}
+        </div>
+      )}
+
       {account && (
+        <nav className="page-nav">
+          {["campaigns", "teams", "governance", "treasury"].map((view) => (
+            <button
+              key={view}
+              className={route.view === view || (view === "campaigns" && route.view === "campaign") ? undefined : "secondary-btn"}
+              onClick={() => navigate({ view })}
+            >
+              {view[0].toUpperCase() + view.slice(1)}
+              {view === "teams" && awaitingApproval(teams.mine) > 0 && ` (${awaitingApproval(teams.mine)})`}
+            </button>
+          ))}
+        </nav>
+      )}
+
+      {account && route.view === "governance" && governorContract && (
+        <Governance
+          governor={governorContract}
+          timelock={timelockContract}
+          crowdfund={contract}
+          token={tokenContract}
+          account={account}
+          fromBlock={deployment.contracts.CrowdGovernor.blockNumber}
+          describeError={describeError}
+          track={track}
+          notify={notify}
+        />
+      )}
+
+      {account && route.view === "treasury" && <Treasury crowdfund={contract} campaigns={campaigns} />}
+
+      {account && route.view === "teams" && teamFactoryContract && (
+        <Teams
+          factory={teamFactoryContract}
+          crowdfund={contract}
+          teams={teams.mine}
+          account={account}
+          describeError={describeError}
+          track={track}
+          notify={notify}
+          onRefresh={fetchTeamsData}
+        />
+      )}
+
+      {account && route.view === "campaign" && (
+        <CampaignDetail
+          crowdfund={contract}
+          id={route.id}
+          campaign={campaigns.find((c) => c.id === route.id)}
+          loaded={campaignsLoaded}
+          account={account}
+          fromBlock={deployment.contracts.Crowdfunding.blockNumber}
+          onBack={() => { window.location.hash = browseHash.current }}
+          renderCard={renderCard}
+        />
+      )}
+
+      {account && route.view === "campaigns" && (
         <main>
           <section className="create-section">
             <h2>Create New Campaign</h2>
             <div className="form-group">
               <input placeholder="Campaign Title" onChange={(e) => setTitle(e.target.value)} />
-              <input placeholder="Goal (ETH)" type="number" onChange={(e) => setGoal(e.target.value)} />
+              <input placeholder="Description (optional)" onChange={(e) => setDescription(e.target.value)} />
+              <input placeholder="Image URL (optional)" type="url" onChange={(e) => setImageUrl(e.target.value)} />
+              <input placeholder="Goal" type="number" onChange={(e) => setGoal(e.target.value)} />
+              <input placeholder="Currency token address (blank = ETH)" onChange={(e) => setCurrencyInput(e.target.value)} />
               <input placeholder="Duration (seconds)" type="number" onChange={(e) => setDuration(e.target.value)} />
+              <input placeholder="Milestones % (e.g. 50,30,20)" onChange={(e) => setMilestonesInput(e.target.value)} />
+              <input placeholder="Stretch goals (e.g. 2,3)" onChange={(e) => setStretchGoalsInput(e.target.value)} />
+              <input placeholder="Hard cap (optional)" type="number" onChange={(e) => setHardCapInput(e.target.value)} />
+              <input placeholder="Tiers name:min[:limit] (e.g. Bronze:0.1, Gold:1:10)" onChange={(e) => setTiersInput(e.target.value)} />
+              <input placeholder="Private: allowlist root (npm run allowlist)" onChange={(e) => setAllowlistInput(e.target.value)} />
+              <input placeholder="Private: verifier address (signs attestations)" onChange={(e) => setVerifierInput(e.target.value)} />
+              <input placeholder="Min per backer (optional)" type="number" onChange={(e) => setMinContributionInput(e.target.value)} />
+              <input placeholder="Max per backer (optional)" type="number" onChange={(e) => setMaxContributionInput(e.target.value)} />
+              <label>
+                <input type="checkbox" checked={finishOnGoalInput} onChange={(e) => setFinishOnGoalInput(e.target.checked)} />
+                {" "}Close as soon as the goal is reached
+              </label>
+              {teams.mine.length > 0 && (
+                <select value={creatorInput} onChange={(e) => setCreatorInput(e.target.value)}>
+                  <option value="">Create as me</option>
+                  {teams.mine.map((t) => (
+                    <option key={t.address} value={t.address}>Propose for team {t.address.substring(0, 10)}...</option>
+                  ))}
+                </select>
+              )}
               <button onClick={createCampaign}>Launch Campaign</button>
             </div>
           </section>
 
-          <section className="list-section">
-            <h2>Active Campaigns</h2>
-            <div className="campaign-grid">
-              {campaigns.map((c) => (
-                <div key={c.id} className="card">
-                  <h3>Campaign {c.title}</h3>
-                  <p><strong>Creator:</strong> {c.creator.substring(0, 6)}...</p>
-                  <p><strong>Goal:</strong> {c.goal} ETH</p>
-                  <p><strong>Raised:</strong> {c.raised} ETH</p>
-                  <p><strong>Deadline:</strong> {c.deadline}</p>
-                  <p><strong>Status:</strong> {c.finalized ? (c.successful ? "Success" : "Failed") : "Active"}</p>
-                  
-                  {!c.finalized ? (
-                    <div className="action-area">
-                      <input 
-                        placeholder="ETH" 
-                        type="number" 
-                        onChange={(e) => setContributeAmount({...contributeAmount, [c.id]: e.target.value})}
-                      />
-                      <button onClick={() => contribute(c.id)}>Contribute</button>
-                      <button className="secondary-btn" onClick={() => finalize(c.id)}>Finalize (End)</button>
-                    </div>
-                  ) : (
-                    c.successful && c.creator.toLowerCase() === account.toLowerCase() && c.raised > 0.0 && (
-                      <button onClick={() => withdraw(c.id)}>Withdraw Funds</button>
-                    )
-                  )}
-                </div>
-              ))}
-            </div>
+          <PendingPayouts entries={payouts} account={account} onClaim={claimPayout} />
+
+          <section className="contributions-section">
+            <h2>My Contributions</h2>
+            <MyContributions entries={myContributions} campaigns={campaigns} onRefund={refund} onClaimRewards={claimRewards} />
           </section>
+
+          <CampaignBrowser
+            campaigns={campaigns}
+            filters={route.filters}
+            onFiltersChange={(filters) => navigate({ view: "campaigns", filters }, { replace: filters.page === route.filters.page })}
+            account={account}
+            backedIds={new Set(myContributions.map((e) => e.id))}
+            now={now}
+            pendingCreates={pending.filter((p) => p.id === null)}
+            renderCard={renderCard}
+          />
         </main>
       )}
+
+      <Activity
+        transactions={transactions}
+        notices={notices}
+        chainId={wallet.chainId}
+        target={TARGET_CONFIRMATIONS}
+        onDismiss={(id) => tracker.dismiss(id)}
+        onDismissNotice={(key) => setNotices((entries) => entries.filter((n) => n.key !== key))}
+        onClear={() => tracker.clearSettled()}
+      />
     </div>
   )
 }
@@ -0,0 +1,130 @@
+import { formatAmount } from '../../shared/currency.js'
+import { analyticsToJson, ledgerToCsv, topBackers } from '../../shared/analytics.js'
+
+const WIDTH = 600
+const HEIGHT = 200
+const PAD = 30
+
+function download(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const link = document.createElement("a")
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// Net funds over time as a step line, with the goal as a dashed line.
+function FundingChart({ series, goalWei, currency }) {
+  const units = (wei) => Number(formatAmount(wei, currency))
+  const start = series[0].timestamp
+  const end = Math.max(series.at(-1).timestamp, start + 1)
+  const top = Math.max(units(goalWei), ...series.map((p) => units(p.raisedWei))) || 1
+  const x = (t) => PAD + (t - start) / (end - start) * (WIDTH - 2 * PAD)
+  const y = (v) => HEIGHT - PAD - v / top * (HEIGHT - 2 * PAD)
+
+  let path = `M ${x(start)} ${y(0)}`
+  for (const p of series) path += ` H ${x(p.timestamp)} V ${y(units(p.raisedWei))}`
+
+  return (
+    <svg className="chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Funds raised over time">
+      <line className="chart-axis" x1={PAD} y1={HEIGHT - PAD} x2={WIDTH - PAD} y2={HEIGHT - PAD} />
+      <line className="chart-goal" x1={PAD} y1={y(units(goalWei))} x2={WIDTH - PAD} y2={y(units(goalWei))} />
+      <text className="chart-label" x={PAD} y={y(units(goalWei)) - 4}>goal {formatAmount(goalWei, currency)} {currency.symbol}</text>
+      <path className="chart-line" d={path} />
+      <text className="chart-label" x={PAD} y={HEIGHT - 8}>{new Date(start * 1000).toLocaleDateString()}</text>
+      <text className="chart-label" x={WIDTH - PAD} y={HEIGHT - 8} textAnchor="end">{new Date(end * 1000).toLocaleDateString()}</text>
+    </svg>
+  )
+}
+
+// Number of contributions per order of magnitude.
+function SizeChart({ distribution, currency }) {
+  const most = Math.max(...distribution.map((b) => b.count))
+  const slot = (WIDTH - 2 * PAD) / distribution.length
+  const height = (count) => count / most * (HEIGHT - 2 * PAD)
+
+  return (
+    <svg className="chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Contribution sizes">
+      <line className="chart-axis" x1={PAD} y1={HEIGHT - PAD} x2={WIDTH - PAD} y2={HEIGHT - PAD} />
+      {distribution.map((b, i) => (
+        <g key={String(b.minWei)}>
+          <rect className="chart-bar" x={PAD + i * slot + 4} y={HEIGHT - PAD - height(b.count)} width={slot - 8} height={height(b.count)}>
+            <title>{b.count} contributions, {formatAmount(b.totalWei, currency)} {currency.symbol} in total</title>
+          </rect>
+          <text className="chart-label" x={PAD + (i + 0.5) * slot} y={HEIGHT - PAD - height(b.count) - 4} textAnchor="middle">{b.count}</text>
+          <text className="chart-label" x={PAD + (i + 0.5) * slot} y={HEIGHT - 8} textAnchor="middle">
+            {formatAmount(b.minWei, currency)}-{formatAmount(b.maxWei, currency)}
+          </text>
+        </g>
+      ))}
+    </svg>
+  )
+}
+
+// The creator view of a campaign's funding: charts, top backers, whether the
+// event ledger adds up to what the contract holds, and the ledger export.
+function CampaignAnalytics({ analytics, currency, who }) {
+  const fmt = (amount) => `${formatAmount(amount, currency)} ${currency.symbol}`
+  const { backers, series, distribution, reconciliation } = analytics
+  const contributions = backers.reduce((n, b) => n + b.contributions, 0)
+  const contributedWei = backers.reduce((sum, b) => sum + b.contributedWei, 0n)
+  const name = `campaign-${analytics.id}-backers`
+
+  return (
+    <div className="analytics">
+      <h3>Analytics</h3>
+      {contributions === 0 ? <p>No contributions yet.</p> : (
+        <>
+          <p>
+            <strong>{backers.length}</strong> unique backers, <strong>{contributions}</strong> contributions,{" "}
+            average {fmt(contributedWei / BigInt(contributions))}
+          </p>
+          <h4>Raised over time</h4>
+          <FundingChart series={series} goalWei={analytics.goalWei} currency={currency} />
+          <h4>Contribution sizes ({currency.symbol})</h4>
+          <SizeChart distribution={distribution} currency={currency} />
+          <h4>Top backers</h4>
+          <ol>
+            {topBackers(backers).map((b) => (
+              <li key={b.account} title={b.account}>
+                {who(b.account)}: {fmt(b.contributedWei)} ({Number(b.contributedWei * 10000n / contributedWei) / 100}%)
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+
+      {reconciliation.ok ? (
+        <p className="reconciled">The ledger matches the contract: every backer balance and the total raised.</p>
+      ) : (
+        <div className="reconcile-warning">
+          <p>The event ledger does not match the contract:</p>
+          <ul>
+            {reconciliation.mismatches.map((m) => (
+              <li key={m.account} title={m.account}>
+                {who(m.account)}: {fmt(m.ledgerWei)} in events, {fmt(m.onChainWei)} on chain
+              </li>
+            ))}
+            {reconciliation.totalRaised.ledgerWei !== reconciliation.totalRaised.onChainWei && (
+              <li>
+                total raised: {fmt(reconciliation.totalRaised.ledgerWei)} in events,{" "}
+                {fmt(reconciliation.totalRaised.onChainWei)} on chain
+              </li>
+            )}
+          </ul>
+        </div>
+      )}
+      <div className="action-area">
+        <button className="secondary-btn" onClick={() => download(`${name}.csv`, ledgerToCsv(analytics, currency), "text/csv")}>
+          Export CSV
+        </button>
+        <button className="secondary-btn" onClick={() => download(`${name}.json`, analyticsToJson(analytics, currency), "application/json")}>
+          Export JSON
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default CampaignAnalytics
@@ -0,0 +1,72 @@
+import { SORTS, STATUS_FILTERS, browseCampaigns, paginate } from './browse.js'
+
+// Filter, search and sort controls over the campaign grid, one page at a
+// time. The filters live in the URL (see browse.js); every change goes
+// through `onFiltersChange`.
+function CampaignBrowser({ campaigns, filters, onFiltersChange, account, backedIds, now, pendingCreates, renderCard }) {
+  const matching = browseCampaigns(campaigns, filters, { now, account, backedIds })
+  const { items, page, pages } = paginate(matching, filters.page)
+  // a new filter starts again on the first page
+  const update = (changes) => onFiltersChange({ ...filters, page: 1, ...changes })
+
+  return (
+    <section className="list-section">
+      <h2>Campaigns</h2>
+      <div className="browser-controls">
+        <input
+          type="search"
+          placeholder="Search titles"
+          value={filters.query}
+          onChange={(e) => update({ query: e.target.value })}
+        />
+        <select value={filters.status} onChange={(e) => update({ status: e.target.value })}>
+          {Object.entries(STATUS_FILTERS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <select value={filters.sort} onChange={(e) => update({ sort: e.target.value })}>
+          {Object.entries(SORTS).map(([value, { label }]) => (
+            <option key={value} value={value}>Sort: {label}</option>
+          ))}
+        </select>
+        <label>
+          <input type="checkbox" checked={filters.reverse} onChange={(e) => update({ reverse: e.target.checked })} />
+          {" "}Reverse
+        </label>
+        <label>
+          <input type="checkbox" checked={filters.created} onChange={(e) => update({ created: e.target.checked })} />
+          {" "}Created by me
+        </label>
+        <label>
+          <input type="checkbox" checked={filters.backed} onChange={(e) => update({ backed: e.target.checked })} />
+          {" "}Backed by me
+        </label>
+      </div>
+      <p>{matching.length} of {campaigns.length} campaigns</p>
+
+      <div className="campaign-grid">
+        {pendingCreates.map((p) => (
+          <div key={`pending-${p.key}`} className="card card-pending">
+            <h3>{p.label}</h3>
+            <p className="pending-label">{p.hash ? "Waiting for confirmation" : "Waiting for wallet"}</p>
+          </div>
+        ))}
+        {items.map(renderCard)}
+      </div>
+
+      {pages > 1 && (
+        <div className="pagination">
+          <button className="secondary-btn" disabled={page === 1} onClick={() => onFiltersChange({ ...filters, page: page - 1 })}>
+            Previous
+          </button>
+          <span>Page {page} of {pages}</span>
+          <button className="secondary-btn" disabled={page === pages} onClick={() => onFiltersChange({ ...filters, page: page + 1 })}>
+            Next
+          </button>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default CampaignBrowser
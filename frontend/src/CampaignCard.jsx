@@ -0,0 +1,130 @@
+import { useState } from 'react'
+import { ethers } from 'ethers'
+import { formatAmount } from '../../shared/currency.js'
+import { accessReason } from '../../shared/access.js'
+import { STATUS_LABELS, campaignStatus, formatTimeLeft, percentFunded, routeHash } from './browse.js'
+import Milestones from './Milestones.jsx'
+import CampaignControls from './CampaignControls.jsx'
+import Tiers from './Tiers.jsx'
+import Access from './Access.jsx'
+
+function formatDuration(seconds) {
+  const hours = Math.round(seconds / 3600)
+  return hours >= 24 ? `${+(hours / 24).toFixed(1)} days` : `${hours} hours`
+}
+
+// One campaign with everything the account can do about it. `pending` are
+// the account's in-flight transactions on it, shown as optimistic progress.
+// `team` is set when a team the account co-owns created it: creator actions
+// then go to the team as proposals. `access` is set for campaigns created with
+// access options: an allowlist, a verifier or per-backer limits.
+function CampaignCard({
+  campaign: c, account, now, pending, myContributionWei, team, byTeam, access,
+  onContribute, onFinalize, onWithdraw, onCancel, onExtend, onCloseEarly,
+  onRequestMilestone, onVoteMilestone, onResolveMilestone, onReclaim,
+}) {
+  const [amount, setAmount] = useState("")
+  const [pass, setPass] = useState("")
+  const isCreator = c.creator.toLowerCase() === account.toLowerCase() || team !== null
+  const pendingWei = pending.reduce((sum, p) => sum + p.amountWei, 0n)
+  const funded = percentFunded(c)
+
+  let amountWei = 0n
+  try {
+    amountWei = amount ? ethers.parseUnits(amount, c.currency.decimals) : 0n
+  } catch {
+    // reported when contributing
+  }
+  const reason = access && !c.finalized ? accessReason(access, {
+    admitted: access.admitted, hasPass: pass.trim() !== "", contributedWei: myContributionWei, amountWei, currency: c.currency,
+  }) : null
+
+  return (
+    <div id={`campaign-${c.id}`} className={pending.length ? "card card-pending" : "card"}>
+      <h3>
+        <a href={routeHash({ view: "campaign", id: c.id })}>Campaign {c.title}</a>
+        {c.unverifiedTitle !== null && (
+          <span className="title-warning" title={`Unverified title: ${c.unverifiedTitle}`}> (title does not match on-chain hash)</span>
+        )}
+      </h3>
+      {c.imageUrl && <img className="card-image" src={c.imageUrl} alt="" />}
+      {c.description && <p className="card-description">{c.description}</p>}
+      <p>
+        <strong>Creator:</strong> {c.creator.substring(0, 6)}...
+        {byTeam && (team ? <> (your team, {team.threshold} of {team.owners.length} approvals)</> : " (team)")}
+      </p>
+      <p><strong>Goal:</strong> {c.goal} {c.currency.symbol}</p>
+      <p>
+        <strong>Raised:</strong> {c.raised} {c.currency.symbol} ({funded}%)
+        {pendingWei > 0n && (
+          <span className="pending-label"> (+{formatAmount(pendingWei, c.currency)} pending)</span>
+        )}
+      </p>
+      <div className="progress" title={`${funded}% funded`}>
+        <div className="progress-bar" style={{ width: `${Math.min(funded, 100)}%` }} />
+      </div>
+      {c.hardCap && (
+        <p>
+          <strong>Hard cap:</strong> {c.hardCap} {c.currency.symbol}
+          {!c.finalized && <> ({formatAmount(c.hardCapWei - c.raisedWei, c.currency)} left)</>}
+        </p>
+      )}
+      <p>
+        <strong>Deadline:</strong> {c.deadline}
+        {!c.finalized && <> ({formatTimeLeft(c.deadlineTs - now)})</>}
+        {c.deadlineExtension > 0 && <> (extended by {formatDuration(c.deadlineExtension)})</>}
+      </p>
+      {c.finishOnGoal && !c.finalized && <p>Closes as soon as the goal is reached</p>}
+      <p><strong>Status:</strong> {c.cancelled ? "Cancelled" : STATUS_LABELS[campaignStatus(c, now)]}</p>
+      {pending.map((p) => (
+        <p key={p.key} className="pending-label">{p.label}</p>
+      ))}
+      {c.stretchGoals.length > 0 && (
+        <p>
+          <strong>Stretch goals:</strong>{" "}
+          {c.stretchGoals.map((g) => `${g.goal} ${c.currency.symbol}${g.reached ? " \u2713" : ""}`).join(", ")}
+        </p>
+      )}
+      {c.tiers.length > 0 && <Tiers campaign={c} />}
+      {access && <Access campaign={c} access={access} reason={reason} pass={pass} onPassChange={setPass} />}
+      {c.milestones && (
+        <Milestones
+          campaign={c}
+          isCreator={isCreator}
+          myContributionWei={myContributionWei}
+          onRequest={onRequestMilestone}
+          onVote={onVoteMilestone}
+          onResolve={onResolveMilestone}
+          onReclaim={onReclaim}
+        />
+      )}
+
+      {!c.finalized && isCreator && (
+        <CampaignControls
+          campaign={c}
+          onCancel={onCancel}
+          onExtend={onExtend}
+          onCloseEarly={onCloseEarly}
+        />
+      )}
+      {!c.finalized ? (
+        <div className="action-area">
+          <input
+            placeholder={c.currency.symbol}
+            type="number"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+          />
+          <button disabled={reason !== null} title={reason ?? undefined} onClick={() => onContribute(c.id, amount, pass)}>Contribute</button>
+          <button className="secondary-btn" onClick={() => onFinalize(c.id)}>Finalize (End)</button>
+        </div>
+      ) : (
+        c.successful && isCreator && c.withdrawableWei > 0n && (
+          <button onClick={() => onWithdraw(c.id)}>Withdraw Funds</button>
+        )
+      )}
+    </div>
+  )
+}
+
+export default CampaignCard
@@ -0,0 +1,35 @@
+import { useState } from 'react'
+
+// Must match MAX_DEADLINE_EXTENSION in Crowdfunding.sol
+const MAX_EXTENSION_DAYS = 30
+
+// Creator-only actions on a campaign that has not been finalized. Whether the
+// deadline already passed is left to the contract (preflight reports it).
+function CampaignControls({ campaign, onCancel, onExtend, onCloseEarly }) {
+  const [days, setDays] = useState("")
+  const daysLeft = MAX_EXTENSION_DAYS - campaign.deadlineExtension / 86_400
+
+  return (
+    <div className="action-area">
+      {daysLeft > 0 && (
+        <>
+          <input
+            placeholder={`Extend by days (max ${+daysLeft.toFixed(2)})`}
+            type="number"
+            value={days}
+            onChange={(e) => setDays(e.target.value)}
+          />
+          <button className="secondary-btn" disabled={!(Number(days) > 0)} onClick={() => onExtend(campaign.id, Number(days))}>
+            Extend deadline
+          </button>
+        </>
+      )}
+      {campaign.raisedWei >= campaign.goalWei && (
+        <button onClick={() => onCloseEarly(campaign.id)}>Close now (goal reached)</button>
+      )}
+      <button className="danger-btn" onClick={() => onCancel(campaign.id)}>Cancel campaign</button>
+    </div>
+  )
+}
+
+export default CampaignControls
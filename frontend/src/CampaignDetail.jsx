@@ -0,0 +1,95 @@
+import { useState, useEffect, useEffectEvent } from 'react'
+import { summarizeBackers } from '../../shared/contributions.js'
+import { fetchCampaignAnalytics } from '../../shared/analytics.js'
+import { formatAmount } from '../../shared/currency.js'
+import CampaignAnalytics from './CampaignAnalytics.jsx'
+
+const KIND_LABELS = { contributed: "Contributed", refunded: "Refunded", reclaimed: "Reclaimed" }
+
+const shortAddress = (address) => `${address.substring(0, 6)}...${address.substring(38)}`
+
+// #/campaigns/<id>: the campaign's card, its funding analytics, its backers
+// and every contribution, refund and reclaim. The history reloads whenever the
+// campaign does, i.e. after each of its events.
+function CampaignDetail({ crowdfund, id, campaign, loaded, account, fromBlock, onBack, renderCard }) {
+  const [analytics, setAnalytics] = useState(null)
+  const history = analytics?.history ?? null
+
+  const load = async () => {
+    try {
+      setAnalytics(await fetchCampaignAnalytics(crowdfund, id, fromBlock))
+    } catch (error) {
+      console.error("Error fetching campaign history:", error)
+    }
+  }
+
+  const reload = useEffectEvent(() => load())
+  useEffect(() => {
+    reload()
+  }, [crowdfund, id, campaign])
+
+  const back = <p><button className="secondary-btn" onClick={onBack}>Back to campaigns</button></p>
+  if (!campaign) {
+    return <section>{back}<p>{loaded ? `There is no campaign #${id}.` : `Loading campaign #${id}...`}</p></section>
+  }
+
+  const fmt = (amount) => `${formatAmount(amount, campaign.currency)} ${campaign.currency.symbol}`
+  const who = (address) => address.toLowerCase() === account.toLowerCase() ? "You" : shortAddress(address)
+
+  return (
+    <section className="campaign-detail">
+      {back}
+      {renderCard(campaign)}
+
+      {analytics && <CampaignAnalytics analytics={analytics} currency={campaign.currency} who={who} />}
+
+      <h3>Backers</h3>
+      {history === null ? <p>Loading...</p> : history.length === 0 ? <p>No contributions yet.</p> : (
+        <table className="contributions-table">
+          <thead>
+            <tr>
+              <th>Backer</th>
+              <th>Contributed</th>
+              <th>Refunded / reclaimed</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summarizeBackers(history).map((b) => (
+              <tr key={b.account}>
+                <td title={b.account}>{who(b.account)}</td>
+                <td>{fmt(b.contributedWei)}</td>
+                <td>{b.returnedWei > 0n ? fmt(b.returnedWei) : "-"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h3>History</h3>
+      {history?.length > 0 && (
+        <table className="contributions-table">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Backer</th>
+              <th>Event</th>
+              <th>Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            {history.map((e) => (
+              <tr key={`${e.blockNumber}-${e.logIndex}`}>
+                <td title={`Block ${e.blockNumber}, tx ${e.transactionHash}`}>{new Date(e.timestamp * 1000).toLocaleString()}</td>
+                <td title={e.account}>{who(e.account)}</td>
+                <td>{KIND_LABELS[e.kind]}</td>
+                <td>{fmt(e.amountWei)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  )
+}
+
+export default CampaignDetail
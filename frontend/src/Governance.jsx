@@ -0,0 +1,144 @@
+import { useState, useEffect, useEffectEvent } from 'react'
+import { ethers } from 'ethers'
+import { PROPOSAL_ACTIONS, VOTE, buildProposal, describeCall, descriptionHash, fetchProposals } from '../../shared/governance.js'
+import { preflight } from '../../shared/errors.js'
+
+const formatVotes = (amount) => `${Number(ethers.formatUnits(amount, 18)).toFixed(2)} CRWD`
+
+// Proposals and voting for CRWD holders. Passed proposals are queued in the
+// timelock and can be executed by anyone once its delay is over.
+function Governance({ governor, timelock, crowdfund, token, account, fromBlock, describeError, track, notify }) {
+  const [proposals, setProposals] = useState([])
+  const [info, setInfo] = useState(null)
+  const [actionType, setActionType] = useState("rewardRate")
+  const [params, setParams] = useState({})
+  const [description, setDescription] = useState("")
+
+  const load = async () => {
+    try {
+      const [list, block, votes, delegate, minDelay, votingDelay, votingPeriod, threshold] = await Promise.all([
+        fetchProposals(governor, fromBlock, account),
+        governor.clock(),
+        token.getVotes(account),
+        token.delegates(account),
+        timelock.getMinDelay(),
+        governor.votingDelay(),
+        governor.votingPeriod(),
+        governor.proposalThreshold(),
+      ])
+      setProposals(list)
+      setInfo({
+        block: Number(block), votes, delegate, threshold,
+        minDelay: Number(minDelay), votingDelay: Number(votingDelay), votingPeriod: Number(votingPeriod),
+      })
+    } catch (error) {
+      console.error("Error fetching proposals:", error)
+    }
+  }
+
+  const reload = useEffectEvent(() => load())
+  useEffect(() => {
+    reload()
+  }, [governor, account])
+
+  const send = async (method, args, label, message) => {
+    try {
+      await track(await preflight(method, ...args), { type: method.name, label, message })
+      await load()
+    } catch (error) {
+      console.error(error)
+      notify(describeError(error))
+    }
+  }
+
+  const propose = async () => {
+    let p
+    try {
+      p = buildProposal({ crowdfund, token }, [{ type: actionType, params }], description)
+    } catch (error) {
+      notify(error.message)
+      return
+    }
+    await send(governor.propose, [p.targets, p.values, p.calldatas, p.description], "Submitting the proposal...", "Proposal submitted")
+  }
+
+  const vote = (p, support) => send(governor.castVote, [p.id, support], "Voting...", "Vote cast")
+  const queue = (p) => send(governor.queue, [p.targets, p.values, p.calldatas, descriptionHash(p.description)], "Queueing the proposal...", "Proposal queued in the timelock")
+  const execute = (p) => send(governor.execute, [p.targets, p.values, p.calldatas, descriptionHash(p.description)], "Executing the proposal...", "Proposal executed")
+
+  const named = { Crowdfunding: crowdfund, RewardToken: token }
+  const action = PROPOSAL_ACTIONS[actionType]
+
+  return (
+    <section className="governance-section">
+      <h2>Governance</h2>
+      {info && (
+        <div className="governance-info">
+          <p><strong>Your voting power:</strong> {formatVotes(info.votes)}</p>
+          {info.delegate.toLowerCase() !== account.toLowerCase() && (
+            <p>
+              {info.delegate === ethers.ZeroAddress ? "Your CRWD does not vote until you delegate it." : `Delegated to ${info.delegate}.`}
+              {" "}<button onClick={() => send(token.delegate, [account], "Delegating...", "Voting power delegated to you")}>Delegate to myself</button>
+            </p>
+          )}
+          <p>
+            Voting opens {info.votingDelay} block(s) after a proposal and lasts {info.votingPeriod} blocks;
+            passed proposals wait {info.minDelay} seconds in the timelock. Current block: {info.block}.
+            {info.threshold > 0n && <> Proposing needs {formatVotes(info.threshold)}.</>}
+          </p>
+        </div>
+      )}
+
+      <h3>New proposal</h3>
+      <div className="form-group">
+        <select value={actionType} onChange={(e) => { setActionType(e.target.value); setParams({}) }}>
+          {Object.entries(PROPOSAL_ACTIONS).map(([type, a]) => (
+            <option key={type} value={type}>{a.label}</option>
+          ))}
+        </select>
+        {Object.entries(action.fields).map(([field, placeholder]) => (
+          <input
+            key={`${actionType}-${field}`}
+            placeholder={placeholder}
+            value={params[field] ?? ""}
+            onChange={(e) => setParams({ ...params, [field]: e.target.value })}
+          />
+        ))}
+        <input placeholder="Description" value={description} onChange={(e) => setDescription(e.target.value)} />
+        <button onClick={propose}>Propose</button>
+      </div>
+
+      <h3>Proposals</h3>
+      <button className="secondary-btn" onClick={load}>Refresh</button>
+      {proposals.length === 0 && <p>No proposals yet.</p>}
+      <div className="campaign-grid">
+        {proposals.map((p) => (
+          <div key={String(p.id)} className="card proposal">
+            <h4>{p.description}</h4>
+            <p><strong>Status:</strong> {p.state}</p>
+            <ul>
+              {p.targets.map((target, i) => <li key={i}><code>{describeCall(target, p.calldatas[i], named)}</code></li>)}
+            </ul>
+            <p>For {formatVotes(p.votes.for)} / Against {formatVotes(p.votes.against)} / Abstain {formatVotes(p.votes.abstain)}</p>
+            <p>Voting: blocks {p.voteStart + 1} to {p.voteEnd}</p>
+            {p.state === "Queued" && <p>Executable from {new Date(p.eta * 1000).toLocaleString()}</p>}
+            <div className="action-area">
+              {p.state === "Active" && !p.voted && (
+                <>
+                  <button onClick={() => vote(p, VOTE.for)}>Vote for</button>
+                  <button className="danger-btn" onClick={() => vote(p, VOTE.against)}>Vote against</button>
+                  <button className="secondary-btn" onClick={() => vote(p, VOTE.abstain)}>Abstain</button>
+                </>
+              )}
+              {p.state === "Active" && p.voted && <span>You voted.</span>}
+              {p.state === "Succeeded" && <button onClick={() => queue(p)}>Queue</button>}
+              {p.state === "Queued" && <button onClick={() => execute(p)}>Execute</button>}
+            </div>
+          </div>
+        ))}
+      </div>
+    </section>
+  )
+}
+
+export default Governance
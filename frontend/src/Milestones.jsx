@@ -0,0 +1,69 @@
+import { milestoneOverdue, milestoneState } from './milestones.js'
+import { formatAmount } from '../../shared/currency.js'
+
+const STATE_LABELS = {
+  done: "Released",
+  voting: "Voting",
+  next: "Next",
+  rejected: "Rejected",
+  overdue: "Overdue",
+  pending: "Pending",
+}
+
+function Milestones({ campaign, isCreator, myContributionWei, onRequest, onVote, onResolve, onReclaim }) {
+  const m = campaign.milestones
+  const now = Math.floor(Date.now() / 1000)
+  const voteOpen = m.voteEnd !== 0 && now < m.voteEnd
+  const voteEnded = m.voteEnd !== 0 && now >= m.voteEnd
+  const active = campaign.finalized && campaign.successful
+  const overdue = milestoneOverdue(m, now)
+
+  return (
+    <div className="milestones">
+      <strong>Milestones</strong>
+      <ol>
+        {m.bps.map((bps, i) => (
+          <li key={i} className={`milestone-${milestoneState(m, i)}`}>
+            {bps / 100}% - {STATE_LABELS[milestoneState(m, i)]}
+          </li>
+        ))}
+      </ol>
+
+      {m.voteEnd !== 0 && (
+        <p>
+          Approve {formatAmount(m.approveWeight, campaign.currency)} / Reject {formatAmount(m.rejectWeight, campaign.currency)} {campaign.currency.symbol}
+          {voteOpen && <> - ends {new Date(m.voteEnd * 1000).toLocaleString()}</>}
+        </p>
+      )}
+      {active && !m.rejected && m.voteEnd === 0 && m.requestDue !== 0 && (
+        <p>
+          {overdue
+            ? "The creator did not request the next milestone in time; backers can reclaim the unreleased share."
+            : <>Next milestone must be requested by {new Date(m.requestDue * 1000).toLocaleString()}</>}
+        </p>
+      )}
+
+      {active && (
+        <div className="action-area">
+          {isCreator && !m.rejected && !overdue && m.voteEnd === 0 && m.current < m.count && (
+            <button onClick={() => onRequest(campaign.id)}>Request milestone #{m.current + 1}</button>
+          )}
+          {voteOpen && myContributionWei > 0n && (
+            <>
+              <button onClick={() => onVote(campaign.id, true)}>Approve milestone</button>
+              <button className="secondary-btn" onClick={() => onVote(campaign.id, false)}>Reject milestone</button>
+            </>
+          )}
+          {voteEnded && (
+            <button className="secondary-btn" onClick={() => onResolve(campaign.id)}>Resolve vote</button>
+          )}
+          {(m.rejected || overdue) && myContributionWei > 0n && (
+            <button onClick={() => onReclaim(campaign.id)}>Reclaim unreleased share</button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Milestones
@@ -0,0 +1,72 @@
+import { ethers } from 'ethers'
+import { contributionAction } from '../../shared/contributions.js'
+import { ETH, formatAmount } from '../../shared/currency.js'
+import { routeHash } from './browse.js'
+
+function MyContributions({ entries, campaigns, onRefund, onClaimRewards }) {
+  if (entries.length === 0) {
+    return <p>You have not backed any campaigns yet.</p>
+  }
+
+  const byId = new Map(campaigns.map((c) => [c.id, c]))
+
+  return (
+    <table className="contributions-table">
+      <thead>
+        <tr>
+          <th>Campaign</th>
+          <th>Contributed</th>
+          <th>Status</th>
+          <th>Action</th>
+          <th>Rewards</th>
+        </tr>
+      </thead>
+      <tbody>
+        {entries.map((e) => {
+          const c = byId.get(e.id)
+          const action = contributionAction(e, c)
+          const currency = c?.currency ?? ETH
+          const fmt = (amount) => `${formatAmount(amount, currency)} ${currency.symbol}`
+          return (
+            <tr key={e.id}>
+              <td><a href={routeHash({ view: "campaign", id: e.id })}>{c ? c.title : `#${e.id}`}</a></td>
+              <td>{fmt(e.contributedWei)}</td>
+              <td>{!c || !c.finalized ? "Active" : c.cancelled ? "Cancelled" : (c.successful ? "Success" : "Failed")}</td>
+              <td>
+                {action === "refund" && (
+                  <button onClick={() => onRefund(e.id)}>Refund {fmt(e.currentWei)}</button>
+                )}
+                {action === "refunded" && (
+                  <span>Refunded {fmt(e.refundedWei)}</span>
+                )}
+                {action === "succeeded" && (
+                  <a href={routeHash({ view: "campaign", id: e.id })}>
+                    {c.raisedWei === 0n ? "Withdrawn by creator" : "Awaiting creator withdrawal"}
+                  </a>
+                )}
+                {action === "active" && <span>-</span>}
+              </td>
+              <td>
+                {e.claimableRewards > 0n ? (
+                  <button onClick={() => onClaimRewards(e.id)}>
+                    Claim {ethers.formatUnits(e.claimableRewards, 18)} CRWD
+                  </button>
+                ) : e.rewardsEarned > 0n && action === "active" ? (
+                  <span>{ethers.formatUnits(e.rewardsEarned, 18)} CRWD held until success</span>
+                ) : e.rewardsEarned > 0n && action === "succeeded" && e.rewardsVestAt * 1000 > Date.now() ? (
+                  <span>
+                    {ethers.formatUnits(e.rewardsEarned, 18)} CRWD held until {new Date(e.rewardsVestAt * 1000).toLocaleString()}
+                  </span>
+                ) : (
+                  <span>-</span>
+                )}
+              </td>
+            </tr>
+          )
+        })}
+      </tbody>
+    </table>
+  )
+}
+
+export default MyContributions
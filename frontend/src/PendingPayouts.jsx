@@ -0,0 +1,43 @@
+import { useState } from 'react'
+import { formatAmount } from '../../shared/currency.js'
+
+// Refunds and withdrawals the contract could not push to this account (e.g. a
+// smart wallet that rejects ETH) are credited here and can be claimed to any
+// address.
+function PendingPayouts({ entries, account, onClaim }) {
+  const [to, setTo] = useState("")
+
+  if (entries.length === 0) return null
+
+  return (
+    <section className="contributions-section">
+      <h2>Pending Payouts</h2>
+      <p>These payments could not be delivered to your wallet. Claim them to this or another address.</p>
+      <div className="form-group">
+        <input placeholder={`Send to (default ${account})`} value={to} onChange={(e) => setTo(e.target.value)} />
+      </div>
+      <table className="contributions-table">
+        <thead>
+          <tr>
+            <th>Currency</th>
+            <th>Amount</th>
+            <th>Action</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map(({ currency, amount }) => (
+            <tr key={currency.address}>
+              <td>{currency.symbol}</td>
+              <td>{formatAmount(amount, currency)} {currency.symbol}</td>
+              <td>
+                <button onClick={() => onClaim(currency, to.trim() || account)}>Claim</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  )
+}
+
+export default PendingPayouts
@@ -0,0 +1,151 @@
+import { useState, useEffect, useEffectEvent } from 'react'
+import { describeCall } from '../../shared/governance.js'
+import { formatAmount } from '../../shared/currency.js'
+import { preflight } from '../../shared/errors.js'
+import { TEAM_ACTIONS, parseOwners, parseShares } from './teams.js'
+
+const formatBps = (bps) => `${bps / 100}%`
+
+// Teams the account co-owns: their owners and revenue split, what they owe
+// the account, and the proposals waiting for approvals. Creator actions on a
+// team's campaign cards land here as proposals too.
+function Teams({ factory, crowdfund, teams, account, describeError, track, notify, onRefresh }) {
+  const [ownersInput, setOwnersInput] = useState(account)
+  const [sharesInput, setSharesInput] = useState("100")
+  const [thresholdInput, setThresholdInput] = useState("1")
+
+  const refresh = useEffectEvent(() => onRefresh())
+  useEffect(() => {
+    refresh()
+  }, [factory, account])
+
+  const send = async (method, args, label, message) => {
+    try {
+      await track(await preflight(method, ...args), { type: method.name, label, message })
+      await onRefresh()
+    } catch (error) {
+      console.error(error)
+      notify(describeError(error))
+    }
+  }
+
+  const createTeam = async () => {
+    let owners, shares
+    try {
+      owners = parseOwners(ownersInput)
+      shares = parseShares(sharesInput, owners.length)
+    } catch (error) {
+      notify(error.message)
+      return
+    }
+    await send(factory.createTeam, [owners, shares, Number(thresholdInput)], "Creating the team...", "Team created")
+  }
+
+  return (
+    <section className="teams-section">
+      <h2>Teams</h2>
+      <p>
+        A team owns campaigns together: withdrawals, cancelling, extending, milestone requests and changes to the
+        team need the approval of a set number of owners, and withdrawn funds are split by the owners' shares.
+      </p>
+
+      <h3>New team</h3>
+      <div className="form-group">
+        <input placeholder="Owner addresses, comma separated" value={ownersInput} onChange={(e) => setOwnersInput(e.target.value)} />
+        <input placeholder="Shares % per owner (e.g. 50,30,20)" value={sharesInput} onChange={(e) => setSharesInput(e.target.value)} />
+        <input placeholder="Approvals needed" type="number" value={thresholdInput} onChange={(e) => setThresholdInput(e.target.value)} />
+        <button onClick={createTeam}>Create team</button>
+      </div>
+
+      <h3>Your teams</h3>
+      <button className="secondary-btn" onClick={onRefresh}>Refresh</button>
+      {teams.length === 0 && <p>You are not an owner of any team.</p>}
+      {teams.map((team) => (
+        <TeamCard key={team.address} team={team} crowdfund={crowdfund} account={account} send={send} notify={notify} />
+      ))}
+    </section>
+  )
+}
+
+function TeamCard({ team, crowdfund, account, send, notify }) {
+  const [actionType, setActionType] = useState("addOwner")
+  const [params, setParams] = useState({})
+
+  const propose = async () => {
+    let call
+    try {
+      call = TEAM_ACTIONS[actionType].build({ team, crowdfund }, params)
+    } catch (error) {
+      notify(error.message)
+      return
+    }
+    await send(team.contract.propose, [call.target, call.data], "Proposing...", "Proposed; it runs once enough owners approve")
+    setParams({})
+  }
+
+  const named = { Crowdfunding: crowdfund, Team: team.contract }
+  const action = TEAM_ACTIONS[actionType]
+
+  return (
+    <div className="card team">
+      <h4>Team {team.address}</h4>
+      <p><strong>Approvals needed:</strong> {team.threshold} of {team.owners.length} owners</p>
+      <ul>
+        {team.owners.map((o) => (
+          <li key={o.address}>
+            <code>{o.address}</code> {formatBps(o.shareBps)}
+            {o.address.toLowerCase() === account.toLowerCase() && " (you)"}
+          </li>
+        ))}
+      </ul>
+
+      {team.owed.map(({ currency, amount }) => (
+        <p key={currency.address}>
+          <strong>Your share:</strong> {formatAmount(amount, currency)} {currency.symbol}{" "}
+          <button onClick={() => send(team.contract.claim, [currency.address, account], `Claiming the ${currency.symbol} share...`, `${currency.symbol} share claimed`)}>Claim</button>
+        </p>
+      ))}
+
+      <h4>Pending approvals</h4>
+      {team.proposals.length === 0 && <p>Nothing waiting.</p>}
+      {team.proposals.map((p) => (
+        <div key={p.id} className="team-proposal">
+          <p>
+            #{p.id} <code>{describeCall(p.target, p.data, named)}</code>
+          </p>
+          <p>{p.approvals} of {team.threshold} approvals{p.approvedByMe && " (including yours)"}</p>
+          <div className="action-area">
+            {p.approvedByMe ? (
+              <button className="secondary-btn" onClick={() => send(team.contract.revoke, [p.id], "Revoking approval...", "Approval revoked")}>Revoke approval</button>
+            ) : (
+              <button onClick={() => send(team.contract.approve, [p.id], "Approving...", "Approved")}>Approve</button>
+            )}
+            {p.approvals >= team.threshold && (
+              <button onClick={() => send(team.contract.execute, [p.id], "Executing...", "Executed")}>Execute</button>
+            )}
+          </div>
+        </div>
+      ))}
+
+      <h4>New proposal</h4>
+      <div className="form-group">
+        <select value={actionType} onChange={(e) => { setActionType(e.target.value); setParams({}) }}>
+          {Object.entries(TEAM_ACTIONS).map(([type, a]) => (
+            <option key={type} value={type}>{a.label}</option>
+          ))}
+        </select>
+        {Object.entries(action.fields).map(([field, placeholder]) => (
+          <input
+            key={`${actionType}-${field}`}
+            placeholder={placeholder}
+            value={params[field] ?? ""}
+            onChange={(e) => setParams({ ...params, [field]: e.target.value })}
+          />
+        ))}
+        <button onClick={propose}>Propose</button>
+      </div>
+    </div>
+  )
+}
+
+export default Teams
@@ -0,0 +1,20 @@
+import { formatAmount } from '../../shared/currency.js'
+
+function Tiers({ campaign }) {
+  return (
+    <div className="tiers">
+      <strong>Backer tiers</strong>
+      <ul>
+        {campaign.tiers.map((t, i) => (
+          <li key={i} className={t.remaining === 0 ? "tier-sold-out" : undefined}>
+            {t.name} - from {formatAmount(t.minWei, campaign.currency)} {campaign.currency.symbol}
+            {" "}({t.remaining === null ? "unlimited" : t.remaining === 0 ? "sold out" : `${t.remaining} of ${t.limit} left`})
+            {t.mine && <strong> - your badge{campaign.finalized && !campaign.successful ? " (void)" : ""}</strong>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default Tiers
@@ -0,0 +1,86 @@
+import { useState, useEffect, useEffectEvent } from 'react'
+import { formatAmount } from '../../shared/currency.js'
+
+const formatBps = (bps) => `${Number(bps) / 100}%`
+
+// Platform fee settings and the fees each campaign has paid the treasury.
+// Fees are in the campaign's own currency, so totals are kept per currency.
+function Treasury({ crowdfund, campaigns }) {
+  const [settings, setSettings] = useState(null)
+  const [fees, setFees] = useState(new Map())
+
+  const load = async () => {
+    try {
+      const [treasury, feeBps, maxFeeBps] = await Promise.all([
+        crowdfund.treasury(),
+        crowdfund.platformFeeBps(),
+        crowdfund.MAX_PLATFORM_FEE_BPS(),
+      ])
+      const rows = await Promise.all(campaigns.map(async (c) => {
+        const [bps, collected] = await Promise.all([crowdfund.campaignFeeBps(c.id), crowdfund.feesCollected(c.id)])
+        return [c.id, { bps, collected }]
+      }))
+      setSettings({ treasury, feeBps, maxFeeBps })
+      setFees(new Map(rows))
+    } catch (error) {
+      console.error("Error fetching treasury data:", error)
+    }
+  }
+
+  const reload = useEffectEvent(() => load())
+  useEffect(() => {
+    reload()
+  }, [crowdfund, campaigns])
+
+  const totals = new Map()
+  for (const c of campaigns) {
+    const collected = fees.get(c.id)?.collected ?? 0n
+    if (collected === 0n) continue
+    const key = c.currency.address
+    totals.set(key, { currency: c.currency, amount: (totals.get(key)?.amount ?? 0n) + collected })
+  }
+
+  return (
+    <section className="treasury-section">
+      <h2>Treasury</h2>
+      {settings && (
+        <>
+          <p><strong>Treasury:</strong> {settings.treasury}</p>
+          <p>
+            <strong>Platform fee for new campaigns:</strong> {formatBps(settings.feeBps)} of each withdrawal
+            {" "}(at most {formatBps(settings.maxFeeBps)}; changed through governance)
+          </p>
+        </>
+      )}
+      <p>
+        <strong>Collected:</strong>{" "}
+        {totals.size === 0
+          ? "nothing yet"
+          : [...totals.values()].map((t) => `${formatAmount(t.amount, t.currency)} ${t.currency.symbol}`).join(", ")}
+      </p>
+      <table className="contributions-table">
+        <thead>
+          <tr>
+            <th>Campaign</th>
+            <th>Fee</th>
+            <th>Collected</th>
+          </tr>
+        </thead>
+        <tbody>
+          {campaigns.map((c) => {
+            const row = fees.get(c.id)
+            return (
+              <tr key={c.id}>
+                <td>{c.title}</td>
+                <td>{row ? formatBps(row.bps) : "-"}</td>
+                <td>{row ? `${formatAmount(row.collected, c.currency)} ${c.currency.symbol}` : "-"}</td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+    </section>
+  )
+}
+
+export default Treasury
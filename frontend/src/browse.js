@@ -0,0 +1,124 @@
+import { ethers } from 'ethers'
+
+// Campaign browser: status buckets, search, filters, sorting and pages over
+// the campaign views built in App.jsx, plus the hash routes that make a
+// filtered list or a campaign's detail page linkable:
+//   #/campaigns?status=failed&q=solar&sort=raised&page=2
+//   #/campaigns/7
+//   #/governance, #/treasury, #/teams
+
+export const ENDING_SOON_SECONDS = 48 * 3600
+export const PAGE_SIZE = 12
+
+export const STATUS_LABELS = {
+  active: "Active",
+  endingSoon: "Ending soon",
+  awaitingFinalize: "Awaiting finalization",
+  succeeded: "Succeeded",
+  failed: "Failed",
+}
+
+// "active" also matches campaigns ending soon; "failed" includes cancelled ones
+export const STATUS_FILTERS = { all: "All", ...STATUS_LABELS }
+
+// each in its natural order; `reverse` flips it
+export const SORTS = {
+  newest: { label: "Newest", key: (c) => -c.id },
+  deadline: { label: "Deadline (soonest)", key: (c) => c.deadlineTs },
+  funded: { label: "% funded", key: (c) => -percentFunded(c) },
+  // in whole currency units, so a 6-decimals token is not outranked by wei
+  raised: { label: "Amount raised", key: (c) => -Number(ethers.formatUnits(c.raisedWei, c.currency.decimals)) },
+}
+
+export const DEFAULT_FILTERS = { status: "active", query: "", sort: "newest", reverse: false, created: false, backed: false, page: 1 }
+
+export function campaignStatus(c, now) {
+  if (c.finalized) return c.successful ? "succeeded" : "failed"
+  if (c.deadlineTs <= now) return "awaitingFinalize"
+  return c.deadlineTs - now <= ENDING_SOON_SECONDS ? "endingSoon" : "active"
+}
+
+// Of the goal, to two decimals; above 100 once the goal is passed.
+export function percentFunded(c) {
+  return Number((c.raisedWei * 10_000n) / c.goalWei) / 100
+}
+
+export function formatTimeLeft(seconds) {
+  if (seconds <= 0) return "Ended"
+  const days = Math.floor(seconds / 86_400)
+  const hours = Math.floor((seconds % 86_400) / 3600)
+  const minutes = Math.floor((seconds % 3600) / 60)
+  if (days > 0) return `${days}d ${hours}h left`
+  if (hours > 0) return `${hours}h ${minutes}m left`
+  return minutes > 0 ? `${minutes}m left` : "Less than a minute left"
+}
+
+function matchesStatus(status, filter) {
+  return filter === "all" || status === filter || (filter === "active" && status === "endingSoon")
+}
+
+// The campaigns matching `filters`, sorted. `backedIds` are the campaigns
+// `account` has contributed to.
+export function browseCampaigns(campaigns, filters, { now, account = "", backedIds = new Set() }) {
+  const query = filters.query.trim().toLowerCase()
+  const me = account.toLowerCase()
+  const { key } = SORTS[filters.sort]
+  const direction = filters.reverse ? -1 : 1
+
+  return campaigns
+    .filter((c) => matchesStatus(campaignStatus(c, now), filters.status)
+      && (!query || c.title.toLowerCase().includes(query))
+      && (!filters.created || c.creator.toLowerCase() === me)
+      && (!filters.backed || backedIds.has(c.id)))
+    .sort((a, b) => (key(a) - key(b)) * direction || b.id - a.id)
+}
+
+// `page` is 1-based and clamped to the pages there are.
+export function paginate(list, page, pageSize = PAGE_SIZE) {
+  const pages = Math.max(1, Math.ceil(list.length / pageSize))
+  const current = Math.min(Math.max(1, page), pages)
+  return { items: list.slice((current - 1) * pageSize, current * pageSize), page: current, pages }
+}
+
+// { view: "campaigns", filters } | { view: "campaign", id } | { view: "governance" | "treasury" | "teams" }.
+// Anything unrecognised is the campaign browser.
+export function parseRoute(hash) {
+  const [path, search = ""] = hash.replace(/^#\/?/, "").split("?")
+  const [section, id] = path.split("/").filter(Boolean)
+  if (section === "campaigns" && /^\d+$/.test(id ?? "")) return { view: "campaign", id: Number(id) }
+  if (["governance", "treasury", "teams"].includes(section)) return { view: section }
+
+  const params = new URLSearchParams(search)
+  const status = params.get("status")
+  const sort = params.get("sort")
+  return {
+    view: "campaigns",
+    filters: {
+      status: Object.hasOwn(STATUS_FILTERS, status) ? status : DEFAULT_FILTERS.status,
+      query: params.get("q") ?? "",
+      sort: Object.hasOwn(SORTS, sort) ? sort : DEFAULT_FILTERS.sort,
+      reverse: params.get("reverse") === "1",
+      created: params.get("created") === "1",
+      backed: params.get("backed") === "1",
+      page: Math.max(1, parseInt(params.get("page"), 10) || 1),
+    },
+  }
+}
+
+// Inverse of parseRoute; default filters are left out of the URL.
+export function routeHash(route) {
+  if (route.view === "campaign") return `#/campaigns/${route.id}`
+  if (route.view !== "campaigns") return `#/${route.view}`
+
+  const f = { ...DEFAULT_FILTERS, ...route.filters }
+  const params = new URLSearchParams()
+  if (f.status !== DEFAULT_FILTERS.status) params.set("status", f.status)
+  if (f.query) params.set("q", f.query)
+  if (f.sort !== DEFAULT_FILTERS.sort) params.set("sort", f.sort)
+  if (f.reverse) params.set("reverse", "1")
+  if (f.created) params.set("created", "1")
+  if (f.backed) params.set("backed", "1")
+  if (f.page > 1) params.set("page", String(f.page))
+  const search = params.toString()
+  return search ? `#/campaigns?${search}` : "#/campaigns"
+}
@@ -0,0 +1,90 @@
+import { ethers } from 'ethers'
+
+// deployments/<chainId>.json, written by scripts/deploy.js. Each one carries
+// the addresses, deployment block and the exact ABIs that were deployed.
+const manifests = import.meta.glob('../../deployments/*.json', { eager: true, import: 'default' })
+
+// Everything the UI calls. A manifest whose ABI lacks any of these was
+// deployed from an older version of the contracts.
+export const REQUIRED_MEMBERS = {
+  Crowdfunding: [
+    "campaignCount", "campaigns", "milestonePlans", "stretchGoalsReached",
+    "contributions", "rewardsEarned", "claimableRewards", "rewardsVestAt",
+    "createCampaign", "createCampaignWithOptions", "setCampaignMetadata",
+    "contribute", "contributeToken", "contributeWithPermit", "contributeWithPass", "contributeTokenWithPass",
+    "finalize", "withdraw", "refund", "claimRewards",
+    "requestMilestone", "voteMilestone", "resolveMilestone", "reclaim", "milestoneRequestDue",
+    "cancel", "extendDeadline", "closeEarly", "deadlineExtensions",
+    "getTiers", "backerTier", "CampaignTiersSet", "TierAwarded",
+    "treasury", "platformFeeBps", "campaignFeeBps", "feesCollected", "MAX_PLATFORM_FEE_BPS", "FeeCollected",
+    "pendingPayouts", "claimPayout", "PayoutDeferred", "PayoutClaimed",
+    "isTrustedForwarder", "upgradeToAndCall", "gated",
+    "CampaignCreated", "CampaignMetadata", "CampaignOptionsSet", "Contributed", "Refunded",
+  ],
+  RewardToken: ["balanceOf", "getVotes", "delegates", "delegate"],
+  CrowdForwarder: ["nonces", "eip712Domain"],
+  CrowdGovernor: [
+    "propose", "castVote", "queue", "execute", "state", "hashProposal",
+    "proposalVotes", "proposalEta", "hasVoted", "clock",
+    "votingDelay", "votingPeriod", "proposalThreshold", "ProposalCreated",
+  ],
+  TimelockController: ["getMinDelay"],
+  CampaignTeamFactory: ["createTeam", "isTeam", "TeamCreated"],
+  ContributionGate: ["access", "admitted", "AccessConfigured"],
+}
+
+// ERC-1967 slot holding a proxy's implementation
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc"
+
+export class DeploymentError extends Error {}
+
+export function knownChainIds() {
+  return Object.values(manifests).map((m) => m.chainId).sort((a, b) => a - b)
+}
+
+export function getDeployment(chainId) {
+  return Object.values(manifests).find((m) => m.chainId === Number(chainId)) ?? null
+}
+
+// Names from REQUIRED_MEMBERS missing in `abi`.
+export function missingMembers(abi, required) {
+  const iface = new ethers.Interface(abi)
+  return required.filter((name) => !iface.getFunction(name) && !iface.getEvent(name))
+}
+
+// Throws DeploymentError unless every contract in the manifest is intact,
+// has the members the UI needs and is the code actually deployed at its address.
+export async function verifyDeployment(provider, deployment) {
+  for (const [name, required] of Object.entries(REQUIRED_MEMBERS)) {
+    const entry = deployment.contracts[name]
+    if (!entry) throw new DeploymentError(`${name} is missing from the chain ${deployment.chainId} manifest`)
+
+    if (ethers.id(JSON.stringify(entry.abi)) !== entry.abiHash) {
+      throw new DeploymentError(`${name} ABI in the manifest does not match its recorded hash`)
+    }
+    const missing = missingMembers(entry.abi, required)
+    if (missing.length) {
+      throw new DeploymentError(`${name} ABI is stale (missing ${missing.join(", ")}); redeploy the contracts`)
+    }
+
+    const code = await provider.getCode(entry.address)
+    if (code === "0x") {
+      throw new DeploymentError(`No ${name} contract at ${entry.address} on chain ${deployment.chainId}; redeploy the contracts`)
+    }
+    if (ethers.keccak256(code) !== entry.codeHash) {
+      throw new DeploymentError(`${name} at ${entry.address} does not match the deployed build; redeploy the contracts`)
+    }
+
+    // a proxy: the ABI is only right for the implementation it points at
+    if (entry.implementation) {
+      const word = await provider.getStorage(entry.address, IMPLEMENTATION_SLOT)
+      const implementation = ethers.getAddress(ethers.dataSlice(word, 12))
+      if (implementation !== entry.implementation.address) {
+        throw new DeploymentError(`${name} at ${entry.address} was upgraded to ${implementation}; record it with scripts/upgrade.js`)
+      }
+      if (ethers.keccak256(await provider.getCode(implementation)) !== entry.implementation.codeHash) {
+        throw new DeploymentError(`${name} implementation at ${implementation} does not match the deployed build`)
+      }
+    }
+  }
+}
@@ -0,0 +1,9 @@
+// Client for the campaign indexer API served by scripts/indexer.js
+
+export const INDEXER_URL = import.meta.env.VITE_INDEXER_URL ?? ""
+
+export async function fetchIndexedCampaigns(baseUrl) {
+  const res = await fetch(`${baseUrl}/campaigns`)
+  if (!res.ok) throw new Error(`Indexer responded with ${res.status}`)
+  return res.json()
+}
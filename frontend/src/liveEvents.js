@@ -0,0 +1,94 @@
+// Contract event subscriptions that keep the UI current, including what
+// other users do. Handlers receive { name, args, log, mine } and decide what
+// to refresh; createRefreshQueue coalesces the refreshes triggered by
+// several events in one block.
+
+// Everything that changes a campaign card.
+export const CAMPAIGN_EVENTS = [
+  "CampaignCreated", "CampaignMetadata", "CampaignOptionsSet",
+  "Contributed", "StretchGoalReached", "Finalized", "Withdrawn", "Refunded",
+  "MilestoneRequested", "MilestoneVoted", "MilestoneResolved", "Reclaimed",
+  "RewardsClaimed", "Cancelled", "DeadlineExtended", "ClosedEarly",
+  "CampaignTiersSet", "TierAwarded",
+]
+
+// Credits and claims of payouts that could not be pushed to the account.
+export const PAYOUT_EVENTS = ["PayoutDeferred", "PayoutClaimed"]
+
+// Campaign state changes that change what a backer can claim or refund.
+export const BACKER_STATE_EVENTS = ["Finalized", "MilestoneResolved", "Cancelled"]
+
+// Campaign events that pay the creator, e.g. a team.
+export const CREATOR_PAYOUT_EVENTS = ["Withdrawn", "MilestoneResolved"]
+
+const PARTY_FIELDS = ["contributor", "backer", "creator", "account", "from", "to"]
+
+// Whether `account` is one of the parties named in the event.
+export function involves(args, account) {
+  if (!account) return false
+  const me = account.toLowerCase()
+  return PARTY_FIELDS.some((field) => {
+    try {
+      return typeof args[field] === "string" && args[field].toLowerCase() === me
+    } catch {
+      return false
+    }
+  })
+}
+
+// Subscribes to CAMPAIGN_EVENTS on `contract`, to the account's PAYOUT_EVENTS
+// and to its reward token transfers. Returns an async function that removes
+// every listener.
+export function subscribeToEvents({ contract, tokenContract, account, onEvent, onError = console.error }) {
+  const subscriptions = []
+
+  const listen = (target, event, name) => {
+    const listener = (...params) => {
+      // ethers passes the decoded args followed by the event payload
+      const payload = params[params.length - 1]
+      onEvent({ name, args: payload.args, log: payload.log, mine: involves(payload.args, account) })
+    }
+    const ready = Promise.resolve(target.on(event, listener)).catch(onError)
+    subscriptions.push(async () => {
+      await ready
+      await target.off(event, listener)
+    })
+  }
+
+  for (const name of CAMPAIGN_EVENTS) listen(contract, name, name)
+  if (account) {
+    for (const name of PAYOUT_EVENTS) listen(contract, contract.filters[name](account), name)
+  }
+  if (tokenContract && account) {
+    listen(tokenContract, tokenContract.filters.Transfer(account), "Transfer")
+    listen(tokenContract, tokenContract.filters.Transfer(null, account), "Transfer")
+  }
+
+  return async () => {
+    await Promise.all(subscriptions.map((unsubscribe) => unsubscribe().catch(onError)))
+  }
+}
+
+// Collects keys (e.g. "campaign:3", "balance") and calls flush(keys) once,
+// on the next tick, with every key added in the meantime.
+export function createRefreshQueue(flush, delayMs = 0) {
+  let keys = new Set()
+  let timer = null
+  return {
+    add(key) {
+      keys.add(key)
+      if (timer) return
+      timer = setTimeout(() => {
+        const batch = keys
+        keys = new Set()
+        timer = null
+        flush(batch)
+      }, delayMs)
+    },
+    cancel() {
+      clearTimeout(timer)
+      timer = null
+      keys = new Set()
+    },
+  }
+}
@@ -0,0 +1,51 @@
+import { ethers } from 'ethers'
+
+export const MILESTONE_REJECTED_MASK = 4
+
+// "50, 30, 20" -> [5000, 3000, 2000]; must add up to 100%
+export function parseMilestonePercents(text) {
+  if (!text.trim()) return []
+  const bps = text.split(",").map((p) => Math.round(Number(p.trim()) * 100))
+  if (bps.some((b) => !Number.isFinite(b) || b <= 0)) throw new Error("Milestones must be positive percentages")
+  if (bps.reduce((a, b) => a + b, 0) !== 10000) throw new Error("Milestones must add up to 100%")
+  return bps
+}
+
+// "2, 3.5" -> [2e18, 3.5e18] for an 18-decimals currency
+export function parseStretchGoals(text, decimals = 18) {
+  if (!text.trim()) return []
+  return text.split(",").map((g) => ethers.parseUnits(g.trim(), decimals))
+}
+
+// Same shape for a plan read from milestonePlans(id) or served by the indexer.
+// `requestDue` is milestoneRequestDue(id), 0 if there is no deadline.
+export function toMilestoneView(plan, bps, flags, requestDue = 0) {
+  if (!plan || bps.length === 0) return null
+  return {
+    bps: bps.map(Number),
+    count: bps.length,
+    current: Number(plan.current),
+    voteEnd: Number(plan.voteEnd),
+    releasedWei: BigInt(plan.releasedWei),
+    releasableWei: BigInt(plan.releasableWei),
+    approveWeight: BigInt(plan.approveWeight),
+    rejectWeight: BigInt(plan.rejectWeight),
+    rejected: (Number(flags) & MILESTONE_REJECTED_MASK) !== 0,
+    requestDue: Number(requestDue),
+  }
+}
+
+// The creator let the next milestone request fall overdue: backers can
+// reclaim as if it had been rejected.
+export function milestoneOverdue(m, now) {
+  return !m.rejected && m.requestDue !== 0 && m.voteEnd === 0 && now >= m.requestDue
+}
+
+// "done" | "voting" | "next" | "rejected" | "overdue" | "pending" for milestone `index`
+export function milestoneState(m, index) {
+  if (index < m.current) return "done"
+  if (index > m.current) return "pending"
+  if (m.rejected) return "rejected"
+  if (milestoneOverdue(m, Math.floor(Date.now() / 1000))) return "overdue"
+  return m.voteEnd !== 0 ? "voting" : "next"
+}
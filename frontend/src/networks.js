@@ -0,0 +1,38 @@
+// Networks the app can run on; mirrors `networks` in hardhat.config.js.
+// `wallet` holds the wallet_addEthereumChain parameters (public RPCs only,
+// never the keyed SEPOLIA_RPC_URL used for deploys).
+export const SUPPORTED_NETWORKS = {
+  31337: {
+    name: "localhost",
+    chainId: 31337,
+    wallet: {
+      chainName: "Hardhat Localhost",
+      rpcUrls: ["http://127.0.0.1:8545"],
+      nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    },
+  },
+  11155111: {
+    name: "sepolia",
+    chainId: 11155111,
+    wallet: {
+      chainName: "Sepolia",
+      rpcUrls: ["https://rpc.sepolia.org"],
+      nativeCurrency: { name: "Sepolia Ether", symbol: "ETH", decimals: 18 },
+      blockExplorerUrls: ["https://sepolia.etherscan.io"],
+    },
+  },
+}
+
+export function toHexChainId(chainId) {
+  return "0x" + Number(chainId).toString(16)
+}
+
+export function networkName(chainId) {
+  return SUPPORTED_NETWORKS[chainId]?.wallet.chainName ?? `chain ${chainId}`
+}
+
+// Link to a transaction on the chain's block explorer, or null without one.
+export function explorerTxUrl(chainId, hash) {
+  const base = SUPPORTED_NETWORKS[chainId]?.wallet.blockExplorerUrls?.[0]
+  return base ? `${base}/tx/${hash}` : null
+}
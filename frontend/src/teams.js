@@ -0,0 +1,168 @@
+import { ethers } from 'ethers'
+
+// Team campaigns: a CampaignTeam contract is the campaign's creator and every
+// creator action becomes a proposal its co-owners approve (M of N). Teams are
+// deployed per group by CampaignTeamFactory, so their ABI is not in the
+// deployment manifest; this is the part the UI uses.
+export const TEAM_ABI = [
+  "function getOwners() view returns (address[])",
+  "function isOwner(address) view returns (bool)",
+  "function shareBps(address) view returns (uint16)",
+  "function threshold() view returns (uint8)",
+  "function ownerGeneration(address) view returns (uint256)",
+  "function approvedIn(uint256 id, address owner) view returns (uint256)",
+  "function proposals(uint256 id) view returns (address target, bytes data, bool executed, bool pays, address currency)",
+  "function proposalCount() view returns (uint256)",
+  "function approvals(uint256 id) view returns (uint256)",
+  "function owed(address owner, address currency) view returns (uint256)",
+  "function propose(address target, bytes data) returns (uint256)",
+  "function approve(uint256 id)",
+  "function revoke(uint256 id)",
+  "function execute(uint256 id)",
+  "function claim(address currency, address to)",
+  "function addOwner(address owner, uint16[] shareBps)",
+  "function removeOwner(address owner, uint16[] shareBps)",
+  "function setShares(uint16[] shareBps)",
+  "function setThreshold(uint8 threshold)",
+  "error NotTeamOwner()",
+  "error OnlyTeam()",
+  "error BadOwner()",
+  "error DuplicateOwner()",
+  "error TooManyOwners()",
+  "error BadShares()",
+  "error BadThreshold()",
+  "error BadTarget()",
+  "error BadProposal()",
+  "error AlreadyExecuted()",
+  "error AlreadyApproved()",
+  "error NotApproved()",
+  "error NotEnoughApprovals(uint256 approvals, uint256 threshold)",
+  "error NothingOwed()",
+  "error BadRecipient()",
+  "error PayoutFailed()",
+  // from OpenZeppelin's Address and SafeERC20
+  "error AddressEmptyCode(address target)",
+  "error FailedCall()",
+  "error InsufficientBalance(uint256 balance, uint256 needed)",
+  "error SafeERC20FailedOperation(address token)",
+]
+
+// "50, 30, 20" -> [5000, 3000, 2000]; one share per owner, adding up to 100%.
+// Zero is allowed: an owner who approves but takes no revenue.
+export function parseShares(text, ownerCount) {
+  const bps = text.split(",").map((p) => Math.round(Number(p.trim()) * 100))
+  if (bps.length !== ownerCount) throw new Error(`Give one share per owner (${ownerCount})`)
+  if (bps.some((b) => !Number.isFinite(b) || b < 0)) throw new Error("Shares must be percentages")
+  if (bps.reduce((a, b) => a + b, 0) !== 10000) throw new Error("Shares must add up to 100%")
+  return bps
+}
+
+// "0xabc…, 0xdef…" -> checksummed addresses
+export function parseOwners(text) {
+  return text.split(",").map((a) => a.trim()).filter(Boolean).map((a) => ethers.getAddress(a))
+}
+
+// What the team proposal form offers, besides the creator actions on a
+// campaign card. `build` turns the form fields into the call the team makes.
+export const TEAM_ACTIONS = {
+  addOwner: {
+    label: "Add owner",
+    fields: { owner: "New owner address", shares: "Shares % of every owner after, new owner last (e.g. 40,40,20)" },
+    build: ({ team }, { owner, shares }) => ({
+      target: team.address,
+      data: team.contract.interface.encodeFunctionData("addOwner", [
+        ethers.getAddress(owner.trim()), parseShares(shares, team.owners.length + 1),
+      ]),
+    }),
+  },
+  removeOwner: {
+    label: "Remove owner",
+    fields: { owner: "Owner address", shares: "Shares % of the remaining owners, in order" },
+    build: ({ team }, { owner, shares }) => ({
+      target: team.address,
+      data: team.contract.interface.encodeFunctionData("removeOwner", [
+        ethers.getAddress(owner.trim()), parseShares(shares, team.owners.length - 1),
+      ]),
+    }),
+  },
+  setShares: {
+    label: "Change revenue split",
+    fields: { shares: "Shares % of every owner, in order" },
+    build: ({ team }, { shares }) => ({
+      target: team.address,
+      data: team.contract.interface.encodeFunctionData("setShares", [parseShares(shares, team.owners.length)]),
+    }),
+  },
+  setThreshold: {
+    label: "Change approval threshold",
+    fields: { threshold: "Approvals needed" },
+    build: ({ team }, { threshold }) => ({
+      target: team.address,
+      data: team.contract.interface.encodeFunctionData("setThreshold", [Number(threshold)]),
+    }),
+  },
+  metadata: {
+    label: "Set campaign description / image",
+    fields: { id: "Campaign #", description: "Description", imageUrl: "Image URL" },
+    build: ({ crowdfund }, { id, description, imageUrl }) => ({
+      target: crowdfund.target,
+      data: crowdfund.interface.encodeFunctionData("setCampaignMetadata", [BigInt(id), description ?? "", imageUrl ?? ""]),
+    }),
+  },
+}
+
+// The call a team makes for `crowdfund[method](...args)`, to propose it.
+export function creatorCall(crowdfund, method, args) {
+  return { target: crowdfund.target, data: crowdfund.interface.encodeFunctionData(method, args) }
+}
+
+// Every team created since `fromBlock` (`all`, addresses), and the ones
+// `account` co-owns with their owners, open proposals and what each owes the
+// account in `currencies`.
+export async function fetchTeams(factory, account, fromBlock, currencies) {
+  const logs = await factory.queryFilter(factory.filters.TeamCreated(), fromBlock)
+  const all = new Set(logs.map((log) => log.args.team.toLowerCase()))
+
+  const mine = []
+  for (const log of logs) {
+    const contract = new ethers.Contract(log.args.team, TEAM_ABI, factory.runner)
+    if (!await contract.isOwner(account)) continue
+    mine.push(await loadTeam(contract, account, currencies))
+  }
+  return { all, mine }
+}
+
+export async function loadTeam(contract, account, currencies) {
+  const [owners, threshold, count, generation] = await Promise.all([
+    contract.getOwners(),
+    contract.threshold(),
+    contract.proposalCount(),
+    contract.ownerGeneration(account),
+  ])
+
+  const proposals = []
+  for (let id = Number(count) - 1; id >= 0; id--) {
+    const p = await contract.proposals(id)
+    if (p.executed) continue
+    const [approvals, approvedIn] = await Promise.all([contract.approvals(id), contract.approvedIn(id, account)])
+    proposals.push({ id, target: p.target, data: p.data, approvals: Number(approvals), approvedByMe: approvedIn === generation })
+  }
+
+  const owed = await Promise.all(currencies.map(async (currency) => (
+    { currency, amount: await contract.owed(account, currency.address) }
+  )))
+
+  return {
+    address: await contract.getAddress(),
+    contract,
+    owners: await Promise.all(owners.map(async (address) => ({ address, shareBps: Number(await contract.shareBps(address)) }))),
+    threshold: Number(threshold),
+    proposals,
+    owed: owed.filter((o) => o.amount > 0n),
+  }
+}
+
+// Open proposals the account has not approved yet, across `teams`.
+export function awaitingApproval(teams) {
+  return teams.reduce((n, t) => n + t.proposals.filter((p) => !p.approvedByMe).length, 0)
+}
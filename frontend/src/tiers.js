@@ -0,0 +1,27 @@
+import { ethers } from 'ethers'
+
+// "Bronze:0.1, Gold:1:10" -> [{ name, minWei, limit }]; limit 0 = unlimited
+export function parseTiers(text, decimals = 18) {
+  if (!text.trim()) return []
+  return text.split(",").map((part) => {
+    const [name, min, limit = "0"] = part.split(":").map((s) => s.trim())
+    if (!name || !min) throw new Error(`Tiers look like name:minimum[:limit], got "${part.trim()}"`)
+    return { name, minWei: ethers.parseUnits(min, decimals), limit: Number(limit) }
+  })
+}
+
+// Names come from CampaignTiersSet (or the indexer), claimed counts from
+// getTiers(id). `myTier` is backerTier(id, account): tier index + 1, 0 = none.
+export function toTierViews(tiers, claimed, myTier = 0) {
+  return tiers.map((t, i) => {
+    const limit = Number(t.limit)
+    const taken = Number(claimed[i] ?? 0)
+    return {
+      name: t.name,
+      minWei: BigInt(t.minWei),
+      limit,
+      remaining: limit === 0 ? null : limit - taken,
+      mine: myTier === i + 1,
+    }
+  })
+}
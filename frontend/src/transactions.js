@@ -0,0 +1,246 @@
+// Every transaction the app submits, kept per chain and account in
+// localStorage so tracking picks up again after a reload. Each open one is
+// polled for its receipt and confirmation count; when its nonce gets used by
+// another transaction the wallet replaced it: a speed-up (same call, higher
+// fee) is followed to the new hash, a cancel or anything else ends it.
+//
+// React reads it through useSyncExternalStore(tracker.subscribe, tracker.getState).
+
+const STORAGE_PREFIX = "crowdfunding.txs"
+
+// a confirmed transaction is followed until it is this many blocks deep
+export const TARGET_CONFIRMATIONS = 3
+export const POLL_MS = 4_000
+// not mined, not known to the node and its nonce unused for this long
+export const DROPPED_AFTER_MS = 10 * 60_000
+// newest first; older ones are forgotten
+const MAX_RECORDS = 50
+// blocks searched for the transaction that took a replaced one's nonce
+const REPLACEMENT_SCAN_BLOCKS = 100
+
+// pending -> confirmed | failed | cancelled | replaced | dropped
+const FAILURES = {
+  failed: "The transaction reverted.",
+  cancelled: "The transaction was cancelled in your wallet.",
+  replaced: "Your wallet replaced the transaction with a different one.",
+  dropped: "The transaction was dropped without being mined.",
+  // dismissed, evicted past MAX_RECORDS or never recorded
+  unknown: "The transaction is no longer being tracked.",
+}
+
+export class TransactionError extends Error {
+  constructor(record) {
+    super(FAILURES[record.status])
+    this.name = "TransactionError"
+    this.record = record
+  }
+}
+
+export function storageKey(chainId, account) {
+  return `${STORAGE_PREFIX}.${chainId}.${account.toLowerCase()}`
+}
+
+// Still being watched: not mined yet, or mined but not deep enough.
+export function isOpen(record, target = TARGET_CONFIRMATIONS) {
+  return record.status === "pending" || (record.status === "confirmed" && record.confirmations < target)
+}
+
+function defaultStorage() {
+  try {
+    return globalThis.localStorage ?? null
+  } catch {
+    return null
+  }
+}
+
+const sameAddress = (a, b) => (a ?? "").toLowerCase() === (b ?? "").toLowerCase()
+
+// How ethers tells them apart: the same call again is a speed-up, an empty
+// self-transfer is a cancel.
+function replacementKind(record, tx) {
+  if (sameAddress(tx.to, record.to) && tx.data === record.data && tx.value.toString() === record.value) return "repriced"
+  if (sameAddress(tx.to, record.from) && tx.data === "0x" && tx.value === 0n) return "cancelled"
+  return "replaced"
+}
+
+export class TransactionTracker {
+  constructor(provider, { chainId, account, storage = defaultStorage(), confirmations = TARGET_CONFIRMATIONS,
+    droppedAfterMs = DROPPED_AFTER_MS, now = Date.now } = {}) {
+    this.provider = provider
+    this.storage = storage
+    this.key = storageKey(chainId, account)
+    this.confirmations = confirmations
+    this.droppedAfterMs = droppedAfterMs
+    this.now = now
+    this.records = this._load()
+    // id -> receipt; not stored, wait() refetches it after a reload
+    this.receipts = new Map()
+    this.listeners = new Set()
+    this.timer = null
+    this.polling = false
+
+    this.subscribe = this.subscribe.bind(this)
+    this.getState = this.getState.bind(this)
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  getState() {
+    return this.records
+  }
+
+  start(pollMs = POLL_MS) {
+    if (this.timer) return
+    this.timer = setInterval(() => this.poll(), pollMs)
+    this.poll()
+  }
+
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  // Adds a submitted transaction: a TransactionResponse, or the `{ hash }`
+  // handle sendGasless returns (`relayed`; the nonce is the relayer's, so
+  // only its receipt is watched). `type` is the contract function,
+  // `message` what to show once it confirms.
+  async record(tx, { type, label, message = null, campaignId = null, relayed = false }) {
+    const startBlock = await this.provider.getBlockNumber()
+    const submittedAt = this.now()
+    const record = {
+      id: tx.hash,
+      hash: tx.hash,
+      type,
+      label,
+      message,
+      campaignId,
+      relayed,
+      from: relayed ? null : tx.from,
+      nonce: relayed ? null : tx.nonce,
+      to: relayed ? null : tx.to,
+      data: relayed ? null : tx.data,
+      value: relayed ? null : tx.value.toString(),
+      status: "pending",
+      confirmations: 0,
+      blockNumber: null,
+      replacedHashes: [],
+      replacedBy: null,
+      startBlock,
+      submittedAt,
+      seenAt: submittedAt,
+    }
+    this._save([record, ...this.records.filter((r) => r.id !== record.id)])
+    return record
+  }
+
+  // Resolves with the receipt once transaction `id` (or its speed-up) is
+  // mined; rejects with a TransactionError if it reverts or is cancelled,
+  // replaced or dropped, or stops being tracked before then.
+  wait(id) {
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const record = this.records.find((r) => r.id === id) ?? { id, status: "unknown" }
+        if (record.status === "pending") return
+        unsubscribe()
+        if (record.status !== "confirmed") reject(new TransactionError(record))
+        else resolve(this.receipts.get(id) ?? this.provider.getTransactionReceipt(record.hash))
+      }
+      const unsubscribe = this.subscribe(check)
+      check()
+    })
+  }
+
+  dismiss(id) {
+    this._save(this.records.filter((r) => r.id !== id))
+  }
+
+  clearSettled() {
+    this._save(this.records.filter((r) => isOpen(r, this.confirmations)))
+  }
+
+  // One pass over the open transactions. A failed lookup is retried on the
+  // next pass.
+  async poll() {
+    if (this.polling) return
+    this.polling = true
+    try {
+      const open = this.records.filter((r) => isOpen(r, this.confirmations))
+      if (open.length === 0) return
+      const latest = await this.provider.getBlockNumber()
+      for (const record of open) {
+        try {
+          const update = await this._check(record, latest)
+          if (update) this._update(record.id, update)
+        } catch (error) {
+          console.error(`Tracking ${record.hash} failed:`, error)
+        }
+      }
+    } finally {
+      this.polling = false
+    }
+  }
+
+  async _check(record, latest) {
+    const receipt = await this.provider.getTransactionReceipt(record.hash)
+    if (receipt) {
+      this.receipts.set(record.id, receipt)
+      return {
+        status: receipt.status === 1 ? "confirmed" : "failed",
+        blockNumber: receipt.blockNumber,
+        confirmations: latest - receipt.blockNumber + 1,
+      }
+    }
+    // the block it was in got reorganized away
+    if (record.status === "confirmed") return { status: "pending", blockNumber: null, confirmations: 0 }
+
+    if (await this.provider.getTransaction(record.hash)) return { seenAt: this.now() }
+    if (!record.relayed && await this.provider.getTransactionCount(record.from, "latest") > record.nonce) {
+      return this._replaced(record, latest)
+    }
+    if (this.now() - record.seenAt > this.droppedAfterMs) return { status: "dropped" }
+    return null
+  }
+
+  async _replaced(record, latest) {
+    const first = Math.max(record.startBlock, latest - REPLACEMENT_SCAN_BLOCKS)
+    for (let n = first; n <= latest; n++) {
+      const block = await this.provider.getBlock(n, true)
+      const tx = block?.prefetchedTransactions.find((t) => sameAddress(t.from, record.from) && t.nonce === record.nonce)
+      if (!tx) continue
+      // mined after all, between the receipt and nonce lookups
+      if (tx.hash === record.hash) return null
+
+      const kind = replacementKind(record, tx)
+      if (kind !== "repriced") return { status: kind, replacedBy: tx.hash }
+      const followed = { ...record, hash: tx.hash, replacedHashes: [...record.replacedHashes, record.hash] }
+      return { hash: followed.hash, replacedHashes: followed.replacedHashes, ...await this._check(followed, latest) }
+    }
+    return { status: "replaced" }
+  }
+
+  _update(id, changes) {
+    this._save(this.records.map((r) => (r.id === id ? { ...r, ...changes } : r)))
+  }
+
+  _save(records) {
+    this.records = records.slice(0, MAX_RECORDS)
+    try {
+      this.storage?.setItem(this.key, JSON.stringify(this.records))
+    } catch (error) {
+      // full or disabled: tracking still works until the next reload
+      console.error("Saving transactions failed:", error)
+    }
+    for (const listener of this.listeners) listener()
+  }
+
+  _load() {
+    try {
+      return JSON.parse(this.storage?.getItem(this.key) ?? "[]")
+    } catch {
+      return []
+    }
+  }
+}
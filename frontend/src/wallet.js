@@ -0,0 +1,158 @@
+import { SUPPORTED_NETWORKS, toHexChainId } from './networks.js'
+
+// Wallet session over an EIP-1193 provider (window.ethereum). Keeps the
+// current account and chain in sync with the wallet and remembers whether the
+// user connected, so a reload reconnects without a prompt.
+//
+// React reads it through useSyncExternalStore(session.subscribe, session.getState).
+
+const STORAGE_KEY = "crowdfunding.wallet.connected"
+
+// EIP-1193 / EIP-3085 error codes
+export const USER_REJECTED = 4001
+export const UNRECOGNIZED_CHAIN = 4902
+
+export const DISCONNECTED = Object.freeze({ status: "disconnected", account: "", chainId: null })
+
+function defaultStorage() {
+  try {
+    return globalThis.localStorage ?? null
+  } catch {
+    return null
+  }
+}
+
+function errorCode(error) {
+  // MetaMask mobile nests the real code
+  return error?.code ?? error?.data?.originalError?.code
+}
+
+export class WalletSession {
+  constructor(ethereum, { storage = defaultStorage(), networks = SUPPORTED_NETWORKS } = {}) {
+    this.ethereum = ethereum
+    this.storage = storage
+    this.networks = networks
+    this.state = DISCONNECTED
+    this.listeners = new Set()
+    this.started = false
+
+    this.subscribe = this.subscribe.bind(this)
+    this.getState = this.getState.bind(this)
+    this._onAccountsChanged = this._onAccountsChanged.bind(this)
+    this._onChainChanged = this._onChainChanged.bind(this)
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  getState() {
+    return this.state
+  }
+
+  // Attach wallet listeners and, if the user connected before, reconnect
+  // via eth_accounts (which never prompts).
+  async start() {
+    if (this.started) return
+    this.started = true
+    this.ethereum.on("accountsChanged", this._onAccountsChanged)
+    this.ethereum.on("chainChanged", this._onChainChanged)
+
+    if (!this._remembered()) return
+    const accounts = await this.ethereum.request({ method: "eth_accounts" })
+    if (!this.started) return
+    if (accounts.length === 0) {
+      this._forget()
+      return
+    }
+    await this._connected(accounts)
+  }
+
+  stop() {
+    if (!this.started) return
+    this.started = false
+    this.ethereum.removeListener("accountsChanged", this._onAccountsChanged)
+    this.ethereum.removeListener("chainChanged", this._onChainChanged)
+  }
+
+  async connect() {
+    this._set({ ...this.state, status: "connecting" })
+    try {
+      const accounts = await this.ethereum.request({ method: "eth_requestAccounts" })
+      await this._connected(accounts)
+    } catch (error) {
+      this._set(DISCONNECTED)
+      throw error
+    }
+  }
+
+  // The dapp forgets the wallet; permissions are revoked where the wallet
+  // supports it, otherwise the next connect() just won't need a prompt.
+  async disconnect() {
+    this._forget()
+    this._set(DISCONNECTED)
+    try {
+      await this.ethereum.request({ method: "wallet_revokePermissions", params: [{ eth_accounts: {} }] })
+    } catch {
+      // not supported by every wallet
+    }
+  }
+
+  // Ask the wallet to switch; offer to add the network if it doesn't know it.
+  async switchChain(chainId) {
+    const network = this.networks[chainId]
+    if (!network) throw new Error(`Unsupported chain ${chainId}`)
+    const hexChainId = toHexChainId(chainId)
+    try {
+      await this.ethereum.request({ method: "wallet_switchEthereumChain", params: [{ chainId: hexChainId }] })
+    } catch (error) {
+      if (errorCode(error) !== UNRECOGNIZED_CHAIN) throw error
+      await this.ethereum.request({ method: "wallet_addEthereumChain", params: [{ chainId: hexChainId, ...network.wallet }] })
+    }
+  }
+
+  async _connected(accounts) {
+    if (accounts.length === 0) {
+      this._set(DISCONNECTED)
+      return
+    }
+    const chainId = Number(await this.ethereum.request({ method: "eth_chainId" }))
+    this._remember()
+    this._set({ status: "connected", account: accounts[0], chainId })
+  }
+
+  _onAccountsChanged(accounts) {
+    if (this.state.status !== "connected") return
+    if (accounts.length === 0) {
+      // locked or the site was disconnected in the wallet
+      this._forget()
+      this._set(DISCONNECTED)
+      return
+    }
+    if (accounts[0] !== this.state.account) this._set({ ...this.state, account: accounts[0] })
+  }
+
+  _onChainChanged(hexChainId) {
+    if (this.state.status !== "connected") return
+    const chainId = Number(hexChainId)
+    if (chainId !== this.state.chainId) this._set({ ...this.state, chainId })
+  }
+
+  _set(state) {
+    this.state = state
+    for (const listener of this.listeners) listener()
+  }
+
+  _remembered() {
+    return this.storage?.getItem(STORAGE_KEY) === "1"
+  }
+
+  _remember() {
+    this.storage?.setItem(STORAGE_KEY, "1")
+  }
+
+  _forget() {
+    this.storage?.removeItem(STORAGE_KEY)
+  }
+}
@@ -4,4 +4,13 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // deployment manifests live in ../deployments, written by scripts/deploy.js;
+  // modules shared with the Node scripts live in ../shared
+  server: {
+    fs: { allow: ['..'] },
+  },
+  // ../shared would otherwise resolve ethers from the root node_modules
+  resolve: {
+    dedupe: ['ethers'],
+  },
 })
@@ -0,0 +1,33 @@
+const fs = require("fs");
+
+// Usage:
+//   node scripts/allowlist.js backers.csv [allowlist.json]
+//
+// Builds the Merkle tree of a private campaign's allowlist from a CSV with
+// one address per line (first column; a header row and #comments are
+// skipped). Writes { root, proofs } as JSON to the output file or stdout:
+// pass the root to campaign:create --allowlist (or the create form) and give
+// backers the file, which the UI and campaign:contribute --pass accept.
+async function main() {
+  const [input, output] = process.argv.slice(2);
+  if (!input) {
+    throw new Error("Usage: node scripts/allowlist.js <backers.csv> [allowlist.json]");
+  }
+  const { parseAllowlistCsv, buildAllowlist } = await import("../shared/access.js");
+  const allowlist = buildAllowlist(parseAllowlistCsv(fs.readFileSync(input, "utf8")));
+  const json = JSON.stringify(allowlist, null, 2) + "\n";
+
+  if (output) {
+    fs.writeFileSync(output, json);
+    console.error(`${Object.keys(allowlist.proofs).length} addresses, root ${allowlist.root} -> ${output}`);
+  } else {
+    process.stdout.write(json);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -1,31 +1,110 @@
-const hre = require("hardhat");
-
-async function main() {
-  const [deployer] = await hre.ethers.getSigners();
-
-  console.log("Deploying contracts with the account:", deployer.address);
-
-  const RewardToken = await hre.ethers.getContractFactory("RewardToken");
-  const token = await RewardToken.deploy("Crowd Reward", "CRWD", deployer.address);
-  await token.waitForDeployment();
-  const tokenAddress = await token.getAddress();
-  console.log("RewardToken deployed to:", tokenAddress);
-
-  const Crowdfunding = await hre.ethers.getContractFactory("Crowdfunding");
-  const crowdfund = await Crowdfunding.deploy(tokenAddress);
-  await crowdfund.waitForDeployment();
-  const crowdfundAddress = await crowdfund.getAddress();
-  console.log("Crowdfunding deployed to:", crowdfundAddress);
-
-  const MINTER_ROLE = await token.MINTER_ROLE();
-  const tx = await token.grantRole(MINTER_ROLE, crowdfundAddress);
-  await tx.wait();
-  console.log("Minter role granted to Crowdfunding contract");
-}
-
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
+const hre = require("hardhat");
+const { writeManifest } = require("./lib/manifest");
+const { deployCrowdfundingProxy } = require("./lib/upgrades");
+const { governanceSettings, deployGovernance, LOCAL_CHAIN_ID } = require("./lib/governance");
+
+async function main() {
+  const [deployer] = await hre.ethers.getSigners();
+
+  console.log("Deploying contracts with the account:", deployer.address);
+
+  const RewardToken = await hre.ethers.getContractFactory("RewardToken");
+  const token = await RewardToken.deploy("Crowd Reward", "CRWD", deployer.address);
+  await token.waitForDeployment();
+  const tokenAddress = await token.getAddress();
+  console.log("RewardToken deployed to:", tokenAddress);
+
+  const BackerBadge = await hre.ethers.getContractFactory("BackerBadge");
+  const badge = await BackerBadge.deploy("Crowd Backer Badge", "CBADGE", deployer.address);
+  await badge.waitForDeployment();
+  const badgeAddress = await badge.getAddress();
+  console.log("BackerBadge deployed to:", badgeAddress);
+
+  // Relays signed requests (scripts/relayer.js); Crowdfunding trusts it for _msgSender()
+  const CrowdForwarder = await hre.ethers.getContractFactory("CrowdForwarder");
+  const forwarder = await CrowdForwarder.deploy();
+  await forwarder.waitForDeployment();
+  const forwarderAddress = await forwarder.getAddress();
+  console.log("CrowdForwarder deployed to:", forwarderAddress);
+
+  // Behind a UUPS proxy: later releases go through scripts/upgrade.js
+  const crowdfund = await deployCrowdfundingProxy(hre, { token, badge, forwarder }, deployer);
+  const crowdfundAddress = await crowdfund.getAddress();
+  console.log("Crowdfunding proxy deployed to:", crowdfundAddress);
+
+  const MINTER_ROLE = await token.MINTER_ROLE();
+  const tx = await token.grantRole(MINTER_ROLE, crowdfundAddress);
+  await tx.wait();
+  console.log("Minter role granted to Crowdfunding contract");
+
+  // Crowdfunding burns escrowed rewards of refunded backers
+  const BURNER_ROLE = await token.BURNER_ROLE();
+  const burnerTx = await token.grantRole(BURNER_ROLE, crowdfundAddress);
+  await burnerTx.wait();
+  console.log("Burner role granted to Crowdfunding contract");
+
+  // Crowdfunding issues, upgrades and revokes tier badges
+  const badgeTx = await badge.grantRole(await badge.MINTER_ROLE(), crowdfundAddress);
+  await badgeTx.wait();
+  console.log("Badge minter role granted to Crowdfunding contract");
+
+  // Optional platform fee; the treasury defaults to the deployer
+  if (process.env.TREASURY_ADDRESS) {
+    await (await crowdfund.setTreasury(process.env.TREASURY_ADDRESS)).wait();
+  }
+  if (process.env.PLATFORM_FEE_BPS) {
+    await (await crowdfund.setPlatformFee(Number(process.env.PLATFORM_FEE_BPS))).wait();
+  }
+  console.log(`Platform fee: ${await crowdfund.platformFeeBps()} bps to treasury ${await crowdfund.treasury()}`);
+
+  // Rewards only vest on campaigns this long and with at least this fee, so
+  // cycling funds through a campaign cannot mint CRWD for free. A local chain
+  // drops both so short demo campaigns earn CRWD to vote with.
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const local = Number(chainId) === LOCAL_CHAIN_ID;
+  const rewardMinDuration = process.env.REWARD_MIN_DURATION ?? (local ? 0 : 7 * 24 * 3600);
+  const rewardMinFeeBps = process.env.REWARD_MIN_FEE_BPS ?? (local ? 0 : 100);
+  await (await crowdfund.setRewardVesting(Number(rewardMinDuration), Number(rewardMinFeeBps))).wait();
+  console.log(`Rewards vest on campaigns of at least ${rewardMinDuration}s with a fee of at least ${rewardMinFeeBps} bps`);
+
+  // Deploys multi-owner CampaignTeams that create campaigns as a group
+  const CampaignTeamFactory = await hre.ethers.getContractFactory("CampaignTeamFactory");
+  const teamFactory = await CampaignTeamFactory.deploy(crowdfundAddress);
+  await teamFactory.waitForDeployment();
+  console.log("CampaignTeamFactory deployed to:", await teamFactory.getAddress());
+
+  // Allowlists, verifier attestations and per-backer limits of private campaigns
+  const ContributionGate = await hre.ethers.getContractFactory("ContributionGate");
+  const gate = await ContributionGate.deploy(crowdfundAddress);
+  await gate.waitForDeployment();
+  await (await crowdfund.setContributionGate(await gate.getAddress())).wait();
+  console.log("ContributionGate deployed to:", await gate.getAddress());
+
+  // From here on platform parameters and roles change only through CrowdGovernor proposals
+  const settings = governanceSettings(chainId);
+  const { timelock, governor } = await deployGovernance(hre, { token, badge, crowdfund }, settings, console.log);
+
+  // The in-process "hardhat" network is gone once this script exits
+  if (hre.network.name === "hardhat") {
+    console.log("Skipping deployment manifest for the in-process hardhat network");
+    return;
+  }
+  const { file } = await writeManifest(hre, {
+    RewardToken: token,
+    BackerBadge: badge,
+    CrowdForwarder: forwarder,
+    Crowdfunding: crowdfund,
+    TimelockController: timelock,
+    CrowdGovernor: governor,
+    CampaignTeamFactory: teamFactory,
+    ContributionGate: gate,
+  });
+  console.log("Deployment manifest written to:", file);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
   });
\ No newline at end of file
@@ -0,0 +1,62 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { readManifest } = require("./lib/manifest");
+
+// Usage:
+//   npx hardhat run scripts/export.js --network localhost
+//
+// Writes each campaign's backer ledger to exports/campaign-<id>-backers.csv
+// (or .json with the funding curve, size distribution and every event) and
+// checks it against contributions(id, addr) and totalRaised. Exits non-zero
+// if any campaign does not reconcile. The address comes from
+// deployments/<chainId>.json unless CROWDFUNDING_ADDRESS is set.
+// Optional env: EXPORT_CAMPAIGNS (comma-separated ids, default all),
+// EXPORT_FORMAT (csv | json, default csv), EXPORT_DIR (exports)
+async function main() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const manifest = readManifest(chainId);
+  const address = process.env.CROWDFUNDING_ADDRESS ?? manifest?.contracts.Crowdfunding.address;
+  if (!address) throw new Error(`CROWDFUNDING_ADDRESS is not set and there is no manifest for chain ${chainId}`);
+  const fromBlock = process.env.CROWDFUNDING_ADDRESS ? 0 : manifest.contracts.Crowdfunding.blockNumber;
+
+  const format = process.env.EXPORT_FORMAT ?? "csv";
+  if (!["csv", "json"].includes(format)) throw new Error(`EXPORT_FORMAT must be csv or json, not ${format}`);
+  const dir = process.env.EXPORT_DIR ?? "exports";
+
+  const crowdfund = await hre.ethers.getContractAt("Crowdfunding", address);
+  const ids = process.env.EXPORT_CAMPAIGNS
+    ? process.env.EXPORT_CAMPAIGNS.split(",").map((id) => Number(id.trim()))
+    : [...Array(Number(await crowdfund.campaignCount())).keys()];
+
+  const { fetchCampaignAnalytics, ledgerToCsv, analyticsToJson } = await import("../shared/analytics.js");
+  const { loadCurrencies } = await import("../shared/currency.js");
+  fs.mkdirSync(dir, { recursive: true });
+
+  let unreconciled = 0;
+  for (const id of ids) {
+    const currencyAddress = await crowdfund.campaignCurrency(id);
+    const currency = (await loadCurrencies(hre.ethers.provider, [currencyAddress])).get(currencyAddress);
+    const analytics = await fetchCampaignAnalytics(crowdfund, id, fromBlock);
+    const file = path.join(dir, `campaign-${id}-backers.${format}`);
+    fs.writeFileSync(file, format === "csv" ? ledgerToCsv(analytics, currency) : analyticsToJson(analytics, currency));
+
+    const { ok, mismatches, totalRaised } = analytics.reconciliation;
+    console.log(`#${id}: ${analytics.backers.length} backers -> ${file}` + (ok ? "" : " (DOES NOT RECONCILE)"));
+    for (const m of mismatches) {
+      console.log(`  ${m.account}: ${m.ledgerWei} in events, ${m.onChainWei} on chain`);
+    }
+    if (totalRaised.ledgerWei !== totalRaised.onChainWei) {
+      console.log(`  totalRaised: ${totalRaised.ledgerWei} in events, ${totalRaised.onChainWei} on chain`);
+    }
+    if (!ok) unreconciled++;
+  }
+  if (unreconciled) throw new Error(`${unreconciled} of ${ids.length} campaigns do not reconcile`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,61 @@
+const path = require("path");
+const hre = require("hardhat");
+const { CampaignStore } = require("./lib/campaignStore");
+const { CampaignIndexer } = require("./lib/indexer");
+const { createApiServer } = require("./lib/api");
+const { readManifest } = require("./lib/manifest");
+
+// Usage:
+//   npx hardhat run scripts/indexer.js --network localhost
+//
+// The address and start block come from deployments/<chainId>.json unless
+// CROWDFUNDING_ADDRESS / INDEXER_START_BLOCK are set.
+// Optional env: INDEXER_PORT (8787), INDEXER_DB (cache/indexer-<network>.json),
+// INDEXER_CONFIRMATIONS (0), INDEXER_POLL_MS (2000)
+async function main() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deployed = readManifest(chainId)?.contracts.Crowdfunding;
+  const address = process.env.CROWDFUNDING_ADDRESS ?? deployed?.address;
+  if (!address) throw new Error(`CROWDFUNDING_ADDRESS is not set and there is no manifest for chain ${chainId}`);
+
+  const port = Number(process.env.INDEXER_PORT ?? 8787);
+  const dbPath = process.env.INDEXER_DB
+    ?? path.join(hre.config.paths.cache, `indexer-${hre.network.name}.json`);
+
+  const crowdfund = await hre.ethers.getContractAt("Crowdfunding", address);
+  const store = CampaignStore.load(dbPath);
+  const indexer = new CampaignIndexer({
+    contract: crowdfund,
+    store,
+    startBlock: Number(process.env.INDEXER_START_BLOCK
+      ?? (process.env.CROWDFUNDING_ADDRESS ? 0 : deployed.blockNumber)),
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS ?? 0),
+    logger: (...args) => console.log(...args),
+  });
+
+  if (store.checkpoint) {
+    console.log("Resuming from checkpoint block:", store.checkpoint.blockNumber);
+  }
+  await indexer.sync();
+  console.log("Indexed up to block:", store.checkpoint?.blockNumber);
+
+  const server = createApiServer(store);
+  await new Promise((resolve) => server.listen(port, resolve));
+  console.log(`Indexer API listening on http://localhost:${port}`);
+
+  indexer.start(Number(process.env.INDEXER_POLL_MS ?? 2000));
+
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+  indexer.stop();
+  server.close();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,42 @@
+const hre = require("hardhat");
+const { CampaignKeeper, jsonLogger } = require("./lib/keeper");
+const { readManifest } = require("./lib/manifest");
+
+// Usage:
+//   npx hardhat run scripts/keeper.js --network localhost
+//
+// Finalizes campaigns as their deadlines pass, using the first configured
+// account. The address comes from deployments/<chainId>.json unless
+// CROWDFUNDING_ADDRESS is set.
+// Optional env: KEEPER_POLL_MS (15000), KEEPER_RESUBMIT_MS (60000),
+// KEEPER_GAS_BUMP_PERCENT (20), KEEPER_MAX_ATTEMPTS (5)
+async function main() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const address = process.env.CROWDFUNDING_ADDRESS ?? readManifest(chainId)?.contracts.Crowdfunding.address;
+  if (!address) throw new Error(`CROWDFUNDING_ADDRESS is not set and there is no manifest for chain ${chainId}`);
+
+  const [signer] = await hre.ethers.getSigners();
+  const crowdfund = await hre.ethers.getContractAt("Crowdfunding", address, signer);
+  const keeper = new CampaignKeeper({
+    contract: crowdfund,
+    resubmitAfterMs: Number(process.env.KEEPER_RESUBMIT_MS ?? 60_000),
+    gasBumpPercent: Number(process.env.KEEPER_GAS_BUMP_PERCENT ?? 20),
+    maxAttempts: Number(process.env.KEEPER_MAX_ATTEMPTS ?? 5),
+  });
+
+  jsonLogger({ level: "info", event: "started", address, keeper: signer.address });
+  keeper.start(Number(process.env.KEEPER_POLL_MS ?? 15_000));
+
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+  keeper.stop();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,51 @@
+const http = require("http");
+const { serializeCampaign } = require("./campaignStore");
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(body));
+}
+
+// Read-only HTTP API over a CampaignStore:
+//   GET /status          -> { checkpoint, campaignCount }
+//   GET /campaigns       -> [campaign, ...]
+//   GET /campaigns/:id   -> campaign with per-contributor amounts
+function createApiServer(store) {
+  return http.createServer((req, res) => {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, OPTIONS",
+      });
+      return res.end();
+    }
+    if (req.method !== "GET") return sendJson(res, 405, { error: "Method not allowed" });
+
+    const { pathname } = new URL(req.url, "http://localhost");
+    const parts = pathname.split("/").filter(Boolean);
+
+    if (parts.length === 1 && parts[0] === "status") {
+      return sendJson(res, 200, {
+        checkpoint: store.checkpoint,
+        campaignCount: store.campaigns.size,
+      });
+    }
+
+    if (parts[0] === "campaigns" && parts.length === 1) {
+      return sendJson(res, 200, store.listCampaigns().map((c) => serializeCampaign(c)));
+    }
+
+    if (parts[0] === "campaigns" && parts.length === 2) {
+      const c = /^\d+$/.test(parts[1]) ? store.getCampaign(parts[1]) : undefined;
+      if (!c) return sendJson(res, 404, { error: "Campaign not found" });
+      return sendJson(res, 200, serializeCampaign(c, { withContributions: true }));
+    }
+
+    return sendJson(res, 404, { error: "Not found" });
+  });
+}
+
+module.exports = { createApiServer, sendJson };
@@ -0,0 +1,361 @@
+const fs = require("fs");
+const path = require("path");
+const { keccak256, AbiCoder, ZeroAddress } = require("ethers");
+
+const FINALIZED_MASK = 1;
+const SUCCESSFUL_MASK = 2;
+const MILESTONE_REJECTED_MASK = 4;
+const CANCELLED_MASK = 8;
+// NO_REWARDS_MASK (16) is set at creation without an event of its own, so
+// `flags` here only carries the lifecycle bits above.
+
+function titleHashOf(title) {
+  return keccak256(AbiCoder.defaultAbiCoder().encode(["string"], [title]));
+}
+
+function eventLogPath(filePath) {
+  return `${filePath}.events.jsonl`;
+}
+
+// The first `bytes` of the log, one JSON event per line. Anything after that
+// was appended by a save that never got to record it, and is cut off.
+function readEventLog(logPath, bytes) {
+  if (!fs.existsSync(logPath)) return { events: [], complete: bytes === 0 };
+  const buf = fs.readFileSync(logPath);
+  if (buf.length > bytes) fs.truncateSync(logPath, bytes);
+  const events = buf.subarray(0, bytes).toString("utf8").split("\n").filter(Boolean).map((line) => JSON.parse(line));
+  return { events, complete: buf.length >= bytes };
+}
+
+function writeAtomically(filePath, contents) {
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, contents);
+  fs.renameSync(tmp, filePath);
+}
+
+// Event log + campaign projection. The log is the source of truth: campaigns
+// are rebuilt from it on load and after a reorg rollback, so the projection
+// never has to be undone event by event.
+//
+// On disk the log is appended to `<filePath>.events.jsonl`, so a save writes
+// only the events since the last one. `filePath` itself holds the checkpoint,
+// the recent block hashes and how much of the log they cover; it is replaced
+// atomically after the append. Only a rollback rewrites the whole log.
+class CampaignStore {
+  constructor(filePath = null) {
+    this.filePath = filePath;
+    this.events = [];
+    // blockNumber => blockHash, used to detect reorgs
+    this.blocks = new Map();
+    this.checkpoint = null; // { blockNumber, blockHash }
+    this.campaigns = new Map();
+    // events and bytes of the log on disk; null = rewrite it on the next save
+    this.saved = { events: 0, bytes: 0 };
+  }
+
+  static load(filePath) {
+    const store = new CampaignStore(filePath);
+    if (!filePath || !fs.existsSync(filePath)) return store;
+
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (data.eventLog) {
+      const { events, complete } = readEventLog(eventLogPath(filePath), data.eventLog.bytes);
+      if (!complete) {
+        // the log lost events the checkpoint covers: index from the start
+        store.saved = null;
+        return store;
+      }
+      store.events = events;
+      store.saved = data.eventLog;
+    } else {
+      // saved before the log moved to its own file
+      store.events = data.events ?? [];
+      store.saved = null;
+    }
+    store.blocks = new Map((data.blocks ?? []).map(([n, h]) => [Number(n), h]));
+    store.checkpoint = data.checkpoint ?? null;
+    store.rebuild();
+    return store;
+  }
+
+  save() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const logPath = eventLogPath(this.filePath);
+    const lines = (events) => events.map((e) => `${JSON.stringify(e)}\n`).join("");
+
+    if (this.saved) {
+      const added = lines(this.events.slice(this.saved.events));
+      if (added) fs.appendFileSync(logPath, added);
+      this.saved = { events: this.events.length, bytes: this.saved.bytes + Buffer.byteLength(added) };
+    } else {
+      const all = lines(this.events);
+      writeAtomically(logPath, all);
+      this.saved = { events: this.events.length, bytes: Buffer.byteLength(all) };
+    }
+
+    writeAtomically(this.filePath, JSON.stringify({
+      checkpoint: this.checkpoint,
+      blocks: [...this.blocks.entries()],
+      eventLog: this.saved,
+    }));
+  }
+
+  rememberBlock(blockNumber, blockHash) {
+    this.blocks.set(blockNumber, blockHash);
+  }
+
+  setCheckpoint(blockNumber, blockHash) {
+    this.rememberBlock(blockNumber, blockHash);
+    this.checkpoint = { blockNumber, blockHash };
+  }
+
+  // Forget block hashes older than `keepFrom`, always keeping the checkpoint.
+  pruneBlocks(keepFrom) {
+    for (const n of this.blocks.keys()) {
+      if (n < keepFrom && n !== this.checkpoint?.blockNumber) this.blocks.delete(n);
+    }
+  }
+
+  knownBlocksDescending() {
+    return [...this.blocks.entries()].sort((a, b) => b[0] - a[0]);
+  }
+
+  append(event) {
+    this.events.push(event);
+    this.rememberBlock(event.blockNumber, event.blockHash);
+    this.apply(event);
+  }
+
+  // Drop everything after `blockNumber` and rebuild the projection.
+  rollback(blockNumber, blockHash) {
+    const kept = this.events.filter((e) => e.blockNumber <= blockNumber);
+    if (this.saved && kept.length < this.saved.events) this.saved = null;
+    this.events = kept;
+    for (const n of this.blocks.keys()) {
+      if (n > blockNumber) this.blocks.delete(n);
+    }
+    this.checkpoint = blockHash === null ? null : { blockNumber, blockHash };
+    this.rebuild();
+  }
+
+  rebuild() {
+    this.campaigns = new Map();
+    for (const e of this.events) this.apply(e);
+  }
+
+  apply(event) {
+    const { name, args } = event;
+    const id = Number(args.id);
+
+    if (name === "CampaignCreated") {
+      // createCampaign stores the hash of the very title it emits, so it is
+      // computed here rather than read back per campaign. An event carrying
+      // its own `titleHash` (e.g. from another source) is checked against it.
+      const titleHash = event.titleHash ?? titleHashOf(args.title);
+      this.campaigns.set(id, {
+        id,
+        creator: args.creator,
+        title: args.title,
+        titleHash,
+        titleVerified: titleHashOf(args.title) === titleHash,
+        description: "",
+        imageUrl: "",
+        currency: ZeroAddress,
+        goalWei: BigInt(args.goalWei),
+        totalRaised: 0n,
+        deadline: Number(args.deadline),
+        deadlineExtension: 0,
+        hardCapWei: 0n,
+        finishOnGoal: false,
+        feesCollected: 0n,
+        flags: 0,
+        milestones: null,
+        stretchGoals: [],
+        stretchGoalsReached: 0,
+        tiers: [],
+        // backer => tier index of their badge
+        backerTiers: new Map(),
+        contributions: new Map(),
+        createdAtBlock: event.blockNumber,
+        updatedAtBlock: event.blockNumber,
+      });
+      return;
+    }
+
+    const c = this.campaigns.get(id);
+    if (!c) return;
+    c.updatedAtBlock = event.blockNumber;
+    const plan = c.milestones;
+
+    switch (name) {
+      case "Contributed": {
+        const amount = BigInt(args.amountWei);
+        c.totalRaised += amount;
+        c.contributions.set(args.contributor, (c.contributions.get(args.contributor) ?? 0n) + amount);
+        break;
+      }
+      case "CampaignMetadata":
+        c.description = args.description;
+        c.imageUrl = args.imageUrl;
+        break;
+      case "CampaignOptionsSet":
+        if (args.milestoneBps.length) {
+          c.milestones = {
+            bps: args.milestoneBps.map(Number),
+            current: 0,
+            voteEnd: 0,
+            baseWei: 0n,
+            releasedWei: 0n,
+            releasableWei: 0n,
+            approveWeight: 0n,
+            rejectWeight: 0n,
+            requestDue: 0,
+          };
+        }
+        c.stretchGoals = args.stretchGoalsWei.map(BigInt);
+        c.currency = args.currency;
+        c.hardCapWei = BigInt(args.hardCapWei);
+        c.finishOnGoal = args.finishOnGoal;
+        break;
+      case "CampaignTiersSet":
+        c.tiers = args.tiers.map((t) => ({ name: t.name, minWei: BigInt(t.minWei), limit: Number(t.limit), claimed: 0 }));
+        break;
+      case "TierAwarded": {
+        const previous = c.backerTiers.get(args.backer);
+        if (previous !== undefined) c.tiers[previous].claimed--;
+        c.tiers[Number(args.tier)].claimed++;
+        c.backerTiers.set(args.backer, Number(args.tier));
+        break;
+      }
+      case "StretchGoalReached":
+        c.stretchGoalsReached = Number(args.index) + 1;
+        break;
+      case "Finalized":
+        c.flags = FINALIZED_MASK | (args.successful ? SUCCESSFUL_MASK : 0);
+        if (args.successful && plan) plan.baseWei = c.totalRaised;
+        break;
+      case "Cancelled":
+        c.flags = FINALIZED_MASK | CANCELLED_MASK;
+        break;
+      case "DeadlineExtended":
+        c.deadline = Number(args.deadline);
+        c.deadlineExtension = Number(args.totalExtension);
+        break;
+      case "ClosedEarly":
+        c.deadline = Number(args.deadline);
+        break;
+      case "MilestoneRequested":
+        plan.current = Number(args.index);
+        plan.voteEnd = Number(args.voteEnd);
+        plan.approveWeight = 0n;
+        plan.rejectWeight = 0n;
+        break;
+      case "MilestoneVoted":
+        if (args.approve) plan.approveWeight += BigInt(args.weight);
+        else plan.rejectWeight += BigInt(args.weight);
+        break;
+      case "MilestoneResolved":
+        plan.voteEnd = 0;
+        if (args.approved) {
+          plan.releasedWei += BigInt(args.releasedWei);
+          plan.releasableWei += BigInt(args.releasedWei);
+          plan.current = Number(args.index) + 1;
+          if (plan.current === plan.bps.length) plan.requestDue = 0;
+        } else {
+          c.flags |= MILESTONE_REJECTED_MASK;
+        }
+        break;
+      case "MilestoneDue":
+        plan.requestDue = Number(args.dueBy);
+        break;
+      // emitted just before Withdrawn, which carries the creator's share only
+      case "FeeCollected":
+        c.totalRaised -= BigInt(args.amountWei);
+        c.feesCollected += BigInt(args.amountWei);
+        break;
+      case "Withdrawn":
+        c.totalRaised -= BigInt(args.amountWei);
+        if (plan) plan.releasableWei = 0n;
+        break;
+      // the first reclaim of an overdue campaign marks it rejected
+      case "Reclaimed":
+        c.flags |= MILESTONE_REJECTED_MASK;
+        c.totalRaised -= BigInt(args.amountWei);
+        c.contributions.set(args.backer, 0n);
+        break;
+      case "Refunded": {
+        const amount = BigInt(args.amountWei);
+        c.totalRaised -= amount;
+        c.contributions.set(args.contributor, (c.contributions.get(args.contributor) ?? 0n) - amount);
+        // the badge is burned; tier stock is not given back
+        c.backerTiers.delete(args.contributor);
+        break;
+      }
+    }
+  }
+
+  getCampaign(id) {
+    return this.campaigns.get(Number(id));
+  }
+
+  listCampaigns() {
+    return [...this.campaigns.values()].sort((a, b) => a.id - b.id);
+  }
+}
+
+// JSON-safe view of a campaign (bigints as decimal strings).
+function serializeCampaign(c, { withContributions = false } = {}) {
+  const out = {
+    id: c.id,
+    creator: c.creator,
+    title: c.title,
+    titleHash: c.titleHash,
+    titleVerified: c.titleVerified,
+    description: c.description,
+    imageUrl: c.imageUrl,
+    currency: c.currency,
+    goalWei: c.goalWei.toString(),
+    totalRaised: c.totalRaised.toString(),
+    deadline: c.deadline,
+    deadlineExtension: c.deadlineExtension,
+    hardCapWei: c.hardCapWei.toString(),
+    finishOnGoal: c.finishOnGoal,
+    feesCollected: c.feesCollected.toString(),
+    flags: c.flags,
+    finalized: (c.flags & FINALIZED_MASK) !== 0,
+    successful: (c.flags & SUCCESSFUL_MASK) !== 0,
+    cancelled: (c.flags & CANCELLED_MASK) !== 0,
+    milestones: c.milestones && {
+      ...c.milestones,
+      count: c.milestones.bps.length,
+      baseWei: c.milestones.baseWei.toString(),
+      releasedWei: c.milestones.releasedWei.toString(),
+      releasableWei: c.milestones.releasableWei.toString(),
+      approveWeight: c.milestones.approveWeight.toString(),
+      rejectWeight: c.milestones.rejectWeight.toString(),
+    },
+    stretchGoals: c.stretchGoals.map(String),
+    stretchGoalsReached: c.stretchGoalsReached,
+    tiers: c.tiers.map((t) => ({ ...t, minWei: t.minWei.toString() })),
+  };
+  if (withContributions) {
+    out.contributions = Object.fromEntries(
+      [...c.contributions.entries()]
+        .filter(([, v]) => v > 0n)
+        .map(([k, v]) => [k, v.toString()])
+    );
+    out.backerTiers = Object.fromEntries(c.backerTiers);
+  }
+  return out;
+}
+
+module.exports = {
+  CampaignStore,
+  serializeCampaign,
+  titleHashOf,
+  FINALIZED_MASK,
+  SUCCESSFUL_MASK,
+  MILESTONE_REJECTED_MASK,
+  CANCELLED_MASK,
+};
@@ -0,0 +1,74 @@
+// Deploys the TimelockController + CrowdGovernor pair and hands every admin
+// role and CONFIG_ROLE of the platform contracts over to the timelock.
+// Shared by scripts/deploy.js and the governance tests.
+
+const LOCAL_CHAIN_ID = 31337;
+
+// Voting delay/period are in blocks (the token's clock), the timelock delay
+// in seconds. A local chain only mines on transactions, so its defaults are short.
+function governanceSettings(chainId, env = process.env) {
+  const local = Number(chainId) === LOCAL_CHAIN_ID;
+  const setting = (name, fallback) => (env[name] ? Number(env[name]) : fallback);
+  return {
+    votingDelay: setting("GOVERNOR_VOTING_DELAY", 1),
+    votingPeriod: setting("GOVERNOR_VOTING_PERIOD", local ? 20 : 50400), // ~1 week of 12s blocks
+    proposalThreshold: BigInt(env.GOVERNOR_PROPOSAL_THRESHOLD || 0),
+    quorumPercent: setting("GOVERNOR_QUORUM_PERCENT", 4),
+    timelockDelay: setting("TIMELOCK_MIN_DELAY", local ? 60 : 2 * 24 * 3600),
+  };
+}
+
+async function sendAndWait(txPromise) {
+  return (await txPromise).wait();
+}
+
+// `contracts` must still be administered by the first signer.
+async function deployGovernance(hre, { token, badge, crowdfund }, settings, log = () => {}) {
+  const { ethers } = hre;
+  const [deployer] = await ethers.getSigners();
+
+  // Anyone may execute a queued proposal once its delay has passed
+  const Timelock = await ethers.getContractFactory("TimelockController");
+  const timelock = await Timelock.deploy(settings.timelockDelay, [], [ethers.ZeroAddress], deployer.address);
+  await timelock.waitForDeployment();
+  const timelockAddress = await timelock.getAddress();
+  log(`TimelockController deployed to: ${timelockAddress}`);
+
+  const CrowdGovernor = await ethers.getContractFactory("CrowdGovernor");
+  const governor = await CrowdGovernor.deploy(
+    await token.getAddress(),
+    timelockAddress,
+    settings.votingDelay,
+    settings.votingPeriod,
+    settings.proposalThreshold,
+    settings.quorumPercent,
+  );
+  await governor.waitForDeployment();
+  const governorAddress = await governor.getAddress();
+  log(`CrowdGovernor deployed to: ${governorAddress}`);
+
+  await sendAndWait(timelock.grantRole(await timelock.PROPOSER_ROLE(), governorAddress));
+  await sendAndWait(timelock.grantRole(await timelock.CANCELLER_ROLE(), governorAddress));
+
+  const ADMIN = await crowdfund.DEFAULT_ADMIN_ROLE();
+  const CONFIG_ROLE = await crowdfund.CONFIG_ROLE();
+  const UPGRADER_ROLE = await crowdfund.UPGRADER_ROLE();
+  await sendAndWait(crowdfund.grantRole(CONFIG_ROLE, timelockAddress));
+  await sendAndWait(crowdfund.grantRole(UPGRADER_ROLE, timelockAddress));
+  for (const contract of [crowdfund, token, badge]) {
+    await sendAndWait(contract.grantRole(ADMIN, timelockAddress));
+  }
+  log("Admin roles granted to TimelockController");
+
+  // Renounce last: the deployer keeps no say over the platform or the timelock
+  await sendAndWait(crowdfund.renounceRole(CONFIG_ROLE, deployer.address));
+  await sendAndWait(crowdfund.renounceRole(UPGRADER_ROLE, deployer.address));
+  for (const contract of [crowdfund, token, badge, timelock]) {
+    await sendAndWait(contract.renounceRole(ADMIN, deployer.address));
+  }
+  log("Deployer roles renounced");
+
+  return { timelock, governor };
+}
+
+module.exports = { governanceSettings, deployGovernance, LOCAL_CHAIN_ID };
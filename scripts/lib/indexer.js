@@ -0,0 +1,174 @@
+const INDEXED_EVENTS = [
+  "CampaignCreated",
+  "CampaignMetadata",
+  "CampaignOptionsSet",
+  "Contributed",
+  "StretchGoalReached",
+  "Finalized",
+  "MilestoneRequested",
+  "MilestoneVoted",
+  "MilestoneResolved",
+  "MilestoneDue",
+  "FeeCollected",
+  "Withdrawn",
+  "Refunded",
+  "Reclaimed",
+  "Cancelled",
+  "DeadlineExtended",
+  "ClosedEarly",
+  "CampaignTiersSet",
+  "TierAwarded",
+];
+
+// Tuples become objects keyed by component name.
+function serializeArg(value, param) {
+  if (typeof value === "bigint") return value.toString();
+  if (param?.baseType === "tuple") {
+    return Object.fromEntries(param.components.map((c, i) => [c.name, serializeArg(value[i], c)]));
+  }
+  if (Array.isArray(value)) return value.map((v) => serializeArg(v, param?.arrayChildren));
+  return value;
+}
+
+// `parsed` is the log decoded by the contract interface.
+function serializeLog(log, parsed) {
+  const args = {};
+  for (const input of parsed.fragment.inputs) {
+    args[input.name] = serializeArg(parsed.args[input.name], input);
+  }
+  return {
+    name: parsed.name,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    logIndex: log.index,
+    transactionHash: log.transactionHash,
+    args,
+  };
+}
+
+// Follows Crowdfunding events into a CampaignStore.
+//
+// Each sync first checks that the checkpoint block is still canonical; if not,
+// it walks back through the remembered block hashes to the newest one that
+// still matches and rolls the store back to it before scanning forward again.
+class CampaignIndexer {
+  constructor({
+    contract,
+    store,
+    startBlock = 0,
+    confirmations = 0,
+    batchSize = 2000,
+    reorgDepth = 64,
+    logger = null,
+  }) {
+    this.contract = contract;
+    this.provider = contract.runner.provider ?? contract.runner;
+    this.store = store;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.reorgDepth = reorgDepth;
+    this.logger = logger;
+    // topic0 of every indexed event, OR-ed into one getLogs filter
+    this.topics = INDEXED_EVENTS.map((name) => contract.interface.getEvent(name).topicHash);
+    this._timer = null;
+    this._syncing = null;
+  }
+
+  _log(...args) {
+    if (this.logger) this.logger(...args);
+  }
+
+  async _canonicalHash(blockNumber) {
+    const block = await this.provider.getBlock(blockNumber);
+    return block ? block.hash : null;
+  }
+
+  // Returns true if a reorg was detected and the store was rolled back.
+  async _handleReorg() {
+    const cp = this.store.checkpoint;
+    if (!cp) return false;
+    if ((await this._canonicalHash(cp.blockNumber)) === cp.blockHash) return false;
+
+    for (const [n, hash] of this.store.knownBlocksDescending()) {
+      if ((await this._canonicalHash(n)) === hash) {
+        this._log(`reorg detected, rolling back to block ${n}`);
+        this.store.rollback(n, hash);
+        return true;
+      }
+    }
+
+    this._log("reorg deeper than remembered blocks, reindexing from start");
+    this.store.rollback(this.startBlock - 1, null);
+    return true;
+  }
+
+  // One getLogs call for all indexed events in the range.
+  async _queryRange(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({
+      address: await this.contract.getAddress(),
+      topics: [this.topics],
+      fromBlock,
+      toBlock,
+    });
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    return logs.map((log) => serializeLog(log, this.contract.interface.parseLog(log)));
+  }
+
+  async _sync() {
+    await this._handleReorg();
+
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    let from = this.store.checkpoint ? this.store.checkpoint.blockNumber + 1 : this.startBlock;
+
+    while (from <= head) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      // read before the logs: if `to` is reorged away in between, the next
+      // sync sees a stale checkpoint and rolls back instead of keeping logs
+      // that don't match the saved hash
+      const toHash = await this._canonicalHash(to);
+      const events = await this._queryRange(from, to);
+      for (const e of events) this.store.append(e);
+
+      this.store.setCheckpoint(to, toHash);
+      this.store.pruneBlocks(to - this.reorgDepth);
+      this.store.save();
+
+      if (events.length) this._log(`indexed ${events.length} event(s) in blocks ${from}..${to}`);
+      from = to + 1;
+    }
+
+    return this.store.checkpoint;
+  }
+
+  // Catch up to the current head. Concurrent callers share one pass.
+  sync() {
+    if (!this._syncing) {
+      this._syncing = this._sync().finally(() => {
+        this._syncing = null;
+      });
+    }
+    return this._syncing;
+  }
+
+  start(pollMs = 2000) {
+    if (this._timer) return;
+    const tick = async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        this._log("sync failed:", error.message ?? error);
+      }
+      if (this._timer) this._timer = setTimeout(tick, pollMs);
+    };
+    this._timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+  }
+}
+
+module.exports = { CampaignIndexer, INDEXED_EVENTS };
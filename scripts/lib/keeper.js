@@ -0,0 +1,236 @@
+const FINALIZED_MASK = 1;
+
+// One JSON object per line, so the output can be shipped to any log pipeline.
+function jsonLogger(entry) {
+  const line = { time: new Date().toISOString(), ...entry };
+  console.log(JSON.stringify(line, (_, v) => (typeof v === "bigint" ? v.toString() : v)));
+}
+
+function bumpFees(fees, percent) {
+  const bump = (v) => (v * BigInt(100 + percent)) / 100n;
+  return fees.gasPrice != null
+    ? { gasPrice: bump(fees.gasPrice) }
+    : { maxFeePerGas: bump(fees.maxFeePerGas), maxPriorityFeePerGas: bump(fees.maxPriorityFeePerGas) };
+}
+
+// Finalizes campaigns once their deadline has passed.
+//
+// Campaigns are kept in a queue ordered by deadline. A due campaign is
+// re-checked (including against the pending block, so a finalize already in
+// the mempool is not sent twice), then submitted. An unconfirmed submission is
+// replaced after `resubmitAfterMs` with the same nonce and fees bumped by
+// `gasBumpPercent`, so at most one of its transactions can ever be mined.
+class CampaignKeeper {
+  constructor({
+    contract,
+    logger = jsonLogger,
+    gasBumpPercent = 20,
+    resubmitAfterMs = 60_000,
+    maxAttempts = 5,
+    clock = Date.now,
+  }) {
+    this.contract = contract;
+    this.signer = contract.runner;
+    this.provider = contract.runner.provider;
+    this.logger = logger;
+    this.gasBumpPercent = gasBumpPercent;
+    this.resubmitAfterMs = resubmitAfterMs;
+    this.maxAttempts = maxAttempts;
+    this.clock = clock;
+
+    this.queue = []; // [{ id, deadline, failures }] by deadline
+    this.inFlight = new Map(); // id -> { hashes, nonce, fees, gasLimit, attempt, sentAt }
+    this.nextId = 0;
+    this._ticking = null;
+    this._timer = null;
+  }
+
+  _log(level, event, fields = {}) {
+    this.logger({ level, event, ...fields });
+  }
+
+  async _describe(error) {
+    const { decodeError } = await import("../../shared/errors.js");
+    const { kind, name, message } = decodeError(error, [this.contract.interface]);
+    return { kind, name, message };
+  }
+
+  _enqueue(entry) {
+    const at = this.queue.findIndex((e) => e.deadline > entry.deadline);
+    this.queue.splice(at === -1 ? this.queue.length : at, 0, entry);
+  }
+
+  async _isFinalized(id) {
+    return (Number((await this.contract.campaigns(id)).flags) & FINALIZED_MASK) !== 0;
+  }
+
+  // Pick up campaigns created since the last scan.
+  async _scan() {
+    const count = Number(await this.contract.campaignCount());
+    for (; this.nextId < count; this.nextId++) {
+      const c = await this.contract.campaigns(this.nextId);
+      if (Number(c.flags) & FINALIZED_MASK) continue;
+      const deadline = Number(c.deadline);
+      this._enqueue({ id: this.nextId, deadline, failures: 0 });
+      this._log("info", "queued", { id: this.nextId, deadline });
+    }
+  }
+
+  async _fees() {
+    const { gasPrice, maxFeePerGas, maxPriorityFeePerGas } = await this.provider.getFeeData();
+    return maxFeePerGas != null ? { maxFeePerGas, maxPriorityFeePerGas } : { gasPrice };
+  }
+
+  async _submitDue(entry) {
+    const { id } = entry;
+    if (await this._isFinalized(id)) {
+      this._log("info", "skipped", { id, reason: "already finalized" });
+      return;
+    }
+    try {
+      // the pending block includes our own (or anyone's) finalize still in the mempool
+      await this.contract.finalize.staticCall(id, { blockTag: "pending" });
+    } catch (error) {
+      const reason = await this._describe(error);
+      if (reason.name === "AlreadyFinalized") {
+        this._log("info", "skipped", { id, reason: "finalize pending in mempool" });
+        return;
+      }
+      if (reason.name === "CampaignNotEnded") {
+        // the creator extended the deadline
+        entry.deadline = Number((await this.contract.campaigns(id)).deadline);
+        this._enqueue(entry);
+        return;
+      }
+      return this._failed(entry, reason);
+    }
+
+    try {
+      const nonce = await this.signer.getNonce("pending");
+      const fees = await this._fees();
+      const tx = await this.contract.finalize(id, { nonce, ...fees });
+      this.inFlight.set(id, {
+        hashes: [tx.hash],
+        nonce,
+        fees,
+        gasLimit: tx.gasLimit,
+        attempt: 1,
+        sentAt: this.clock(),
+        failures: entry.failures,
+      });
+      this._log("info", "submitted", { id, hash: tx.hash, nonce, ...fees });
+    } catch (error) {
+      this._failed(entry, await this._describe(error));
+    }
+  }
+
+  _failed(entry, reason) {
+    entry.failures++;
+    if (entry.failures >= this.maxAttempts) {
+      this._log("error", "gave_up", { id: entry.id, attempts: entry.failures, error: reason });
+      return;
+    }
+    this._log("warn", "retry", { id: entry.id, attempt: entry.failures, error: reason });
+    this._enqueue(entry);
+  }
+
+  // Same nonce, bumped fees, same gas limit (re-estimating would see the
+  // original finalize in the pending block and revert).
+  async _replace(id, sub) {
+    if (sub.attempt >= this.maxAttempts) {
+      if (!sub.stuckLogged) this._log("error", "stuck", { id, hashes: sub.hashes, nonce: sub.nonce });
+      sub.stuckLogged = true;
+      return;
+    }
+    const fees = bumpFees(sub.fees, this.gasBumpPercent);
+    try {
+      const tx = await this.contract.finalize(id, { nonce: sub.nonce, gasLimit: sub.gasLimit, ...fees });
+      sub.hashes.push(tx.hash);
+      sub.fees = fees;
+      sub.attempt++;
+      sub.sentAt = this.clock();
+      this._log("info", "replaced", { id, hash: tx.hash, nonce: sub.nonce, attempt: sub.attempt, ...fees });
+    } catch (error) {
+      // e.g. the previous transaction was mined meanwhile ("nonce too low")
+      this._log("warn", "replace_failed", { id, nonce: sub.nonce, error: await this._describe(error) });
+    }
+  }
+
+  async _checkInFlight() {
+    for (const [id, sub] of this.inFlight) {
+      let receipt = null;
+      for (const hash of sub.hashes) {
+        receipt = await this.provider.getTransactionReceipt(hash);
+        if (receipt) break;
+      }
+
+      if (!receipt) {
+        if (this.clock() - sub.sentAt >= this.resubmitAfterMs) await this._replace(id, sub);
+        continue;
+      }
+
+      this.inFlight.delete(id);
+      if (receipt.status === 1) {
+        const finalized = receipt.logs
+          .map((log) => this.contract.interface.parseLog(log))
+          .find((log) => log?.name === "Finalized");
+        this._log("info", "finalized", {
+          id,
+          hash: receipt.hash,
+          successful: finalized.args.successful,
+          attempt: sub.attempt,
+          gasUsed: receipt.gasUsed,
+        });
+      } else if (await this._isFinalized(id)) {
+        this._log("info", "skipped", { id, hash: receipt.hash, reason: "finalized by someone else" });
+      } else {
+        const deadline = Number((await this.contract.campaigns(id)).deadline);
+        this._failed({ id, deadline, failures: sub.failures }, { kind: "revert", message: "finalize reverted" });
+      }
+    }
+  }
+
+  async _tick() {
+    await this._scan();
+    await this._checkInFlight();
+
+    const { timestamp } = await this.provider.getBlock("latest");
+    const due = [];
+    while (this.queue.length && this.queue[0].deadline <= timestamp) due.push(this.queue.shift());
+    for (const entry of due) {
+      if (this.inFlight.has(entry.id)) continue;
+      await this._submitDue(entry);
+    }
+  }
+
+  // One pass: scan, settle in-flight transactions, submit what is due.
+  // Concurrent callers share one pass.
+  tick() {
+    if (!this._ticking) {
+      this._ticking = this._tick().finally(() => {
+        this._ticking = null;
+      });
+    }
+    return this._ticking;
+  }
+
+  start(pollMs = 15_000) {
+    if (this._timer) return;
+    const loop = async () => {
+      try {
+        await this.tick();
+      } catch (error) {
+        this._log("error", "tick_failed", { error: error.message ?? String(error) });
+      }
+      if (this._timer) this._timer = setTimeout(loop, pollMs);
+    };
+    this._timer = setTimeout(loop, 0);
+  }
+
+  stop() {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+  }
+}
+
+module.exports = { CampaignKeeper, bumpFees, jsonLogger };
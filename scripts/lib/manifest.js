@@ -0,0 +1,99 @@
+const fs = require("fs");
+const path = require("path");
+const { keccak256, toUtf8Bytes } = require("ethers");
+const { implementationOf, storageLayoutOf } = require("./storageLayout");
+
+// One manifest per chain: deployments/<chainId>.json. The frontend bundles
+// these and picks the one matching the wallet's chain.
+const DEFAULT_DIR = path.join(__dirname, "..", "..", "deployments");
+
+function abiHashOf(abi) {
+  return keccak256(toUtf8Bytes(JSON.stringify(abi)));
+}
+
+function manifestPath(chainId, dir = DEFAULT_DIR) {
+  return path.join(dir, `${chainId}.json`);
+}
+
+function readManifest(chainId, dir = DEFAULT_DIR) {
+  const file = manifestPath(chainId, dir);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+async function codeHashOf(hre, address) {
+  return keccak256(await hre.ethers.provider.getCode(address));
+}
+
+// ABI and compiler details of the artifact `name`.
+async function describeBuild(hre, name) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${name}`);
+  return {
+    abiHash: abiHashOf(artifact.abi),
+    buildInfoId: buildInfo?.id ?? null,
+    solcVersion: buildInfo?.solcLongVersion ?? null,
+    abi: artifact.abi,
+  };
+}
+
+// The implementation behind a proxy, with the storage layout the next
+// upgrade is checked against (scripts/upgrade.js).
+async function describeImplementation(hre, name, address) {
+  return {
+    address,
+    codeHash: await codeHashOf(hre, address),
+    storageLayout: await storageLayoutOf(hre, name),
+  };
+}
+
+// Describe one deployed contract: address, deployment block, the exact ABI it
+// was compiled with and hashes the frontend can check against the chain. For
+// an ERC-1967 proxy the ABI is the implementation's, and `implementation`
+// records which one it points at.
+async function describeDeployment(hre, name, contract) {
+  const receipt = await contract.deploymentTransaction().wait();
+  const address = await contract.getAddress();
+  const implementation = await implementationOf(hre.ethers.provider, address);
+
+  return {
+    address,
+    blockNumber: receipt.blockNumber,
+    transactionHash: receipt.hash,
+    codeHash: await codeHashOf(hre, address),
+    ...(implementation && { implementation: await describeImplementation(hre, name, implementation) }),
+    ...(await describeBuild(hre, name)),
+  };
+}
+
+async function writeManifest(hre, contracts, dir = DEFAULT_DIR) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const manifest = {
+    chainId: Number(chainId),
+    network: hre.network.name,
+    deployedAt: new Date().toISOString(),
+    contracts: {},
+  };
+  for (const [name, contract] of Object.entries(contracts)) {
+    manifest.contracts[name] = await describeDeployment(hre, name, contract);
+  }
+  return { manifest, file: saveManifest(manifest, dir) };
+}
+
+function saveManifest(manifest, dir = DEFAULT_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = manifestPath(manifest.chainId, dir);
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  return file;
+}
+
+module.exports = {
+  abiHashOf,
+  manifestPath,
+  readManifest,
+  writeManifest,
+  saveManifest,
+  describeBuild,
+  describeImplementation,
+  DEFAULT_DIR,
+};
@@ -0,0 +1,216 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { jsonLogger } = require("./keeper");
+const { sendJson } = require("./api");
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+// A request the relayer refuses to pay for. `reason` is one of
+// "malformed" | "target" | "function" | "value" | "gas" | "expired" | "nonce" |
+// "signature" | "reverted"; `data` is the revert data for "reverted".
+class RelayRejected extends Error {
+  constructor(reason, message, data = null) {
+    super(message);
+    this.reason = reason;
+    this.data = data;
+  }
+}
+
+// Submits EIP-712 signed ForwardRequests (see shared/metaTx.js) through
+// CrowdForwarder, paying the gas. Before anything is sent it checks that the
+// request
+//   - calls one of RELAYED_FUNCTIONS on `target`, without ETH value or more
+//     than `maxGas`,
+//   - is still valid for at least `minValiditySeconds`,
+//   - uses the signer's next nonce (so a replayed request is turned away
+//     here instead of reverting on-chain at the relayer's expense),
+//   - is signed by `from`,
+//   - would not revert.
+// Submissions go out one at a time so the relayer's own nonces stay in order.
+class MetaTxRelayer {
+  constructor({ forwarder, target, logger = jsonLogger, maxGas = 1_000_000n, minValiditySeconds = 30 }) {
+    this.forwarder = forwarder;
+    this.target = target;
+    this.provider = forwarder.runner.provider;
+    this.logger = logger;
+    this.maxGas = BigInt(maxGas);
+    this.minValiditySeconds = minValiditySeconds;
+    this._meta = null;
+    this._domain = null;
+    this._sending = Promise.resolve();
+  }
+
+  _log(level, event, fields = {}) {
+    this.logger({ level, event, ...fields });
+  }
+
+  // frontend modules are ESM
+  async _modules() {
+    if (!this._meta) {
+      const [metaTx, errors] = await Promise.all([
+        import("../../shared/metaTx.js"),
+        import("../../shared/errors.js"),
+      ]);
+      this._meta = { ...metaTx, decodeError: errors.decodeError };
+      this._domain = await metaTx.forwarderDomain(this.forwarder);
+    }
+    return this._meta;
+  }
+
+  // The parsed request, or RelayRejected.
+  async check(json) {
+    const { parseRequest, FORWARD_REQUEST_TYPES, RELAYED_FUNCTIONS, decodeError } = await this._modules();
+    let request;
+    try {
+      request = parseRequest(json);
+    } catch (error) {
+      throw new RelayRejected("malformed", `Malformed request: ${error.shortMessage ?? error.message}`);
+    }
+
+    const targetAddress = await this.target.getAddress();
+    if (request.to !== targetAddress) {
+      throw new RelayRejected("target", `Only calls to ${targetAddress} are relayed.`);
+    }
+    const call = this.target.interface.parseTransaction({ data: request.data });
+    if (!call || !RELAYED_FUNCTIONS.includes(call.name)) {
+      throw new RelayRejected("function", `${call?.name ?? "This call"} is not relayed.`);
+    }
+    if (request.value !== 0n) throw new RelayRejected("value", "Requests that send ETH are not relayed.");
+    if (request.gas > this.maxGas) throw new RelayRejected("gas", `Requests may use at most ${this.maxGas} gas.`);
+
+    const { timestamp } = await this.provider.getBlock("latest");
+    if (request.deadline < BigInt(timestamp + this.minValiditySeconds)) {
+      throw new RelayRejected("expired", "The request has expired; sign it again.");
+    }
+
+    // counting requests still in the mempool
+    const nonce = await this.forwarder.nonces(request.from, { blockTag: "pending" });
+    if (request.nonce !== nonce) {
+      throw new RelayRejected("nonce", request.nonce < nonce
+        ? "This request was already relayed."
+        : `The request nonce is ${request.nonce}, expected ${nonce}.`);
+    }
+
+    let signer = null;
+    try {
+      signer = ethers.verifyTypedData(this._domain, FORWARD_REQUEST_TYPES, request, request.signature);
+    } catch {
+      // unparseable signature: same answer as a wrong one
+    }
+    if (signer !== request.from) throw new RelayRejected("signature", "The request is not signed by its sender.");
+
+    // the call as the forwarder makes it: ERC-2771 appends the sender
+    try {
+      await this.provider.call({
+        from: await this.forwarder.getAddress(),
+        to: request.to,
+        data: ethers.concat([request.data, request.from]),
+        blockTag: "pending",
+      });
+    } catch (error) {
+      const { message } = decodeError(error, [this.target.interface]);
+      throw new RelayRejected("reverted", message, error.data ?? null);
+    }
+    return { request, functionName: call.name };
+  }
+
+  async status() {
+    const { RELAYED_FUNCTIONS } = await this._modules();
+    return {
+      forwarder: await this.forwarder.getAddress(),
+      target: await this.target.getAddress(),
+      relayer: await this.forwarder.runner.getAddress(),
+      functions: RELAYED_FUNCTIONS,
+    };
+  }
+
+  // Checks and submits one request; resolves to { hash }.
+  relay(json) {
+    const run = this._sending.then(() => this._relay(json));
+    this._sending = run.catch(() => {});
+    return run;
+  }
+
+  async _relay(json) {
+    let checked;
+    try {
+      checked = await this.check(json);
+    } catch (error) {
+      if (error instanceof RelayRejected) this._log("warn", "rejected", { from: json?.from, reason: error.reason, error: error.message });
+      throw error;
+    }
+
+    const { request, functionName } = checked;
+    const { nonce, ...requestData } = request; // the forwarder reads the nonce itself
+    const tx = await this.forwarder.execute(requestData);
+    this._log("info", "relayed", { from: request.from, function: functionName, nonce, hash: tx.hash });
+    return { hash: tx.hash };
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new RelayRejected("malformed", "Request body too large."));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+// HTTP front end for a MetaTxRelayer:
+//   GET  /status -> { forwarder, target, relayer, functions } | 500 { error }
+//   POST /relay  -> { hash } | 400 { error, reason, data } | 500 { error }
+function createRelayServer(relayer) {
+  return http.createServer(async (req, res) => {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+      });
+      return res.end();
+    }
+
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (req.method === "GET" && pathname === "/status") {
+      try {
+        return sendJson(res, 200, await relayer.status());
+      } catch (error) {
+        relayer._log("error", "status_failed", { error: error.shortMessage ?? error.message });
+        return sendJson(res, 500, { error: "The relayer could not read its status." });
+      }
+    }
+
+    if (pathname !== "/relay") return sendJson(res, 404, { error: "Not found" });
+    if (req.method !== "POST") return sendJson(res, 405, { error: "Method not allowed" });
+
+    try {
+      let json;
+      try {
+        json = JSON.parse(await readBody(req));
+      } catch (error) {
+        if (error instanceof RelayRejected) throw error;
+        throw new RelayRejected("malformed", "The body must be a JSON request.");
+      }
+      return sendJson(res, 200, await relayer.relay(json));
+    } catch (error) {
+      if (error instanceof RelayRejected) {
+        return sendJson(res, 400, { error: error.message, reason: error.reason, data: error.data });
+      }
+      relayer._log("error", "relay_failed", { error: error.shortMessage ?? error.message });
+      return sendJson(res, 500, { error: "The relayer could not submit the request." });
+    }
+  });
+}
+
+module.exports = { MetaTxRelayer, RelayRejected, createRelayServer };
@@ -0,0 +1,75 @@
+const { ethers } = require("ethers");
+
+// ERC-1967: bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+class StorageLayoutError extends Error {
+  constructor(problems) {
+    super(`Storage layout is not upgrade-safe:\n  ${problems.join("\n  ")}`);
+    this.problems = problems;
+  }
+}
+
+// The implementation behind an ERC-1967 proxy, or null if `address` is not one.
+async function implementationOf(provider, address) {
+  const word = await provider.getStorage(address, IMPLEMENTATION_SLOT);
+  const implementation = ethers.getAddress(ethers.dataSlice(word, 12));
+  return implementation === ethers.ZeroAddress ? null : implementation;
+}
+
+// Compiler type ids embed AST ids (t_struct(Campaign)19534_storage), which
+// change between builds. Describe each type by what decides its storage
+// instead: contracts are addresses, structs are their members' layout.
+function describeType(types, id) {
+  const type = types[id];
+  if (type.encoding === "mapping") {
+    return `mapping(${describeType(types, type.key)} => ${describeType(types, type.value)})`;
+  }
+  if (type.members) {
+    const members = type.members.map((m) => `${describeType(types, m.type)} ${m.label}@${m.slot}:${m.offset}`);
+    return `struct { ${members.join("; ")} }`;
+  }
+  if (type.base) {
+    return describeType(types, type.base) + type.label.slice(type.label.lastIndexOf("["));
+  }
+  if (type.label.startsWith("contract ")) return "address";
+  return type.label;
+}
+
+// [{ label, slot, offset, type }] for `name`, from the build info the
+// artifact was compiled in (hardhat.config.js asks solc for storageLayout).
+async function storageLayoutOf(hre, name) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${name}`);
+  const layout = buildInfo?.output.contracts[artifact.sourceName][name].storageLayout;
+  if (!layout) throw new Error(`No storage layout for ${name}; recompile with storageLayout in the solc outputSelection`);
+
+  return layout.storage.map(({ label, slot, offset, type }) => ({
+    label,
+    slot: Number(slot),
+    offset,
+    type: describeType(layout.types, type),
+  }));
+}
+
+// What would break if a proxy laid out as `previous` were upgraded to an
+// implementation laid out as `next`. Every deployed variable must keep its
+// slot, offset, name and type; new variables may only come after them.
+// Renames are flagged too: they are usually a variable swapped for another.
+function compareStorageLayouts(previous, next) {
+  const problems = [];
+  previous.forEach((old, i) => {
+    const now = next[i];
+    const at = `slot ${old.slot}, offset ${old.offset}`;
+    if (!now) {
+      problems.push(`${old.label} (${at}) was removed`);
+    } else if (now.slot !== old.slot || now.offset !== old.offset) {
+      problems.push(`${old.label} moved from ${at} to slot ${now.slot}, offset ${now.offset}`);
+    } else if (now.label !== old.label || now.type !== old.type) {
+      problems.push(`${at} held ${old.type} ${old.label}, now ${now.type} ${now.label}`);
+    }
+  });
+  return problems;
+}
+
+module.exports = { IMPLEMENTATION_SLOT, StorageLayoutError, implementationOf, storageLayoutOf, compareStorageLayouts };
@@ -0,0 +1,87 @@
+const { readManifest, saveManifest, describeBuild, describeImplementation, DEFAULT_DIR } = require("./manifest");
+const { StorageLayoutError, implementationOf, storageLayoutOf, compareStorageLayouts } = require("./storageLayout");
+
+// Deploys a Crowdfunding implementation and a CrowdfundingProxy initialized
+// in the same transaction, with `admin` holding every role. `token`, `badge`
+// and `forwarder` are contracts or addresses. Resolves to the proxy with
+// Crowdfunding's ABI; its deploymentTransaction() is the proxy's.
+async function deployCrowdfundingProxy(hre, { token, badge, forwarder }, admin) {
+  const { ethers } = hre;
+  const Crowdfunding = await ethers.getContractFactory("Crowdfunding");
+  const implementation = await Crowdfunding.deploy(await ethers.resolveAddress(forwarder));
+  await implementation.waitForDeployment();
+
+  const init = Crowdfunding.interface.encodeFunctionData("initialize", [
+    await ethers.resolveAddress(token),
+    await ethers.resolveAddress(badge),
+    await ethers.resolveAddress(admin),
+  ]);
+  const CrowdfundingProxy = await ethers.getContractFactory("CrowdfundingProxy");
+  const proxy = await CrowdfundingProxy.deploy(await implementation.getAddress(), init);
+  await proxy.waitForDeployment();
+
+  return new ethers.Contract(await proxy.getAddress(), Crowdfunding.interface, Crowdfunding.runner, proxy.deploymentTransaction());
+}
+
+// Upgrades the Crowdfunding proxy in the chain's deployment manifest to the
+// current build of `name`:
+//   1. refuses it if its storage layout is incompatible with the one recorded
+//      for the deployed implementation (StorageLayoutError),
+//   2. deploys it, unless `implementation` names one already deployed,
+//   3. points the proxy at it if the signer holds UPGRADER_ROLE; otherwise
+//      returns the call for a governance proposal and stops,
+//   4. records the new implementation, layout and ABI in the manifest.
+// Run it again with `implementation` once the proposal has executed to do 4.
+// Resolves to { status: "upgraded" | "proposal" | "recorded", implementation, ... }.
+async function upgradeCrowdfunding(hre, { name = "Crowdfunding", implementation, dir = DEFAULT_DIR, log = () => {} } = {}) {
+  const { ethers } = hre;
+  const { chainId } = await ethers.provider.getNetwork();
+  const manifest = readManifest(chainId, dir);
+  const entry = manifest?.contracts.Crowdfunding;
+  if (!entry?.implementation) {
+    throw new Error(`No upgradeable Crowdfunding in the chain ${chainId} manifest; deploy with scripts/deploy.js first`);
+  }
+
+  const problems = compareStorageLayouts(entry.implementation.storageLayout, await storageLayoutOf(hre, name));
+  if (problems.length) throw new StorageLayoutError(problems);
+  log(`${name} storage layout is compatible with ${entry.implementation.address}`);
+
+  const [signer] = await ethers.getSigners();
+  const crowdfund = await ethers.getContractAt("Crowdfunding", entry.address, signer);
+  let target = implementation && ethers.getAddress(implementation);
+  if (!target) {
+    // the forwarder is immutable in the implementation; keep the current one
+    const Implementation = await ethers.getContractFactory(name, signer);
+    const deployed = await Implementation.deploy(await crowdfund.trustedForwarder());
+    await deployed.waitForDeployment();
+    target = await deployed.getAddress();
+    log(`${name} implementation deployed to: ${target}`);
+  }
+
+  let status = "recorded";
+  if ((await implementationOf(ethers.provider, entry.address)) !== target) {
+    if (!(await crowdfund.hasRole(await crowdfund.UPGRADER_ROLE(), signer.address))) {
+      return {
+        status: "proposal",
+        implementation: target,
+        proposal: {
+          target: entry.address,
+          value: 0n,
+          calldata: crowdfund.interface.encodeFunctionData("upgradeToAndCall", [target, "0x"]),
+        },
+      };
+    }
+    await (await crowdfund.upgradeToAndCall(target, "0x")).wait();
+    log(`Crowdfunding at ${entry.address} upgraded to ${target}`);
+    status = "upgraded";
+  }
+
+  manifest.contracts.Crowdfunding = {
+    ...entry,
+    implementation: await describeImplementation(hre, name, target),
+    ...(await describeBuild(hre, name)),
+  };
+  return { status, implementation: target, file: saveManifest(manifest, dir) };
+}
+
+module.exports = { deployCrowdfundingProxy, upgradeCrowdfunding };
@@ -0,0 +1,55 @@
+const hre = require("hardhat");
+const { MetaTxRelayer, createRelayServer } = require("./lib/relayer");
+const { jsonLogger } = require("./lib/keeper");
+const { readManifest } = require("./lib/manifest");
+
+// Usage:
+//   npx hardhat run scripts/relayer.js --network localhost
+//
+// Relays signed requests from the frontend's gasless mode through
+// CrowdForwarder, paying the gas from the first configured account. Addresses
+// come from deployments/<chainId>.json unless FORWARDER_ADDRESS /
+// CROWDFUNDING_ADDRESS are set.
+// Optional env: RELAYER_PORT (8788), RELAYER_MAX_GAS (1000000),
+// RELAYER_MIN_VALIDITY_SECONDS (30)
+async function main() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const contracts = readManifest(chainId)?.contracts;
+  const forwarderAddress = process.env.FORWARDER_ADDRESS ?? contracts?.CrowdForwarder?.address;
+  const crowdfundAddress = process.env.CROWDFUNDING_ADDRESS ?? contracts?.Crowdfunding.address;
+  if (!forwarderAddress || !crowdfundAddress) {
+    throw new Error(`FORWARDER_ADDRESS / CROWDFUNDING_ADDRESS are not set and there is no manifest for chain ${chainId}`);
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const forwarder = await hre.ethers.getContractAt("CrowdForwarder", forwarderAddress, signer);
+  const crowdfund = await hre.ethers.getContractAt("Crowdfunding", crowdfundAddress);
+  if (!(await crowdfund.isTrustedForwarder(forwarderAddress))) {
+    throw new Error(`Crowdfunding at ${crowdfundAddress} does not trust the forwarder at ${forwarderAddress}`);
+  }
+
+  const relayer = new MetaTxRelayer({
+    forwarder,
+    target: crowdfund,
+    maxGas: BigInt(process.env.RELAYER_MAX_GAS ?? 1_000_000),
+    minValiditySeconds: Number(process.env.RELAYER_MIN_VALIDITY_SECONDS ?? 30),
+  });
+
+  const port = Number(process.env.RELAYER_PORT ?? 8788);
+  const server = createRelayServer(relayer);
+  await new Promise((resolve) => server.listen(port, resolve));
+  jsonLogger({ level: "info", event: "started", port, forwarder: forwarderAddress, target: crowdfundAddress, relayer: signer.address });
+
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+  server.close();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,38 @@
+const hre = require("hardhat");
+const { upgradeCrowdfunding } = require("./lib/upgrades");
+const { StorageLayoutError } = require("./lib/storageLayout");
+
+// Usage:
+//   npx hardhat run scripts/upgrade.js --network localhost
+//
+// Upgrades the Crowdfunding proxy in deployments/<chainId>.json to the
+// current build, after checking its storage layout against the deployed
+// implementation's. Once deploy.js has handed UPGRADER_ROLE to the timelock
+// this only deploys the implementation and prints the governance proposal;
+// when that has executed, run it again with UPGRADE_IMPLEMENTATION set to
+// record the upgrade in the manifest.
+// Optional env: UPGRADE_IMPLEMENTATION (an implementation already deployed)
+async function main() {
+  const result = await upgradeCrowdfunding(hre, {
+    implementation: process.env.UPGRADE_IMPLEMENTATION,
+    log: console.log,
+  });
+
+  if (result.status === "proposal") {
+    const { target, calldata } = result.proposal;
+    console.log("The deployer does not hold UPGRADER_ROLE. Propose this call through CrowdGovernor");
+    console.log(`(Governance panel: "Upgrade Crowdfunding" with implementation ${result.implementation}):`);
+    console.log(`  target:   ${target}`);
+    console.log(`  calldata: ${calldata}`);
+    console.log(`Once it has executed: UPGRADE_IMPLEMENTATION=${result.implementation} npm run upgrade -- --network ${hre.network.name}`);
+    return;
+  }
+  console.log("Deployment manifest updated:", result.file);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error instanceof StorageLayoutError ? error.message : error);
+    process.exit(1);
+  });
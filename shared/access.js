@@ -0,0 +1,176 @@
+import { ethers } from 'ethers'
+import { formatAmount } from './currency.js'
+
+// Private campaigns (ContributionGate): an allowlist Merkle root, a verifier
+// key that signs attestations (e.g. after an off-chain KYC check) and
+// per-backer minimum/maximum totals, all set when the campaign is created.
+// A backer of a private campaign is admitted once with a "pass" - their
+// allowlist proof or an attestation - before their first contribution.
+
+// CampaignOptions.access of a campaign anyone can back with any amount
+export const OPEN_ACCESS = { allowlistRoot: ethers.ZeroHash, verifier: ethers.ZeroAddress, minWei: 0n, maxWei: 0n }
+
+export const ATTESTATION_TYPES = {
+  Attestation: [
+    { name: "campaignId", type: "uint256" },
+    { name: "backer", type: "address" },
+    { name: "expiry", type: "uint64" },
+  ],
+}
+
+const coder = ethers.AbiCoder.defaultAbiCoder()
+
+export function isOpen(access) {
+  return access.allowlistRoot === ethers.ZeroHash && access.verifier === ethers.ZeroAddress
+    && BigInt(access.minWei) === 0n && BigInt(access.maxWei) === 0n
+}
+
+export function isPrivate(access) {
+  return access.allowlistRoot !== ethers.ZeroHash || access.verifier !== ethers.ZeroAddress
+}
+
+// ContributionGate.leaf: OpenZeppelin's StandardMerkleTree leaf for ["address"]
+export function allowlistLeaf(address) {
+  return ethers.keccak256(ethers.keccak256(coder.encode(["address"], [address])))
+}
+
+// MerkleProof hashes each pair in sorted order
+function hashPair(a, b) {
+  return ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]))
+}
+
+// One address per line, first column; blank lines, #comments and a header
+// row are skipped. Throws on anything else that is not an address.
+export function parseAllowlistCsv(text) {
+  const addresses = []
+  text.split(/\r?\n/).forEach((line, i) => {
+    const cell = line.split("#")[0].split(",")[0].trim().replace(/^"|"$/g, "")
+    if (!cell) return
+    if (!ethers.isAddress(cell)) {
+      if (addresses.length === 0 && i === 0) return
+      throw new Error(`Line ${i + 1}: "${cell}" is not an address`)
+    }
+    addresses.push(ethers.getAddress(cell))
+  })
+  return addresses
+}
+
+// Merkle tree over the allowlist: { root, proofs: { address: [hash] } }.
+// Leaves are sorted by hash, so the root does not depend on the CSV order;
+// a node without a sibling moves up a level unchanged.
+export function buildAllowlist(addresses) {
+  const backers = [...new Set(addresses.map((a) => ethers.getAddress(a)))]
+  if (backers.length === 0) throw new Error("The allowlist is empty")
+  const leaves = backers.map((backer) => ({ backer, hash: allowlistLeaf(backer) }))
+    .sort((a, b) => (a.hash < b.hash ? -1 : 1))
+
+  const layers = [leaves.map((l) => l.hash)]
+  while (layers.at(-1).length > 1) {
+    const layer = layers.at(-1)
+    const next = []
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i])
+    }
+    layers.push(next)
+  }
+
+  const proofs = {}
+  leaves.forEach(({ backer }, index) => {
+    const proof = []
+    for (const layer of layers.slice(0, -1)) {
+      if ((index ^ 1) < layer.length) proof.push(layer[index ^ 1])
+      index >>= 1
+    }
+    proofs[backer] = proof
+  })
+  return { root: layers.at(-1)[0], proofs }
+}
+
+export function verifyProof(root, address, proof) {
+  return proof.reduce(hashPair, allowlistLeaf(address)) === root
+}
+
+// The `pass` argument of ContributionGate.admit
+export function encodePass({ proof = [], expiry = 0, signature = "0x" }) {
+  return coder.encode(["bytes32[]", "uint64", "bytes"], [proof, expiry, signature])
+}
+
+// Signed by a campaign's verifier: admits `backer` to `campaignId` until
+// `expiry` (unix seconds). The result is the attestation file a backer pastes.
+export async function signAttestation(signer, gate, { campaignId, backer, expiry }) {
+  const { chainId } = await signer.provider.getNetwork()
+  const domain = { name: "ContributionGate", version: "1", chainId, verifyingContract: await gate.getAddress() }
+  const value = { campaignId, backer: ethers.getAddress(backer), expiry }
+  const signature = await signer.signTypedData(domain, ATTESTATION_TYPES, value)
+  return { campaignId: Number(campaignId), backer: value.backer, expiry: Number(expiry), signature }
+}
+
+// A pasted allowlist file ({ root, proofs }, from scripts/allowlist.js) or
+// attestation ({ campaignId, backer, expiry, signature }) -> the account's
+// pass for campaign `id`. Throws a message for the backer if it is not one.
+export function passFor(text, id, account, access) {
+  let file
+  try {
+    file = JSON.parse(text)
+  } catch {
+    throw new Error("Paste the allowlist file or attestation you were given (JSON)")
+  }
+
+  if (file.signature) {
+    if (Number(file.campaignId) !== id) throw new Error(`This attestation is for campaign #${file.campaignId}`)
+    if (file.backer?.toLowerCase() !== account.toLowerCase()) throw new Error("This attestation is for another address")
+    return { expiry: file.expiry, signature: file.signature }
+  }
+
+  if (file.proofs) {
+    if (file.root !== access.allowlistRoot) throw new Error("This allowlist is not the one of this campaign")
+    const entry = Object.entries(file.proofs).find(([address]) => address.toLowerCase() === account.toLowerCase())
+    if (!entry) throw new Error("Your address is not on this campaign's allowlist")
+    return { proof: entry[1] }
+  }
+  throw new Error("This is neither an allowlist file nor an attestation")
+}
+
+// Why the account can't contribute `amountWei` more to a campaign with
+// `access`, or null if it can. `contributedWei` is what it has in already;
+// `hasPass` whether it has pasted a pass (which admit() checks on chain).
+export function accessReason(access, { admitted, hasPass, contributedWei = 0n, amountWei = 0n, currency }) {
+  if (!access) return null
+  if (isPrivate(access) && !admitted && !hasPass) {
+    const root = access.allowlistRoot !== ethers.ZeroHash
+    const verifier = access.verifier !== ethers.ZeroAddress
+    if (root && verifier) return "This campaign is private: paste your allowlist proof or an attestation from its verifier."
+    if (root) return "This campaign is private: only addresses on its allowlist can back it. Paste your allowlist proof."
+    return "This campaign only takes verified backers: paste the attestation its verifier gave you."
+  }
+
+  const minWei = BigInt(access.minWei)
+  const maxWei = BigInt(access.maxWei)
+  const format = (wei) => `${formatAmount(wei, currency)} ${currency.symbol}`
+  const total = contributedWei + amountWei
+  if (maxWei > 0n && contributedWei >= maxWei) {
+    return `You have reached this campaign's limit of ${format(maxWei)} per backer.`
+  }
+  if (amountWei === 0n) return null
+  if (maxWei > 0n && total > maxWei) {
+    return `Backers can put in at most ${format(maxWei)}; you can add up to ${format(maxWei - contributedWei)}.`
+  }
+  if (total < minWei) {
+    return `Backers put in at least ${format(minWei)} in total; add at least ${format(minWei - contributedWei)}.`
+  }
+  return null
+}
+
+// id -> { allowlistRoot, verifier, minWei, maxWei, admitted } for every
+// campaign configured on the gate since `fromBlock`, `admitted` for `account`.
+export async function fetchAccess(gate, account, fromBlock = 0) {
+  const out = new Map()
+  for (const log of await gate.queryFilter(gate.filters.AccessConfigured(), fromBlock)) {
+    const { id, allowlistRoot, verifier, minWei, maxWei } = log.args
+    out.set(Number(id), { allowlistRoot, verifier, minWei, maxWei, admitted: false })
+  }
+  await Promise.all([...out].filter(([, a]) => isPrivate(a)).map(async ([id, a]) => {
+    a.admitted = await gate.admitted(id, account)
+  }))
+  return out
+}
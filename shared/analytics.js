@@ -0,0 +1,144 @@
+import { fetchCampaignHistory } from './contributions.js'
+import { formatAmount } from './currency.js'
+
+// Creator analytics for one campaign, built from its Contributed, Refunded
+// and Reclaimed events: funds over time, the backer ledger, contribution
+// sizes and the ledger checked against contributions(id, addr) and
+// totalRaised. The campaign detail page charts it; scripts/export.js writes
+// it out for ops. Amounts are in the campaign currency's base units.
+
+export async function fetchCampaignAnalytics(contract, id, fromBlock = 0) {
+  const [history, withdrawn, fees, campaign] = await Promise.all([
+    fetchCampaignHistory(contract, id, fromBlock),
+    contract.queryFilter(contract.filters.Withdrawn(id), fromBlock),
+    contract.queryFilter(contract.filters.FeeCollected(id), fromBlock),
+    contract.campaigns(id),
+  ])
+  const ledger = backerLedger(history)
+  const held = await Promise.all(ledger.map((b) => contract.contributions(id, b.account)))
+  const backers = ledger.map((b, i) => ({ ...b, onChainWei: held[i] }))
+  // withdraw() takes the creator's share and the fee out of totalRaised
+  const paidOutWei = [...withdrawn, ...fees].reduce((sum, log) => sum + log.args.amountWei, 0n)
+
+  return {
+    id,
+    goalWei: campaign.goalWei,
+    totalRaised: campaign.totalRaised,
+    history,
+    series: raisedOverTime(history),
+    backers,
+    distribution: sizeDistribution(history),
+    reconciliation: reconcile(backers, paidOutWei, campaign.totalRaised),
+  }
+}
+
+// Chronological points { timestamp, raisedWei, contributedWei } after each
+// event: raisedWei is net of refunds and reclaims, contributedWei is gross.
+export function raisedOverTime(history) {
+  let raisedWei = 0n
+  let contributedWei = 0n
+  return [...history].reverse().map((e) => {
+    if (e.kind === "contributed") {
+      raisedWei += e.amountWei
+      contributedWei += e.amountWei
+    } else {
+      raisedWei -= e.amountWei
+    }
+    return { timestamp: e.timestamp, raisedWei, contributedWei }
+  })
+}
+
+// One row per backer, biggest contributors first. `heldWei` is what the
+// campaign should still hold for them: refund() and reclaim() both clear a
+// backer's balance, even when a reclaim pays back less than was put in.
+export function backerLedger(history) {
+  const byAccount = new Map()
+  for (const e of [...history].reverse()) {
+    const key = e.account.toLowerCase()
+    const row = byAccount.get(key) ?? {
+      account: e.account, contributions: 0, contributedWei: 0n, refundedWei: 0n, reclaimedWei: 0n,
+      firstAt: null, lastAt: null,
+    }
+    if (e.kind === "contributed") {
+      row.contributions++
+      row.contributedWei += e.amountWei
+      row.firstAt ??= e.timestamp
+      row.lastAt = e.timestamp
+    } else {
+      row[`${e.kind}Wei`] += e.amountWei
+    }
+    byAccount.set(key, row)
+  }
+  return [...byAccount.values()]
+    .map((row) => ({ ...row, heldWei: row.reclaimedWei > 0n ? 0n : row.contributedWei - row.refundedWei }))
+    .sort((a, b) => (a.contributedWei < b.contributedWei) - (a.contributedWei > b.contributedWei))
+}
+
+export function topBackers(ledger, count = 5) {
+  return ledger.filter((b) => b.contributedWei > 0n).slice(0, count)
+}
+
+// Contributions bucketed by order of magnitude: [{ minWei, maxWei, count, totalWei }],
+// smallest first; minWei inclusive, maxWei exclusive.
+export function sizeDistribution(history) {
+  const buckets = new Map()
+  for (const e of history) {
+    if (e.kind !== "contributed") continue
+    const digits = e.amountWei.toString().length
+    const bucket = buckets.get(digits)
+      ?? { minWei: 10n ** BigInt(digits - 1), maxWei: 10n ** BigInt(digits), count: 0, totalWei: 0n }
+    bucket.count++
+    bucket.totalWei += e.amountWei
+    buckets.set(digits, bucket)
+  }
+  return [...buckets.values()].sort((a, b) => (a.minWei < b.minWei ? -1 : 1))
+}
+
+// Backers whose ledger balance differs from contributions(id, addr), and
+// totalRaised against contributions - refunds - reclaims - withdrawals.
+export function reconcile(backers, paidOutWei, totalRaised) {
+  const sum = (field) => backers.reduce((total, b) => total + b[field], 0n)
+  const expectedRaised = sum("contributedWei") - sum("refundedWei") - sum("reclaimedWei") - paidOutWei
+  const mismatches = backers
+    .filter((b) => b.heldWei !== b.onChainWei)
+    .map((b) => ({ account: b.account, ledgerWei: b.heldWei, onChainWei: b.onChainWei }))
+  return {
+    ok: mismatches.length === 0 && expectedRaised === totalRaised,
+    mismatches,
+    paidOutWei,
+    totalRaised: { ledgerWei: expectedRaised, onChainWei: totalRaised },
+  }
+}
+
+const isoTime = (timestamp) => (timestamp === null ? "" : new Date(timestamp * 1000).toISOString())
+
+// The backer ledger as CSV, amounts in currency units.
+export function ledgerToCsv(analytics, currency) {
+  const amount = (wei) => formatAmount(wei, currency)
+  const rows = analytics.backers.map((b) => [
+    b.account, b.contributions, amount(b.contributedWei), amount(b.refundedWei), amount(b.reclaimedWei),
+    amount(b.heldWei), amount(b.onChainWei), b.heldWei === b.onChainWei, isoTime(b.firstAt), isoTime(b.lastAt),
+  ])
+  return [
+    ["backer", "contributions", `contributed_${currency.symbol}`, `refunded_${currency.symbol}`, `reclaimed_${currency.symbol}`,
+      `held_${currency.symbol}`, `held_on_chain_${currency.symbol}`, "reconciled", "first_contribution", "last_contribution"],
+    ...rows,
+  ].map((row) => row.join(",")).join("\n") + "\n"
+}
+
+// Everything, as JSON: amounts as base-unit strings, times as ISO strings.
+export function analyticsToJson(analytics, currency) {
+  const report = {
+    campaignId: analytics.id,
+    currency: { address: currency.address, symbol: currency.symbol, decimals: currency.decimals },
+    goalWei: analytics.goalWei,
+    totalRaised: analytics.totalRaised,
+    uniqueBackers: analytics.backers.filter((b) => b.contributions > 0).length,
+    reconciliation: analytics.reconciliation,
+    backers: analytics.backers.map((b) => ({ ...b, firstAt: isoTime(b.firstAt), lastAt: isoTime(b.lastAt) })),
+    series: analytics.series.map((p) => ({ ...p, timestamp: isoTime(p.timestamp) })),
+    distribution: analytics.distribution,
+    events: [...analytics.history].reverse().map((e) => ({ ...e, timestamp: isoTime(e.timestamp) })),
+  }
+  return JSON.stringify(report, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2) + "\n"
+}
@@ -0,0 +1,88 @@
+// Contribution history. Per account: which campaigns the account backed
+// (from Contributed/Refunded events), what is still held (contributions())
+// and the escrowed CRWD rewards (claimable once successful and past
+// rewardsVestAt). Per campaign: who backed it and when.
+
+export async function fetchMyContributions(contract, account, fromBlock = 0) {
+  const byId = new Map()
+  const entry = (id) => {
+    if (!byId.has(id)) {
+      byId.set(id, { id, contributedWei: 0n, refundedWei: 0n, currentWei: 0n, rewardsEarned: 0n, claimableRewards: 0n, rewardsVestAt: 0 })
+    }
+    return byId.get(id)
+  }
+
+  for (const log of await contract.queryFilter(contract.filters.Contributed(null, account), fromBlock)) {
+    entry(Number(log.args.id)).contributedWei += log.args.amountWei
+  }
+  for (const log of await contract.queryFilter(contract.filters.Refunded(null, account), fromBlock)) {
+    entry(Number(log.args.id)).refundedWei += log.args.amountWei
+  }
+
+  const entries = [...byId.values()].sort((a, b) => a.id - b.id)
+  await Promise.all(entries.map(async (e) => {
+    let vestAt
+    [e.currentWei, e.rewardsEarned, e.claimableRewards, vestAt] = await Promise.all([
+      contract.contributions(e.id, account),
+      contract.rewardsEarned(e.id, account),
+      contract.claimableRewards(e.id, account),
+      contract.rewardsVestAt(e.id),
+    ])
+    e.rewardsVestAt = Number(vestAt)
+  }))
+  return entries
+}
+
+// What the account can do about one backed campaign.
+//   "active"    - still running (or waiting for finalize)
+//   "refund"    - failed and funds still held: refund() is available
+//   "refunded"  - failed and already refunded
+//   "succeeded" - successful; funds belong to the creator
+export function contributionAction(entry, campaign) {
+  if (!campaign || !campaign.finalized) return "active"
+  if (campaign.successful) return "succeeded"
+  return entry.currentWei > 0n ? "refund" : "refunded"
+}
+
+// Everything backers did in campaign `id`, newest first:
+// [{ kind: "contributed" | "refunded" | "reclaimed", account, amountWei, blockNumber, logIndex, transactionHash, timestamp }]
+export async function fetchCampaignHistory(contract, id, fromBlock = 0) {
+  const [contributed, refunded, reclaimed] = await Promise.all([
+    contract.queryFilter(contract.filters.Contributed(id), fromBlock),
+    contract.queryFilter(contract.filters.Refunded(id), fromBlock),
+    contract.queryFilter(contract.filters.Reclaimed(id), fromBlock),
+  ])
+  const logs = [
+    ...contributed.map((log) => ({ kind: "contributed", account: log.args.contributor, log })),
+    ...refunded.map((log) => ({ kind: "refunded", account: log.args.contributor, log })),
+    ...reclaimed.map((log) => ({ kind: "reclaimed", account: log.args.backer, log })),
+  ].sort((a, b) => b.log.blockNumber - a.log.blockNumber || b.log.index - a.log.index)
+
+  // one block lookup per block, however many events it holds
+  const blocks = new Map()
+  for (const { log } of logs) {
+    if (!blocks.has(log.blockNumber)) blocks.set(log.blockNumber, log.getBlock())
+  }
+  return Promise.all(logs.map(async ({ kind, account, log }) => ({
+    kind,
+    account,
+    amountWei: log.args.amountWei,
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+    transactionHash: log.transactionHash,
+    timestamp: (await blocks.get(log.blockNumber)).timestamp,
+  })))
+}
+
+// Per-backer totals from fetchCampaignHistory, biggest backers first.
+// `returnedWei` counts refunds and reclaimed shares.
+export function summarizeBackers(history) {
+  const byAccount = new Map()
+  for (const e of history) {
+    const backer = byAccount.get(e.account) ?? { account: e.account, contributedWei: 0n, returnedWei: 0n }
+    if (e.kind === "contributed") backer.contributedWei += e.amountWei
+    else backer.returnedWei += e.amountWei
+    byAccount.set(e.account, backer)
+  }
+  return [...byAccount.values()].sort((a, b) => (a.contributedWei < b.contributedWei) - (a.contributedWei > b.contributedWei))
+}
@@ -0,0 +1,59 @@
+import { ethers } from 'ethers'
+
+export const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function nonces(address owner) view returns (uint256)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+]
+
+export const ETH = { address: ethers.ZeroAddress, symbol: "ETH", decimals: 18 }
+
+export function isEth(currency) {
+  return !currency || currency.address === ethers.ZeroAddress
+}
+
+export function formatAmount(amount, currency) {
+  return ethers.formatUnits(amount, currency.decimals)
+}
+
+// address -> { address, symbol, decimals } for every distinct campaign currency
+export async function loadCurrencies(runner, addresses) {
+  const out = new Map([[ethers.ZeroAddress, ETH]])
+  for (const address of new Set(addresses)) {
+    if (out.has(address)) continue
+    const token = new ethers.Contract(address, ERC20_ABI, runner)
+    const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()])
+    out.set(address, { address, symbol, decimals: Number(decimals) })
+  }
+  return out
+}
+
+// EIP-2612 signature for `amount` to `spender`, or null if the token doesn't
+// expose an EIP-5267 domain (then the caller falls back to approve()).
+export async function signPermit(signer, tokenAddress, spender, amount, deadline) {
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, signer)
+  let domain
+  try {
+    const d = await token.eip712Domain()
+    domain = { name: d.name, version: d.version, chainId: d.chainId, verifyingContract: d.verifyingContract }
+  } catch {
+    return null
+  }
+
+  const owner = await signer.getAddress()
+  const types = {
+    Permit: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  }
+  const message = { owner, spender, value: amount, nonce: await token.nonces(owner), deadline }
+  return ethers.Signature.from(await signer.signTypedData(domain, types, message))
+}
@@ -0,0 +1,266 @@
+import { ethers } from 'ethers'
+import { PROPOSAL_STATES } from './governance.js'
+
+// Turns whatever a wallet, RPC node or ethers throws into one readable
+// message. Revert data is decoded against the deployed ABIs (Crowdfunding,
+// RewardToken, BackerBadge, CrowdForwarder, CrowdGovernor, TimelockController,
+// CampaignTeam, ContributionGate), so errors bubbling up from them are named too.
+
+const fixed = (text) => () => text
+
+export const ERROR_MESSAGES = {
+  // Crowdfunding
+  GoalZero: fixed("The goal must be greater than zero."),
+  DurationZero: fixed("The duration must be greater than zero."),
+  DurationOutOfRange: (a) => `The duration must be between ${a.minDuration} and ${a.maxDuration} seconds.`,
+  BadDurationBounds: fixed("The minimum duration must be above zero and at most the maximum."),
+  TitleEmpty: fixed("The campaign needs a title."),
+  BadId: fixed("This campaign does not exist."),
+  CampaignEnded: fixed("This campaign has already ended."),
+  ZeroValue: fixed("The amount must be greater than zero."),
+  AlreadyFinalized: fixed("This campaign is already finalized."),
+  CampaignNotEnded: fixed("The campaign has not reached its deadline yet."),
+  NotFinalized: fixed("The campaign has not been finalized yet."),
+  NotSuccessful: fixed("The campaign did not reach its goal."),
+  NotCreator: fixed("Only the campaign creator can do this."),
+  WithdrawNothing: fixed("There is nothing to withdraw."),
+  FeeTooHigh: fixed("The platform fee can be at most 10%."),
+  BadTreasury: fixed("The treasury cannot be the zero address."),
+  RefundNothing: fixed("You have nothing to refund in this campaign."),
+  BadMilestones: fixed("Milestones must be positive, at most 10, and add up to 100%."),
+  BadStretchGoals: fixed("Stretch goals must be above the goal and strictly increasing (at most 10)."),
+  NoMilestones: fixed("This campaign has no milestones."),
+  MilestonesComplete: fixed("All milestones have already been released."),
+  MilestonesRejected: fixed("A milestone was rejected; no further tranches can be released."),
+  MilestoneVoteOpen: fixed("A milestone vote is already open."),
+  NoMilestoneVote: fixed("There is no open milestone vote."),
+  MilestoneVoteEnded: fixed("The milestone vote has ended."),
+  MilestoneVoteNotEnded: fixed("The milestone vote is still running."),
+  AlreadyVoted: fixed("You already voted on this milestone."),
+  NoVotingPower: fixed("Only backers of this campaign can vote."),
+  NotRejected: fixed("Reclaiming is only possible after a milestone was rejected or its request is overdue."),
+  MilestoneRequestOverdue: fixed("The next milestone was not requested in time; backers can reclaim the rest."),
+  ReclaimNothing: fixed("You have nothing to reclaim in this campaign."),
+  CurrencyNotAllowed: fixed("This token is not an allowed campaign currency."),
+  WrongCurrency: fixed("This campaign takes a different currency."),
+  ClaimNothing: fixed("There are no rewards to claim yet."),
+  NoPendingPayout: fixed("You have no pending payout in this currency."),
+  BadRecipient: fixed("Choose an address to receive the payout."),
+  PayoutFailed: fixed("The destination did not accept the payout; try another address."),
+  BadHardCap: fixed("The hard cap must be at least the goal and the last stretch goal."),
+  HardCapExceeded: (a) => a.remaining === 0n
+    ? "This campaign has reached its hard cap."
+    : `This would exceed the campaign's hard cap; only ${a.remaining} base units can still be contributed.`,
+  ExtensionTooLong: fixed("A deadline can be extended by at most 30 days in total."),
+  GoalNotReached: fixed("The campaign can only close early once its goal is reached."),
+  BadTiers: fixed("Tiers need a name and strictly increasing minimums above zero (at most 10)."),
+
+  // Crowdfunding upgrades (UUPS proxy)
+  InvalidInitialization: fixed("The contract is already initialized."),
+  NotInitializing: fixed("This can only run while the contract is being initialized."),
+  UUPSUnauthorizedCallContext: fixed("Upgrades must go through the proxy."),
+  UUPSUnsupportedProxiableUUID: fixed("The new implementation is not a compatible upgrade."),
+  ERC1967InvalidImplementation: (a) => `${a.implementation} is not an upgradeable implementation.`,
+  ERC1967NonPayable: fixed("This upgrade does not accept ETH."),
+  AddressEmptyCode: (a) => `There is no contract at ${a.target}.`,
+
+  // CampaignTeam (BadRecipient and PayoutFailed as above)
+  NotTeamOwner: fixed("Only an owner of this team can do this."),
+  OnlyTeam: fixed("Team changes must be proposed and approved by the owners."),
+  BadOwner: fixed("That address cannot be an owner here."),
+  DuplicateOwner: fixed("That address is already an owner."),
+  TooManyOwners: fixed("A team can have at most 20 owners."),
+  BadShares: fixed("Give every owner a share; the shares must add up to 100%."),
+  BadThreshold: fixed("Approvals needed must be at least 1 and at most the number of owners."),
+  BadTarget: fixed("A team can only call Crowdfunding or itself."),
+  BadProposal: fixed("This team proposal does not exist."),
+  AlreadyExecuted: fixed("This team proposal was already executed."),
+  AlreadyApproved: fixed("You already approved this proposal."),
+  NotApproved: fixed("You have not approved this proposal."),
+  NotEnoughApprovals: (a) => `This proposal has ${a.approvals} of the ${a.threshold} approvals it needs.`,
+  NothingOwed: fixed("The team owes you nothing in this currency."),
+
+  // ContributionGate
+  OnlyCrowdfunding: fixed("Campaign access is set when the campaign is created."),
+  BadLimits: fixed("The maximum contribution must be at least the minimum."),
+  NotAllowed: fixed("This campaign is private and you are not admitted; check your allowlist proof or attestation."),
+  BadAttestation: fixed("The attestation was not signed by this campaign's verifier."),
+  AttestationExpired: fixed("The attestation has expired; ask the verifier for a new one."),
+  BelowMinimum: (a) => `Backers of this campaign must contribute at least ${a.minWei} base units in total.`,
+  AboveMaximum: (a) => `Backers of this campaign can contribute at most ${a.maxWei} base units in total.`,
+
+  // BackerBadge
+  Soulbound: fixed("Backer badges cannot be transferred."),
+
+  // CrowdForwarder
+  ERC2771ForwarderInvalidSigner: fixed("The request was not signed by its sender, or was already used; sign it again."),
+  ERC2771ForwarderExpiredRequest: fixed("The signed request has expired; sign it again."),
+  ERC2771ForwarderMismatchedValue: fixed("The ETH sent does not match the signed request."),
+  ERC2771UntrustfulTarget: fixed("The target contract does not accept relayed requests."),
+  InsufficientBalance: fixed("Not enough ETH to make this call."),
+
+  // CrowdGovernor and TimelockController
+  GovernorUnexpectedProposalState: (a) => `The proposal is ${PROPOSAL_STATES[Number(a.current)]?.toLowerCase() ?? "in the wrong state"} and cannot do this now.`,
+  GovernorAlreadyCastVote: fixed("You already voted on this proposal."),
+  GovernorAlreadyQueuedProposal: fixed("The proposal is already queued."),
+  GovernorNotQueuedProposal: fixed("The proposal has not been queued."),
+  GovernorNonexistentProposal: fixed("This proposal does not exist."),
+  GovernorInsufficientProposerVotes: (a) => `You need ${a.threshold} votes to propose; you have ${a.votes}.`,
+  GovernorRestrictedProposer: fixed("This account may not submit this proposal."),
+  GovernorInvalidProposalLength: fixed("The proposal's targets, values and calldatas do not line up."),
+  GovernorInvalidVoteType: fixed("Votes are against, for or abstain."),
+  GovernorInvalidVoteParams: fixed("Invalid vote parameters."),
+  GovernorInvalidSignature: fixed("The vote signature is invalid."),
+  GovernorUnableToCancel: fixed("Only the proposer can cancel, and only before voting starts."),
+  GovernorOnlyExecutor: fixed("Only the timelock can change governor settings."),
+  GovernorInvalidQuorumFraction: fixed("The quorum must be at most 100%."),
+  GovernorInvalidVotingPeriod: fixed("The voting period must be longer than zero."),
+  GovernorQueueNotImplemented: fixed("This governor cannot queue proposals."),
+  GovernorDisabledDeposit: fixed("The governor does not accept deposits."),
+  TimelockUnexpectedOperationState: fixed("The timelock delay has not passed yet, or the operation already ran."),
+  TimelockInsufficientDelay: (a) => `The timelock delay must be at least ${a.minDelay} seconds.`,
+  TimelockUnexecutedPredecessor: fixed("An earlier operation this one depends on has not run."),
+  TimelockUnauthorizedCaller: fixed("Only the timelock itself can do this."),
+  TimelockInvalidOperationLength: fixed("The operation's targets, values and payloads do not line up."),
+  FailedCall: fixed("A call made by the proposal or the forwarded request failed."),
+
+  // OpenZeppelin (AccessControl, ERC20, SafeERC20, ERC721, votes and signatures)
+  AccessControlUnauthorizedAccount: (a) => `Account ${a.account} is missing the required role.`,
+  AccessControlBadConfirmation: fixed("Role renounce must be confirmed by the account itself."),
+  SafeERC20FailedOperation: (a) => `The token transfer failed (${a.token}).`,
+  ERC20InsufficientBalance: (a) => `Insufficient token balance: have ${a.balance}, need ${a.needed}.`,
+  ERC20InsufficientAllowance: (a) => `Insufficient token allowance: approved ${a.allowance}, need ${a.needed}.`,
+  ERC20InvalidApprover: fixed("Invalid token approver."),
+  ERC20InvalidReceiver: fixed("Invalid token receiver."),
+  ERC20InvalidSender: fixed("Invalid token sender."),
+  ERC20InvalidSpender: fixed("Invalid token spender."),
+  ERC721NonexistentToken: (a) => `Badge #${a.tokenId} does not exist.`,
+  ERC721InvalidOwner: fixed("Invalid badge owner."),
+  ERC721IncorrectOwner: fixed("The badge belongs to someone else."),
+  ERC721InsufficientApproval: fixed("Not approved for this badge."),
+  ERC721InvalidApprover: fixed("Invalid badge approver."),
+  ERC721InvalidOperator: fixed("Invalid badge operator."),
+  ERC721InvalidReceiver: fixed("Invalid badge receiver."),
+  ERC721InvalidSender: fixed("Invalid badge sender."),
+  ERC20ExceededSafeSupply: fixed("Minting would push CRWD past the supply votes can track."),
+  ERC2612ExpiredSignature: fixed("The permit signature has expired."),
+  ERC2612InvalidSigner: fixed("The permit was not signed by the token owner."),
+  VotesExpiredSignature: fixed("The delegation signature has expired."),
+  ERC5805FutureLookup: fixed("Votes can only be read for past blocks."),
+  ERC6372InconsistentClock: fixed("The token and governor disagree on their clock."),
+  CheckpointUnorderedInsertion: fixed("Vote checkpoints were written out of order."),
+  InvalidAccountNonce: fixed("The signature was already used; sign again."),
+  ECDSAInvalidSignature: fixed("Invalid signature."),
+  ECDSAInvalidSignatureLength: fixed("Invalid signature."),
+  ECDSAInvalidSignatureS: fixed("Invalid signature."),
+  SafeCastOverflowedUintDowncast: fixed("A value is too large for the contract to store."),
+  InvalidShortString: fixed("Invalid short string."),
+  StringTooLong: fixed("A string is too long for the contract to store."),
+}
+
+const PANIC_MESSAGES = {
+  0x01: "assertion failed",
+  0x11: "arithmetic overflow or underflow",
+  0x12: "division by zero",
+  0x32: "array index out of bounds",
+}
+
+const USER_REJECTED = 4001
+const OUT_OF_GAS = /out of gas|intrinsic gas too low|requires at least \d+ gas|gas required exceeds/i
+// geth-style nodes and Hardhat Network word it differently
+const INSUFFICIENT_FUNDS = /insufficient funds|doesn't have enough funds/i
+
+// Errors nest differently per wallet/provider: ethers wraps the JSON-RPC
+// error in `info.error`, MetaMask in `data.originalError`, Hardhat in `parent`.
+function* errorChain(error) {
+  const seen = new Set()
+  const queue = [error]
+  while (queue.length) {
+    const e = queue.shift()
+    if (!e || typeof e !== "object" || seen.has(e)) continue
+    seen.add(e)
+    yield e
+    queue.push(e.error, e.info?.error, e.data?.originalError, e.parent, e.cause)
+  }
+}
+
+function revertData(error) {
+  for (const e of errorChain(error)) {
+    for (const data of [e.data, e.data?.data]) {
+      if (typeof data === "string" && ethers.isHexString(data) && data.length >= 10) return data
+    }
+  }
+  return null
+}
+
+function decodeRevert(data, interfaces) {
+  const selector = data.slice(0, 10)
+  if (selector === "0x08c379a0") {
+    const [reason] = ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(data, 4))
+    return { name: "Error", args: [reason], message: reason }
+  }
+  if (selector === "0x4e487b71") {
+    const [code] = ethers.AbiCoder.defaultAbiCoder().decode(["uint256"], ethers.dataSlice(data, 4))
+    return { name: "Panic", args: [code], message: `Contract error: ${PANIC_MESSAGES[Number(code)] ?? `panic 0x${code.toString(16)}`}.` }
+  }
+  for (const iface of interfaces) {
+    const parsed = iface.parseError(data)
+    if (!parsed) continue
+    const describe = ERROR_MESSAGES[parsed.name]
+    return {
+      name: parsed.name,
+      args: parsed.args,
+      message: describe ? describe(parsed.args) : `The contract reverted with ${parsed.name}.`,
+    }
+  }
+  return null
+}
+
+// { kind, message, name?, args? } where kind is one of
+// "rejected" | "revert" | "outOfGas" | "insufficientFunds" | "rpc" | "unknown"
+export function decodeError(error, interfaces = []) {
+  const chain = [...errorChain(error)]
+
+  if (chain.some((e) => e.code === "ACTION_REJECTED" || e.code === USER_REJECTED)) {
+    return { kind: "rejected", message: "You rejected the request in your wallet." }
+  }
+
+  const data = revertData(error)
+  if (data) {
+    const decoded = decodeRevert(data, interfaces)
+    if (decoded) return { kind: "revert", ...decoded }
+    return { kind: "revert", message: `The contract reverted with unknown error ${data.slice(0, 10)}.` }
+  }
+
+  const messages = chain.map((e) => e.shortMessage ?? e.message).filter(Boolean)
+  if (messages.some((m) => OUT_OF_GAS.test(m))) {
+    return { kind: "outOfGas", message: "The transaction ran out of gas. Try again with a higher gas limit." }
+  }
+  if (chain.some((e) => e.code === "INSUFFICIENT_FUNDS") || messages.some((m) => INSUFFICIENT_FUNDS.test(m))) {
+    return { kind: "insufficientFunds", message: "Your balance cannot cover the amount plus gas." }
+  }
+  if (chain.some((e) => e.reason)) {
+    return { kind: "revert", message: `The transaction reverted: ${chain.find((e) => e.reason).reason}.` }
+  }
+
+  const rpc = chain.find((e) => ["NETWORK_ERROR", "SERVER_ERROR", "TIMEOUT", "UNKNOWN_ERROR"].includes(e.code)
+    || (typeof e.code === "number" && e.code <= -32000))
+  if (rpc) {
+    // prefer the node's own JSON-RPC message over ethers' summary
+    const detail = chain.find((e) => typeof e.code === "number")?.message ?? rpc.shortMessage ?? rpc.message
+    return { kind: "rpc", message: `The network request failed: ${detail}` }
+  }
+
+  return { kind: "unknown", message: messages[0] ?? "Something went wrong." }
+}
+
+export function errorMessage(error, interfaces = []) {
+  return decodeError(error, interfaces).message
+}
+
+// Simulates the call with staticCall first, so a call that would revert is
+// reported (and decodable) before the wallet asks the user to sign and pay.
+export async function preflight(method, ...args) {
+  await method.staticCall(...args)
+  return method(...args)
+}
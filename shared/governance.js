@@ -0,0 +1,150 @@
+import { ethers } from 'ethers'
+
+// Proposals for CrowdGovernor. Every platform parameter is changed by a call
+// the TimelockController makes once a proposal passes and its delay is over.
+
+// Governor's ProposalState enum, in order
+export const PROPOSAL_STATES = ["Pending", "Active", "Canceled", "Defeated", "Succeeded", "Queued", "Expired", "Executed"]
+
+// GovernorCountingSimple's support values
+export const VOTE = { against: 0, for: 1, abstain: 2 }
+
+const MINTER_ROLE = ethers.id("MINTER_ROLE")
+
+// "2.5" -> 250n; throws on more than two decimals
+function percentToBps(percent) {
+  return ethers.parseUnits(String(percent).trim(), 2)
+}
+
+// What the proposal form offers. `build` turns the form fields into the
+// single call the timelock will make; `contracts` holds ethers Contracts.
+export const PROPOSAL_ACTIONS = {
+  rewardRate: {
+    label: "Set reward rate",
+    fields: { currency: "Currency token (blank = ETH)", rate: "CRWD units per currency unit" },
+    build: ({ crowdfund }, { currency, rate }) => ({
+      target: crowdfund.target,
+      data: crowdfund.interface.encodeFunctionData("setRewardRate", [
+        currency?.trim() ? ethers.getAddress(currency.trim()) : ethers.ZeroAddress,
+        BigInt(rate),
+      ]),
+    }),
+  },
+  durationBounds: {
+    label: "Set campaign duration bounds",
+    fields: { min: "Minimum (seconds)", max: "Maximum (seconds)" },
+    build: ({ crowdfund }, { min, max }) => ({
+      target: crowdfund.target,
+      data: crowdfund.interface.encodeFunctionData("setCampaignDurationBounds", [BigInt(min), BigInt(max)]),
+    }),
+  },
+  platformFee: {
+    label: "Set platform fee",
+    fields: { percent: "Fee % of each withdrawal (max 10)" },
+    build: ({ crowdfund }, { percent }) => ({
+      target: crowdfund.target,
+      data: crowdfund.interface.encodeFunctionData("setPlatformFee", [percentToBps(percent)]),
+    }),
+  },
+  rewardVesting: {
+    label: "Set reward vesting",
+    fields: { minDuration: "Minimum campaign duration (seconds)", minFeePercent: "Minimum fee % (max 10)" },
+    build: ({ crowdfund }, { minDuration, minFeePercent }) => ({
+      target: crowdfund.target,
+      data: crowdfund.interface.encodeFunctionData("setRewardVesting", [BigInt(minDuration), percentToBps(minFeePercent)]),
+    }),
+  },
+  treasury: {
+    label: "Set treasury",
+    fields: { account: "Treasury address" },
+    build: ({ crowdfund }, { account }) => ({
+      target: crowdfund.target,
+      data: crowdfund.interface.encodeFunctionData("setTreasury", [ethers.getAddress(account.trim())]),
+    }),
+  },
+  upgradeCrowdfunding: {
+    label: "Upgrade Crowdfunding",
+    fields: { implementation: "New implementation (from scripts/upgrade.js)" },
+    build: ({ crowdfund }, { implementation }) => ({
+      target: crowdfund.target,
+      data: crowdfund.interface.encodeFunctionData("upgradeToAndCall", [ethers.getAddress(implementation.trim()), "0x"]),
+    }),
+  },
+  grantMinter: {
+    label: "Grant CRWD MINTER_ROLE",
+    fields: { account: "Account" },
+    build: ({ token }, { account }) => ({
+      target: token.target,
+      data: token.interface.encodeFunctionData("grantRole", [MINTER_ROLE, ethers.getAddress(account.trim())]),
+    }),
+  },
+  revokeMinter: {
+    label: "Revoke CRWD MINTER_ROLE",
+    fields: { account: "Account" },
+    build: ({ token }, { account }) => ({
+      target: token.target,
+      data: token.interface.encodeFunctionData("revokeRole", [MINTER_ROLE, ethers.getAddress(account.trim())]),
+    }),
+  },
+}
+
+// Arguments for governor.propose(...), and later queue/execute which take the
+// same calls plus the description hash.
+export function buildProposal(contracts, actions, description) {
+  if (!description.trim()) throw new Error("A proposal needs a description.")
+  const calls = actions.map(({ type, params }) => {
+    const action = PROPOSAL_ACTIONS[type]
+    if (!action) throw new Error(`Unknown proposal action "${type}"`)
+    return action.build(contracts, params)
+  })
+  return {
+    targets: calls.map((c) => c.target),
+    values: calls.map(() => 0n),
+    calldatas: calls.map((c) => c.data),
+    description,
+  }
+}
+
+export function descriptionHash(description) {
+  return ethers.id(description)
+}
+
+// "Crowdfunding.setRewardRate(0x0000…, 2000)" for calls to a known contract.
+export function describeCall(target, data, named) {
+  for (const [name, contract] of Object.entries(named)) {
+    if (contract.target.toLowerCase() !== target.toLowerCase()) continue
+    const parsed = contract.interface.parseTransaction({ data })
+    if (parsed) return `${name}.${parsed.name}(${parsed.args.map(String).join(", ")})`
+  }
+  return `${target} ${data.slice(0, 10)}`
+}
+
+// Every proposal since `fromBlock`, newest first, with its current state and tally.
+export async function fetchProposals(governor, fromBlock, account) {
+  const logs = await governor.queryFilter(governor.filters.ProposalCreated(), fromBlock)
+  const proposals = await Promise.all(logs.map(async (log) => {
+    const { proposalId, proposer, targets, calldatas, voteStart, voteEnd, description } = log.args
+    const [state, votes, eta, voted] = await Promise.all([
+      governor.state(proposalId),
+      governor.proposalVotes(proposalId),
+      governor.proposalEta(proposalId),
+      account ? governor.hasVoted(proposalId, account) : false,
+    ])
+    return {
+      id: proposalId,
+      proposer,
+      targets: [...targets],
+      // args.values would be Array.prototype.values on an ethers Result
+      values: [...log.args[3]],
+      calldatas: [...calldatas],
+      description,
+      voteStart: Number(voteStart),
+      voteEnd: Number(voteEnd),
+      state: PROPOSAL_STATES[Number(state)],
+      votes: { against: votes.againstVotes, for: votes.forVotes, abstain: votes.abstainVotes },
+      eta: Number(eta),
+      voted,
+    }
+  }))
+  return proposals.reverse()
+}
@@ -0,0 +1,153 @@
+import { ethers } from 'ethers'
+
+// Gasless calls through CrowdForwarder (ERC-2771): the user signs an EIP-712
+// ForwardRequest, a relayer (scripts/relayer.js) submits it and pays the gas,
+// and Crowdfunding sees the signer as the sender. Requests carry the signer's
+// next forwarder nonce and a deadline, so each one runs at most once and only
+// while it is fresh.
+
+export const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint48" },
+    { name: "data", type: "bytes" },
+  ],
+}
+
+// Crowdfunding functions the relayer pays for. ERC-20 contributions are
+// among them (the tokens come from the signer's allowance or permit); ETH
+// contributions are not: the relayer would have to front the value as well
+// as the gas.
+export const RELAYED_FUNCTIONS = [
+  "createCampaign", "createCampaignWithOptions", "setCampaignMetadata",
+  "contributeToken", "contributeTokenWithPass", "contributeWithPermit",
+  "finalize", "withdraw", "refund", "claimRewards", "claimPayout",
+  "requestMilestone", "voteMilestone", "resolveMilestone", "reclaim",
+  "cancel", "extendDeadline", "closeEarly",
+]
+
+export const REQUEST_TTL_SECONDS = 3600
+const RECEIPT_POLL_MS = 1000
+// on top of the estimate; the forwarder reverts if it cannot pass on the signed gas
+const GAS_HEADROOM_PERCENT = 20n
+
+export class RelayError extends Error {
+  // `reason` is the relayer's rejection code, `data` revert data if the call would fail
+  constructor(message, { reason = null, data = null } = {}) {
+    super(message)
+    this.reason = reason
+    this.data = data
+  }
+}
+
+export async function forwarderDomain(forwarder) {
+  const d = await forwarder.eip712Domain()
+  return { name: d.name, version: d.version, chainId: d.chainId, verifyingContract: d.verifyingContract }
+}
+
+// bigints as decimal strings, so requests survive JSON
+export function serializeRequest(request) {
+  return {
+    from: request.from,
+    to: request.to,
+    value: request.value.toString(),
+    gas: request.gas.toString(),
+    nonce: request.nonce.toString(),
+    deadline: request.deadline.toString(),
+    data: request.data,
+    signature: request.signature,
+  }
+}
+
+// Throws on anything that is not a well-formed request.
+export function parseRequest(json) {
+  if (!ethers.isHexString(json?.data) || !ethers.isHexString(json?.signature)) {
+    throw new Error("The request needs hex data and a signature.")
+  }
+  return {
+    from: ethers.getAddress(json.from),
+    to: ethers.getAddress(json.to),
+    value: BigInt(json.value),
+    gas: BigInt(json.gas),
+    nonce: BigInt(json.nonce),
+    deadline: BigInt(json.deadline),
+    data: json.data,
+    signature: json.signature,
+  }
+}
+
+// Builds and signs the request for calling `to` with `data`. The gas is
+// estimated as the forwarder will make the call, which also reports a call
+// that would revert before anything is signed.
+export async function signForwardRequest(forwarder, signer, { to, data, ttlSeconds = REQUEST_TTL_SECONDS }) {
+  const from = await signer.getAddress()
+  const provider = signer.provider
+  const estimate = await provider.estimateGas({ from: await forwarder.getAddress(), to, data: ethers.concat([data, from]) })
+  const { timestamp } = await provider.getBlock("latest")
+  const request = {
+    from,
+    to,
+    value: 0n,
+    gas: (estimate * (100n + GAS_HEADROOM_PERCENT)) / 100n,
+    nonce: await forwarder.nonces(from),
+    deadline: BigInt(timestamp + ttlSeconds),
+    data,
+  }
+  const signature = await signer.signTypedData(await forwarderDomain(forwarder), FORWARD_REQUEST_TYPES, request)
+  return { ...request, signature }
+}
+
+// POST /relay; resolves to the hash of the relayer's transaction.
+export async function relayRequest(baseUrl, request) {
+  const res = await fetch(`${baseUrl}/relay`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(serializeRequest(request)),
+  })
+  const body = await res.json().catch(() => ({}))
+  if (!res.ok) throw new RelayError(body.error ?? `Relayer responded with ${res.status}`, body)
+  return body.hash
+}
+
+// Signs `method(...args)` and has the relayer send it. Returns a handle with
+// `hash` and `wait()`, like the transaction a direct call returns. wait()
+// polls for the receipt: the wallet's node may see the relayer's transaction
+// only once it is mined. It gives up once the signed request can no longer
+// run: past its deadline, or with its forwarder nonce used by another
+// transaction (the relayer's was dropped and the request sent again).
+export async function sendGasless({ forwarder, signer, relayerUrl }, method, ...args) {
+  const { to, data } = await method.populateTransaction(...args)
+  const request = await signForwardRequest(forwarder, signer, { to, data })
+  const hash = await relayRequest(relayerUrl, request)
+  const provider = signer.provider
+  const settled = (receipt) => {
+    if (receipt.status !== 1) throw new RelayError("The relayed transaction reverted.", { reason: "reverted" })
+    return receipt
+  }
+  return {
+    hash,
+    wait: async () => {
+      for (;;) {
+        const receipt = await provider.getTransactionReceipt(hash)
+        if (receipt) return settled(receipt)
+
+        const [{ timestamp }, nonce] = await Promise.all([provider.getBlock("latest"), forwarder.nonces(request.from)])
+        if (nonce > request.nonce) {
+          // mined after all, between the two lookups
+          const late = await provider.getTransactionReceipt(hash)
+          if (late) return settled(late)
+          throw new RelayError("The request was carried out by another transaction.", { reason: "nonce" })
+        }
+        // a later block could only include it as a revert
+        if (BigInt(timestamp) > request.deadline) {
+          throw new RelayError("The relayer's transaction was not mined before the request expired; sign it again.", { reason: "expired" })
+        }
+        await new Promise((resolve) => setTimeout(resolve, RECEIPT_POLL_MS))
+      }
+    },
+  }
+}
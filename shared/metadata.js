@@ -0,0 +1,70 @@
+import { ethers } from 'ethers'
+
+// Titles, descriptions and image URLs live only in event data
+// (CampaignCreated / CampaignMetadata); the contract stores just titleHash.
+
+export function titleHashOf(title) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["string"], [title]))
+}
+
+export function isTitleVerified(title, titleHash) {
+  return typeof title === "string" && titleHashOf(title) === titleHash
+}
+
+// Only render images from http(s) URLs.
+export function safeImageUrl(url) {
+  try {
+    const parsed = new URL(url)
+    return parsed.protocol === "https:" || parsed.protocol === "http:" ? parsed.href : ""
+  } catch {
+    return ""
+  }
+}
+
+export function tiersFromEvent(tiers) {
+  return tiers.map((t) => ({ name: t.name, minWei: t.minWei, limit: Number(t.limit) }))
+}
+
+// id -> { title, description, imageUrl, milestoneBps, stretchGoals, currency,
+// hardCap, finishOnGoal, tiers } from four log queries, instead of several
+// lookups per campaign. `fromBlock` is the contract's deployment block;
+// nothing to find before it.
+export async function fetchCampaignMetadata(contract, fromBlock = 0) {
+  const meta = new Map()
+
+  for (const log of await contract.queryFilter(contract.filters.CampaignCreated(), fromBlock)) {
+    meta.set(Number(log.args.id), {
+      title: log.args.title,
+      description: "",
+      imageUrl: "",
+      milestoneBps: [],
+      stretchGoals: [],
+      currency: ethers.ZeroAddress,
+      hardCap: 0n,
+      finishOnGoal: false,
+      tiers: [],
+    })
+  }
+  for (const log of await contract.queryFilter(contract.filters.CampaignMetadata(), fromBlock)) {
+    const m = meta.get(Number(log.args.id))
+    if (!m) continue
+    m.description = log.args.description
+    m.imageUrl = log.args.imageUrl
+  }
+  for (const log of await contract.queryFilter(contract.filters.CampaignOptionsSet(), fromBlock)) {
+    const m = meta.get(Number(log.args.id))
+    if (!m) continue
+    m.milestoneBps = [...log.args.milestoneBps]
+    m.stretchGoals = [...log.args.stretchGoalsWei]
+    m.currency = log.args.currency
+    m.hardCap = log.args.hardCapWei
+    m.finishOnGoal = log.args.finishOnGoal
+  }
+  for (const log of await contract.queryFilter(contract.filters.CampaignTiersSet(), fromBlock)) {
+    const m = meta.get(Number(log.args.id))
+    if (!m) continue
+    m.tiers = tiersFromEvent(log.args.tiers)
+  }
+
+  return meta
+}
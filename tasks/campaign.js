@@ -0,0 +1,355 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { PLUGIN, withCommonParams, getContracts, getSigner, send, eventOf, toJson, output } = require("./common");
+
+// Usage: npx hardhat campaign:<command> --network localhost [--json] ...
+// Amounts are in the campaign currency's units (ETH or the ERC-20 token).
+
+const FINALIZED_MASK = 1;
+const SUCCESSFUL_MASK = 2;
+const CANCELLED_MASK = 8;
+
+async function latestTimestamp(hre) {
+  return (await hre.ethers.provider.getBlock("latest")).timestamp;
+}
+
+function statusOf(c, now) {
+  const flags = Number(c.flags);
+  if (flags & CANCELLED_MASK) return "cancelled";
+  if (flags & FINALIZED_MASK) return flags & SUCCESSFUL_MASK ? "successful" : "failed";
+  return Number(c.deadline) <= now ? "expired" : "active";
+}
+
+// Same event-sourced titles/options and currency lookup as the frontend.
+async function loadCampaigns(hre, { crowdfund, fromBlock }, ids) {
+  const { fetchCampaignMetadata, isTitleVerified } = await import("../shared/metadata.js");
+  const { loadCurrencies, ETH } = await import("../shared/currency.js");
+
+  const metadata = await fetchCampaignMetadata(crowdfund, fromBlock);
+  const currencies = await loadCurrencies(hre.ethers.provider, [...metadata.values()].map((m) => m.currency));
+  const now = await latestTimestamp(hre);
+  const { formatUnits } = hre.ethers;
+
+  const out = [];
+  for (const id of ids) {
+    const c = await crowdfund.campaigns(id);
+    const meta = metadata.get(id);
+    const currency = currencies.get(meta?.currency) ?? ETH;
+    const verified = isTitleVerified(meta?.title, c.titleHash);
+    const tiers = meta?.tiers ?? [];
+    const claimed = tiers.length ? (await crowdfund.getTiers(id)).map((t) => Number(t.claimed)) : [];
+    out.push({
+      id,
+      title: verified ? meta.title : null,
+      unverifiedTitle: meta?.title != null && !verified ? meta.title : null,
+      creator: c.creator,
+      currency: { address: currency.address, symbol: currency.symbol, decimals: currency.decimals },
+      goal: formatUnits(c.goalWei, currency.decimals),
+      raised: formatUnits(c.totalRaised, currency.decimals),
+      goalWei: c.goalWei,
+      raisedWei: c.totalRaised,
+      deadline: new Date(Number(c.deadline) * 1000).toISOString(),
+      status: statusOf(c, now),
+      milestoneBps: (meta?.milestoneBps ?? []).map(Number),
+      stretchGoals: (meta?.stretchGoals ?? []).map((g) => formatUnits(g, currency.decimals)),
+      hardCap: meta?.hardCap ? formatUnits(meta.hardCap, currency.decimals) : null,
+      finishOnGoal: meta?.finishOnGoal ?? false,
+      tiers: tiers.map((t, i) => ({
+        name: t.name,
+        minimum: formatUnits(t.minWei, currency.decimals),
+        limit: t.limit,
+        claimed: claimed[i],
+      })),
+    });
+  }
+  return out;
+}
+
+async function allIds(crowdfund) {
+  return [...Array(Number(await crowdfund.campaignCount())).keys()];
+}
+
+async function requireCampaign(contracts, id) {
+  if (id >= Number(await contracts.crowdfund.campaignCount())) {
+    throw new HardhatPluginError(PLUGIN, `Campaign ${id} does not exist`);
+  }
+}
+
+function formatCampaign(c) {
+  const title = c.title ?? `#${c.id} (unverified title)`;
+  return `#${c.id}  ${c.status.padEnd(10)} ${c.raised}/${c.goal} ${c.currency.symbol}  ${title}`;
+}
+
+// withdraw() / refund(): send, then report the amount from the emitted event.
+async function payout(hre, args, method, eventName, verb) {
+  const contracts = await getContracts(hre, args.address);
+  await requireCampaign(contracts, args.id);
+  const [campaign] = await loadCampaigns(hre, contracts, [args.id]);
+  const crowdfund = contracts.crowdfund.connect(await getSigner(hre, args.from));
+  const receipt = await send(contracts, () => crowdfund[method](args.id));
+  const { amountWei } = eventOf(receipt, crowdfund, eventName).args;
+  const result = {
+    id: args.id,
+    amount: hre.ethers.formatUnits(amountWei, campaign.currency.decimals),
+    amountWei,
+    tx: receipt.hash,
+  };
+  return output(result, args.json, (r) => `${verb} ${r.amount} ${campaign.currency.symbol} (#${r.id}, tx ${r.tx})`);
+}
+
+function parseList(text, parse) {
+  return text ? text.split(",").map((part) => parse(part.trim())) : [];
+}
+
+function parseTier(text, hre, decimals) {
+  const [name, min, limit = "0"] = text.split(":").map((s) => s.trim());
+  if (!name || !min) throw new HardhatPluginError(PLUGIN, `Bad tier "${text}", expected name:minimum[:limit]`);
+  return { name, minWei: hre.ethers.parseUnits(min, decimals), limit: Number(limit) };
+}
+
+// --allowlist is a Merkle root or a { root, proofs } file from scripts/allowlist.js
+function parseAccess(args, hre, decimals) {
+  let allowlistRoot = args.allowlist ?? hre.ethers.ZeroHash;
+  if (args.allowlist && !hre.ethers.isHexString(args.allowlist, 32)) {
+    allowlistRoot = JSON.parse(fs.readFileSync(args.allowlist, "utf8")).root;
+  }
+  return {
+    allowlistRoot,
+    verifier: args.verifier ? hre.ethers.getAddress(args.verifier) : hre.ethers.ZeroAddress,
+    minWei: args.minContribution ? hre.ethers.parseUnits(args.minContribution, decimals) : 0n,
+    maxWei: args.maxContribution ? hre.ethers.parseUnits(args.maxContribution, decimals) : 0n,
+  };
+}
+
+// The encoded pass admitting the signer to private campaign `id`, from the
+// allowlist file or attestation at `file`; null if it needs none.
+async function passArg(contracts, id, signer, file) {
+  const { passFor, encodePass, isPrivate } = await import("../shared/access.js");
+  const { gate } = contracts;
+  const access = await gate.access(id);
+  if (!isPrivate(access) || await gate.admitted(id, signer.address)) return null;
+  try {
+    return encodePass(passFor(fs.readFileSync(file, "utf8"), id, signer.address, access));
+  } catch (error) {
+    throw new HardhatPluginError(PLUGIN, error.message, error);
+  }
+}
+
+withCommonParams(task("campaign:create", "Create a campaign"))
+  .addParam("title", "Campaign title")
+  .addParam("goal", "Goal in currency units (e.g. 1.5)")
+  .addParam("duration", "Duration in seconds", undefined, types.int)
+  .addOptionalParam("currency", "ERC-20 currency address (default: ETH)")
+  .addOptionalParam("milestones", "Milestone percentages, e.g. 50,30,20")
+  .addOptionalParam("stretchGoals", "Stretch goals in currency units, e.g. 2,3")
+  .addOptionalParam("hardCap", "Stop accepting contributions at this total, in currency units")
+  .addFlag("finishOnGoal", "Close contributions as soon as the goal is reached")
+  .addOptionalParam("tiers", "Backer tiers as name:minimum[:limit], e.g. Bronze:0.1,Gold:1:10")
+  .addOptionalParam("allowlist", "Private campaign: allowlist root, or the JSON file from scripts/allowlist.js")
+  .addOptionalParam("verifier", "Private campaign: address whose attestations (campaign:attest) admit backers")
+  .addOptionalParam("minContribution", "Minimum total per backer, in currency units")
+  .addOptionalParam("maxContribution", "Maximum total per backer, in currency units")
+  .addOptionalParam("description", "Description (emitted as CampaignMetadata)")
+  .addOptionalParam("imageUrl", "Image URL (emitted as CampaignMetadata)")
+  .addOptionalParam("from", "Sender address (default: first account)")
+  .setAction(async (args, hre) => {
+    const contracts = await getContracts(hre, args.address);
+    const { crowdfund } = contracts;
+    const signer = await getSigner(hre, args.from);
+    const currency = args.currency ? hre.ethers.getAddress(args.currency) : hre.ethers.ZeroAddress;
+    const { loadCurrencies } = await import("../shared/currency.js");
+    const { decimals } = (await loadCurrencies(hre.ethers.provider, [currency])).get(currency);
+
+    const options = {
+      milestoneBps: parseList(args.milestones, (p) => Math.round(Number(p) * 100)),
+      stretchGoalsWei: parseList(args.stretchGoals, (g) => hre.ethers.parseUnits(g, decimals)),
+      currency,
+      hardCapWei: args.hardCap ? hre.ethers.parseUnits(args.hardCap, decimals) : 0n,
+      finishOnGoal: args.finishOnGoal,
+      tiers: parseList(args.tiers, (t) => parseTier(t, hre, decimals)),
+      access: parseAccess(args, hre, decimals),
+    };
+    const goalWei = hre.ethers.parseUnits(args.goal, decimals);
+    const receipt = await send(contracts, () =>
+      crowdfund.connect(signer).createCampaignWithOptions(args.title, goalWei, args.duration, options));
+    const id = Number(eventOf(receipt, crowdfund, "CampaignCreated").args.id);
+
+    if (args.description || args.imageUrl) {
+      await send(contracts, () =>
+        crowdfund.connect(signer).setCampaignMetadata(id, args.description ?? "", args.imageUrl ?? ""));
+    }
+    return output({ id, tx: receipt.hash }, args.json, (r) => `Created campaign #${r.id} (tx ${r.tx})`);
+  });
+
+withCommonParams(task("campaign:list", "List all campaigns"))
+  .addOptionalParam("status", "Only campaigns with this status: active, expired, successful, failed, cancelled")
+  .setAction(async (args, hre) => {
+    const contracts = await getContracts(hre, args.address);
+    let campaigns = await loadCampaigns(hre, contracts, await allIds(contracts.crowdfund));
+    if (args.status) campaigns = campaigns.filter((c) => c.status === args.status);
+    return output(campaigns, args.json, (list) => list.map(formatCampaign).join("\n") || "No campaigns");
+  });
+
+withCommonParams(task("campaign:show", "Show one campaign with its contributors"))
+  .addPositionalParam("id", "Campaign id", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const contracts = await getContracts(hre, args.address);
+    const { crowdfund, fromBlock } = contracts;
+    await requireCampaign(contracts, args.id);
+    const [campaign] = await loadCampaigns(hre, contracts, [args.id]);
+    campaign.access = null;
+    if (await crowdfund.gated(args.id)) {
+      const a = await contracts.gate.access(args.id);
+      const { formatUnits, ZeroHash, ZeroAddress } = hre.ethers;
+      campaign.access = {
+        allowlistRoot: a.allowlistRoot === ZeroHash ? null : a.allowlistRoot,
+        verifier: a.verifier === ZeroAddress ? null : a.verifier,
+        minContribution: a.minWei ? formatUnits(a.minWei, campaign.currency.decimals) : null,
+        maxContribution: a.maxWei ? formatUnits(a.maxWei, campaign.currency.decimals) : null,
+      };
+    }
+
+    const backers = new Set();
+    for (const log of await crowdfund.queryFilter(crowdfund.filters.Contributed(args.id), fromBlock)) {
+      backers.add(log.args.contributor);
+    }
+    campaign.contributors = [];
+    for (const backer of backers) {
+      const amountWei = await crowdfund.contributions(args.id, backer);
+      campaign.contributors.push({
+        address: backer,
+        amount: hre.ethers.formatUnits(amountWei, campaign.currency.decimals),
+        amountWei,
+      });
+    }
+
+    return output(campaign, args.json, (c) => [
+      formatCampaign(c),
+      `  creator:  ${c.creator}`,
+      `  deadline: ${c.deadline}`,
+      ...(c.milestoneBps.length ? [`  milestones: ${c.milestoneBps.map((b) => `${b / 100}%`).join(", ")}`] : []),
+      ...(c.stretchGoals.length ? [`  stretch goals: ${c.stretchGoals.join(", ")} ${c.currency.symbol}`] : []),
+      ...(c.hardCap ? [`  hard cap: ${c.hardCap} ${c.currency.symbol}`] : []),
+      ...(c.finishOnGoal ? ["  closes when the goal is reached"] : []),
+      ...(c.access?.allowlistRoot ? [`  allowlist: ${c.access.allowlistRoot}`] : []),
+      ...(c.access?.verifier ? [`  verifier: ${c.access.verifier}`] : []),
+      ...(c.access?.minContribution ? [`  min per backer: ${c.access.minContribution} ${c.currency.symbol}`] : []),
+      ...(c.access?.maxContribution ? [`  max per backer: ${c.access.maxContribution} ${c.currency.symbol}`] : []),
+      ...c.tiers.map((t) => `  tier ${t.name}: from ${t.minimum} ${c.currency.symbol}, ` +
+        (t.limit ? `${t.claimed}/${t.limit} claimed` : `${t.claimed} claimed`)),
+      ...c.contributors.map((b) => `  ${b.address}  ${b.amount} ${c.currency.symbol}`),
+    ].join("\n"));
+  });
+
+withCommonParams(task("campaign:contribute", "Contribute to a campaign"))
+  .addParam("id", "Campaign id", undefined, types.int)
+  .addParam("amount", "Amount in currency units (e.g. 0.5)")
+  .addOptionalParam("pass", "Private campaigns: allowlist JSON file or attestation file that admits the sender")
+  .addOptionalParam("from", "Sender address (default: first account)")
+  .setAction(async (args, hre) => {
+    const contracts = await getContracts(hre, args.address);
+    await requireCampaign(contracts, args.id);
+    const [campaign] = await loadCampaigns(hre, contracts, [args.id]);
+    const crowdfund = contracts.crowdfund.connect(await getSigner(hre, args.from));
+    const amountWei = hre.ethers.parseUnits(args.amount, campaign.currency.decimals);
+    const pass = args.pass ? await passArg(contracts, args.id, crowdfund.runner, args.pass) : null;
+
+    let receipt;
+    if (campaign.currency.address === hre.ethers.ZeroAddress) {
+      receipt = await send(contracts, () => pass
+        ? crowdfund.contributeWithPass(args.id, pass, { value: amountWei })
+        : crowdfund.contribute(args.id, { value: amountWei }));
+    } else {
+      const { ERC20_ABI } = await import("../shared/currency.js");
+      const token = new hre.ethers.Contract(campaign.currency.address, ERC20_ABI, crowdfund.runner);
+      const spender = await crowdfund.getAddress();
+      if (await token.allowance(crowdfund.runner.address, spender) < amountWei) {
+        await send(contracts, () => token.approve(spender, amountWei));
+      }
+      receipt = await send(contracts, () => pass
+        ? crowdfund.contributeTokenWithPass(args.id, amountWei, pass)
+        : crowdfund.contributeToken(args.id, amountWei));
+    }
+    return output({ id: args.id, amount: args.amount, tx: receipt.hash }, args.json,
+      (r) => `Contributed ${r.amount} ${campaign.currency.symbol} to #${r.id} (tx ${r.tx})`);
+  });
+
+withCommonParams(task("campaign:attest", "Sign an attestation admitting a backer to a private campaign, as its verifier"))
+  .addParam("id", "Campaign id", undefined, types.int)
+  .addParam("backer", "Backer address")
+  .addOptionalParam("validFor", "Seconds the attestation stays valid", 30 * 24 * 3600, types.int)
+  .addOptionalParam("out", "Write the attestation file here instead of printing it")
+  .addOptionalParam("from", "Verifier address (default: first account)")
+  .setAction(async (args, hre) => {
+    const contracts = await getContracts(hre, args.address);
+    await requireCampaign(contracts, args.id);
+    const signer = await getSigner(hre, args.from);
+    const { verifier } = await contracts.gate.access(args.id);
+    if (verifier !== signer.address) {
+      throw new HardhatPluginError(PLUGIN, `${signer.address} is not the verifier of campaign #${args.id} (${verifier})`);
+    }
+
+    const { signAttestation } = await import("../shared/access.js");
+    const expiry = await latestTimestamp(hre) + args.validFor;
+    const attestation = await signAttestation(signer, contracts.gate, { campaignId: args.id, backer: args.backer, expiry });
+    if (args.out) fs.writeFileSync(args.out, toJson(attestation) + "\n");
+    return output(attestation, args.json, (a) => args.out
+      ? `Attestation for ${a.backer} on #${a.campaignId}, valid until ${new Date(a.expiry * 1000).toISOString()}, written to ${args.out}`
+      : toJson(a));
+  });
+
+withCommonParams(task("campaign:finalize", "Finalize campaigns past their deadline"))
+  .addOptionalVariadicPositionalParam("ids", "Campaign ids", [], types.int)
+  .addFlag("expired", "Finalize every campaign that is past its deadline and not finalized")
+  .addOptionalParam("from", "Sender address (default: first account)")
+  .setAction(async (args, hre) => {
+    const contracts = await getContracts(hre, args.address);
+    const crowdfund = contracts.crowdfund.connect(await getSigner(hre, args.from));
+
+    let ids = args.ids;
+    if (args.expired) {
+      const campaigns = await loadCampaigns(hre, contracts, await allIds(contracts.crowdfund));
+      ids = [...new Set([...ids, ...campaigns.filter((c) => c.status === "expired").map((c) => c.id)])];
+    }
+    if (ids.length === 0 && !args.expired) {
+      throw new HardhatPluginError(PLUGIN, "Pass campaign ids or --expired");
+    }
+
+    // keep going on failures so one bad id doesn't block the batch
+    const results = [];
+    for (const id of ids) {
+      try {
+        const receipt = await send(contracts, () => crowdfund.finalize(id));
+        const { successful } = eventOf(receipt, crowdfund, "Finalized").args;
+        results.push({ id, ok: true, successful, tx: receipt.hash });
+      } catch (error) {
+        results.push({ id, ok: false, error: error.message });
+      }
+    }
+
+    output(results, args.json, (list) => list.map((r) => r.ok
+      ? `#${r.id} finalized: ${r.successful ? "successful" : "failed"} (tx ${r.tx})`
+      : `#${r.id} not finalized: ${r.error}`).join("\n") || "Nothing to finalize");
+    const failed = results.filter((r) => !r.ok);
+    if (failed.length) {
+      throw new HardhatPluginError(PLUGIN, `${failed.length} of ${results.length} campaigns could not be finalized`);
+    }
+    return results;
+  });
+
+withCommonParams(task("campaign:withdraw", "Withdraw raised (or released) funds as the creator"))
+  .addParam("id", "Campaign id", undefined, types.int)
+  .addOptionalParam("from", "Creator address (default: first account)")
+  .setAction(async (args, hre) => {
+    return payout(hre, args, "withdraw", "Withdrawn", "Withdrew");
+  });
+
+withCommonParams(task("campaign:refund", "Refund a contribution to a failed campaign"))
+  .addParam("id", "Campaign id", undefined, types.int)
+  .addOptionalParam("from", "Backer address (default: first account)")
+  .setAction(async (args, hre) => {
+    return payout(hre, args, "refund", "Refunded", "Refunded");
+  });
+
+module.exports = { loadCampaigns, statusOf };
@@ -0,0 +1,72 @@
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readManifest } = require("../scripts/lib/manifest");
+
+const PLUGIN = "crowdfunding";
+
+// Every task takes --address (defaults to the manifest for the current
+// chain) and --json (machine-readable output on stdout).
+function withCommonParams(t) {
+  return t
+    .addOptionalParam("address", "Crowdfunding address (default: deployments/<chainId>.json)")
+    .addFlag("json", "Print JSON instead of text");
+}
+
+async function getContracts(hre, address) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  // the in-process network shares chain id 31337 with localhost but none of its contracts
+  const manifest = hre.network.name === "hardhat" ? null : readManifest(chainId);
+  const crowdfundAddress = address ?? manifest?.contracts.Crowdfunding.address;
+  if (!crowdfundAddress) {
+    throw new HardhatPluginError(PLUGIN, `No deployment manifest for ${hre.network.name} (chain ${chainId}); pass --address`);
+  }
+  if (await hre.ethers.provider.getCode(crowdfundAddress) === "0x") {
+    throw new HardhatPluginError(PLUGIN, `No contract at ${crowdfundAddress} on ${hre.network.name}`);
+  }
+  const crowdfund = await hre.ethers.getContractAt("Crowdfunding", crowdfundAddress);
+  const token = await hre.ethers.getContractAt("RewardToken", await crowdfund.rewardToken());
+  const gate = await hre.ethers.getContractAt("ContributionGate", await crowdfund.contributionGate());
+  // manifest block bounds log queries; --address contracts are scanned from genesis
+  const fromBlock = !address && manifest ? manifest.contracts.Crowdfunding.blockNumber : 0;
+  return { crowdfund, token, gate, fromBlock };
+}
+
+async function getSigner(hre, from) {
+  if (from) return hre.ethers.getSigner(from);
+  const [signer] = await hre.ethers.getSigners();
+  return signer;
+}
+
+// Sends a transaction, waits for it and rethrows failures as a readable
+// HardhatPluginError decoded against the contract ABIs.
+async function send(contracts, fn) {
+  try {
+    const tx = await fn();
+    return await tx.wait();
+  } catch (error) {
+    throw await decodedError(contracts, error);
+  }
+}
+
+async function decodedError({ crowdfund, token, gate }, error) {
+  const { errorMessage } = await import("../shared/errors.js");
+  return new HardhatPluginError(PLUGIN, errorMessage(error, [crowdfund.interface, token.interface, gate.interface]), error);
+}
+
+// First `name` event emitted by `contract` in the receipt.
+function eventOf(receipt, contract, name) {
+  return receipt.logs
+    .map((log) => contract.interface.parseLog(log))
+    .find((log) => log?.name === name);
+}
+
+function toJson(value) {
+  return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+// Prints `result` (as JSON, or via `format`) and returns it for hre.run callers.
+function output(result, json, format) {
+  console.log(json ? toJson(result) : format(result));
+  return result;
+}
+
+module.exports = { PLUGIN, withCommonParams, getContracts, getSigner, send, eventOf, toJson, output };
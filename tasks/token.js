@@ -0,0 +1,37 @@
+const { task } = require("hardhat/config");
+const { withCommonParams, getContracts, getSigner, send, output } = require("./common");
+
+// Usage: npx hardhat token:<command> --network localhost [--json] ...
+// The reward token is the one wired into the Crowdfunding contract.
+
+withCommonParams(task("token:grant-minter", "Grant MINTER_ROLE on the reward token"))
+  .addParam("account", "Address to receive MINTER_ROLE")
+  .addOptionalParam("from", "Admin address (default: first account)")
+  .setAction(async (args, hre) => {
+    const contracts = await getContracts(hre, args.address);
+    const token = contracts.token.connect(await getSigner(hre, args.from));
+    const account = hre.ethers.getAddress(args.account);
+    const role = await token.MINTER_ROLE();
+
+    let tx = null;
+    if (!(await token.hasRole(role, account))) {
+      tx = (await send(contracts, () => token.grantRole(role, account))).hash;
+    }
+    return output({ account, role, granted: tx !== null, tx }, args.json, (r) => r.granted
+      ? `Granted MINTER_ROLE to ${r.account} (tx ${r.tx})`
+      : `${r.account} already has MINTER_ROLE`);
+  });
+
+withCommonParams(task("token:balance", "Show a reward token balance"))
+  .addOptionalParam("account", "Address to check (default: first account)")
+  .setAction(async (args, hre) => {
+    const { token } = await getContracts(hre, args.address);
+    const account = args.account ? hre.ethers.getAddress(args.account) : (await getSigner(hre)).address;
+    const [balanceWei, symbol, decimals] = await Promise.all([token.balanceOf(account), token.symbol(), token.decimals()]);
+    return output({
+      account,
+      symbol,
+      balance: hre.ethers.formatUnits(balanceWei, decimals),
+      balanceWei,
+    }, args.json, (r) => `${r.account}: ${r.balance} ${r.symbol}`);
+  });
@@ -0,0 +1,204 @@
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+const { deploy, timeTravel, wei, OPEN_ACCESS } = require("./helpers")
+
+describe("Private campaigns and backer limits", function () {
+    let access
+
+    before(async function () {
+        // frontend modules are ESM
+        access = await import("../shared/access.js")
+    })
+
+    function options(overrides = {}) {
+        return { milestoneBps: [], stretchGoalsWei: [], currency: ethers.ZeroAddress, hardCapWei: 0, finishOnGoal: false, tiers: [], access: { ...OPEN_ACCESS, ...overrides } }
+    }
+
+    async function createGated(ctx, accessOverrides) {
+        await ctx.crowdfund.connect(ctx.alice).createCampaignWithOptions("Private", wei(10), 86400, options(accessOverrides))
+        return Number(await ctx.crowdfund.campaignCount()) - 1
+    }
+
+    async function attest(signer, gate, campaignId, backer, expiry) {
+        return access.signAttestation(signer, gate, { campaignId, backer, expiry })
+    }
+
+    async function now() {
+        return (await ethers.provider.getBlock("latest")).timestamp
+    }
+
+    it("builds an allowlist from a CSV and admits the backers on it", async function () {
+        const ctx = await deploy()
+        const { crowdfund, gate, deployer, bob, carol, dave } = ctx
+        const extra = ethers.Wallet.createRandom().address
+        const csv = `address,note\n${bob.address},early\n${carol.address.toLowerCase()}  # lowercase\n\n${extra}\n${bob.address}\n`
+        const addresses = access.parseAllowlistCsv(csv)
+        expect(addresses).to.deep.equal([bob.address, carol.address, extra, bob.address])
+        expect(() => access.parseAllowlistCsv(`${bob.address}\nnot-an-address\n`)).to.throw("Line 2")
+
+        const list = access.buildAllowlist(addresses)
+        expect(Object.keys(list.proofs)).to.have.length(3)
+        expect(access.buildAllowlist([...addresses].reverse()).root).to.equal(list.root)
+        expect(access.verifyProof(list.root, carol.address, list.proofs[carol.address])).to.equal(true)
+
+        const id = await createGated(ctx, { allowlistRoot: list.root })
+        expect(await crowdfund.gated(id)).to.equal(true)
+        expect(await gate.isPrivate(id)).to.equal(true)
+
+        await expect(crowdfund.connect(bob).contribute(id, { value: wei(1) }))
+            .to.be.revertedWithCustomError(gate, "NotAllowed")
+
+        // anyone may submit a backer's proof; it only admits that backer
+        await expect(gate.connect(deployer).admit(id, bob.address, access.encodePass({ proof: list.proofs[bob.address] })))
+            .to.emit(gate, "Admitted").withArgs(id, bob.address, false)
+        await crowdfund.connect(bob).contribute(id, { value: wei(1) })
+        expect(await crowdfund.contributions(id, bob.address)).to.equal(wei(1))
+
+        await expect(gate.admit(id, dave.address, access.encodePass({ proof: list.proofs[carol.address] })))
+            .to.be.revertedWithCustomError(gate, "NotAllowed")
+        await expect(gate.admit(id, carol.address, access.encodePass({ proof: list.proofs[bob.address] })))
+            .to.be.revertedWithCustomError(gate, "NotAllowed")
+        await gate.admit(id, carol.address, access.encodePass({ proof: list.proofs[carol.address] }))
+        await crowdfund.connect(carol).contribute(id, { value: wei(2) })
+
+        // a single-address allowlist has an empty proof
+        const solo = access.buildAllowlist([dave.address])
+        expect(solo.proofs[dave.address]).to.deep.equal([])
+        const soloId = await createGated(ctx, { allowlistRoot: solo.root })
+        await gate.admit(soloId, dave.address, access.encodePass({ proof: [] }))
+        expect(await gate.admitted(soloId, dave.address)).to.equal(true)
+    })
+
+    it("admits backers with an unexpired attestation from the verifier", async function () {
+        const ctx = await deploy()
+        const { crowdfund, gate, dave: verifier, bob, carol } = ctx
+        const id = await createGated(ctx, { verifier: verifier.address })
+        const expiry = await now() + 3600
+
+        const forBob = await attest(verifier, gate, id, bob.address, expiry)
+        expect(forBob).to.include({ campaignId: id, backer: bob.address, expiry })
+
+        // signed by someone else, for someone else, or after it expired
+        const forged = await attest(carol, gate, id, bob.address, expiry)
+        await expect(gate.admit(id, bob.address, access.encodePass(forged)))
+            .to.be.revertedWithCustomError(gate, "BadAttestation")
+        await expect(gate.admit(id, carol.address, access.encodePass(forBob)))
+            .to.be.revertedWithCustomError(gate, "BadAttestation")
+        const stale = await attest(verifier, gate, id, carol.address, await now() - 1)
+        await expect(gate.admit(id, carol.address, access.encodePass(stale)))
+            .to.be.revertedWithCustomError(gate, "AttestationExpired")
+        // no proof can stand in for an allowlist the campaign doesn't have
+        await expect(gate.admit(id, bob.address, access.encodePass({ proof: [] })))
+            .to.be.revertedWithCustomError(gate, "NotAllowed")
+
+        // it does not carry over to another campaign of the same verifier
+        const otherId = await createGated(ctx, { verifier: verifier.address })
+        await expect(gate.admit(otherId, bob.address, access.encodePass(forBob)))
+            .to.be.revertedWithCustomError(gate, "BadAttestation")
+
+        await expect(gate.connect(bob).admit(id, bob.address, access.encodePass(forBob)))
+            .to.emit(gate, "Admitted").withArgs(id, bob.address, true)
+        await crowdfund.connect(bob).contribute(id, { value: wei(1) })
+        // admitted for good: the attestation is not needed again once it expires
+        await timeTravel(7200)
+        await crowdfund.connect(bob).contribute(id, { value: wei(1) })
+        expect(await crowdfund.contributions(id, bob.address)).to.equal(wei(2))
+    })
+
+    it("enforces per-backer minimum and maximum totals", async function () {
+        const ctx = await deploy()
+        const { crowdfund, gate, alice, bob } = ctx
+
+        await expect(crowdfund.connect(alice).createCampaignWithOptions("Bad", wei(10), 1000, options({ minWei: wei(2), maxWei: wei(1) })))
+            .to.be.revertedWithCustomError(gate, "BadLimits")
+        await expect(gate.configure(0, OPEN_ACCESS)).to.be.revertedWithCustomError(gate, "OnlyCrowdfunding")
+
+        // limits alone keep the campaign public
+        const id = await createGated(ctx, { minWei: wei(0.5), maxWei: wei(2) })
+        expect(await gate.isPrivate(id)).to.equal(false)
+        await expect(crowdfund.connect(bob).contribute(id, { value: wei(0.4) }))
+            .to.be.revertedWithCustomError(gate, "BelowMinimum").withArgs(wei(0.5))
+        await crowdfund.connect(bob).contribute(id, { value: wei(0.5) })
+        // the minimum is on the total, so smaller top-ups are fine after that
+        await crowdfund.connect(bob).contribute(id, { value: wei(0.1) })
+        await expect(crowdfund.connect(bob).contribute(id, { value: wei(1.5) }))
+            .to.be.revertedWithCustomError(gate, "AboveMaximum").withArgs(wei(2))
+        await crowdfund.connect(bob).contribute(id, { value: wei(1.4) })
+        expect(await crowdfund.contributions(id, bob.address)).to.equal(wei(2))
+
+        // campaigns without access options never touch the gate
+        await crowdfund.connect(alice).createCampaignWithOptions("Open", wei(10), 1000, options())
+        expect(await crowdfund.gated(id + 1)).to.equal(false)
+        await crowdfund.connect(bob).contribute(id + 1, { value: wei(5) })
+        await gate.admit(id + 1, bob.address, "0x")
+        expect(await gate.admitted(id + 1, bob.address)).to.equal(false)
+    })
+
+    it("admits a backer and takes the contribution in one transaction", async function () {
+        const ctx = await deploy()
+        const { crowdfund, gate, alice, bob, carol, dave, usd } = ctx
+        const list = access.buildAllowlist([bob.address, carol.address])
+        const passOf = (backer) => access.encodePass({ proof: list.proofs[backer.address] })
+        const id = await createGated(ctx, { allowlistRoot: list.root })
+
+        await expect(crowdfund.connect(dave).contributeWithPass(id, passOf(carol), { value: wei(1) }))
+            .to.be.revertedWithCustomError(gate, "NotAllowed")
+        await expect(crowdfund.connect(bob).contributeWithPass(id, passOf(bob), { value: wei(1) }))
+            .to.emit(gate, "Admitted").withArgs(id, bob.address, false)
+            .and.to.emit(crowdfund, "Contributed")
+        // once admitted the pass is not checked again
+        await expect(crowdfund.connect(bob).contributeWithPass(id, "0x", { value: wei(1) }))
+            .not.to.emit(gate, "Admitted")
+        expect(await crowdfund.contributions(id, bob.address)).to.equal(wei(2))
+
+        const usdAddress = await usd.getAddress()
+        await crowdfund.connect(alice).createCampaignWithOptions("Private mUSD", 10_000_000n, 86400,
+            { ...options({ allowlistRoot: list.root }), currency: usdAddress })
+        await usd.mint(carol.address, 5_000_000n)
+        await usd.connect(carol).approve(await crowdfund.getAddress(), 5_000_000n)
+        await expect(crowdfund.connect(carol).contributeTokenWithPass(id + 1, 5_000_000n, passOf(carol)))
+            .to.emit(gate, "Admitted").withArgs(id + 1, carol.address, false)
+        expect(await crowdfund.contributions(id + 1, carol.address)).to.equal(5_000_000n)
+
+        // campaigns without access options ignore the pass
+        await crowdfund.connect(alice).createCampaignWithOptions("Open", wei(10), 1000, options())
+        await crowdfund.connect(dave).contributeWithPass(id + 2, "0x", { value: wei(1) })
+        expect(await gate.admitted(id + 2, dave.address)).to.equal(false)
+    })
+
+    it("explains why an address can't contribute and finds its pass", async function () {
+        const ctx = await deploy()
+        const { gate, bob, carol, dave } = ctx
+        const list = access.buildAllowlist([bob.address, carol.address])
+        const id = await createGated(ctx, { allowlistRoot: list.root, maxWei: wei(2) })
+        const eth = { address: ethers.ZeroAddress, symbol: "ETH", decimals: 18 }
+
+        const loaded = (await access.fetchAccess(gate, bob.address)).get(id)
+        expect(loaded).to.include({ allowlistRoot: list.root, maxWei: wei(2), admitted: false })
+        const reason = (state) => access.accessReason(loaded, { currency: eth, ...state })
+
+        expect(reason({})).to.include("only addresses on its allowlist")
+        expect(reason({ hasPass: true })).to.equal(null)
+        expect(reason({ admitted: true, amountWei: wei(3) })).to.include("at most 2.0 ETH")
+        expect(reason({ admitted: true, contributedWei: wei(1.5), amountWei: wei(1) })).to.include("add up to 0.5 ETH")
+        expect(reason({ admitted: true, contributedWei: wei(2) })).to.include("reached this campaign's limit")
+        expect(reason({ admitted: true, amountWei: wei(1) })).to.equal(null)
+        expect(access.accessReason({ ...OPEN_ACCESS, verifier: dave.address, minWei: 0n, maxWei: 0n }, { currency: eth }))
+            .to.include("attestation")
+
+        const file = JSON.stringify(list)
+        expect(access.passFor(file, id, bob.address.toLowerCase(), loaded)).to.deep.equal({ proof: list.proofs[bob.address] })
+        expect(() => access.passFor(file, id, dave.address, loaded)).to.throw("not on this campaign's allowlist")
+        expect(() => access.passFor("{", id, bob.address, loaded)).to.throw("JSON")
+        const other = JSON.stringify(access.buildAllowlist([dave.address]))
+        expect(() => access.passFor(other, id, dave.address, loaded)).to.throw("not the one of this campaign")
+
+        const attestation = JSON.stringify(await attest(dave, gate, id, bob.address, await now() + 60))
+        expect(access.passFor(attestation, id, bob.address, loaded)).to.have.property("signature")
+        expect(() => access.passFor(attestation, id, carol.address, loaded)).to.throw("another address")
+        expect(() => access.passFor(attestation, id + 1, bob.address, loaded)).to.throw(`campaign #${id}`)
+
+        await gate.admit(id, bob.address, access.encodePass(access.passFor(file, id, bob.address, loaded)))
+        expect((await access.fetchAccess(gate, bob.address)).get(id).admitted).to.equal(true)
+    })
+})
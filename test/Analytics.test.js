@@ -0,0 +1,111 @@
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+const { deploy, timeTravel, wei } = require("./helpers")
+
+const ETH = { address: ethers.ZeroAddress, symbol: "ETH", decimals: 18 }
+
+describe("Campaign analytics", function () {
+    let analytics
+
+    before(async function () {
+        // frontend modules are ESM
+        analytics = await import("../shared/analytics.js")
+    })
+
+    // campaign 0 (goal 1 ETH, 5% fee): bob puts in 0.5 + 0.05, carol 2
+    async function fundedCampaign() {
+        const ctx = await deploy()
+        const { crowdfund, alice, bob, carol } = ctx
+        await crowdfund.setPlatformFee(500)
+        await crowdfund.connect(alice).createCampaign("Funded", wei(1), 3600)
+        await crowdfund.connect(bob).contribute(0, { value: wei(0.5) })
+        await crowdfund.connect(carol).contribute(0, { value: wei(2) })
+        await crowdfund.connect(bob).contribute(0, { value: wei(0.05) })
+        return ctx
+    }
+
+    it("builds the funding curve, backer ledger and size distribution from events", async function () {
+        const { crowdfund, bob, carol } = await fundedCampaign()
+        const report = await analytics.fetchCampaignAnalytics(crowdfund, 0)
+
+        expect(report.series.map((p) => p.raisedWei)).to.deep.equal([wei(0.5), wei(2.5), wei(2.55)])
+        const times = report.series.map((p) => p.timestamp)
+        expect(times).to.deep.equal([...times].sort((a, b) => a - b))
+
+        expect(report.backers.map((b) => [b.account, b.contributions, b.contributedWei, b.heldWei])).to.deep.equal([
+            [carol.address, 1, wei(2), wei(2)],
+            [bob.address, 2, wei(0.55), wei(0.55)],
+        ])
+        expect(report.backers[1].firstAt).to.be.below(report.backers[1].lastAt)
+        expect(analytics.topBackers(report.backers, 1).map((b) => b.account)).to.deep.equal([carol.address])
+
+        // 0.05 ETH, then 0.1-1 and 1-10 ETH
+        expect(report.distribution.map((b) => [b.minWei, b.maxWei, b.count])).to.deep.equal([
+            [wei(0.01), wei(0.1), 1],
+            [wei(0.1), wei(1), 1],
+            [wei(1), wei(10), 1],
+        ])
+        expect(report.reconciliation).to.include({ ok: true })
+    })
+
+    it("reconciles against contributions and totalRaised after withdrawals and refunds", async function () {
+        const ctx = await fundedCampaign()
+        const { crowdfund, alice, bob, carol } = ctx
+
+        await timeTravel(3601)
+        await crowdfund.finalize(0)
+        await crowdfund.connect(alice).withdraw(0)
+        const withdrawn = await analytics.fetchCampaignAnalytics(crowdfund, 0)
+        // the fee and the creator's share both left totalRaised
+        expect(withdrawn.totalRaised).to.equal(0n)
+        expect(withdrawn.reconciliation.paidOutWei).to.equal(wei(2.55))
+        expect(withdrawn.reconciliation).to.include({ ok: true })
+
+        await crowdfund.connect(alice).createCampaign("Failed", wei(10), 3600)
+        await crowdfund.connect(bob).contribute(1, { value: wei(1) })
+        await crowdfund.connect(carol).contribute(1, { value: wei(3) })
+        await timeTravel(3601)
+        await crowdfund.finalize(1)
+        await crowdfund.connect(bob).refund(1)
+
+        const failed = await analytics.fetchCampaignAnalytics(crowdfund, 1)
+        expect(failed.series.map((p) => p.raisedWei)).to.deep.equal([wei(1), wei(4), wei(3)])
+        expect(failed.backers.map((b) => [b.account, b.refundedWei, b.heldWei, b.onChainWei])).to.deep.equal([
+            [carol.address, 0n, wei(3), wei(3)],
+            [bob.address, wei(1), 0n, 0n],
+        ])
+        expect(failed.reconciliation).to.deep.include({ ok: true, mismatches: [] })
+        expect(failed.reconciliation.totalRaised).to.deep.equal({ ledgerWei: wei(3), onChainWei: wei(3) })
+
+        // a ledger missing an event does not add up
+        const partial = failed.backers.map((b) => (b.account === carol.address ? { ...b, heldWei: wei(2), contributedWei: wei(2) } : b))
+        const broken = analytics.reconcile(partial, 0n, failed.totalRaised)
+        expect(broken.ok).to.equal(false)
+        expect(broken.mismatches).to.deep.equal([{ account: carol.address, ledgerWei: wei(2), onChainWei: wei(3) }])
+        expect(broken.totalRaised).to.deep.equal({ ledgerWei: wei(2), onChainWei: wei(3) })
+    })
+
+    it("exports the backer ledger as CSV and JSON", async function () {
+        const { crowdfund, bob, carol } = await fundedCampaign()
+        const report = await analytics.fetchCampaignAnalytics(crowdfund, 0)
+
+        const [header, ...rows] = analytics.ledgerToCsv(report, ETH).trimEnd().split("\n")
+        expect(header).to.equal("backer,contributions,contributed_ETH,refunded_ETH,reclaimed_ETH,held_ETH," +
+            "held_on_chain_ETH,reconciled,first_contribution,last_contribution")
+        expect(rows).to.have.length(2)
+        expect(rows[1].split(",").slice(0, 8)).to.deep.equal([bob.address, "2", "0.55", "0.0", "0.0", "0.55", "0.55", "true"])
+        expect(new Date(rows[1].split(",")[8]).getTime() / 1000).to.equal(report.backers[1].firstAt)
+
+        const json = JSON.parse(analytics.analyticsToJson(report, ETH))
+        expect(json).to.include({ campaignId: 0, totalRaised: wei(2.55).toString(), uniqueBackers: 2 })
+        expect(json.currency).to.deep.equal(ETH)
+        expect(json.reconciliation.ok).to.equal(true)
+        expect(json.backers.map((b) => b.account)).to.deep.equal([carol.address, bob.address])
+        expect(json.events.map((e) => [e.kind, e.account, e.amountWei])).to.deep.equal([
+            ["contributed", bob.address, wei(0.5).toString()],
+            ["contributed", carol.address, wei(2).toString()],
+            ["contributed", bob.address, wei(0.05).toString()],
+        ])
+        expect(json.series.at(-1).raisedWei).to.equal(wei(2.55).toString())
+    })
+})
@@ -0,0 +1,154 @@
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+const { deploy, timeTravel, wei } = require("./helpers")
+
+const NOW = 1_000_000
+const ETH = { address: ethers.ZeroAddress, symbol: "ETH", decimals: 18 }
+const USD = { address: "0x0000000000000000000000000000000000000001", symbol: "mUSD", decimals: 6 }
+const ALICE = "0x00000000000000000000000000000000000000A1"
+const BOB = "0x00000000000000000000000000000000000000B0"
+
+// the fields of App.jsx's campaign views the browser reads
+function view(id, overrides = {}) {
+    return {
+        id,
+        title: `Campaign ${id}`,
+        creator: ALICE,
+        currency: ETH,
+        goalWei: wei(10),
+        raisedWei: 0n,
+        deadlineTs: NOW + 7 * 86_400,
+        finalized: false,
+        successful: false,
+        cancelled: false,
+        ...overrides,
+    }
+}
+
+describe("Campaign browser", function () {
+    let browse, fetchCampaignHistory, summarizeBackers
+
+    before(async function () {
+        // frontend modules are ESM
+        browse = await import("../frontend/src/browse.js")
+        ;({ fetchCampaignHistory, summarizeBackers } = await import("../shared/contributions.js"))
+    })
+
+    const ids = (list) => list.map((c) => c.id)
+    const filters = (overrides = {}) => ({ ...browse.DEFAULT_FILTERS, ...overrides })
+
+    it("buckets campaigns by status", function () {
+        const { campaignStatus, ENDING_SOON_SECONDS } = browse
+        expect(campaignStatus(view(0), NOW)).to.equal("active")
+        expect(campaignStatus(view(0, { deadlineTs: NOW + ENDING_SOON_SECONDS }), NOW)).to.equal("endingSoon")
+        expect(campaignStatus(view(0, { deadlineTs: NOW }), NOW)).to.equal("awaitingFinalize")
+        expect(campaignStatus(view(0, { finalized: true, successful: true }), NOW)).to.equal("succeeded")
+        expect(campaignStatus(view(0, { finalized: true, cancelled: true }), NOW)).to.equal("failed")
+    })
+
+    it("filters by status, title, creator and backing", function () {
+        const campaigns = [
+            view(0, { title: "Solar roof" }),
+            view(1, { title: "Community garden", deadlineTs: NOW + 3600, creator: BOB }),
+            view(2, { title: "SOLAR bikes", finalized: true, successful: true }),
+            view(3, { finalized: true }),
+            view(4, { deadlineTs: NOW - 1 }),
+        ]
+        const browseWith = (overrides, context = {}) =>
+            ids(browse.browseCampaigns(campaigns, filters(overrides), { now: NOW, ...context }))
+
+        // "active" includes campaigns ending soon
+        expect(browseWith({})).to.deep.equal([1, 0])
+        expect(browseWith({ status: "endingSoon" })).to.deep.equal([1])
+        expect(browseWith({ status: "awaitingFinalize" })).to.deep.equal([4])
+        expect(browseWith({ status: "succeeded" })).to.deep.equal([2])
+        expect(browseWith({ status: "failed" })).to.deep.equal([3])
+        expect(browseWith({ status: "all", query: " solar " })).to.deep.equal([2, 0])
+        expect(browseWith({ status: "all", created: true }, { account: BOB.toLowerCase() })).to.deep.equal([1])
+        expect(browseWith({ status: "all", backed: true }, { backedIds: new Set([0, 3]) })).to.deep.equal([3, 0])
+    })
+
+    it("sorts by deadline, percent funded and amount raised across currencies", function () {
+        const campaigns = [
+            view(0, { deadlineTs: NOW + 300, raisedWei: wei(2) }),
+            view(1, { deadlineTs: NOW + 100, raisedWei: wei(10) }),
+            // 5 of 1000 USD: more raised in units than 2 ETH, least funded
+            view(2, { deadlineTs: NOW + 200, currency: USD, goalWei: 1_000_000_000n, raisedWei: 5_000_000n }),
+        ]
+        const sorted = (sort, reverse = false) =>
+            ids(browse.browseCampaigns(campaigns, filters({ sort, reverse }), { now: NOW }))
+
+        expect(sorted("newest")).to.deep.equal([2, 1, 0])
+        expect(sorted("deadline")).to.deep.equal([1, 2, 0])
+        expect(sorted("deadline", true)).to.deep.equal([0, 2, 1])
+        expect(sorted("funded")).to.deep.equal([1, 0, 2])
+        expect(sorted("raised")).to.deep.equal([1, 2, 0])
+        expect(browse.percentFunded(campaigns[2])).to.equal(0.5)
+        expect(browse.percentFunded(view(3, { raisedWei: wei(15) }))).to.equal(150)
+    })
+
+    it("pages through thousands of campaigns", function () {
+        const campaigns = Array.from({ length: 5000 }, (_, id) => view(id))
+        const matching = browse.browseCampaigns(campaigns, filters(), { now: NOW })
+
+        const first = browse.paginate(matching, 1)
+        expect(first.pages).to.equal(Math.ceil(5000 / browse.PAGE_SIZE))
+        expect(ids(first.items)).to.deep.equal([4999, 4998, 4997, 4996, 4995, 4994, 4993, 4992, 4991, 4990, 4989, 4988])
+
+        const last = browse.paginate(matching, 10_000)
+        expect(last.page).to.equal(first.pages)
+        expect(ids(last.items).at(-1)).to.equal(0)
+        expect(browse.paginate([], 3)).to.deep.equal({ items: [], page: 1, pages: 1 })
+    })
+
+    it("round-trips browser filters and detail pages through the URL hash", function () {
+        const { parseRoute, routeHash, DEFAULT_FILTERS } = browse
+        const custom = { status: "failed", query: "solar roof", sort: "raised", reverse: true, created: true, backed: false, page: 3 }
+
+        expect(routeHash({ view: "campaigns", filters: DEFAULT_FILTERS })).to.equal("#/campaigns")
+        expect(parseRoute(routeHash({ view: "campaigns", filters: custom }))).to.deep.equal({ view: "campaigns", filters: custom })
+        expect(parseRoute("#/campaigns/42")).to.deep.equal({ view: "campaign", id: 42 })
+        expect(routeHash({ view: "campaign", id: 42 })).to.equal("#/campaigns/42")
+        expect(parseRoute("#/treasury")).to.deep.equal({ view: "treasury" })
+
+        // unknown or junk values fall back to the defaults
+        expect(parseRoute("")).to.deep.equal({ view: "campaigns", filters: DEFAULT_FILTERS })
+        expect(parseRoute("#/campaigns?status=nope&sort=__proto__&page=-2")).to.deep.equal({ view: "campaigns", filters: DEFAULT_FILTERS })
+    })
+
+    it("formats the time left before a deadline", function () {
+        expect(browse.formatTimeLeft(2 * 86_400 + 5 * 3600 + 59)).to.equal("2d 5h left")
+        expect(browse.formatTimeLeft(3 * 3600 + 7 * 60)).to.equal("3h 7m left")
+        expect(browse.formatTimeLeft(90)).to.equal("1m left")
+        expect(browse.formatTimeLeft(30)).to.equal("Less than a minute left")
+        expect(browse.formatTimeLeft(0)).to.equal("Ended")
+    })
+
+    it("reads a campaign's contributor history, newest first, with backer totals", async function () {
+        const { crowdfund, alice, bob, carol } = await deploy()
+        await crowdfund.connect(alice).createCampaign("History", wei(10), 60)
+        await crowdfund.connect(alice).createCampaign("Other", wei(1), 3600)
+        await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+        await crowdfund.connect(carol).contribute(0, { value: wei(2) })
+        await crowdfund.connect(carol).contribute(1, { value: wei(5) })
+        await crowdfund.connect(bob).contribute(0, { value: wei(0.5) })
+        await timeTravel(61)
+        await crowdfund.finalize(0)
+        const refund = await (await crowdfund.connect(bob).refund(0)).wait()
+
+        const history = await fetchCampaignHistory(crowdfund, 0)
+        expect(history.map((e) => [e.kind, e.account, e.amountWei])).to.deep.equal([
+            ["refunded", bob.address, wei(1.5)],
+            ["contributed", bob.address, wei(0.5)],
+            ["contributed", carol.address, wei(2)],
+            ["contributed", bob.address, wei(1)],
+        ])
+        expect(history[0].transactionHash).to.equal(refund.hash)
+        expect(history[0].timestamp).to.equal((await ethers.provider.getBlock(refund.blockNumber)).timestamp)
+
+        expect(summarizeBackers(history)).to.deep.equal([
+            { account: carol.address, contributedWei: wei(2), returnedWei: 0n },
+            { account: bob.address, contributedWei: wei(1.5), returnedWei: wei(1.5) },
+        ])
+    })
+})
@@ -1,26 +1,44 @@
 const { expect } = require("chai")
 const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs")
-const { ethers } = require("hardhat")
+const hre = require("hardhat")
+const { ethers } = hre
 const { keccak256, AbiCoder } = require("ethers")
+const { deployCrowdfundingProxy } = require("../scripts/lib/upgrades")
 
-const FINALIZED_MASK  = BigInt(01)
-const SUCCESSFUL_MASK = BigInt(10)
+const FINALIZED_MASK  = BigInt(0b01)
+const SUCCESSFUL_MASK = BigInt(0b10)
 const ZERO            = BigInt(0)
+const OPEN_ACCESS     = { allowlistRoot: ethers.ZeroHash, verifier: ethers.ZeroAddress, minWei: 0, maxWei: 0 }
 
 describe("Crowdfunding + RewardToken", function () {
-    async function deploy() {
+    // the deployer is also the default treasury
+    // `vesting` = [minDuration, minFeeBps] for rewards, null for the defaults
+    async function deploy(feeBps = 0, vesting = [0, 0]) {
         const [deployer, alice, bob, carol, dave] = await ethers.getSigners()
 
         const RewardToken = await ethers.getContractFactory("RewardToken")
         const token = await RewardToken.deploy("Crowd Reward", "CRWD", deployer.address)
 
-        const Crowdfunding = await ethers.getContractFactory("Crowdfunding")
-        const crowdfund = await Crowdfunding.deploy(await token.getAddress())
+        const BackerBadge = await ethers.getContractFactory("BackerBadge")
+        const badge = await BackerBadge.deploy("Crowd Backer Badge", "CBADGE", deployer.address)
+
+        // no trusted forwarder: relaying is covered in MetaTx.test.js
+        const crowdfund = await deployCrowdfundingProxy(hre, { token, badge, forwarder: ethers.ZeroAddress }, deployer)
 
         const MINTER_ROLE = await token.MINTER_ROLE()
         await token.grantRole(MINTER_ROLE, await crowdfund.getAddress())
-
-        return { deployer, alice, bob, carol, dave, token, crowdfund, MINTER_ROLE }
+        await token.grantRole(await token.BURNER_ROLE(), await crowdfund.getAddress())
+        await badge.grantRole(await badge.MINTER_ROLE(), await crowdfund.getAddress())
+
+        // 6-decimals stablecoin; 1 USD => 1000 CRWD
+        const MockERC20 = await ethers.getContractFactory("MockERC20")
+        const usd = await MockERC20.deploy("Mock USD", "mUSD", 6)
+        await crowdfund.setCurrencyAllowed(await usd.getAddress(), true)
+        await crowdfund.setRewardRate(await usd.getAddress(), 1000n * 10n ** 12n)
+        if (feeBps) await crowdfund.setPlatformFee(feeBps)
+        if (vesting) await crowdfund.setRewardVesting(...vesting)
+
+        return { deployer, alice, bob, carol, dave, token, badge, crowdfund, usd, MINTER_ROLE }
     }
 
     async function timeTravel(seconds) {
@@ -46,12 +64,97 @@ describe("Crowdfunding + RewardToken", function () {
         return expect((c.flags & SUCCESSFUL_MASK) != ZERO)
     }
 
+    function options(overrides = {}) {
+        return { milestoneBps: [], stretchGoalsWei: [], currency: ethers.ZeroAddress, hardCapWei: 0, finishOnGoal: false, tiers: [], access: OPEN_ACCESS, ...overrides }
+    }
+
+    function usdc(n) {
+        return ethers.parseUnits(String(n), 6)
+    }
+
+    // usd campaign 0 by alice; bob and carol hold 100 mUSD each
+    async function deployWithTokenCampaign(goal = usdc(50), duration = 10, feeBps = 0) {
+        const ctx = await deploy(feeBps)
+        const { crowdfund, usd, alice, bob, carol } = ctx
+        const currency = await usd.getAddress()
+        await crowdfund.connect(alice).createCampaignWithOptions("Stable", goal, duration, options({ currency }))
+        for (const backer of [bob, carol]) {
+            await usd.mint(backer.address, usdc(100))
+            await usd.connect(backer).approve(await crowdfund.getAddress(), ethers.MaxUint256)
+        }
+        return { ...ctx, currency }
+    }
+
+    async function signPermit(usd, owner, spender, value, deadline) {
+        const { chainId } = await ethers.provider.getNetwork()
+        const domain = {
+            name: await usd.name(),
+            version: "1",
+            chainId,
+            verifyingContract: await usd.getAddress(),
+        }
+        const types = {
+            Permit: [
+                { name: "owner", type: "address" },
+                { name: "spender", type: "address" },
+                { name: "value", type: "uint256" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" },
+            ],
+        }
+        const message = { owner: owner.address, spender, value, nonce: await usd.nonces(owner.address), deadline }
+        return ethers.Signature.from(await owner.signTypedData(domain, types, message))
+    }
+
+    // successful campaign 0 (goal 1 ETH) with milestones; bob 0.25, carol 0.75
+    async function deployWithMilestones(milestoneBps = [5000, 3000, 2000], feeBps = 0) {
+        const ctx = await deploy(feeBps)
+        const { crowdfund, alice, bob, carol } = ctx
+        await crowdfund.connect(alice).createCampaignWithOptions("M", wei(1), 10, options({ milestoneBps }))
+        await crowdfund.connect(bob).contribute(0, { value: wei(0.25) })
+        await crowdfund.connect(carol).contribute(0, { value: wei(0.75) })
+        await timeTravel(11)
+        await crowdfund.finalize(0)
+        return ctx
+    }
+
+    const VOTE_PERIOD = 3 * 24 * 3600
+    const REQUEST_WINDOW = 90 * 24 * 3600
+
     describe("RewardToken access control", function () {
         it("only MINTER_ROLE can mint", async function () {
             const { token, alice } = await deploy()
             await expect(token.connect(alice).mint(alice.address, 1n))
                 .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
         })
+
+        it("only BURNER_ROLE can burn, and only its own balance", async function () {
+            const { token, deployer, alice, MINTER_ROLE } = await deploy()
+            await token.grantRole(MINTER_ROLE, deployer.address)
+            await token.mint(alice.address, 10n)
+
+            await expect(token.connect(alice).burn(1n))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+
+            await token.grantRole(await token.BURNER_ROLE(), alice.address)
+            await token.connect(alice).burn(4n)
+            expect(await token.balanceOf(alice.address)).to.equal(6n)
+            expect(await token.totalSupply()).to.equal(6n)
+        })
+    })
+
+    describe("BackerBadge access control", function () {
+        it("only MINTER_ROLE can mint, upgrade, burn or void", async function () {
+            const { badge, alice } = await deploy()
+            for (const call of [
+                badge.connect(alice).mint(alice.address, 0, 0),
+                badge.connect(alice).setTier(0, 1),
+                badge.connect(alice).burn(0),
+                badge.connect(alice).voidCampaign(0),
+            ]) {
+                await expect(call).to.be.revertedWithCustomError(badge, "AccessControlUnauthorizedAccount")
+            }
+        })
     })
 
     describe("createCampaign", function () {
@@ -76,6 +179,29 @@ describe("Crowdfunding + RewardToken", function () {
             ).to.be.revertedWithCustomError(crowdfund, "DurationZero")
         })
 
+        it("enforces the configured duration bounds", async function () {
+            const { crowdfund, alice } = await deploy()
+            expect(await crowdfund.maxCampaignDuration()).to.equal(365n * 24n * 3600n)
+
+            await expect(crowdfund.setCampaignDurationBounds(600, 7200))
+                .to.emit(crowdfund, "CampaignDurationBoundsSet").withArgs(600, 7200)
+            await expect(crowdfund.connect(alice).createCampaign("X", wei(1), 599))
+                .to.be.revertedWithCustomError(crowdfund, "DurationOutOfRange").withArgs(600, 7200)
+            await expect(crowdfund.connect(alice).createCampaign("X", wei(1), 7201))
+                .to.be.revertedWithCustomError(crowdfund, "DurationOutOfRange")
+            await crowdfund.connect(alice).createCampaign("X", wei(1), 7200)
+        })
+
+        it("rejects empty or inverted duration bounds and non-config callers", async function () {
+            const { crowdfund, alice } = await deploy()
+            await expect(crowdfund.setCampaignDurationBounds(0, 10))
+                .to.be.revertedWithCustomError(crowdfund, "BadDurationBounds")
+            await expect(crowdfund.setCampaignDurationBounds(11, 10))
+                .to.be.revertedWithCustomError(crowdfund, "BadDurationBounds")
+            await expect(crowdfund.connect(alice).setCampaignDurationBounds(1, 10))
+                .to.be.revertedWithCustomError(crowdfund, "AccessControlUnauthorizedAccount")
+        })
+
         it("emits CampaignCreated and stores data", async function () {
             const { crowdfund, alice } = await deploy()
             
@@ -111,6 +237,93 @@ describe("Crowdfunding + RewardToken", function () {
         })
     })
 
+    describe("createCampaignWithOptions", function () {
+        it("behaves like createCampaign with empty options", async function () {
+            const { crowdfund, alice } = await deploy()
+            await expect(crowdfund.connect(alice).createCampaignWithOptions("T", wei(1), 3600, options()))
+                .to.emit(crowdfund, "CampaignCreated")
+                .withArgs(0, alice.address, "T", wei(1), anyValue)
+
+            const plan = await crowdfund.milestonePlans(0)
+            expect(plan.count).to.equal(0)
+        })
+
+        it("reverts if milestones don't sum to 100%", async function () {
+            const { crowdfund, alice } = await deploy()
+            await expect(crowdfund.connect(alice).createCampaignWithOptions("T", wei(1), 3600, options({ milestoneBps: [5000, 4000] })))
+                .to.be.revertedWithCustomError(crowdfund, "BadMilestones")
+        })
+
+        it("reverts on a zero milestone or too many milestones", async function () {
+            const { crowdfund, alice } = await deploy()
+            await expect(crowdfund.connect(alice).createCampaignWithOptions("T", wei(1), 3600, options({ milestoneBps: [10000, 0] })))
+                .to.be.revertedWithCustomError(crowdfund, "BadMilestones")
+            await expect(crowdfund.connect(alice).createCampaignWithOptions("T", wei(1), 3600, options({ milestoneBps: Array(11).fill(1000) })))
+                .to.be.revertedWithCustomError(crowdfund, "BadMilestones")
+        })
+
+        it("reverts on stretch goals not above goal and increasing", async function () {
+            const { crowdfund, alice } = await deploy()
+            await expect(crowdfund.connect(alice).createCampaignWithOptions("T", wei(1), 3600, options({ stretchGoalsWei: [wei(1)] })))
+                .to.be.revertedWithCustomError(crowdfund, "BadStretchGoals")
+            await expect(crowdfund.connect(alice).createCampaignWithOptions("T", wei(1), 3600, options({ stretchGoalsWei: [wei(3), wei(2)] })))
+                .to.be.revertedWithCustomError(crowdfund, "BadStretchGoals")
+        })
+
+        it("stores milestones and stretch goals and emits CampaignOptionsSet", async function () {
+            const { crowdfund, alice } = await deploy()
+            const opts = options({ milestoneBps: [6000, 4000], stretchGoalsWei: [wei(2), wei(3)] })
+            await expect(crowdfund.connect(alice).createCampaignWithOptions("T", wei(1), 3600, opts))
+                .to.emit(crowdfund, "CampaignOptionsSet")
+                .withArgs(0, [6000, 4000], [wei(2), wei(3)], ethers.ZeroAddress, 0, false)
+
+            expect(await crowdfund.getMilestoneBps(0)).to.deep.equal([6000n, 4000n])
+            expect(await crowdfund.getStretchGoals(0)).to.deep.equal([wei(2), wei(3)])
+            expect((await crowdfund.milestonePlans(0)).count).to.equal(2)
+        })
+
+        it("reverts on a hard cap below the goal or the last stretch goal", async function () {
+            const { crowdfund, alice } = await deploy()
+            await expect(crowdfund.connect(alice).createCampaignWithOptions("T", wei(2), 3600, options({ hardCapWei: wei(1) })))
+                .to.be.revertedWithCustomError(crowdfund, "BadHardCap")
+            await expect(crowdfund.connect(alice).createCampaignWithOptions("T", wei(1), 3600, options({ stretchGoalsWei: [wei(3)], hardCapWei: wei(2) })))
+                .to.be.revertedWithCustomError(crowdfund, "BadHardCap")
+
+            await expect(crowdfund.connect(alice).createCampaignWithOptions("T", wei(1), 3600, options({ hardCapWei: wei(1), finishOnGoal: true })))
+                .to.emit(crowdfund, "CampaignOptionsSet")
+                .withArgs(0, [], [], ethers.ZeroAddress, wei(1), true)
+            expect(await crowdfund.hardCaps(0)).to.equal(wei(1))
+            expect(await crowdfund.finishOnGoal(0)).to.equal(true)
+        })
+    })
+
+    describe("setCampaignMetadata", function () {
+        it("reverts on bad id", async function () {
+            const { crowdfund, alice } = await deploy()
+            await expect(crowdfund.connect(alice).setCampaignMetadata(0, "D", ""))
+                .to.be.revertedWithCustomError(crowdfund, "BadId")
+        })
+
+        it("reverts if caller not creator", async function () {
+            const { crowdfund, alice, bob } = await deploy()
+            await crowdfund.connect(alice).createCampaign("T", wei(1), 3600)
+            await expect(crowdfund.connect(bob).setCampaignMetadata(0, "D", ""))
+                .to.be.revertedWithCustomError(crowdfund, "NotCreator")
+        })
+
+        it("emits CampaignMetadata without changing stored campaign", async function () {
+            const { crowdfund, alice } = await deploy()
+            await crowdfund.connect(alice).createCampaign("T", wei(1), 3600)
+            const before = await crowdfund.campaigns(0)
+
+            await expect(crowdfund.connect(alice).setCampaignMetadata(0, "Longer text", "https://example.com/a.png"))
+                .to.emit(crowdfund, "CampaignMetadata")
+                .withArgs(0, "Longer text", "https://example.com/a.png")
+
+            expect(await crowdfund.campaigns(0)).to.deep.equal(before)
+        })
+    })
+
     describe("contribute", function () {
         it("reverts on bad id", async function () {
             const { crowdfund, bob } = await deploy()
@@ -150,8 +363,10 @@ describe("Crowdfunding + RewardToken", function () {
             const c = await crowdfund.campaigns(0)
             expect(c.totalRaised).to.equal(v)
 
-            // reward minted: msg.value * RATE (RATE=1000)
-            expect(await token.balanceOf(bob.address)).to.equal(v * 1000n)
+            // reward minted into escrow: msg.value * RATE (RATE=1000)
+            expect(await crowdfund.rewardsEarned(0, bob.address)).to.equal(v * 1000n)
+            expect(await token.balanceOf(await crowdfund.getAddress())).to.equal(v * 1000n)
+            expect(await token.balanceOf(bob.address)).to.equal(0n)
         })
 
         it("mints rewards cumulatively on multiple contributions (same user)", async function () {
@@ -165,7 +380,7 @@ describe("Crowdfunding + RewardToken", function () {
             await crowdfund.connect(bob).contribute(0, { value: v2 })
 
             expect(await crowdfund.contributions(0, bob.address)).to.equal(v1 + v2)
-            expect(await token.balanceOf(bob.address)).to.equal((v1 + v2) * 1000n)
+            expect(await crowdfund.rewardsEarned(0, bob.address)).to.equal((v1 + v2) * 1000n)
 
             const c = await crowdfund.campaigns(0)
             expect(c.totalRaised).to.equal(v1 + v2)
@@ -184,12 +399,24 @@ describe("Crowdfunding + RewardToken", function () {
             expect(await crowdfund.contributions(0, bob.address)).to.equal(vb)
             expect(await crowdfund.contributions(0, carol.address)).to.equal(vc)
 
-            expect(await token.balanceOf(bob.address)).to.equal(vb * 1000n)
-            expect(await token.balanceOf(carol.address)).to.equal(vc * 1000n)
+            expect(await crowdfund.rewardsEarned(0, bob.address)).to.equal(vb * 1000n)
+            expect(await crowdfund.rewardsEarned(0, carol.address)).to.equal(vc * 1000n)
 
             const c = await crowdfund.campaigns(0)
             expect(c.totalRaised).to.equal(vb + vc)
         })
+
+        it("stops at the hard cap, reporting what is left", async function () {
+            const { crowdfund, alice, bob, carol } = await deploy()
+            await crowdfund.connect(alice).createCampaignWithOptions("T", wei(1), 3600, options({ hardCapWei: wei(1.5) }))
+
+            await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+            await expect(crowdfund.connect(carol).contribute(0, { value: wei(0.6) }))
+                .to.be.revertedWithCustomError(crowdfund, "HardCapExceeded")
+                .withArgs(wei(0.5))
+            await crowdfund.connect(carol).contribute(0, { value: wei(0.5) })
+            expect((await crowdfund.campaigns(0)).totalRaised).to.equal(wei(1.5))
+        })
     })
 
     describe("finalize", function () {
@@ -246,6 +473,85 @@ describe("Crowdfunding + RewardToken", function () {
             await expect(crowdfund.finalize(0))
                 .to.be.revertedWithCustomError(crowdfund, "AlreadyFinalized")
         })
+
+        it("waits for an extended deadline", async function () {
+            const { crowdfund, alice, bob } = await deploy()
+            await crowdfund.connect(alice).createCampaign("T", wei(1), 10)
+            const { deadline } = await crowdfund.campaigns(0)
+
+            await expect(crowdfund.connect(alice).extendDeadline(0, 100))
+                .to.emit(crowdfund, "DeadlineExtended")
+                .withArgs(0, deadline + 100n, 100)
+            await timeTravel(11)
+            await expect(crowdfund.finalize(0))
+                .to.be.revertedWithCustomError(crowdfund, "CampaignNotEnded")
+            await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+
+            await timeTravel(100)
+            await expect(crowdfund.finalize(0)).to.emit(crowdfund, "Finalized").withArgs(0, true)
+        })
+
+        it("bounds deadline extensions and only lets the creator extend a running campaign", async function () {
+            const { crowdfund, alice, bob } = await deploy()
+            await crowdfund.connect(alice).createCampaign("T", wei(1), 10)
+            const max = await crowdfund.MAX_DEADLINE_EXTENSION()
+
+            await expect(crowdfund.connect(bob).extendDeadline(0, 100))
+                .to.be.revertedWithCustomError(crowdfund, "NotCreator")
+            await expect(crowdfund.connect(alice).extendDeadline(0, 0))
+                .to.be.revertedWithCustomError(crowdfund, "DurationZero")
+            await crowdfund.connect(alice).extendDeadline(0, max - 1n)
+            await expect(crowdfund.connect(alice).extendDeadline(0, 2))
+                .to.be.revertedWithCustomError(crowdfund, "ExtensionTooLong")
+            await crowdfund.connect(alice).extendDeadline(0, 1)
+            expect(await crowdfund.deadlineExtensions(0)).to.equal(max)
+
+            await crowdfund.connect(alice).createCampaign("U", wei(1), 10)
+            await timeTravel(11)
+            await expect(crowdfund.connect(alice).extendDeadline(1, 1))
+                .to.be.revertedWithCustomError(crowdfund, "CampaignEnded")
+        })
+
+        it("can run as soon as a finish-on-goal campaign reaches its goal", async function () {
+            const { crowdfund, alice, bob, carol } = await deploy()
+            await crowdfund.connect(alice).createCampaignWithOptions("T", wei(1), 3600, options({ finishOnGoal: true }))
+
+            await crowdfund.connect(bob).contribute(0, { value: wei(0.5) })
+            await expect(crowdfund.finalize(0))
+                .to.be.revertedWithCustomError(crowdfund, "CampaignNotEnded")
+            await expect(crowdfund.connect(carol).contribute(0, { value: wei(0.5) }))
+                .to.emit(crowdfund, "ClosedEarly")
+            await expect(crowdfund.connect(bob).contribute(0, { value: wei(0.1) }))
+                .to.be.revertedWithCustomError(crowdfund, "CampaignEnded")
+
+            await expect(crowdfund.finalize(0)).to.emit(crowdfund, "Finalized").withArgs(0, true)
+        })
+
+        it("can run after the creator closes a funded campaign early", async function () {
+            const { crowdfund, alice, bob } = await deploy()
+            await crowdfund.connect(alice).createCampaign("T", wei(1), 3600)
+
+            await expect(crowdfund.connect(alice).closeEarly(0))
+                .to.be.revertedWithCustomError(crowdfund, "GoalNotReached")
+            await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+            await expect(crowdfund.connect(bob).closeEarly(0))
+                .to.be.revertedWithCustomError(crowdfund, "NotCreator")
+
+            const receipt = await (await crowdfund.connect(alice).closeEarly(0)).wait()
+            const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber)
+            expect((await crowdfund.campaigns(0)).deadline).to.equal(timestamp)
+
+            await expect(crowdfund.finalize(0)).to.emit(crowdfund, "Finalized").withArgs(0, true)
+        })
+
+        it("reverts on a cancelled campaign", async function () {
+            const { crowdfund, alice } = await deploy()
+            await crowdfund.connect(alice).createCampaign("T", wei(1), 10)
+            await crowdfund.connect(alice).cancel(0)
+            await timeTravel(11)
+            await expect(crowdfund.finalize(0))
+                .to.be.revertedWithCustomError(crowdfund, "AlreadyFinalized")
+        })
     })
 
     describe("withdraw (successful campaigns)", function () {
@@ -277,29 +583,434 @@ describe("Crowdfunding + RewardToken", function () {
                 .to.be.revertedWithCustomError(crowdfund, "NotCreator")
         })
 
-        it("transfers raised ETH to creator, emits Withdrawn, and prevents double withdraw", async function () {
-            const { crowdfund, alice, bob, carol } = await deploy()
+        for (const feeBps of [0, 250]) {
+            it(`transfers raised ETH to creator and treasury (fee ${feeBps} bps), emits Withdrawn, and prevents double withdraw`, async function () {
+                const { crowdfund, deployer, alice, bob, carol } = await deploy(feeBps)
+                await crowdfund.connect(alice).createCampaign("T", wei(1), 10)
+
+                const b1 = wei(0.4)
+                const b2 = wei(0.6)
+                await crowdfund.connect(bob).contribute(0, { value: b1 })
+                await crowdfund.connect(carol).contribute(0, { value: b2 })
+
+                await timeTravel(11)
+                await crowdfund.finalize(0)
+
+                const amount = b1 + b2
+                const fee = amount * BigInt(feeBps) / 10_000n
+
+                const before = await ethers.provider.getBalance(alice.address)
+                const treasuryBefore = await ethers.provider.getBalance(deployer.address)
+                const tx = crowdfund.connect(alice).withdraw(0)
+                await expect(tx).to.emit(crowdfund, "Withdrawn").withArgs(0, alice.address, amount - fee)
+                const gas = await gasCost(tx)
+                const after = await ethers.provider.getBalance(alice.address)
+
+                expect(after).to.equal(before + amount - fee - gas)
+                expect(await ethers.provider.getBalance(deployer.address)).to.equal(treasuryBefore + fee)
+                expect(await crowdfund.feesCollected(0)).to.equal(fee)
+                expect(await ethers.provider.getBalance(await crowdfund.getAddress())).to.equal(0n)
+
+                await expect(crowdfund.connect(alice).withdraw(0))
+                    .to.be.revertedWithCustomError(crowdfund, "WithdrawNothing")
+            })
+        }
+
+        it("emits FeeCollected to the current treasury", async function () {
+            const { crowdfund, alice, bob, dave } = await deploy(500)
+            await crowdfund.connect(alice).createCampaign("T", wei(1), 10)
+            await crowdfund.connect(bob).contribute(0, { value: wei(2) })
+            await timeTravel(11)
+            await crowdfund.finalize(0)
+            await expect(crowdfund.setTreasury(dave.address)).to.emit(crowdfund, "TreasurySet").withArgs(dave.address)
+
+            const tx = crowdfund.connect(alice).withdraw(0)
+            await expect(tx).to.emit(crowdfund, "FeeCollected").withArgs(0, dave.address, wei(0.1))
+            await expect(tx).to.changeEtherBalance(dave, wei(0.1))
+        })
+
+        it("keeps the fee a campaign was created with", async function () {
+            const { crowdfund, deployer, alice, bob } = await deploy(300)
+            await crowdfund.connect(alice).createCampaign("Before", wei(1), 10)
+            await crowdfund.setPlatformFee(1000)
+            await crowdfund.connect(alice).createCampaign("After", wei(1), 10)
+            await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+            await crowdfund.connect(bob).contribute(1, { value: wei(1) })
+            await timeTravel(11)
+            await crowdfund.finalize(0)
+            await crowdfund.finalize(1)
+
+            expect(await crowdfund.campaignFeeBps(0)).to.equal(300)
+            expect(await crowdfund.campaignFeeBps(1)).to.equal(1000)
+            await expect(crowdfund.connect(alice).withdraw(0)).to.changeEtherBalances([alice, deployer], [wei(0.97), wei(0.03)])
+            await expect(crowdfund.connect(alice).withdraw(1)).to.changeEtherBalances([alice, deployer], [wei(0.9), wei(0.1)])
+        })
+
+        it("pays the creator even if the treasury rejects the fee, crediting the fee instead", async function () {
+            const { crowdfund, alice, bob } = await deploy(100)
             await crowdfund.connect(alice).createCampaign("T", wei(1), 10)
+            await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+            await timeTravel(11)
+            await crowdfund.finalize(0)
+
+            const treasury = await (await ethers.getContractFactory("RejectingReceiver")).deploy()
+            const treasuryAddress = await treasury.getAddress()
+            await crowdfund.setTreasury(treasuryAddress)
+            await expect(crowdfund.connect(alice).withdraw(0))
+                .to.emit(crowdfund, "PayoutDeferred").withArgs(treasuryAddress, ethers.ZeroAddress, wei(0.01))
+                .and.to.emit(crowdfund, "Withdrawn").withArgs(0, alice.address, wei(0.99))
+            expect(await crowdfund.pendingPayouts(treasuryAddress, ethers.ZeroAddress)).to.equal(wei(0.01))
+        })
+
+        it("bounds the fee and gates fee and treasury setters behind CONFIG_ROLE", async function () {
+            const { crowdfund, alice } = await deploy()
+            await expect(crowdfund.setPlatformFee(1001)).to.be.revertedWithCustomError(crowdfund, "FeeTooHigh")
+            await expect(crowdfund.setPlatformFee(1000)).to.emit(crowdfund, "PlatformFeeSet").withArgs(1000)
+            await expect(crowdfund.setTreasury(ethers.ZeroAddress)).to.be.revertedWithCustomError(crowdfund, "BadTreasury")
+            await expect(crowdfund.connect(alice).setPlatformFee(1))
+                .to.be.revertedWithCustomError(crowdfund, "AccessControlUnauthorizedAccount")
+            await expect(crowdfund.connect(alice).setTreasury(alice.address))
+                .to.be.revertedWithCustomError(crowdfund, "AccessControlUnauthorizedAccount")
+        })
+    })
+
+    describe("backer tiers", function () {
+        const bronze = (overrides = {}) => ({ name: "Bronze", minWei: wei(0.1), limit: 0, ...overrides })
+        const gold = (overrides = {}) => ({ name: "Gold", minWei: wei(1), limit: 1, ...overrides })
+
+        async function deployWithTiers(tiers = [bronze(), gold()], overrides = {}) {
+            const ctx = await deploy()
+            await ctx.crowdfund.connect(ctx.alice).createCampaignWithOptions("T", wei(2), 10, options({ tiers, ...overrides }))
+            return ctx
+        }
+
+        async function tierOf(badge, tokenId) {
+            return Number((await badge.badges(tokenId)).tier)
+        }
+
+        it("reverts on unnamed, unordered or too many tiers", async function () {
+            const { crowdfund, alice } = await deploy()
+            const create = (tiers) => crowdfund.connect(alice).createCampaignWithOptions("T", wei(1), 10, options({ tiers }))
+            await expect(create([bronze({ name: "" })])).to.be.revertedWithCustomError(crowdfund, "BadTiers")
+            await expect(create([bronze({ minWei: 0 })])).to.be.revertedWithCustomError(crowdfund, "BadTiers")
+            await expect(create([gold(), bronze()])).to.be.revertedWithCustomError(crowdfund, "BadTiers")
+            await expect(create([bronze(), bronze()])).to.be.revertedWithCustomError(crowdfund, "BadTiers")
+            const many = Array.from({ length: 11 }, (_, i) => bronze({ minWei: BigInt(i + 1) }))
+            await expect(create(many)).to.be.revertedWithCustomError(crowdfund, "BadTiers")
+        })
+
+        it("stores tiers and emits their names", async function () {
+            const { crowdfund, alice } = await deploy()
+            await expect(crowdfund.connect(alice).createCampaignWithOptions("T", wei(1), 10, options({ tiers: [bronze(), gold()] })))
+                .to.emit(crowdfund, "CampaignTiersSet")
+                .withArgs(0, [["Bronze", wei(0.1), 0], ["Gold", wei(1), 1]])
+            const stored = await crowdfund.getTiers(0)
+            expect(stored.map((t) => [t.minWei, t.limit, t.claimed])).to.deep.equal([[wei(0.1), 0n, 0n], [wei(1), 1n, 0n]])
+        })
+
+        it("mints a badge once a backer crosses a tier, and nothing below the first one", async function () {
+            const { crowdfund, badge, bob, carol } = await deployWithTiers()
+
+            await crowdfund.connect(carol).contribute(0, { value: wei(0.05) })
+            expect(await badge.balanceOf(carol.address)).to.equal(0n)
+
+            await expect(crowdfund.connect(bob).contribute(0, { value: wei(0.1) }))
+                .to.emit(crowdfund, "TierAwarded").withArgs(0, bob.address, 0, 0)
+            expect(await badge.ownerOf(0)).to.equal(bob.address)
+            expect(await crowdfund.backerTier(0, bob.address)).to.equal(1)
+            expect((await badge.badges(0)).campaignId).to.equal(0n)
+        })
+
+        it("upgrades the badge in place, freeing the lower tier", async function () {
+            const { crowdfund, badge, bob } = await deployWithTiers()
+            await crowdfund.connect(bob).contribute(0, { value: wei(0.5) })
+            await expect(crowdfund.connect(bob).contribute(0, { value: wei(0.5) }))
+                .to.emit(crowdfund, "TierAwarded").withArgs(0, bob.address, 1, 0)
+
+            expect(await badge.balanceOf(bob.address)).to.equal(1n)
+            expect(await tierOf(badge, 0)).to.equal(1)
+            expect((await crowdfund.getTiers(0)).map((t) => t.claimed)).to.deep.equal([0n, 1n])
+
+            // already at the top: no further events
+            await expect(crowdfund.connect(bob).contribute(0, { value: wei(1) }))
+                .to.not.emit(crowdfund, "TierAwarded")
+        })
+
+        it("falls back to the best tier with stock left", async function () {
+            const { crowdfund, badge, bob, carol, dave } = await deployWithTiers([bronze({ limit: 1 }), gold()])
+            await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+            await crowdfund.connect(carol).contribute(0, { value: wei(1) })
+            await crowdfund.connect(dave).contribute(0, { value: wei(1) })
+
+            expect(await tierOf(badge, await crowdfund.badgeOf(0, bob.address))).to.equal(1)
+            expect(await tierOf(badge, await crowdfund.badgeOf(0, carol.address))).to.equal(0)
+            expect(await crowdfund.backerTier(0, dave.address)).to.equal(0)
+            expect(await badge.balanceOf(dave.address)).to.equal(0n)
+        })
 
-            const b1 = wei(0.4)
-            const b2 = wei(0.6)
-            await crowdfund.connect(bob).contribute(0, { value: b1 })
-            await crowdfund.connect(carol).contribute(0, { value: b2 })
+        it("badges cannot be transferred", async function () {
+            const { crowdfund, badge, bob, carol } = await deployWithTiers()
+            await crowdfund.connect(bob).contribute(0, { value: wei(0.1) })
+            await expect(badge.connect(bob).transferFrom(bob.address, carol.address, 0))
+                .to.be.revertedWithCustomError(badge, "Soulbound")
+        })
 
+        it("voids badges of a failed campaign and burns them on refund", async function () {
+            const { crowdfund, badge, bob, carol } = await deployWithTiers()
+            await crowdfund.connect(bob).contribute(0, { value: wei(0.1) })
+            await crowdfund.connect(carol).contribute(0, { value: wei(1) })
+            expect(await badge.isVoid(0)).to.equal(false)
             await timeTravel(11)
+
+            await expect(crowdfund.finalize(0)).to.emit(badge, "CampaignVoided").withArgs(0)
+            expect(await badge.isVoid(0)).to.equal(true)
+            expect(await badge.isVoid(1)).to.equal(true)
+
+            await expect(crowdfund.connect(bob).refund(0))
+                .to.emit(badge, "Transfer").withArgs(bob.address, ethers.ZeroAddress, 0)
+            expect(await badge.balanceOf(bob.address)).to.equal(0n)
+            expect(await crowdfund.backerTier(0, bob.address)).to.equal(0)
+            expect(await badge.ownerOf(1)).to.equal(carol.address)
+        })
+
+        it("keeps badges of a successful campaign valid, and voids them on cancel", async function () {
+            const { crowdfund, badge, alice, bob } = await deployWithTiers([bronze()], { finishOnGoal: true })
+            await crowdfund.connect(bob).contribute(0, { value: wei(2) })
             await crowdfund.finalize(0)
+            expect(await badge.isVoid(0)).to.equal(false)
+
+            await crowdfund.connect(alice).createCampaignWithOptions("U", wei(2), 10, options({ tiers: [bronze()] }))
+            await crowdfund.connect(bob).contribute(1, { value: wei(1) })
+            await crowdfund.connect(alice).cancel(1)
+            expect(await badge.isVoid(1)).to.equal(true)
+            expect(await badge.isVoid(0)).to.equal(false)
+        })
+    })
+
+    describe("stretch goals", function () {
+        it("emits StretchGoalReached once per goal crossed", async function () {
+            const { crowdfund, alice, bob } = await deploy()
+            await crowdfund.connect(alice).createCampaignWithOptions("T", wei(1), 3600, options({ stretchGoalsWei: [wei(2), wei(3)] }))
+
+            await expect(crowdfund.connect(bob).contribute(0, { value: wei(1.5) }))
+                .to.not.emit(crowdfund, "StretchGoalReached")
 
-            const amount = b1 + b2
+            await expect(crowdfund.connect(bob).contribute(0, { value: wei(2) }))
+                .to.emit(crowdfund, "StretchGoalReached").withArgs(0, 0, wei(2))
+                .and.to.emit(crowdfund, "StretchGoalReached").withArgs(0, 1, wei(3))
 
-            const before = await ethers.provider.getBalance(alice.address)
-            const gas = await gasCost(crowdfund.connect(alice).withdraw(0))
-            const after = await ethers.provider.getBalance(alice.address)
+            expect(await crowdfund.stretchGoalsReached(0)).to.equal(2)
 
-            expect(after).to.equal(before + amount - gas)
+            await expect(crowdfund.connect(bob).contribute(0, { value: wei(1) }))
+                .to.not.emit(crowdfund, "StretchGoalReached")
+        })
+    })
 
+    describe("milestones", function () {
+        it("withdraw reverts until a milestone is approved", async function () {
+            const { crowdfund, alice } = await deployWithMilestones()
             await expect(crowdfund.connect(alice).withdraw(0))
                 .to.be.revertedWithCustomError(crowdfund, "WithdrawNothing")
         })
+
+        it("requestMilestone reverts for non-creator, unfinalized or plain campaigns", async function () {
+            const { crowdfund, alice, bob } = await deploy()
+            await crowdfund.connect(alice).createCampaignWithOptions("M", wei(1), 10, options({ milestoneBps: [10000] }))
+            await crowdfund.connect(alice).createCampaign("Plain", wei(1), 10)
+            await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+            await crowdfund.connect(bob).contribute(1, { value: wei(1) })
+
+            await expect(crowdfund.connect(alice).requestMilestone(0))
+                .to.be.revertedWithCustomError(crowdfund, "NotFinalized")
+
+            await timeTravel(11)
+            await crowdfund.finalize(0)
+            await crowdfund.finalize(1)
+
+            await expect(crowdfund.connect(bob).requestMilestone(0))
+                .to.be.revertedWithCustomError(crowdfund, "NotCreator")
+            await expect(crowdfund.connect(alice).requestMilestone(1))
+                .to.be.revertedWithCustomError(crowdfund, "NoMilestones")
+        })
+
+        it("opens a vote, rejects double votes and votes from non-backers", async function () {
+            const { crowdfund, alice, bob, dave } = await deployWithMilestones()
+
+            await expect(crowdfund.connect(bob).voteMilestone(0, true))
+                .to.be.revertedWithCustomError(crowdfund, "NoMilestoneVote")
+
+            await expect(crowdfund.connect(alice).requestMilestone(0))
+                .to.emit(crowdfund, "MilestoneRequested").withArgs(0, 0, anyValue)
+            await expect(crowdfund.connect(alice).requestMilestone(0))
+                .to.be.revertedWithCustomError(crowdfund, "MilestoneVoteOpen")
+
+            await expect(crowdfund.connect(bob).voteMilestone(0, true))
+                .to.emit(crowdfund, "MilestoneVoted").withArgs(0, 0, bob.address, true, wei(0.25))
+            await expect(crowdfund.connect(bob).voteMilestone(0, false))
+                .to.be.revertedWithCustomError(crowdfund, "AlreadyVoted")
+            await expect(crowdfund.connect(dave).voteMilestone(0, true))
+                .to.be.revertedWithCustomError(crowdfund, "NoVotingPower")
+
+            await expect(crowdfund.resolveMilestone(0))
+                .to.be.revertedWithCustomError(crowdfund, "MilestoneVoteNotEnded")
+
+            await timeTravel(VOTE_PERIOD)
+            await expect(crowdfund.connect(bob).voteMilestone(0, true))
+                .to.be.revertedWithCustomError(crowdfund, "MilestoneVoteEnded")
+        })
+
+        it("releases tranches as milestones are approved and lets the creator withdraw them, less the fee", async function () {
+            // 5% fee: each tranche pays 95% to the creator and 5% to the treasury (the deployer)
+            const { crowdfund, deployer, alice, bob, carol } = await deployWithMilestones(undefined, 500)
+
+            // milestone 0: approved by weight (carol 0.75 vs bob 0.25)
+            await crowdfund.connect(alice).requestMilestone(0)
+            await crowdfund.connect(bob).voteMilestone(0, false)
+            await crowdfund.connect(carol).voteMilestone(0, true)
+            await timeTravel(VOTE_PERIOD)
+            await expect(crowdfund.resolveMilestone(0))
+                .to.emit(crowdfund, "MilestoneResolved").withArgs(0, 0, true, wei(0.5))
+
+            let before = await ethers.provider.getBalance(alice.address)
+            let treasuryBefore = await ethers.provider.getBalance(deployer.address)
+            let gas = await gasCost(crowdfund.connect(alice).withdraw(0))
+            expect(await ethers.provider.getBalance(alice.address)).to.equal(before + wei(0.475) - gas)
+            expect(await ethers.provider.getBalance(deployer.address)).to.equal(treasuryBefore + wei(0.025))
+            expect((await crowdfund.campaigns(0)).totalRaised).to.equal(wei(0.5))
+
+            await expect(crowdfund.connect(alice).withdraw(0))
+                .to.be.revertedWithCustomError(crowdfund, "WithdrawNothing")
+
+            // milestones 1 and 2: only carol votes
+            for (const [index, tranche] of [[1, wei(0.3)], [2, wei(0.2)]]) {
+                await crowdfund.connect(alice).requestMilestone(0)
+                await crowdfund.connect(carol).voteMilestone(0, true)
+                await timeTravel(VOTE_PERIOD)
+                await expect(crowdfund.resolveMilestone(0))
+                    .to.emit(crowdfund, "MilestoneResolved").withArgs(0, index, true, tranche)
+            }
+
+            await expect(crowdfund.connect(alice).requestMilestone(0))
+                .to.be.revertedWithCustomError(crowdfund, "MilestonesComplete")
+
+            before = await ethers.provider.getBalance(alice.address)
+            treasuryBefore = await ethers.provider.getBalance(deployer.address)
+            gas = await gasCost(crowdfund.connect(alice).withdraw(0))
+            expect(await ethers.provider.getBalance(alice.address)).to.equal(before + wei(0.475) - gas)
+            expect(await ethers.provider.getBalance(deployer.address)).to.equal(treasuryBefore + wei(0.025))
+            expect((await crowdfund.campaigns(0)).totalRaised).to.equal(0n)
+            expect(await crowdfund.feesCollected(0)).to.equal(wei(0.05))
+        })
+
+        it("rejects a milestone nobody voted on, and a tied vote", async function () {
+            const { crowdfund, alice, bob, carol } = await deployWithMilestones()
+
+            // the creator can't release a tranche by waiting out an empty vote
+            await crowdfund.connect(alice).requestMilestone(0)
+            await timeTravel(VOTE_PERIOD)
+            await expect(crowdfund.resolveMilestone(0))
+                .to.emit(crowdfund, "MilestoneResolved").withArgs(0, 0, false, 0)
+            expect(((await crowdfund.campaigns(0)).flags & 4n) != ZERO).to.equal(true)
+            await expect(crowdfund.connect(alice).withdraw(0))
+                .to.be.revertedWithCustomError(crowdfund, "WithdrawNothing")
+
+            await crowdfund.connect(alice).createCampaignWithOptions("Even", wei(1), 10, options({ milestoneBps: [5000, 5000] }))
+            await crowdfund.connect(bob).contribute(1, { value: wei(0.5) })
+            await crowdfund.connect(carol).contribute(1, { value: wei(0.5) })
+            await timeTravel(11)
+            await crowdfund.finalize(1)
+            await crowdfund.connect(alice).requestMilestone(1)
+            await crowdfund.connect(bob).voteMilestone(1, true)
+            await crowdfund.connect(carol).voteMilestone(1, false)
+            await timeTravel(VOTE_PERIOD)
+            await expect(crowdfund.resolveMilestone(1))
+                .to.emit(crowdfund, "MilestoneResolved").withArgs(1, 0, false, 0)
+        })
+
+        it("lets backers reclaim the unreleased share after a rejected milestone", async function () {
+            const { crowdfund, alice, bob, carol, dave } = await deployWithMilestones()
+
+            await crowdfund.connect(alice).requestMilestone(0)
+            await crowdfund.connect(bob).voteMilestone(0, true)
+            await timeTravel(VOTE_PERIOD)
+            await crowdfund.resolveMilestone(0) // releases 50%
+
+            await expect(crowdfund.connect(bob).reclaim(0))
+                .to.be.revertedWithCustomError(crowdfund, "NotRejected")
+
+            await crowdfund.connect(alice).requestMilestone(0)
+            await crowdfund.connect(carol).voteMilestone(0, false)
+            await timeTravel(VOTE_PERIOD)
+            await expect(crowdfund.resolveMilestone(0))
+                .to.emit(crowdfund, "MilestoneResolved").withArgs(0, 1, false, 0)
+
+            const c = await crowdfund.campaigns(0)
+            expect((c.flags & 4n) != ZERO).to.equal(true)
+            await expect(crowdfund.connect(alice).requestMilestone(0))
+                .to.be.revertedWithCustomError(crowdfund, "MilestonesRejected")
+
+            const before = await ethers.provider.getBalance(bob.address)
+            const gas = await gasCost(crowdfund.connect(bob).reclaim(0))
+            expect(await ethers.provider.getBalance(bob.address)).to.equal(before + wei(0.125) - gas)
+
+            await expect(crowdfund.connect(carol).reclaim(0))
+                .to.emit(crowdfund, "Reclaimed").withArgs(0, carol.address, wei(0.375))
+
+            await expect(crowdfund.connect(bob).reclaim(0))
+                .to.be.revertedWithCustomError(crowdfund, "ReclaimNothing")
+            await expect(crowdfund.connect(dave).reclaim(0))
+                .to.be.revertedWithCustomError(crowdfund, "ReclaimNothing")
+
+            // the already-approved tranche is still the creator's
+            await expect(crowdfund.connect(alice).withdraw(0))
+                .to.emit(crowdfund, "Withdrawn").withArgs(0, alice.address, wei(0.5))
+            expect((await crowdfund.campaigns(0)).totalRaised).to.equal(0n)
+        })
+
+        it("lets backers reclaim once the creator lets a milestone request fall overdue", async function () {
+            const { crowdfund, alice, bob, carol } = await deployWithMilestones()
+            const due = await crowdfund.milestoneRequestDue(0)
+            expect(due).to.equal(BigInt((await ethers.provider.getBlock("latest")).timestamp + REQUEST_WINDOW))
+
+            // approving a milestone restarts the window for the next one
+            await crowdfund.connect(alice).requestMilestone(0)
+            await crowdfund.connect(bob).voteMilestone(0, true)
+            await timeTravel(VOTE_PERIOD)
+            const resolved = crowdfund.resolveMilestone(0) // releases 50%
+            await expect(resolved).to.emit(crowdfund, "MilestoneDue").withArgs(0, 1, anyValue)
+            const nextDue = await crowdfund.milestoneRequestDue(0)
+            expect(nextDue).to.be.greaterThan(due)
+
+            await ethers.provider.send("evm_setNextBlockTimestamp", [Number(nextDue) - 1])
+            await expect(crowdfund.connect(bob).reclaim(0))
+                .to.be.revertedWithCustomError(crowdfund, "NotRejected")
+
+            await timeTravel(1)
+            await expect(crowdfund.connect(alice).requestMilestone(0))
+                .to.be.revertedWithCustomError(crowdfund, "MilestoneRequestOverdue")
+            await expect(crowdfund.connect(bob).reclaim(0))
+                .to.emit(crowdfund, "Reclaimed").withArgs(0, bob.address, wei(0.125))
+            expect((await crowdfund.campaigns(0)).flags & 4n).to.equal(4n)
+            await expect(crowdfund.connect(carol).reclaim(0))
+                .to.emit(crowdfund, "Reclaimed").withArgs(0, carol.address, wei(0.375))
+
+            await expect(crowdfund.connect(alice).withdraw(0))
+                .to.emit(crowdfund, "Withdrawn").withArgs(0, alice.address, wei(0.5))
+            expect((await crowdfund.campaigns(0)).totalRaised).to.equal(0n)
+        })
+
+        it("has no request deadline once every milestone is released", async function () {
+            const { crowdfund, alice, bob } = await deployWithMilestones([10000])
+            await crowdfund.connect(alice).requestMilestone(0)
+            await crowdfund.connect(bob).voteMilestone(0, true)
+            await timeTravel(VOTE_PERIOD)
+            await crowdfund.resolveMilestone(0)
+            expect(await crowdfund.milestoneRequestDue(0)).to.equal(0n)
+
+            await timeTravel(REQUEST_WINDOW)
+            await expect(crowdfund.connect(bob).reclaim(0))
+                .to.be.revertedWithCustomError(crowdfund, "NotRejected")
+        })
     })
 
     describe("refund (failed campaigns)", function () {
@@ -378,6 +1089,463 @@ describe("Crowdfunding + RewardToken", function () {
             c = await crowdfund.campaigns(0)
             expect(c.totalRaised).to.equal(0n)
         })
+
+        it("opens right away when the creator cancels, and contributions stop", async function () {
+            const { crowdfund, token, alice, bob } = await deploy()
+            await crowdfund.connect(alice).createCampaign("T", wei(1), 3600)
+            await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+
+            await expect(crowdfund.connect(alice).cancel(0))
+                .to.emit(crowdfund, "Cancelled").withArgs(0)
+            const c = await crowdfund.campaigns(0)
+            expectFinalized(c).to.equal(true)
+            expectSuccessful(c).to.equal(false)
+            expect(c.flags & await crowdfund.CANCELLED_MASK()).to.not.equal(ZERO)
+
+            await expect(crowdfund.connect(bob).contribute(0, { value: wei(1) }))
+                .to.be.revertedWithCustomError(crowdfund, "CampaignEnded")
+            await expect(crowdfund.connect(alice).withdraw(0))
+                .to.be.revertedWithCustomError(crowdfund, "NotSuccessful")
+
+            await expect(crowdfund.connect(bob).refund(0))
+                .to.emit(crowdfund, "Refunded").withArgs(0, bob.address, wei(1))
+            expect(await token.balanceOf(await crowdfund.getAddress())).to.equal(0n)
+        })
+
+        it("cancel is creator-only and impossible once finalized", async function () {
+            const { crowdfund, alice, bob } = await deploy()
+            await crowdfund.connect(alice).createCampaign("T", wei(1), 10)
+            await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+
+            await expect(crowdfund.connect(bob).cancel(0))
+                .to.be.revertedWithCustomError(crowdfund, "NotCreator")
+            await expect(crowdfund.connect(alice).cancel(9))
+                .to.be.revertedWithCustomError(crowdfund, "BadId")
+
+            await timeTravel(11)
+            await crowdfund.finalize(0)
+            await expect(crowdfund.connect(alice).cancel(0))
+                .to.be.revertedWithCustomError(crowdfund, "AlreadyFinalized")
+        })
+
+        it("cannot cancel a campaign that met its goal once the deadline passed", async function () {
+            const { crowdfund, alice, bob } = await deploy()
+            await crowdfund.connect(alice).createCampaign("T", wei(1), 10)
+            await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+            await timeTravel(11)
+
+            // not finalized yet, but it succeeded: finalize decides, not the creator
+            await expect(crowdfund.connect(alice).cancel(0))
+                .to.be.revertedWithCustomError(crowdfund, "CampaignEnded")
+            await crowdfund.finalize(0)
+            expectSuccessful(await crowdfund.campaigns(0)).to.equal(true)
+        })
+    })
+
+    describe("pull payments", function () {
+        async function deployWithWallet(name = "RejectingReceiver") {
+            const ctx = await deploy()
+            const Wallet = await ethers.getContractFactory(name)
+            const wallet = name === "RejectingReceiver" ? await Wallet.deploy() : await Wallet.deploy(await ctx.crowdfund.getAddress())
+            // RejectingReceiver.execute takes a target, ReentrancyAttacker always calls crowdfund
+            const call = (fn, args, value = 0n) => {
+                const data = ctx.crowdfund.interface.encodeFunctionData(fn, args)
+                return name === "RejectingReceiver"
+                    ? wallet.execute(ctx.crowdfund.target, data, { value })
+                    : wallet.execute(data, { value })
+            }
+            return { ...ctx, wallet, walletAddress: await wallet.getAddress(), call }
+        }
+
+        it("credits a creator wallet that rejects ETH and lets it claim to another address", async function () {
+            const { crowdfund, bob, dave, walletAddress, call } = await deployWithWallet()
+            await call("createCampaign", ["Multisig", wei(1), 10])
+            await crowdfund.connect(bob).contribute(0, { value: wei(1.5) })
+            await timeTravel(11)
+            await crowdfund.finalize(0)
+
+            await expect(call("withdraw", [0]))
+                .to.emit(crowdfund, "PayoutDeferred").withArgs(walletAddress, ethers.ZeroAddress, wei(1.5))
+                .and.to.emit(crowdfund, "Withdrawn").withArgs(0, walletAddress, wei(1.5))
+            expect(await crowdfund.pendingPayouts(walletAddress, ethers.ZeroAddress)).to.equal(wei(1.5))
+            expect((await crowdfund.campaigns(0)).totalRaised).to.equal(0n)
+
+            const before = await ethers.provider.getBalance(dave.address)
+            await expect(call("claimPayout", [ethers.ZeroAddress, dave.address]))
+                .to.emit(crowdfund, "PayoutClaimed").withArgs(walletAddress, ethers.ZeroAddress, dave.address, wei(1.5))
+            expect(await ethers.provider.getBalance(dave.address)).to.equal(before + wei(1.5))
+            expect(await ethers.provider.getBalance(await crowdfund.getAddress())).to.equal(0n)
+
+            await expect(call("claimPayout", [ethers.ZeroAddress, dave.address]))
+                .to.be.revertedWithCustomError(crowdfund, "NoPendingPayout")
+        })
+
+        it("credits refunds to a backer wallet that rejects ETH", async function () {
+            const { crowdfund, alice, carol, walletAddress, call } = await deployWithWallet()
+            await crowdfund.connect(alice).createCampaign("T", wei(5), 10)
+            await call("contribute", [0], wei(1))
+            await timeTravel(11)
+            await crowdfund.finalize(0)
+
+            await expect(call("refund", [0]))
+                .to.emit(crowdfund, "Refunded").withArgs(0, walletAddress, wei(1))
+                .and.to.emit(crowdfund, "PayoutDeferred").withArgs(walletAddress, ethers.ZeroAddress, wei(1))
+            expect(await crowdfund.contributions(0, walletAddress)).to.equal(0n)
+
+            await expect(call("claimPayout", [ethers.ZeroAddress, carol.address]))
+                .to.changeEtherBalance(carol, wei(1))
+        })
+
+        it("keeps the credit when the claim destination rejects ETH too", async function () {
+            const { crowdfund, alice, walletAddress, call } = await deployWithWallet()
+            await crowdfund.connect(alice).createCampaign("T", wei(5), 10)
+            await call("contribute", [0], wei(1))
+            await timeTravel(11)
+            await crowdfund.finalize(0)
+            await call("refund", [0])
+
+            await expect(call("claimPayout", [ethers.ZeroAddress, ethers.ZeroAddress]))
+                .to.be.revertedWithCustomError(crowdfund, "BadRecipient")
+            await expect(call("claimPayout", [ethers.ZeroAddress, walletAddress]))
+                .to.be.revertedWithCustomError(crowdfund, "PayoutFailed")
+            expect(await crowdfund.pendingPayouts(walletAddress, ethers.ZeroAddress)).to.equal(wei(1))
+        })
+
+        it("does not pay a reentrant backer twice on refund", async function () {
+            const { crowdfund, alice, wallet, walletAddress, call } = await deployWithWallet("ReentrancyAttacker")
+            await crowdfund.connect(alice).createCampaign("T", wei(5), 10)
+            await crowdfund.connect(alice).createCampaign("Other", wei(5), 10)
+            await call("contribute", [0], wei(1))
+            // funds of another campaign the attacker would like to drain
+            await crowdfund.connect(alice).contribute(1, { value: wei(3) })
+            await timeTravel(11)
+            await crowdfund.finalize(0)
+
+            await wallet.setReentry(crowdfund.interface.encodeFunctionData("refund", [0]))
+            await expect(call("refund", [0])).to.changeEtherBalances([walletAddress, crowdfund], [wei(1), -wei(1)])
+
+            expect(await wallet.reentryAttempts()).to.equal(1)
+            expect(await wallet.reentrySuccesses()).to.equal(0)
+            expect(await ethers.provider.getBalance(await crowdfund.getAddress())).to.equal(wei(3))
+        })
+
+        it("does not pay a reentrant creator twice on withdraw", async function () {
+            const { crowdfund, bob, wallet, walletAddress, call } = await deployWithWallet("ReentrancyAttacker")
+            await call("createCampaign", ["Attack", wei(1), 10])
+            await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+            await crowdfund.connect(bob).createCampaign("Other", wei(5), 3600)
+            await crowdfund.connect(bob).contribute(1, { value: wei(2) })
+            await timeTravel(11)
+            await crowdfund.finalize(0)
+
+            await wallet.setReentry(crowdfund.interface.encodeFunctionData("withdraw", [0]))
+            await expect(call("withdraw", [0])).to.changeEtherBalance(walletAddress, wei(1))
+            expect(await wallet.reentrySuccesses()).to.equal(0)
+            expect(await ethers.provider.getBalance(await crowdfund.getAddress())).to.equal(wei(2))
+        })
+
+        it("does not pay a reentrant claimPayout twice", async function () {
+            const { crowdfund, alice, wallet, walletAddress, call } = await deployWithWallet("ReentrancyAttacker")
+            await crowdfund.connect(alice).createCampaign("T", wei(5), 10)
+            await crowdfund.connect(alice).createCampaign("Other", wei(5), 3600)
+            await call("contribute", [0], wei(1))
+            await crowdfund.connect(alice).contribute(1, { value: wei(3) })
+            await timeTravel(11)
+            await crowdfund.finalize(0)
+
+            await wallet.setRejecting(true)
+            await call("refund", [0])
+            await wallet.setRejecting(false)
+
+            await wallet.setReentry(crowdfund.interface.encodeFunctionData("claimPayout", [ethers.ZeroAddress, walletAddress]))
+            await expect(call("claimPayout", [ethers.ZeroAddress, walletAddress])).to.changeEtherBalance(walletAddress, wei(1))
+            expect(await wallet.reentryAttempts()).to.equal(1)
+            expect(await wallet.reentrySuccesses()).to.equal(0)
+            expect(await crowdfund.pendingPayouts(walletAddress, ethers.ZeroAddress)).to.equal(0n)
+            expect(await ethers.provider.getBalance(await crowdfund.getAddress())).to.equal(wei(3))
+        })
+    })
+
+    describe("reward escrow", function () {
+        it("claimRewards pays out escrowed rewards only after success", async function () {
+            const { crowdfund, token, alice, bob } = await deploy()
+            await crowdfund.connect(alice).createCampaign("T", wei(1), 10)
+            await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+
+            await expect(crowdfund.connect(bob).claimRewards(0))
+                .to.be.revertedWithCustomError(crowdfund, "ClaimNothing")
+
+            await timeTravel(11)
+            await crowdfund.finalize(0)
+            expect(await crowdfund.claimableRewards(0, bob.address)).to.equal(wei(1000))
+
+            await expect(crowdfund.connect(bob).claimRewards(0))
+                .to.emit(crowdfund, "RewardsClaimed").withArgs(0, bob.address, wei(1000))
+            expect(await token.balanceOf(bob.address)).to.equal(wei(1000))
+            expect(await token.balanceOf(await crowdfund.getAddress())).to.equal(0n)
+
+            await expect(crowdfund.connect(bob).claimRewards(0))
+                .to.be.revertedWithCustomError(crowdfund, "ClaimNothing")
+        })
+
+        it("nothing is claimable on a failed campaign", async function () {
+            const { crowdfund, bob, alice } = await deploy()
+            await crowdfund.connect(alice).createCampaign("T", wei(2), 10)
+            await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+            await timeTravel(11)
+            await crowdfund.finalize(0)
+
+            expect(await crowdfund.claimableRewards(0, bob.address)).to.equal(0n)
+            await expect(crowdfund.connect(bob).claimRewards(0))
+                .to.be.revertedWithCustomError(crowdfund, "ClaimNothing")
+        })
+
+        it("back-then-refund farming leaves the backer with no CRWD", async function () {
+            const { crowdfund, token, alice, bob } = await deploy()
+
+            for (let round = 0; round < 3; round++) {
+                await crowdfund.connect(alice).createCampaign("Doomed", wei(1000), 10)
+                await crowdfund.connect(bob).contribute(round, { value: wei(5) })
+                await timeTravel(11)
+                await crowdfund.finalize(round)
+
+                await expect(crowdfund.connect(bob).refund(round))
+                    .to.emit(crowdfund, "RewardsForfeited").withArgs(round, bob.address, wei(5000))
+                await expect(crowdfund.connect(bob).claimRewards(round))
+                    .to.be.revertedWithCustomError(crowdfund, "ClaimNothing")
+            }
+
+            expect(await token.balanceOf(bob.address)).to.equal(0n)
+            expect(await token.totalSupply()).to.equal(0n)
+        })
+
+        it("milestone campaigns vest rewards with released tranches and burn the rest on reclaim", async function () {
+            const { crowdfund, token, alice, bob } = await deployWithMilestones([5000, 5000])
+            // bob earned 250 CRWD; nothing released yet
+            expect(await crowdfund.claimableRewards(0, bob.address)).to.equal(0n)
+
+            await crowdfund.connect(alice).requestMilestone(0)
+            await crowdfund.connect(bob).voteMilestone(0, true)
+            await timeTravel(VOTE_PERIOD)
+            await crowdfund.resolveMilestone(0)
+            expect(await crowdfund.claimableRewards(0, bob.address)).to.equal(wei(125))
+            await crowdfund.connect(bob).claimRewards(0)
+
+            await crowdfund.connect(alice).requestMilestone(0)
+            await crowdfund.connect(bob).voteMilestone(0, false)
+            await timeTravel(VOTE_PERIOD)
+            await crowdfund.resolveMilestone(0) // carol abstains, bob rejects
+
+            const supplyBefore = await token.totalSupply()
+            await expect(crowdfund.connect(bob).reclaim(0))
+                .to.emit(crowdfund, "RewardsForfeited").withArgs(0, bob.address, wei(125))
+            expect(await token.totalSupply()).to.equal(supplyBefore - wei(125))
+            expect(await token.balanceOf(bob.address)).to.equal(wei(125))
+            expect(await crowdfund.claimableRewards(0, bob.address)).to.equal(0n)
+            // only the vested part is left on the books
+            expect(await crowdfund.rewardsEarned(0, bob.address)).to.equal(wei(125))
+        })
+
+        it("reclaim leaves the vested rewards claimable and earned in full", async function () {
+            const { crowdfund, token, alice, bob, carol } = await deployWithMilestones([5000, 5000])
+            await crowdfund.connect(alice).requestMilestone(0)
+            await crowdfund.connect(carol).voteMilestone(0, true)
+            await timeTravel(VOTE_PERIOD)
+            await crowdfund.resolveMilestone(0)
+
+            await timeTravel(REQUEST_WINDOW)
+            // bob never claimed the 125 CRWD of the released half
+            await expect(crowdfund.connect(bob).reclaim(0))
+                .to.emit(crowdfund, "RewardsForfeited").withArgs(0, bob.address, wei(125))
+            expect(await crowdfund.rewardsEarned(0, bob.address)).to.equal(wei(125))
+            expect(await crowdfund.claimableRewards(0, bob.address)).to.equal(wei(125))
+
+            await crowdfund.connect(bob).claimRewards(0)
+            expect(await token.balanceOf(bob.address)).to.equal(wei(125))
+            expect(await crowdfund.claimableRewards(0, bob.address)).to.equal(0n)
+            // carol still holds her contribution and vests half of it
+            expect(await crowdfund.claimableRewards(0, carol.address)).to.equal(wei(375))
+        })
+    })
+
+    describe("reward vesting", function () {
+        const WEEK = 7 * 24 * 3600
+        const NO_REWARDS_MASK = 16n
+
+        it("defaults to a week and a 1% fee, configurable by CONFIG_ROLE only", async function () {
+            const { crowdfund, alice } = await deploy(0, null)
+            expect(await crowdfund.rewardMinDuration()).to.equal(WEEK)
+            expect(await crowdfund.rewardMinFeeBps()).to.equal(100)
+
+            await expect(crowdfund.setRewardVesting(WEEK, 1001)).to.be.revertedWithCustomError(crowdfund, "FeeTooHigh")
+            await expect(crowdfund.setRewardVesting(2 * WEEK, 200))
+                .to.emit(crowdfund, "RewardVestingSet").withArgs(2 * WEEK, 200)
+            await expect(crowdfund.connect(alice).setRewardVesting(0, 0))
+                .to.be.revertedWithCustomError(crowdfund, "AccessControlUnauthorizedAccount")
+        })
+
+        it("the withdraw loop cannot mint voting power", async function () {
+            const { crowdfund, token, alice, bob } = await deploy(100, null)
+            await token.connect(alice).delegate(alice.address)
+            await token.connect(bob).delegate(bob.address)
+
+            // one-minute campaigns backed by the creator and by a second account
+            // the creator controls, withdrawn right away
+            for (let round = 0; round < 3; round++) {
+                await crowdfund.connect(alice).createCampaign("Loop", wei(1), 60)
+                const id = round
+                expect((await crowdfund.campaigns(id)).flags & NO_REWARDS_MASK).to.equal(NO_REWARDS_MASK)
+                const backer = round % 2 ? bob : alice
+                await expect(crowdfund.connect(backer).contribute(id, { value: wei(5) }))
+                    .to.emit(crowdfund, "Contributed").withArgs(id, backer.address, wei(5), 0n)
+                await timeTravel(61)
+                await crowdfund.finalize(id)
+                await crowdfund.connect(alice).withdraw(id)
+                await expect(crowdfund.connect(backer).claimRewards(id))
+                    .to.be.revertedWithCustomError(crowdfund, "ClaimNothing")
+            }
+
+            expect(await token.totalSupply()).to.equal(0n)
+            expect(await token.getVotes(alice.address)).to.equal(0n)
+            expect(await token.getVotes(bob.address)).to.equal(0n)
+        })
+
+        it("creators earn nothing backing their own campaign", async function () {
+            const { crowdfund, token, alice, bob } = await deploy(100, null)
+            await crowdfund.connect(alice).createCampaign("Mine", wei(1), WEEK)
+            await expect(crowdfund.connect(alice).contribute(0, { value: wei(1) }))
+                .to.emit(crowdfund, "Contributed").withArgs(0, alice.address, wei(1), 0n)
+            await expect(crowdfund.connect(bob).contribute(0, { value: wei(1) }))
+                .to.emit(crowdfund, "Contributed").withArgs(0, bob.address, wei(1), wei(1000))
+
+            await timeTravel(WEEK)
+            await crowdfund.finalize(0)
+            expect(await crowdfund.claimableRewards(0, alice.address)).to.equal(0n)
+            expect(await crowdfund.claimableRewards(0, bob.address)).to.equal(wei(1000))
+            expect(await token.totalSupply()).to.equal(wei(1000))
+        })
+
+        it("campaigns below the minimum fee mint no rewards", async function () {
+            const { crowdfund, token, alice, bob } = await deploy(99, null)
+            await crowdfund.connect(alice).createCampaign("Cheap", wei(1), WEEK)
+            await expect(crowdfund.connect(bob).contribute(0, { value: wei(1) }))
+                .to.emit(crowdfund, "Contributed").withArgs(0, bob.address, wei(1), 0n)
+            expect(await token.totalSupply()).to.equal(0n)
+        })
+
+        it("closing early does not bring vesting forward", async function () {
+            const { crowdfund, token, alice, bob } = await deploy(100, null)
+            await crowdfund.connect(alice).createCampaign("Quick", wei(1), WEEK)
+            const vestAt = await crowdfund.rewardsVestAt(0)
+            await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+            await crowdfund.connect(alice).closeEarly(0)
+            await crowdfund.finalize(0)
+            await crowdfund.connect(alice).withdraw(0)
+
+            expect(await crowdfund.claimableRewards(0, bob.address)).to.equal(0n)
+            await expect(crowdfund.connect(bob).claimRewards(0))
+                .to.be.revertedWithCustomError(crowdfund, "ClaimNothing")
+
+            await ethers.provider.send("evm_setNextBlockTimestamp", [Number(vestAt)])
+            await crowdfund.connect(bob).claimRewards(0)
+            expect(await token.balanceOf(bob.address)).to.equal(wei(1000))
+            // the creator paid 1% of the 1 ETH to the treasury for it
+            expect(await crowdfund.feesCollected(0)).to.equal(wei(0.01))
+        })
+    })
+
+    describe("ERC-20 campaigns", function () {
+        it("only CONFIG_ROLE can allow currencies and set reward rates", async function () {
+            const { crowdfund, usd, alice } = await deploy()
+            await expect(crowdfund.connect(alice).setCurrencyAllowed(await usd.getAddress(), false))
+                .to.be.revertedWithCustomError(crowdfund, "AccessControlUnauthorizedAccount")
+            await expect(crowdfund.connect(alice).setRewardRate(ethers.ZeroAddress, 1))
+                .to.be.revertedWithCustomError(crowdfund, "AccessControlUnauthorizedAccount")
+        })
+
+        it("reverts creating a campaign in a currency that is not allowed", async function () {
+            const { crowdfund, alice, bob } = await deploy()
+            await expect(crowdfund.connect(alice).createCampaignWithOptions("T", usdc(1), 3600, options({ currency: bob.address })))
+                .to.be.revertedWithCustomError(crowdfund, "CurrencyNotAllowed")
+        })
+
+        it("rejects ETH for token campaigns and tokens for ETH campaigns", async function () {
+            const { crowdfund, alice, bob } = await deployWithTokenCampaign()
+            await crowdfund.connect(alice).createCampaign("Eth", wei(1), 3600)
+
+            await expect(crowdfund.connect(bob).contribute(0, { value: wei(1) }))
+                .to.be.revertedWithCustomError(crowdfund, "WrongCurrency")
+            await expect(crowdfund.connect(bob).contributeToken(1, usdc(1)))
+                .to.be.revertedWithCustomError(crowdfund, "WrongCurrency")
+        })
+
+        it("pulls tokens, tracks contributions and mints at the currency's rate", async function () {
+            const { crowdfund, token, usd, currency, bob } = await deployWithTokenCampaign()
+            const v = usdc(12.5)
+
+            await expect(crowdfund.connect(bob).contributeToken(0, v))
+                .to.emit(crowdfund, "Contributed")
+                .withArgs(0, bob.address, v, wei(12500))
+
+            expect(await crowdfund.campaignCurrency(0)).to.equal(currency)
+            expect(await crowdfund.contributions(0, bob.address)).to.equal(v)
+            expect((await crowdfund.campaigns(0)).totalRaised).to.equal(v)
+            expect(await usd.balanceOf(await crowdfund.getAddress())).to.equal(v)
+            expect(await crowdfund.rewardsEarned(0, bob.address)).to.equal(wei(12500))
+        })
+
+        it("accepts an EIP-2612 permit instead of a prior approve", async function () {
+            const { crowdfund, usd, alice, dave } = await deployWithTokenCampaign()
+            await usd.mint(dave.address, usdc(10))
+            const spender = await crowdfund.getAddress()
+            const deadline = (await ethers.provider.getBlock("latest")).timestamp + 600
+            const sig = await signPermit(usd, dave, spender, usdc(10), deadline)
+
+            await expect(crowdfund.connect(dave).contributeWithPermit(0, usdc(10), deadline, sig.v, sig.r, sig.s))
+                .to.emit(crowdfund, "Contributed")
+            expect(await crowdfund.contributions(0, dave.address)).to.equal(usdc(10))
+
+            // replaying the used permit fails without allowance
+            await usd.mint(dave.address, usdc(10))
+            await expect(crowdfund.connect(dave).contributeWithPermit(0, usdc(10), deadline, sig.v, sig.r, sig.s))
+                .to.be.revertedWithCustomError(usd, "ERC20InsufficientAllowance")
+            expect(await usd.balanceOf(alice.address)).to.equal(0n)
+        })
+
+        it("withdraw pays the creator and the treasury's fee in the campaign token", async function () {
+            const { crowdfund, usd, deployer, alice, bob, carol } = await deployWithTokenCampaign(usdc(50), 10, 100)
+            await crowdfund.connect(bob).contributeToken(0, usdc(20))
+            await crowdfund.connect(carol).contributeToken(0, usdc(30))
+            await timeTravel(11)
+            await crowdfund.finalize(0)
+
+            await expect(crowdfund.connect(alice).withdraw(0))
+                .to.emit(crowdfund, "Withdrawn").withArgs(0, alice.address, usdc(49.5))
+                .and.to.emit(crowdfund, "FeeCollected").withArgs(0, deployer.address, usdc(0.5))
+            expect(await usd.balanceOf(alice.address)).to.equal(usdc(49.5))
+            expect(await usd.balanceOf(deployer.address)).to.equal(usdc(0.5))
+            expect(await usd.balanceOf(await crowdfund.getAddress())).to.equal(0n)
+        })
+
+        it("refund pays backers back in the campaign token", async function () {
+            const { crowdfund, usd, bob } = await deployWithTokenCampaign()
+            await crowdfund.connect(bob).contributeToken(0, usdc(20))
+            await timeTravel(11)
+            await crowdfund.finalize(0)
+
+            await expect(crowdfund.connect(bob).refund(0))
+                .to.emit(crowdfund, "Refunded").withArgs(0, bob.address, usdc(20))
+            expect(await usd.balanceOf(bob.address)).to.equal(usdc(100))
+        })
+
+        it("uses the configured ETH reward rate", async function () {
+            const { crowdfund, token, alice, bob } = await deploy()
+            await expect(crowdfund.setRewardRate(ethers.ZeroAddress, 500))
+                .to.emit(crowdfund, "RewardRateSet").withArgs(ethers.ZeroAddress, 500)
+            await crowdfund.connect(alice).createCampaign("T", wei(1), 3600)
+            await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+            expect(await crowdfund.rewardsEarned(0, bob.address)).to.equal(wei(500))
+        })
     })
 
     describe("misc / invariants", function () {
@@ -0,0 +1,131 @@
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+const { deploy, wei, OPEN_ACCESS } = require("./helpers")
+
+describe("Error decoding", function () {
+    let decodeError, errorMessage, preflight, ERROR_MESSAGES
+
+    before(async function () {
+        // frontend modules are ESM
+        const errors = await import("../shared/errors.js")
+        decodeError = errors.decodeError
+        errorMessage = errors.errorMessage
+        preflight = errors.preflight
+        ERROR_MESSAGES = errors.ERROR_MESSAGES
+    })
+
+    async function setup() {
+        const ctx = await deploy()
+        const interfaces = [ctx.crowdfund.interface, ctx.token.interface]
+        await ctx.crowdfund.connect(ctx.alice).createCampaign("Open", wei(1), 1000)
+        return { ...ctx, interfaces }
+    }
+
+    async function caught(promise) {
+        try {
+            await promise
+        } catch (error) {
+            return error
+        }
+        throw new Error("expected a rejection")
+    }
+
+    it("has a message for every custom error in the deployed ABIs", async function () {
+        for (const name of ["Crowdfunding", "RewardToken", "BackerBadge", "CrowdForwarder", "CrowdGovernor", "TimelockController", "CampaignTeam", "CampaignTeamFactory", "ContributionGate"]) {
+            const iface = (await ethers.getContractFactory(name)).interface
+            iface.forEachError((fragment) => {
+                expect(ERROR_MESSAGES, `${name}.${fragment.name}`).to.have.property(fragment.name)
+            })
+        }
+    })
+
+    it("decodes Crowdfunding custom errors from a staticCall", async function () {
+        const { crowdfund, bob, interfaces } = await setup()
+
+        const notEnded = decodeError(await caught(crowdfund.finalize.staticCall(0)), interfaces)
+        expect(notEnded).to.include({ kind: "revert", name: "CampaignNotEnded" })
+        expect(notEnded.message).to.equal(ERROR_MESSAGES.CampaignNotEnded())
+
+        const notCreator = await caught(crowdfund.connect(bob).setCampaignMetadata.staticCall(0, "d", ""))
+        expect(errorMessage(notCreator, interfaces)).to.equal("Only the campaign creator can do this.")
+    })
+
+    it("decodes errors bubbling up from the campaign token", async function () {
+        const { crowdfund, usd, alice, bob, interfaces } = await setup()
+        await crowdfund.connect(alice).createCampaignWithOptions("Stable", 1_000_000n, 1000, {
+            milestoneBps: [], stretchGoalsWei: [], currency: await usd.getAddress(), hardCapWei: 0, finishOnGoal: false, tiers: [], access: OPEN_ACCESS,
+        })
+        await usd.mint(bob.address, 5_000_000n)
+
+        // no approve(): transferFrom inside SafeERC20 reverts with the token's error
+        const err = await caught(crowdfund.connect(bob).contributeToken.staticCall(1, 2_000_000n))
+        const decoded = decodeError(err, interfaces)
+        expect(decoded.name).to.equal("ERC20InsufficientAllowance")
+        expect(decoded.message).to.equal(`Insufficient token allowance: approved 0, need 2000000.`)
+    })
+
+    it("names an AccessControl failure with the offending account", async function () {
+        const { crowdfund, bob, interfaces } = await setup()
+        const err = await caught(crowdfund.connect(bob).setRewardRate.staticCall(ethers.ZeroAddress, 1))
+        expect(errorMessage(err, interfaces)).to.equal(`Account ${bob.address} is missing the required role.`)
+    })
+
+    it("preflight reports the revert without sending a transaction", async function () {
+        const { crowdfund, bob, interfaces } = await setup()
+        const nonce = await ethers.provider.getTransactionCount(bob.address)
+
+        const err = await caught(preflight(crowdfund.connect(bob).finalize, 0))
+        expect(decodeError(err, interfaces).name).to.equal("CampaignNotEnded")
+        expect(await ethers.provider.getTransactionCount(bob.address)).to.equal(nonce)
+
+        const tx = await preflight(crowdfund.connect(bob).contribute, 0, { value: wei(0.1) })
+        await tx.wait()
+        expect(await crowdfund.contributions(0, bob.address)).to.equal(wei(0.1))
+    })
+
+    it("recognises out-of-gas transactions", async function () {
+        const { crowdfund, bob, interfaces } = await setup()
+        // runs out in the proxy: out of gas inside the implementation comes back as a bare revert
+        const err = await caught(crowdfund.connect(bob).contribute(0, { value: wei(0.1), gasLimit: 22000 }))
+        expect(decodeError(err, interfaces).kind).to.equal("outOfGas")
+    })
+
+    it("recognises user rejections in the shapes ethers and wallets use", function () {
+        expect(decodeError({ code: "ACTION_REJECTED", message: "user rejected action" }).kind).to.equal("rejected")
+        expect(decodeError({ code: 4001, message: "User denied transaction signature." }).kind).to.equal("rejected")
+        expect(decodeError({ code: "UNKNOWN_ERROR", info: { error: { code: 4001 } } }).kind).to.equal("rejected")
+    })
+
+    it("finds revert data nested inside a wallet RPC error", async function () {
+        const { crowdfund, interfaces } = await setup()
+        const data = crowdfund.interface.encodeErrorResult("RefundNothing", [])
+        const walletError = {
+            code: -32603,
+            message: "Internal JSON-RPC error.",
+            data: { originalError: { code: 3, message: "execution reverted", data } },
+        }
+        expect(decodeError(walletError, interfaces)).to.include({ kind: "revert", name: "RefundNothing" })
+    })
+
+    it("decodes require strings, panics and unknown selectors", function () {
+        const coder = ethers.AbiCoder.defaultAbiCoder()
+        const reason = "0x08c379a0" + coder.encode(["string"], ["nope"]).slice(2)
+        const panic = "0x4e487b71" + coder.encode(["uint256"], [0x11]).slice(2)
+
+        expect(errorMessage({ data: reason })).to.equal("nope")
+        expect(errorMessage({ data: panic })).to.equal("Contract error: arithmetic overflow or underflow.")
+        expect(errorMessage({ data: "0xdeadbeef" })).to.match(/unknown error 0xdeadbeef/)
+    })
+
+    it("reports insufficient funds and RPC failures", function () {
+        expect(decodeError({ code: "INSUFFICIENT_FUNDS", message: "insufficient funds for gas * price + value" }).kind)
+            .to.equal("insufficientFunds")
+
+        const rpc = decodeError({
+            code: "UNKNOWN_ERROR",
+            shortMessage: "could not coalesce error",
+            info: { error: { code: -32603, message: "Internal JSON-RPC error." } },
+        })
+        expect(rpc).to.deep.equal({ kind: "rpc", message: "The network request failed: Internal JSON-RPC error." })
+    })
+})
@@ -0,0 +1,207 @@
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { ethers } = hre
+const { deploy, timeTravel, mineBlocks, wei } = require("./helpers")
+const { deployGovernance } = require("../scripts/lib/governance")
+
+const SETTINGS = { votingDelay: 1, votingPeriod: 10, proposalThreshold: 0n, quorumPercent: 4, timelockDelay: 3600 }
+
+describe("Governance", function () {
+    let gov, errorMessage
+
+    before(async function () {
+        // frontend modules are ESM
+        gov = await import("../shared/governance.js")
+        errorMessage = (await import("../shared/errors.js")).errorMessage
+    })
+
+    // alice and bob hold CRWD before the deployer hands everything to the timelock
+    async function setup() {
+        const ctx = await deploy()
+        const { deployer, alice, bob, token, MINTER_ROLE } = ctx
+        await token.grantRole(MINTER_ROLE, deployer.address)
+        await token.mint(alice.address, wei(600))
+        await token.mint(bob.address, wei(400))
+        await token.revokeRole(MINTER_ROLE, deployer.address)
+
+        const { governor, timelock } = await deployGovernance(hre, ctx, SETTINGS)
+        await token.connect(alice).delegate(alice.address)
+        await token.connect(bob).delegate(bob.address)
+        return { ...ctx, governor, timelock }
+    }
+
+    async function propose(ctx, actions, description) {
+        const p = gov.buildProposal({ crowdfund: ctx.crowdfund, token: ctx.token }, actions, description)
+        await ctx.governor.connect(ctx.alice).propose(p.targets, p.values, p.calldatas, p.description)
+        const id = await ctx.governor.hashProposal(p.targets, p.values, p.calldatas, gov.descriptionHash(description))
+        return { ...p, id }
+    }
+
+    async function state(governor, id) {
+        return gov.PROPOSAL_STATES[Number(await governor.state(id))]
+    }
+
+    // propose -> vote -> queue -> execute
+    async function pass(ctx, actions, description) {
+        const { governor, alice } = ctx
+        const p = await propose(ctx, actions, description)
+        await mineBlocks(SETTINGS.votingDelay + 1)
+        await governor.connect(alice).castVote(p.id, gov.VOTE.for)
+        await mineBlocks(SETTINGS.votingPeriod)
+        const hash = gov.descriptionHash(description)
+        await governor.queue(p.targets, p.values, p.calldatas, hash)
+        await timeTravel(SETTINGS.timelockDelay)
+        await governor.execute(p.targets, p.values, p.calldatas, hash)
+        return p
+    }
+
+    it("hands every admin role over to the timelock", async function () {
+        const { deployer, crowdfund, token, badge, governor, timelock } = await setup()
+        const ADMIN = await crowdfund.DEFAULT_ADMIN_ROLE()
+        const timelockAddress = await timelock.getAddress()
+
+        for (const contract of [crowdfund, token, badge]) {
+            expect(await contract.hasRole(ADMIN, timelockAddress)).to.equal(true)
+            expect(await contract.hasRole(ADMIN, deployer.address)).to.equal(false)
+        }
+        expect(await crowdfund.hasRole(await crowdfund.CONFIG_ROLE(), timelockAddress)).to.equal(true)
+        expect(await crowdfund.hasRole(await crowdfund.CONFIG_ROLE(), deployer.address)).to.equal(false)
+        expect(await crowdfund.hasRole(await crowdfund.UPGRADER_ROLE(), timelockAddress)).to.equal(true)
+        expect(await crowdfund.hasRole(await crowdfund.UPGRADER_ROLE(), deployer.address)).to.equal(false)
+        expect(await timelock.hasRole(ADMIN, deployer.address)).to.equal(false)
+        expect(await timelock.hasRole(await timelock.PROPOSER_ROLE(), await governor.getAddress())).to.equal(true)
+        expect(await timelock.getMinDelay()).to.equal(BigInt(SETTINGS.timelockDelay))
+
+        await expect(crowdfund.setRewardRate(ethers.ZeroAddress, 1))
+            .to.be.revertedWithCustomError(crowdfund, "AccessControlUnauthorizedAccount")
+    })
+
+    it("counts delegated CRWD as voting power", async function () {
+        const { alice, bob, carol, token, governor } = await setup()
+        expect(await token.getVotes(alice.address)).to.equal(wei(600))
+
+        // undelegated tokens do not vote
+        await token.connect(bob).transfer(carol.address, wei(100))
+        expect(await token.getVotes(bob.address)).to.equal(wei(300))
+        expect(await token.getVotes(carol.address)).to.equal(0n)
+
+        const block = await ethers.provider.getBlockNumber()
+        await mineBlocks(1)
+        expect(await governor.quorum(block)).to.equal(wei(40)) // 4% of 1000 CRWD
+    })
+
+    it("changes the reward rate through propose, vote, queue and execute", async function () {
+        const ctx = await setup()
+        const { governor, crowdfund, bob, alice } = ctx
+        const description = "Double the ETH reward rate"
+        const p = await propose(ctx, [{ type: "rewardRate", params: { currency: "", rate: "2000" } }], description)
+        expect(await state(governor, p.id)).to.equal("Pending")
+
+        await mineBlocks(SETTINGS.votingDelay + 1)
+        expect(await state(governor, p.id)).to.equal("Active")
+        await governor.connect(alice).castVote(p.id, gov.VOTE.for)
+        await governor.connect(bob).castVote(p.id, gov.VOTE.against)
+
+        const hash = gov.descriptionHash(description)
+        await expect(governor.queue(p.targets, p.values, p.calldatas, hash))
+            .to.be.revertedWithCustomError(governor, "GovernorUnexpectedProposalState")
+
+        await mineBlocks(SETTINGS.votingPeriod)
+        expect(await state(governor, p.id)).to.equal("Succeeded")
+        await governor.queue(p.targets, p.values, p.calldatas, hash)
+        expect(await state(governor, p.id)).to.equal("Queued")
+
+        // the timelock delay still applies
+        await expect(governor.execute(p.targets, p.values, p.calldatas, hash))
+            .to.be.revertedWithCustomError(ctx.timelock, "TimelockUnexpectedOperationState")
+        await timeTravel(SETTINGS.timelockDelay)
+        await expect(governor.execute(p.targets, p.values, p.calldatas, hash))
+            .to.emit(crowdfund, "RewardRateSet").withArgs(ethers.ZeroAddress, 2000)
+
+        expect(await state(governor, p.id)).to.equal("Executed")
+        expect(await crowdfund.rewardRates(ethers.ZeroAddress)).to.equal(2000n)
+
+        const [listed] = await gov.fetchProposals(governor, 0, alice.address)
+        expect(listed).to.include({ id: p.id, description, state: "Executed", voted: true })
+        expect(listed.votes).to.deep.equal({ against: wei(400), for: wei(600), abstain: 0n })
+        expect(gov.describeCall(listed.targets[0], listed.calldatas[0], { Crowdfunding: crowdfund }))
+            .to.equal(`Crowdfunding.setRewardRate(${ethers.ZeroAddress}, 2000)`)
+    })
+
+    it("sets campaign duration bounds that createCampaign enforces", async function () {
+        const ctx = await setup()
+        const { crowdfund, carol } = ctx
+        await pass(ctx, [{ type: "durationBounds", params: { min: "3600", max: "86400" } }], "Campaigns run 1h to 1d")
+
+        expect(await crowdfund.minCampaignDuration()).to.equal(3600n)
+        expect(await crowdfund.maxCampaignDuration()).to.equal(86400n)
+        await expect(crowdfund.connect(carol).createCampaign("Short", wei(1), 60))
+            .to.be.revertedWithCustomError(crowdfund, "DurationOutOfRange").withArgs(3600, 86400)
+        await expect(crowdfund.connect(carol).createCampaign("Long", wei(1), 86401))
+            .to.be.revertedWithCustomError(crowdfund, "DurationOutOfRange")
+        await crowdfund.connect(carol).createCampaign("Fits", wei(1), 86400)
+    })
+
+    it("grants and revokes MINTER_ROLE on the reward token", async function () {
+        const ctx = await setup()
+        const { token, carol, MINTER_ROLE } = ctx
+        await pass(ctx, [{ type: "grantMinter", params: { account: carol.address } }], "Carol mints")
+        expect(await token.hasRole(MINTER_ROLE, carol.address)).to.equal(true)
+        await token.connect(carol).mint(carol.address, 1)
+
+        await pass(ctx, [{ type: "revokeMinter", params: { account: carol.address } }], "Carol stops minting")
+        expect(await token.hasRole(MINTER_ROLE, carol.address)).to.equal(false)
+    })
+
+    it("sets the platform fee and treasury", async function () {
+        const ctx = await setup()
+        const { crowdfund, dave } = ctx
+        await pass(ctx, [
+            { type: "platformFee", params: { percent: "2.5" } },
+            { type: "treasury", params: { account: dave.address } },
+        ], "2.5% fee to dave")
+
+        expect(await crowdfund.platformFeeBps()).to.equal(250)
+        expect(await crowdfund.treasury()).to.equal(dave.address)
+    })
+
+    it("sets the reward vesting minimums", async function () {
+        const ctx = await setup()
+        const { crowdfund } = ctx
+        await pass(ctx, [{ type: "rewardVesting", params: { minDuration: "1209600", minFeePercent: "2" } }], "Two weeks and 2%")
+
+        expect(await crowdfund.rewardMinDuration()).to.equal(1209600)
+        expect(await crowdfund.rewardMinFeeBps()).to.equal(200)
+    })
+
+    it("defeats proposals without quorum or a majority", async function () {
+        const ctx = await setup()
+        const { governor, alice, bob, carol } = ctx
+        const noQuorum = await propose(ctx, [{ type: "rewardRate", params: { rate: "1" } }], "Nobody votes")
+        const outvoted = await propose(ctx, [{ type: "rewardRate", params: { rate: "2" } }], "Alice says no")
+        await mineBlocks(SETTINGS.votingDelay + 1)
+
+        // carol has no delegated CRWD: her vote counts for nothing
+        await governor.connect(carol).castVote(noQuorum.id, gov.VOTE.for)
+        await governor.connect(bob).castVote(outvoted.id, gov.VOTE.for)
+        await governor.connect(alice).castVote(outvoted.id, gov.VOTE.against)
+        await expect(governor.connect(alice).castVote(outvoted.id, gov.VOTE.for))
+            .to.be.revertedWithCustomError(governor, "GovernorAlreadyCastVote")
+        await mineBlocks(SETTINGS.votingPeriod)
+
+        expect(await state(governor, noQuorum.id)).to.equal("Defeated")
+        expect(await state(governor, outvoted.id)).to.equal("Defeated")
+        const error = await governor.queue
+            .staticCall(outvoted.targets, outvoted.values, outvoted.calldatas, gov.descriptionHash("Alice says no"))
+            .catch((e) => e)
+        expect(errorMessage(error, [governor.interface])).to.equal("The proposal is defeated and cannot do this now.")
+    })
+
+    it("rejects a proposal action with a bad address before it is proposed", async function () {
+        const { crowdfund, token } = await setup()
+        expect(() => gov.buildProposal({ crowdfund, token }, [{ type: "grantMinter", params: { account: "0x123" } }], "Bad"))
+            .to.throw()
+        expect(() => gov.buildProposal({ crowdfund, token }, [{ type: "rewardRate", params: { rate: "1" } }], " "))
+            .to.throw("A proposal needs a description.")
+    })
+})
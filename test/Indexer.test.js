@@ -0,0 +1,369 @@
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { deploy, timeTravel, wei, OPEN_ACCESS } = require("./helpers")
+const { CampaignStore, serializeCampaign, titleHashOf } = require("../scripts/lib/campaignStore")
+const { CampaignIndexer } = require("../scripts/lib/indexer")
+const { createApiServer } = require("../scripts/lib/api")
+
+describe("Campaign indexer", function () {
+    let tmpDir
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"))
+    })
+
+    afterEach(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true })
+    })
+
+    async function setup() {
+        const ctx = await deploy()
+        const startBlock = await ethers.provider.getBlockNumber()
+        const dbPath = path.join(tmpDir, "db.json")
+        const store = CampaignStore.load(dbPath)
+        const indexer = new CampaignIndexer({ contract: ctx.crowdfund, store, startBlock })
+        return { ...ctx, startBlock, dbPath, store, indexer }
+    }
+
+    it("replays the full campaign lifecycle into the store", async function () {
+        const { crowdfund, alice, bob, carol, store, indexer } = await setup()
+        await crowdfund.connect(alice).createCampaign("Good", wei(1), 10)
+        await crowdfund.connect(alice).createCampaign("Bad", wei(5), 10)
+        await crowdfund.connect(bob).contribute(0, { value: wei(0.4) })
+        await crowdfund.connect(carol).contribute(0, { value: wei(0.6) })
+        await crowdfund.connect(bob).contribute(1, { value: wei(1) })
+        await timeTravel(11)
+        await crowdfund.finalize(0)
+        await crowdfund.finalize(1)
+        await crowdfund.connect(alice).withdraw(0)
+        await crowdfund.connect(bob).refund(1)
+
+        await indexer.sync()
+
+        const [good, bad] = store.listCampaigns()
+        const onchain0 = await crowdfund.campaigns(0)
+        const onchain1 = await crowdfund.campaigns(1)
+
+        expect(good.title).to.equal("Good")
+        expect(good.titleHash).to.equal(onchain0.titleHash)
+        expect(good.titleHash).to.equal(titleHashOf("Good"))
+        expect(good.totalRaised).to.equal(onchain0.totalRaised)
+        expect(good.flags).to.equal(Number(onchain0.flags))
+        expect(good.contributions.get(carol.address)).to.equal(wei(0.6))
+
+        expect(bad.totalRaised).to.equal(onchain1.totalRaised)
+        expect(bad.flags).to.equal(Number(onchain1.flags))
+        expect(bad.contributions.get(bob.address)).to.equal(0n)
+    })
+
+    it("recovers titles and metadata from events and checks them against titleHash", async function () {
+        const { crowdfund, alice, store, indexer } = await setup()
+        await crowdfund.connect(alice).createCampaign("Solar Roof", wei(1), 3600)
+        await crowdfund.connect(alice).setCampaignMetadata(0, "first", "")
+        await crowdfund.connect(alice).setCampaignMetadata(0, "Panels for the school", "https://example.com/roof.png")
+        await indexer.sync()
+
+        const c = store.getCampaign(0)
+        expect(c.title).to.equal("Solar Roof")
+        expect(c.titleHash).to.equal((await crowdfund.campaigns(0)).titleHash)
+        expect(c.titleVerified).to.equal(true)
+        expect(c.description).to.equal("Panels for the school")
+        expect(c.imageUrl).to.equal("https://example.com/roof.png")
+    })
+
+    it("indexes new campaigns from their events alone, without reading contract state", async function () {
+        const { crowdfund, alice, store, indexer } = await setup()
+        for (let i = 0; i < 5; i++) await crowdfund.connect(alice).createCampaign(`Campaign ${i}`, wei(1), 3600)
+
+        const call = ethers.provider.call
+        let calls = 0
+        ethers.provider.call = async function (...args) {
+            calls++
+            return call.apply(this, args)
+        }
+        try {
+            await indexer.sync()
+        } finally {
+            ethers.provider.call = call
+        }
+
+        expect(calls).to.equal(0)
+        for (let id = 0; id < 5; id++) {
+            const c = store.getCampaign(id)
+            expect(c.titleHash).to.equal((await crowdfund.campaigns(id)).titleHash)
+            expect(c.titleVerified).to.equal(true)
+        }
+    })
+
+    it("flags a title that does not match the on-chain hash", async function () {
+        const store = new CampaignStore()
+        store.append({
+            name: "CampaignCreated",
+            blockNumber: 1,
+            blockHash: ethers.ZeroHash,
+            logIndex: 0,
+            args: { id: "0", creator: ethers.ZeroAddress, title: "Tampered", goalWei: "1", deadline: "1" },
+            titleHash: titleHashOf("Original"),
+        })
+        expect(store.getCampaign(0).titleVerified).to.equal(false)
+    })
+
+    it("tracks milestone votes, releases and reclaims", async function () {
+        const { crowdfund, alice, bob, carol, store, indexer } = await setup()
+        const options = { milestoneBps: [5000, 5000], stretchGoalsWei: [wei(1.5)], currency: ethers.ZeroAddress, hardCapWei: 0, finishOnGoal: false, tiers: [], access: OPEN_ACCESS }
+        await crowdfund.connect(alice).createCampaignWithOptions("M", wei(1), 10, options)
+        await crowdfund.connect(bob).contribute(0, { value: wei(0.5) })
+        await crowdfund.connect(carol).contribute(0, { value: wei(1.5) })
+        await timeTravel(11)
+        await crowdfund.finalize(0)
+        await crowdfund.connect(alice).requestMilestone(0)
+        await crowdfund.connect(bob).voteMilestone(0, true)
+        await timeTravel(3 * 24 * 3600)
+        await crowdfund.resolveMilestone(0)
+        await crowdfund.connect(alice).withdraw(0)
+        await crowdfund.connect(alice).requestMilestone(0)
+        await crowdfund.connect(carol).voteMilestone(0, false)
+        await timeTravel(3 * 24 * 3600)
+        await crowdfund.resolveMilestone(0)
+        await crowdfund.connect(bob).reclaim(0)
+
+        await indexer.sync()
+
+        const c = store.getCampaign(0)
+        const onchain = await crowdfund.campaigns(0)
+        const plan = await crowdfund.milestonePlans(0)
+        expect(c.stretchGoalsReached).to.equal(1)
+        expect(c.flags).to.equal(Number(onchain.flags))
+        expect(c.totalRaised).to.equal(onchain.totalRaised)
+        expect(c.milestones.current).to.equal(Number(plan.current))
+        expect(c.milestones.releasedWei).to.equal(plan.releasedWei)
+        expect(c.milestones.rejectWeight).to.equal(plan.rejectWeight)
+        expect(c.contributions.get(bob.address)).to.equal(0n)
+    })
+
+    it("follows milestone request deadlines and reclaims of an overdue campaign", async function () {
+        const { crowdfund, alice, bob, store, indexer } = await setup()
+        const options = { milestoneBps: [5000, 5000], stretchGoalsWei: [], currency: ethers.ZeroAddress, hardCapWei: 0, finishOnGoal: false, tiers: [], access: OPEN_ACCESS }
+        await crowdfund.connect(alice).createCampaignWithOptions("M", wei(1), 10, options)
+        await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+        await timeTravel(11)
+        await crowdfund.finalize(0)
+
+        await indexer.sync()
+        expect(store.getCampaign(0).milestones.requestDue).to.equal(Number(await crowdfund.milestoneRequestDue(0)))
+
+        await timeTravel(90 * 24 * 3600)
+        await crowdfund.connect(bob).reclaim(0)
+        await indexer.sync()
+
+        const c = store.getCampaign(0)
+        expect(c.flags).to.equal(Number((await crowdfund.campaigns(0)).flags))
+        expect(c.totalRaised).to.equal(0n)
+    })
+
+    it("follows cancellations, deadline extensions and early closes", async function () {
+        const { crowdfund, alice, bob, store, indexer } = await setup()
+        const options = { milestoneBps: [], stretchGoalsWei: [], currency: ethers.ZeroAddress, hardCapWei: wei(2), finishOnGoal: true, tiers: [], access: OPEN_ACCESS }
+        await crowdfund.connect(alice).createCampaignWithOptions("Closes", wei(1), 3600, options)
+        await crowdfund.connect(alice).createCampaign("Extended", wei(1), 3600)
+        await crowdfund.connect(alice).createCampaign("Cancelled", wei(1), 3600)
+        await crowdfund.connect(alice).extendDeadline(1, 600)
+        await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+        await crowdfund.connect(alice).cancel(2)
+
+        await indexer.sync()
+
+        const [closes, extended, cancelled] = store.listCampaigns()
+        expect(closes.hardCapWei).to.equal(wei(2))
+        expect(closes.finishOnGoal).to.equal(true)
+        expect(closes.deadline).to.equal(Number((await crowdfund.campaigns(0)).deadline))
+        expect(extended.deadline).to.equal(Number((await crowdfund.campaigns(1)).deadline))
+        expect(extended.deadlineExtension).to.equal(600)
+        expect(cancelled.flags).to.equal(Number((await crowdfund.campaigns(2)).flags))
+        expect(serializeCampaign(cancelled)).to.include({ finalized: true, successful: false, cancelled: true })
+    })
+
+    it("tracks tier stock as badges are awarded and upgraded", async function () {
+        const { crowdfund, alice, bob, carol, store, indexer } = await setup()
+        const tiers = [{ name: "Bronze", minWei: wei(0.1), limit: 0 }, { name: "Gold", minWei: wei(1), limit: 2 }]
+        const options = { milestoneBps: [], stretchGoalsWei: [], currency: ethers.ZeroAddress, hardCapWei: 0, finishOnGoal: false, tiers, access: OPEN_ACCESS }
+        await crowdfund.connect(alice).createCampaignWithOptions("Tiers", wei(5), 3600, options)
+        await crowdfund.connect(bob).contribute(0, { value: wei(0.5) })
+        await crowdfund.connect(carol).contribute(0, { value: wei(0.2) })
+        await crowdfund.connect(bob).contribute(0, { value: wei(0.5) })
+
+        await indexer.sync()
+
+        const c = store.getCampaign(0)
+        const onchain = await crowdfund.getTiers(0)
+        expect(c.tiers.map((t) => [t.name, t.minWei, t.limit])).to.deep.equal([["Bronze", wei(0.1), 0], ["Gold", wei(1), 2]])
+        expect(c.tiers.map((t) => t.claimed)).to.deep.equal(onchain.map((t) => Number(t.claimed)))
+        expect(serializeCampaign(c, { withContributions: true }).backerTiers).to.deep.equal({ [bob.address]: 1, [carol.address]: 0 })
+    })
+
+    it("takes platform fees out of the raised total and sums them per campaign", async function () {
+        const { crowdfund, alice, bob, store, indexer } = await setup()
+        await crowdfund.setPlatformFee(250)
+        await crowdfund.connect(alice).createCampaign("Fee", wei(1), 10)
+        await crowdfund.connect(bob).contribute(0, { value: wei(2) })
+        await timeTravel(11)
+        await crowdfund.finalize(0)
+        await crowdfund.connect(alice).withdraw(0)
+
+        await indexer.sync()
+
+        const c = store.getCampaign(0)
+        expect(c.totalRaised).to.equal((await crowdfund.campaigns(0)).totalRaised)
+        expect(c.feesCollected).to.equal(await crowdfund.feesCollected(0))
+        expect(serializeCampaign(c).feesCollected).to.equal(wei(0.05).toString())
+    })
+
+    it("resumes from the persisted checkpoint after a restart", async function () {
+        const { crowdfund, alice, bob, dbPath, startBlock, indexer } = await setup()
+        await crowdfund.connect(alice).createCampaign("T", wei(1), 3600)
+        const first = await indexer.sync()
+
+        await crowdfund.connect(bob).contribute(0, { value: wei(0.25) })
+
+        const reloaded = CampaignStore.load(dbPath)
+        expect(reloaded.checkpoint).to.deep.equal(first)
+        expect(reloaded.getCampaign(0).totalRaised).to.equal(0n)
+
+        const restarted = new CampaignIndexer({ contract: crowdfund, store: reloaded, startBlock })
+        await restarted.sync()
+
+        expect(reloaded.getCampaign(0).totalRaised).to.equal(wei(0.25))
+        expect(reloaded.events.filter((e) => e.name === "CampaignCreated")).to.have.length(1)
+    })
+
+    it("appends new events to the log on save instead of rewriting it", async function () {
+        const { crowdfund, alice, bob, dbPath, startBlock, indexer } = await setup()
+        const logPath = `${dbPath}.events.jsonl`
+        await crowdfund.connect(alice).createCampaign("T", wei(1), 3600)
+        await indexer.sync()
+        const before = fs.readFileSync(logPath, "utf8")
+        expect(before.trim().split("\n")).to.have.length(1)
+
+        await crowdfund.connect(bob).contribute(0, { value: wei(0.25) })
+        await indexer.sync()
+        const after = fs.readFileSync(logPath, "utf8")
+        expect(after.startsWith(before)).to.equal(true)
+        expect(after.trim().split("\n").map((line) => JSON.parse(line).name)).to.deep.equal(["CampaignCreated", "Contributed"])
+        // the checkpoint file does not grow with the history
+        expect(JSON.parse(fs.readFileSync(dbPath, "utf8"))).to.not.have.property("events")
+
+        // a save that crashed after appending leaves lines the checkpoint does not cover
+        fs.appendFileSync(logPath, `${JSON.stringify({ name: "Contributed", blockNumber: 0, args: { id: "0", contributor: bob.address, amountWei: "1" } })}\n`)
+        const reloaded = CampaignStore.load(dbPath)
+        expect(reloaded.events).to.have.length(2)
+        expect(fs.readFileSync(logPath, "utf8")).to.equal(after)
+
+        const restarted = new CampaignIndexer({ contract: crowdfund, store: reloaded, startBlock })
+        await crowdfund.connect(bob).contribute(0, { value: wei(0.5) })
+        await restarted.sync()
+        expect(CampaignStore.load(dbPath).getCampaign(0).totalRaised).to.equal(wei(0.75))
+    })
+
+    it("reads a store saved with the events inline and moves them to the log", async function () {
+        const { crowdfund, alice, dbPath, startBlock } = await setup()
+        await crowdfund.connect(alice).createCampaign("T", wei(1), 3600)
+        const old = new CampaignStore(null)
+        const indexer = new CampaignIndexer({ contract: crowdfund, store: old, startBlock })
+        await indexer.sync()
+        fs.writeFileSync(dbPath, JSON.stringify({ checkpoint: old.checkpoint, blocks: [...old.blocks.entries()], events: old.events }))
+
+        const reloaded = CampaignStore.load(dbPath)
+        expect(reloaded.getCampaign(0).title).to.equal("T")
+        reloaded.save()
+        expect(CampaignStore.load(dbPath).events).to.deep.equal(old.events)
+        expect(JSON.parse(fs.readFileSync(dbPath, "utf8"))).to.not.have.property("events")
+    })
+
+    it("rolls back events from blocks that were reorged out", async function () {
+        const { crowdfund, alice, bob, carol, dbPath, store, indexer } = await setup()
+        await crowdfund.connect(alice).createCampaign("T", wei(10), 3600)
+        await indexer.sync()
+
+        const snapshot = await ethers.provider.send("evm_snapshot", [])
+        await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+        await indexer.sync()
+        expect(store.getCampaign(0).totalRaised).to.equal(wei(1))
+
+        // replace the contribution block with a different one at the same height
+        await ethers.provider.send("evm_revert", [snapshot])
+        await crowdfund.connect(carol).contribute(0, { value: wei(2) })
+        await indexer.sync()
+
+        const c = store.getCampaign(0)
+        expect(c.totalRaised).to.equal(wei(2))
+        expect(c.contributions.has(bob.address)).to.equal(false)
+        expect(c.contributions.get(carol.address)).to.equal(wei(2))
+        // the rolled back event is gone from the saved log too
+        expect(CampaignStore.load(dbPath).events).to.deep.equal(store.events)
+    })
+
+    it("reads each range with one getLogs call and never checkpoints a hash newer than its logs", async function () {
+        const { crowdfund, alice, bob, carol, store, indexer } = await setup()
+        await crowdfund.connect(alice).createCampaign("T", wei(10), 3600)
+        await indexer.sync()
+
+        const snapshot = await ethers.provider.send("evm_snapshot", [])
+        await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+
+        // the contribution block is reorged away right after its logs are read
+        const getLogs = ethers.provider.getLogs
+        let calls = 0
+        ethers.provider.getLogs = async function (filter) {
+            calls++
+            const logs = await getLogs.call(this, filter)
+            if (calls === 1) {
+                await ethers.provider.send("evm_revert", [snapshot])
+                await crowdfund.connect(carol).contribute(0, { value: wei(2) })
+            }
+            return logs
+        }
+        try {
+            await indexer.sync()
+            expect(calls).to.equal(1)
+            expect(store.getCampaign(0).totalRaised).to.equal(wei(1))
+
+            // the saved checkpoint is the old block's, so the next sync rolls back
+            await indexer.sync()
+        } finally {
+            ethers.provider.getLogs = getLogs
+        }
+        const c = store.getCampaign(0)
+        expect(c.totalRaised).to.equal(wei(2))
+        expect(c.contributions.has(bob.address)).to.equal(false)
+    })
+
+    it("serves campaigns over the HTTP API", async function () {
+        const { crowdfund, alice, bob, store, indexer } = await setup()
+        await crowdfund.connect(alice).createCampaign("Served", wei(1), 3600)
+        await crowdfund.connect(bob).contribute(0, { value: wei(0.5) })
+        await indexer.sync()
+
+        const server = createApiServer(store)
+        await new Promise((resolve) => server.listen(0, resolve))
+        const base = `http://127.0.0.1:${server.address().port}`
+
+        try {
+            const list = await (await fetch(`${base}/campaigns`)).json()
+            expect(list).to.have.length(1)
+            expect(list[0]).to.include({ id: 0, title: "Served", totalRaised: wei(0.5).toString(), finalized: false })
+
+            const one = await (await fetch(`${base}/campaigns/0`)).json()
+            expect(one.contributions).to.deep.equal({ [bob.address]: wei(0.5).toString() })
+
+            expect((await fetch(`${base}/campaigns/7`)).status).to.equal(404)
+
+            const status = await (await fetch(`${base}/status`)).json()
+            expect(status.checkpoint).to.deep.equal(store.checkpoint)
+        } finally {
+            server.close()
+        }
+    })
+})
@@ -0,0 +1,81 @@
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+const { INVARIANTS, generate, setup, run, shrink, formatFailure } = require("./fuzz")
+
+// FUZZ_SEED replays (and FUZZ_RUNS / FUZZ_STEPS lengthen) the random runs;
+// a failure prints the seed and its shrunk sequence.
+const SEED = Number(process.env.FUZZ_SEED ?? 1)
+const RUNS = Number(process.env.FUZZ_RUNS ?? 10)
+const STEPS = Number(process.env.FUZZ_STEPS ?? 50)
+
+describe("Funding invariants", function () {
+    this.timeout(0)
+    let ctx
+
+    before(async function () {
+        ctx = await setup()
+    })
+
+    it(`hold over ${RUNS} random sequences of ${STEPS} actions`, async function () {
+        for (let seed = SEED; seed < SEED + RUNS; seed++) {
+            const actions = generate(seed, STEPS)
+            const failure = await run(ctx, actions)
+            if (failure) expect.fail(formatFailure(seed, await shrink(ctx, actions, failure)))
+        }
+    })
+
+    it("counts payouts deferred for a wallet that rejects ETH until it claims them", async function () {
+        const multisig = 4
+        const actions = [
+            { type: "create", actor: multisig, currency: 0, goal: 1, duration: 600 },
+            { type: "create", actor: 0, currency: 0, goal: 5, duration: 600 },
+            { type: "contribute", actor: 1, campaign: 0, amount: 2 },
+            { type: "contribute", actor: multisig, campaign: 1, amount: 1 },
+            { type: "timeTravel", seconds: 3600 },
+            { type: "finalize", actor: 2, campaign: 0 },
+            { type: "finalize", actor: 2, campaign: 0 },
+            // 1.9 ETH to the multisig as creator and 0.1 as treasury, then its 1 ETH refund
+            { type: "withdraw", campaign: 0 },
+            { type: "refund", actor: 0, campaign: 0 },
+        ]
+        const pending = () => ctx.crowdfund.pendingPayouts(ctx.multisig.target, ethers.ZeroAddress)
+
+        expect(await run(ctx, actions)).to.equal(null)
+        expect(await pending()).to.equal(ethers.parseEther("3"))
+
+        expect(await run(ctx, [...actions, { type: "claimPayout", actor: 0, currency: 0 }])).to.equal(null)
+        expect(await pending()).to.equal(0n)
+    })
+
+    it("shrinks a failing sequence to a minimal reproduction", async function () {
+        // a property that is false as soon as anyone gets a refund
+        const noRefunds = {
+            name: "nobody is refunded",
+            check: async (ctx, ledger) => (ledger.refundedEver.some((n) => n > 0n) ? "refunded" : null),
+        }
+        const actions = [
+            { type: "create", actor: 0, currency: 0, goal: 5, duration: 600 },
+            { type: "create", actor: 1, currency: 1, goal: 1, duration: 3600 },
+            { type: "contribute", actor: 2, campaign: 1, amount: 2 },
+            { type: "contribute", actor: 1, campaign: 0, amount: 1 },
+            { type: "refund", actor: 1, campaign: 0 },
+            { type: "contribute", actor: 3, campaign: 0, amount: 0.5 },
+            { type: "timeTravel", seconds: 7200 },
+            { type: "finalize", actor: 3, campaign: 1 },
+            { type: "withdraw", actor: 1, campaign: 1 },
+            { type: "finalize", actor: 2, campaign: 0 },
+            { type: "claimRewards", actor: 2, campaign: 1 },
+            { type: "refund", actor: 1, campaign: 0 },
+            { type: "refund", actor: 3, campaign: 0 },
+        ]
+        const invariants = [...INVARIANTS, noRefunds]
+
+        const failure = await run(ctx, actions, invariants)
+        expect(failure).to.include({ step: 11, invariant: "nobody is refunded" })
+
+        const shrunk = await shrink(ctx, actions, failure, invariants)
+        expect(shrunk.actions.map((a) => a.type)).to.deep.equal(["create", "contribute", "timeTravel", "finalize", "refund"])
+        expect(shrunk.failure).to.include({ step: 4, invariant: "nobody is refunded" })
+        expect(formatFailure(7, shrunk)).to.include("seed 7").and.include("5. backer pick 1 calls refund on campaign pick 0")
+    })
+})
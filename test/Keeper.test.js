@@ -0,0 +1,163 @@
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+const { deploy, timeTravel, wei } = require("./helpers")
+const { CampaignKeeper, bumpFees } = require("../scripts/lib/keeper")
+
+describe("Finalize keeper", function () {
+    async function setup(options = {}) {
+        const ctx = await deploy()
+        const logs = []
+        const keeper = new CampaignKeeper({
+            contract: ctx.crowdfund.connect(ctx.dave),
+            logger: (entry) => logs.push(entry),
+            ...options,
+        })
+        const events = (name) => logs.filter((l) => l.event === name)
+        return { ...ctx, keeper, logs, events }
+    }
+
+    async function setAutomine(on) {
+        await ethers.provider.send("evm_setAutomine", [on])
+    }
+
+    afterEach(async function () {
+        await setAutomine(true)
+    })
+
+    it("finalizes each campaign once its deadline passes, in deadline order", async function () {
+        const { crowdfund, alice, bob, keeper, events } = await setup()
+        await crowdfund.connect(alice).createCampaign("Later", wei(1), 200)
+        await crowdfund.connect(alice).createCampaign("Sooner", wei(1), 50)
+        await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+
+        await keeper.tick()
+        expect(events("queued").map((l) => l.id)).to.deep.equal([0, 1])
+        expect(keeper.queue.map((e) => e.id)).to.deep.equal([1, 0])
+        expect(events("submitted")).to.have.length(0)
+
+        await timeTravel(60)
+        await keeper.tick()
+        expect(events("submitted").map((l) => l.id)).to.deep.equal([1])
+
+        await timeTravel(200)
+        await keeper.tick()
+        await keeper.tick()
+        expect(events("submitted").map((l) => l.id)).to.deep.equal([1, 0])
+        expect(events("finalized").map((l) => [l.id, l.successful])).to.deep.equal([[1, false], [0, true]])
+
+        // nothing left to do
+        await keeper.tick()
+        expect(events("submitted")).to.have.length(2)
+        expect(Number((await crowdfund.campaigns(0)).flags) & 1).to.equal(1)
+        expect(Number((await crowdfund.campaigns(1)).flags) & 1).to.equal(1)
+    })
+
+    it("picks up campaigns created after it started", async function () {
+        const { crowdfund, alice, keeper, events } = await setup()
+        await keeper.tick()
+        await crowdfund.connect(alice).createCampaign("New", wei(1), 10)
+        await timeTravel(11)
+        await keeper.tick()
+        await keeper.tick()
+        expect(events("finalized").map((l) => l.id)).to.deep.equal([0])
+    })
+
+    it("waits for a deadline the creator extended", async function () {
+        const { crowdfund, alice, keeper, events } = await setup()
+        await crowdfund.connect(alice).createCampaign("Extended", wei(1), 10)
+        await keeper.tick()
+        await crowdfund.connect(alice).extendDeadline(0, 100)
+
+        await timeTravel(11)
+        await keeper.tick()
+        expect(events("submitted")).to.have.length(0)
+        expect(keeper.queue[0].deadline).to.equal(Number((await crowdfund.campaigns(0)).deadline))
+
+        await timeTravel(100)
+        await keeper.tick()
+        await keeper.tick()
+        expect(events("finalized").map((l) => l.id)).to.deep.equal([0])
+    })
+
+    it("skips campaigns someone else finalized first", async function () {
+        const { crowdfund, alice, keeper, events } = await setup()
+        await crowdfund.connect(alice).createCampaign("Manual", wei(1), 10)
+        await keeper.tick()
+        await timeTravel(11)
+        await crowdfund.connect(alice).finalize(0)
+
+        await keeper.tick()
+        expect(events("submitted")).to.have.length(0)
+        expect(events("skipped")[0]).to.include({ id: 0, reason: "already finalized" })
+    })
+
+    it("replaces a stuck transaction with bumped fees and the same nonce", async function () {
+        const { crowdfund, alice, dave, keeper, events } = await setup({ resubmitAfterMs: 0, gasBumpPercent: 25 })
+        await crowdfund.connect(alice).createCampaign("Stuck", wei(1), 10)
+        await keeper.tick()
+        await timeTravel(11)
+
+        await setAutomine(false)
+        await keeper.tick()
+        const [submitted] = events("submitted")
+        await keeper.tick()
+        const [replaced] = events("replaced")
+
+        expect(replaced.nonce).to.equal(submitted.nonce)
+        expect(replaced.maxFeePerGas).to.equal(submitted.maxFeePerGas * 125n / 100n)
+        expect(replaced.maxPriorityFeePerGas).to.equal(submitted.maxPriorityFeePerGas * 125n / 100n)
+
+        await ethers.provider.send("evm_mine", [])
+        await setAutomine(true)
+        await keeper.tick()
+
+        const [finalized] = events("finalized")
+        expect(finalized).to.include({ id: 0, hash: replaced.hash, attempt: 2 })
+        expect(await ethers.provider.getTransactionReceipt(submitted.hash)).to.equal(null)
+        expect(await ethers.provider.getTransactionCount(dave.address)).to.equal(submitted.nonce + 1)
+    })
+
+    it("does not resubmit a finalize that is already pending after a restart", async function () {
+        const { crowdfund, alice, dave, keeper, events } = await setup()
+        await crowdfund.connect(alice).createCampaign("Restart", wei(1), 10)
+        await timeTravel(11)
+
+        await setAutomine(false)
+        await keeper.tick()
+        expect(events("submitted")).to.have.length(1)
+
+        const restartedLogs = []
+        const restarted = new CampaignKeeper({ contract: crowdfund.connect(dave), logger: (e) => restartedLogs.push(e) })
+        await restarted.tick()
+        expect(restartedLogs.filter((l) => l.event === "submitted")).to.have.length(0)
+        expect(restartedLogs.find((l) => l.event === "skipped")).to.include({ id: 0, reason: "finalize pending in mempool" })
+
+        await ethers.provider.send("evm_mine", [])
+        const block = await ethers.provider.getBlock("latest")
+        expect(block.transactions).to.have.length(1)
+    })
+
+    it("retries failed submissions and gives up after maxAttempts", async function () {
+        const ctx = await deploy()
+        await ctx.crowdfund.connect(ctx.alice).createCampaign("Broke", wei(1), 10)
+        await timeTravel(11)
+
+        // a keeper account without ETH for gas
+        const broke = ethers.Wallet.createRandom().connect(ethers.provider)
+        const logs = []
+        const keeper = new CampaignKeeper({ contract: ctx.crowdfund.connect(broke), logger: (e) => logs.push(e), maxAttempts: 3 })
+
+        for (let i = 0; i < 4; i++) await keeper.tick()
+        expect(logs.filter((l) => l.event === "retry").map((l) => l.attempt)).to.deep.equal([1, 2])
+        const [gaveUp] = logs.filter((l) => l.event === "gave_up")
+        expect(gaveUp).to.include({ id: 0, attempts: 3, level: "error" })
+        expect(gaveUp.error.kind).to.equal("insufficientFunds")
+        expect(keeper.queue).to.have.length(0)
+    })
+
+    it("bumps legacy gas prices too", function () {
+        expect(bumpFees({ gasPrice: 100n }, 20)).to.deep.equal({ gasPrice: 120n })
+        expect(bumpFees({ maxFeePerGas: 200n, maxPriorityFeePerGas: 10n }, 10))
+            .to.deep.equal({ maxFeePerGas: 220n, maxPriorityFeePerGas: 11n })
+    })
+})
@@ -0,0 +1,151 @@
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+const { deploy, timeTravel, wei } = require("./helpers")
+
+async function waitFor(predicate, timeoutMs = 10000) {
+    const start = Date.now()
+    while (!predicate()) {
+        if (Date.now() - start > timeoutMs) throw new Error("timed out waiting for events")
+        await new Promise((resolve) => setTimeout(resolve, 50))
+    }
+}
+
+describe("Live event subscriptions", function () {
+    let subscribeToEvents, createRefreshQueue, involves, CAMPAIGN_EVENTS, PAYOUT_EVENTS
+
+    before(async function () {
+        // frontend modules are ESM
+        const live = await import("../frontend/src/liveEvents.js")
+        subscribeToEvents = live.subscribeToEvents
+        createRefreshQueue = live.createRefreshQueue
+        involves = live.involves
+        CAMPAIGN_EVENTS = live.CAMPAIGN_EVENTS
+        PAYOUT_EVENTS = live.PAYOUT_EVENTS
+    })
+
+    it("delivers campaign events from other users, flagging the ones involving the account", async function () {
+        const { crowdfund, token, alice, bob, carol } = await deploy()
+        const events = []
+        const unsubscribe = subscribeToEvents({
+            contract: crowdfund,
+            tokenContract: token,
+            account: bob.address,
+            onEvent: (event) => events.push(event),
+        })
+
+        try {
+            await crowdfund.connect(alice).createCampaign("Live", wei(1), 100)
+            await crowdfund.connect(carol).contribute(0, { value: wei(0.4) })
+            const tx = await crowdfund.connect(bob).contribute(0, { value: wei(0.6) })
+            await timeTravel(101)
+            await crowdfund.finalize(0)
+
+            await waitFor(() => events.some((e) => e.name === "Finalized"))
+            const contributed = events.filter((e) => e.name === "Contributed")
+            expect(events.map((e) => e.name)).to.include.members(["CampaignCreated", "Contributed", "Finalized"])
+            expect(contributed.map((e) => e.mine)).to.deep.equal([false, true])
+            expect(contributed[1].log.transactionHash).to.equal(tx.hash)
+            expect(Number(contributed[0].args.id)).to.equal(0)
+        } finally {
+            await unsubscribe()
+        }
+    })
+
+    it("delivers reward token transfers to and from the account only", async function () {
+        const { crowdfund, token, alice, bob, carol } = await deploy()
+        await crowdfund.connect(alice).createCampaign("Live", wei(1), 100)
+        await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+        await crowdfund.connect(carol).contribute(0, { value: wei(0.5) })
+        await timeTravel(101)
+        await crowdfund.finalize(0)
+
+        const transfers = []
+        const unsubscribe = subscribeToEvents({
+            contract: crowdfund,
+            tokenContract: token,
+            account: bob.address,
+            onEvent: (event) => event.name === "Transfer" && transfers.push(event),
+        })
+
+        try {
+            await crowdfund.connect(carol).claimRewards(0)
+            await crowdfund.connect(bob).claimRewards(0)
+            await waitFor(() => transfers.length > 0)
+            // give carol's transfer time to show up if it was (wrongly) delivered
+            await new Promise((resolve) => setTimeout(resolve, 300))
+            expect(transfers).to.have.length(1)
+            expect(transfers[0].args.to).to.equal(bob.address)
+            expect(transfers[0].mine).to.equal(true)
+        } finally {
+            await unsubscribe()
+        }
+    })
+
+    it("delivers payouts credited to and claimed by the account", async function () {
+        const { crowdfund, token, alice, carol } = await deploy()
+        const wallet = await (await ethers.getContractFactory("RejectingReceiver")).deploy()
+        const call = (fn, args, value = 0n) =>
+            wallet.execute(crowdfund.target, crowdfund.interface.encodeFunctionData(fn, args), { value })
+        await crowdfund.connect(alice).createCampaign("Live", wei(5), 100)
+        await call("contribute", [0], wei(1))
+        await timeTravel(101)
+        await crowdfund.finalize(0)
+
+        const payouts = []
+        const unsubscribe = subscribeToEvents({
+            contract: crowdfund,
+            tokenContract: token,
+            account: wallet.target,
+            onEvent: (event) => PAYOUT_EVENTS.includes(event.name) && payouts.push(event),
+        })
+
+        try {
+            await call("refund", [0])
+            await call("claimPayout", [ethers.ZeroAddress, carol.address])
+            await waitFor(() => payouts.length === 2)
+            expect(payouts.map((e) => [e.name, e.mine])).to.deep.equal([["PayoutDeferred", true], ["PayoutClaimed", true]])
+            expect(payouts[1].args.to).to.equal(carol.address)
+        } finally {
+            await unsubscribe()
+        }
+    })
+
+    it("removes every listener on unsubscribe", async function () {
+        const { crowdfund, token, bob } = await deploy()
+        const unsubscribe = subscribeToEvents({ contract: crowdfund, tokenContract: token, account: bob.address, onEvent: () => {} })
+        // contract.on() registers asynchronously
+        await new Promise((resolve) => setTimeout(resolve, 50))
+
+        let campaignListeners = 0
+        for (const name of CAMPAIGN_EVENTS) campaignListeners += await crowdfund.listenerCount(name)
+        expect(campaignListeners).to.equal(CAMPAIGN_EVENTS.length)
+
+        await unsubscribe()
+        for (const name of CAMPAIGN_EVENTS) expect(await crowdfund.listenerCount(name), name).to.equal(0)
+        expect(await crowdfund.listenerCount()).to.equal(0)
+        expect(await token.listenerCount()).to.equal(0)
+    })
+
+    it("coalesces refreshes queued in the same tick", async function () {
+        const batches = []
+        const queue = createRefreshQueue((keys) => batches.push([...keys]))
+        queue.add("campaign:1")
+        queue.add("campaign:1")
+        queue.add("balance")
+        await new Promise((resolve) => setTimeout(resolve, 10))
+        queue.add("campaign:2")
+        queue.cancel()
+        await new Promise((resolve) => setTimeout(resolve, 10))
+
+        expect(batches).to.deep.equal([["campaign:1", "balance"]])
+    })
+
+    it("matches the account against any party field, case-insensitively", function () {
+        const account = "0xAbC0000000000000000000000000000000000001"
+        expect(involves({ contributor: account.toLowerCase() }, account)).to.equal(true)
+        expect(involves({ creator: account }, account)).to.equal(true)
+        expect(involves({ from: "0x0000000000000000000000000000000000000002", to: account }, account)).to.equal(true)
+        expect(involves({ contributor: "0x0000000000000000000000000000000000000002" }, account)).to.equal(false)
+        expect(involves({ creator: account }, "")).to.equal(false)
+    })
+})
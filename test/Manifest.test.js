@@ -0,0 +1,80 @@
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { ethers } = hre
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { deploy } = require("./helpers")
+const { abiHashOf, manifestPath, readManifest, writeManifest } = require("../scripts/lib/manifest")
+const { implementationOf, storageLayoutOf } = require("../scripts/lib/storageLayout")
+
+describe("Deployment manifest", function () {
+    let tmpDir
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-"))
+    })
+
+    afterEach(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true })
+    })
+
+    it("records address, block, ABI and code hash per contract under the chain id", async function () {
+        const { token, crowdfund } = await deploy()
+        const { manifest, file } = await writeManifest(hre, { RewardToken: token, Crowdfunding: crowdfund }, tmpDir)
+
+        const { chainId } = await ethers.provider.getNetwork()
+        expect(file).to.equal(manifestPath(chainId, tmpDir))
+        expect(manifest.chainId).to.equal(Number(chainId))
+        expect(manifest.network).to.equal(hre.network.name)
+
+        const entry = manifest.contracts.Crowdfunding
+        const artifact = await hre.artifacts.readArtifact("Crowdfunding")
+        const receipt = await crowdfund.deploymentTransaction().wait()
+        expect(entry.address).to.equal(await crowdfund.getAddress())
+        expect(entry.blockNumber).to.equal(receipt.blockNumber)
+        expect(entry.abi).to.deep.equal(artifact.abi)
+        expect(entry.abiHash).to.equal(abiHashOf(artifact.abi))
+        expect(entry.codeHash).to.equal(ethers.keccak256(await ethers.provider.getCode(entry.address)))
+        expect(entry.solcVersion).to.match(/^0\.8\.24/)
+        expect(entry.buildInfoId).to.be.a("string")
+
+        expect(manifest.contracts.RewardToken.address).to.equal(await token.getAddress())
+    })
+
+    it("round-trips through readManifest and returns null for unknown chains", async function () {
+        const { token, crowdfund } = await deploy()
+        const { manifest } = await writeManifest(hre, { RewardToken: token, Crowdfunding: crowdfund }, tmpDir)
+
+        expect(readManifest(manifest.chainId, tmpDir)).to.deep.equal(manifest)
+        expect(readManifest(1, tmpDir)).to.equal(null)
+    })
+
+    it("code hash tells apart contracts deployed from the same ABI", async function () {
+        const first = await deploy()
+        const second = await deploy()
+        const a = await writeManifest(hre, { RewardToken: first.token, Crowdfunding: first.crowdfund }, tmpDir)
+        const b = await writeManifest(hre, { RewardToken: second.token, Crowdfunding: second.crowdfund }, tmpDir)
+
+        // the EIP-712 domain (with the token's own address) is immutable
+        expect(a.manifest.contracts.RewardToken.abiHash).to.equal(b.manifest.contracts.RewardToken.abiHash)
+        expect(a.manifest.contracts.RewardToken.codeHash).to.not.equal(b.manifest.contracts.RewardToken.codeHash)
+
+        // proxies share their code; the implementations embed their forwarder
+        const [pa, pb] = [a, b].map(({ manifest }) => manifest.contracts.Crowdfunding)
+        expect(pa.codeHash).to.equal(pb.codeHash)
+        expect(pa.implementation.codeHash).to.not.equal(pb.implementation.codeHash)
+    })
+
+    it("records the implementation behind a proxy and its storage layout", async function () {
+        const { token, crowdfund } = await deploy()
+        const { manifest } = await writeManifest(hre, { RewardToken: token, Crowdfunding: crowdfund }, tmpDir)
+
+        const { implementation } = manifest.contracts.Crowdfunding
+        expect(implementation.address).to.equal(await implementationOf(ethers.provider, crowdfund.target))
+        expect(implementation.codeHash).to.equal(ethers.keccak256(await ethers.provider.getCode(implementation.address)))
+        expect(implementation.storageLayout).to.deep.equal(await storageLayoutOf(hre, "Crowdfunding"))
+        expect(implementation.storageLayout[0]).to.include({ label: "_roles", slot: 0, offset: 0 })
+        expect(manifest.contracts.RewardToken).to.not.have.property("implementation")
+    })
+})
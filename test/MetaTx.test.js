@@ -0,0 +1,331 @@
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+const { deploy, timeTravel, wei, OPEN_ACCESS } = require("./helpers")
+const { MetaTxRelayer, RelayRejected, createRelayServer } = require("../scripts/lib/relayer")
+
+describe("Gasless meta-transactions", function () {
+    let metaTx, signPermit, errorMessage, ERROR_MESSAGES
+
+    before(async function () {
+        // frontend modules are ESM
+        metaTx = await import("../shared/metaTx.js")
+        signPermit = (await import("../shared/currency.js")).signPermit
+        const errors = await import("../shared/errors.js")
+        errorMessage = errors.errorMessage
+        ERROR_MESSAGES = errors.ERROR_MESSAGES
+    })
+
+    // dave runs the relayer; `wallet` is a fresh account that never holds ETH
+    async function setup(options = {}) {
+        const ctx = await deploy()
+        const logs = []
+        const relayer = new MetaTxRelayer({
+            forwarder: ctx.forwarder.connect(ctx.dave),
+            target: ctx.crowdfund,
+            logger: (entry) => logs.push(entry),
+            ...options,
+        })
+        const wallet = ethers.Wallet.createRandom().connect(ethers.provider)
+        return { ...ctx, relayer, logs, wallet }
+    }
+
+    async function sign(ctx, signer, fn, args, options = {}) {
+        const data = ctx.crowdfund.interface.encodeFunctionData(fn, args)
+        return metaTx.signForwardRequest(ctx.forwarder, signer, { to: ctx.crowdfund.target, data, ...options })
+    }
+
+    async function relay(ctx, request) {
+        const { hash } = await ctx.relayer.relay(metaTx.serializeRequest(request))
+        return ethers.provider.getTransactionReceipt(hash)
+    }
+
+    async function rejection(promise) {
+        try {
+            await promise
+        } catch (error) {
+            return error
+        }
+        throw new Error("expected a rejection")
+    }
+
+    it("trusts only the deployed forwarder", async function () {
+        const { crowdfund, forwarder, dave } = await setup()
+        expect(await crowdfund.isTrustedForwarder(forwarder.target)).to.equal(true)
+        expect(await crowdfund.isTrustedForwarder(dave.address)).to.equal(false)
+    })
+
+    it("creates a campaign for a signer that holds no ETH", async function () {
+        const ctx = await setup()
+        const { crowdfund, wallet, dave, logs } = ctx
+        const request = await sign(ctx, wallet, "createCampaign", ["Gasless", wei(1), 3600])
+
+        const relayerBalance = await ethers.provider.getBalance(dave.address)
+        const receipt = await relay(ctx, request)
+
+        expect(receipt.from).to.equal(dave.address)
+        expect((await crowdfund.campaigns(0)).creator).to.equal(wallet.address)
+        expect(await ethers.provider.getBalance(wallet.address)).to.equal(0n)
+        expect(await ethers.provider.getBalance(dave.address)).to.be.below(relayerBalance)
+        expect(logs.find((l) => l.event === "relayed")).to.include({ from: wallet.address, function: "createCampaign" })
+    })
+
+    it("finalizes and refunds on behalf of the signer, paying the signer", async function () {
+        const ctx = await setup()
+        const { crowdfund, alice, bob, carol } = ctx
+        await crowdfund.connect(alice).createCampaign("Fails", wei(5), 60)
+        await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+        await timeTravel(61)
+
+        await relay(ctx, await sign(ctx, carol, "finalize", [0]))
+        expect(Number((await crowdfund.campaigns(0)).flags) & 1).to.equal(1)
+
+        const request = await sign(ctx, bob, "refund", [0])
+        const hash = (await ctx.relayer.relay(metaTx.serializeRequest(request))).hash
+        const tx = await ethers.provider.getTransaction(hash)
+        await expect(tx).to.emit(crowdfund, "Refunded").withArgs(0, bob.address, wei(1))
+        await expect(tx).to.changeEtherBalance(bob, wei(1))
+    })
+
+    it("contributes tokens with a permit from a signer that holds no ETH", async function () {
+        const ctx = await setup()
+        const { crowdfund, alice, usd, wallet } = ctx
+        const options = { milestoneBps: [], stretchGoalsWei: [], currency: usd.target, hardCapWei: 0, finishOnGoal: false, tiers: [], access: OPEN_ACCESS }
+        await crowdfund.connect(alice).createCampaignWithOptions("USD", 100_000_000n, 3600, options)
+        await usd.mint(wallet.address, 25_000_000n)
+
+        const { timestamp } = await ethers.provider.getBlock("latest")
+        const deadline = timestamp + 600
+        const permit = await signPermit(wallet, usd.target, crowdfund.target, 25_000_000n, deadline)
+        await relay(ctx, await sign(ctx, wallet, "contributeWithPermit", [0, 25_000_000n, deadline, permit.v, permit.r, permit.s]))
+
+        expect(await crowdfund.contributions(0, wallet.address)).to.equal(25_000_000n)
+        expect(await usd.balanceOf(wallet.address)).to.equal(0n)
+    })
+
+    it("relays approved token contributions, admitting private-campaign backers with their pass", async function () {
+        const ctx = await setup()
+        const { crowdfund, gate, alice, bob, carol, usd } = ctx
+        const access = await import("../shared/access.js")
+        const list = access.buildAllowlist([carol.address])
+        const options = { milestoneBps: [], stretchGoalsWei: [], currency: usd.target, hardCapWei: 0, finishOnGoal: false, tiers: [], access: OPEN_ACCESS }
+        await crowdfund.connect(alice).createCampaignWithOptions("USD", 100_000_000n, 3600, options)
+        await crowdfund.connect(alice).createCampaignWithOptions("Private USD", 100_000_000n, 3600,
+            { ...options, access: { ...OPEN_ACCESS, allowlistRoot: list.root } })
+        for (const backer of [bob, carol]) {
+            await usd.mint(backer.address, 10_000_000n)
+            await usd.connect(backer).approve(crowdfund.target, 10_000_000n)
+        }
+
+        // the backer pays only for the approval
+        const bobBalance = await ethers.provider.getBalance(bob.address)
+        const receipt = await relay(ctx, await sign(ctx, bob, "contributeToken", [0, 4_000_000n]))
+        await expect(receipt).to.emit(crowdfund, "Contributed")
+        expect(await crowdfund.contributions(0, bob.address)).to.equal(4_000_000n)
+        expect(await usd.balanceOf(bob.address)).to.equal(6_000_000n)
+        expect(await ethers.provider.getBalance(bob.address)).to.equal(bobBalance)
+
+        const pass = access.encodePass({ proof: list.proofs[carol.address] })
+        await expect(relay(ctx, await sign(ctx, carol, "contributeTokenWithPass", [1, 5_000_000n, pass])))
+            .to.emit(gate, "Admitted").withArgs(1, carol.address, false)
+        expect(await crowdfund.contributions(1, carol.address)).to.equal(5_000_000n)
+        expect(ctx.logs.filter((l) => l.event === "relayed").map((l) => l.function))
+            .to.deep.equal(["contributeToken", "contributeTokenWithPass"])
+
+        // bob is not on the allowlist: found while estimating, before anything is signed
+        const denied = await rejection(sign(ctx, bob, "contributeTokenWithPass", [1, 1_000_000n, pass]))
+        expect(errorMessage(denied, [crowdfund.interface, gate.interface])).to.equal(ERROR_MESSAGES.NotAllowed())
+        // ...and by the relayer for a request signed before the allowance was spent
+        const overdrawn = await sign(ctx, bob, "contributeToken", [0, 6_000_000n])
+        await usd.connect(bob).approve(crowdfund.target, 0)
+        expect((await rejection(ctx.relayer.relay(metaTx.serializeRequest(overdrawn)))).reason).to.equal("reverted")
+        expect(await crowdfund.contributions(0, bob.address)).to.equal(4_000_000n)
+    })
+
+    it("turns away a replayed request, which the forwarder would reject too", async function () {
+        const ctx = await setup()
+        const { crowdfund, forwarder, alice } = ctx
+        const request = await sign(ctx, alice, "createCampaign", ["Once", wei(1), 3600])
+        await relay(ctx, request)
+
+        const error = await rejection(ctx.relayer.relay(metaTx.serializeRequest(request)))
+        expect(error).to.be.instanceOf(RelayRejected)
+        expect(error.reason).to.equal("nonce")
+        expect(error.message).to.equal("This request was already relayed.")
+
+        // the nonce is part of the signed message, so a replay no longer recovers to `from`
+        const { nonce, ...data } = request
+        await expect(forwarder.execute(data)).to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderInvalidSigner")
+        expect(await crowdfund.campaignCount()).to.equal(1n)
+        expect(await forwarder.nonces(alice.address)).to.equal(nonce + 1n)
+    })
+
+    it("turns away requests that are out of order", async function () {
+        const ctx = await setup()
+        const first = await sign(ctx, ctx.alice, "createCampaign", ["First", wei(1), 3600])
+        const second = { ...first, nonce: first.nonce + 1n }
+        const error = await rejection(ctx.relayer.relay(metaTx.serializeRequest(second)))
+        expect(error.reason).to.equal("nonce")
+        expect(error.message).to.equal("The request nonce is 1, expected 0.")
+    })
+
+    it("turns away expired requests, which the forwarder would reject too", async function () {
+        const ctx = await setup({ minValiditySeconds: 30 })
+        const { forwarder, alice } = ctx
+        const request = await sign(ctx, alice, "createCampaign", ["Late", wei(1), 3600], { ttlSeconds: 120 })
+
+        // too close to its deadline to be sure it is mined in time
+        await timeTravel(100)
+        expect((await rejection(ctx.relayer.relay(metaTx.serializeRequest(request)))).reason).to.equal("expired")
+
+        await timeTravel(30)
+        expect((await rejection(ctx.relayer.relay(metaTx.serializeRequest(request)))).reason).to.equal("expired")
+        const { nonce, ...data } = request
+        await expect(forwarder.execute(data))
+            .to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderExpiredRequest").withArgs(request.deadline)
+        expect(await forwarder.nonces(alice.address)).to.equal(nonce)
+    })
+
+    it("only pays for signed, zero-value calls to relayed Crowdfunding functions", async function () {
+        const ctx = await setup({ maxGas: 500_000n })
+        const { crowdfund, token, alice, bob } = ctx
+        const reasonFor = async (request) => (await rejection(ctx.relayer.relay(metaTx.serializeRequest(request)))).reason
+        const valid = await sign(ctx, alice, "createCampaign", ["Valid", wei(1), 3600])
+
+        expect(await reasonFor({ ...valid, to: token.target })).to.equal("target")
+        expect(await reasonFor({ ...valid, data: crowdfund.interface.encodeFunctionData("setRewardRate", [ethers.ZeroAddress, 1]) }))
+            .to.equal("function")
+        expect(await reasonFor({ ...valid, data: crowdfund.interface.encodeFunctionData("contribute", [0]), value: wei(1) }))
+            .to.equal("function")
+        expect(await reasonFor({ ...valid, value: 1n })).to.equal("value")
+        expect(await reasonFor({ ...valid, gas: 500_001n })).to.equal("gas")
+        expect(await reasonFor({ ...valid, from: bob.address })).to.equal("signature")
+        expect(await reasonFor({ ...valid, data: crowdfund.interface.encodeFunctionData("createCampaign", ["Other", wei(1), 3600]) }))
+            .to.equal("signature")
+        expect(await reasonFor({ ...valid, signature: "0x1234" })).to.equal("signature")
+        expect(await reasonFor({ ...valid, from: "nope" })).to.equal("malformed")
+
+        // none of it reached the chain
+        expect(await crowdfund.campaignCount()).to.equal(0n)
+        await relay(ctx, valid)
+        expect(await crowdfund.campaignCount()).to.equal(1n)
+    })
+
+    it("reports why a request would revert without sending it", async function () {
+        const ctx = await setup()
+        const { crowdfund, alice, dave, logs } = ctx
+        await crowdfund.connect(alice).createCampaign("Cancelled", wei(1), 3600)
+        const request = await sign(ctx, alice, "cancel", [0])
+        await crowdfund.connect(alice).cancel(0)
+
+        const relayerNonce = await dave.getNonce()
+        const error = await rejection(ctx.relayer.relay(metaTx.serializeRequest(request)))
+        expect(error.reason).to.equal("reverted")
+        expect(error.message).to.equal(ERROR_MESSAGES.AlreadyFinalized())
+        expect(await dave.getNonce()).to.equal(relayerNonce)
+        expect(logs.find((l) => l.event === "rejected")).to.include({ reason: "reverted", from: alice.address })
+    })
+
+    it("serves the relayer over HTTP for the frontend's sign-instead-of-send path", async function () {
+        const { crowdfund, forwarder, relayer, alice, wallet } = await setup()
+        const server = createRelayServer(relayer)
+        await new Promise((resolve) => server.listen(0, resolve))
+        const relayerUrl = `http://127.0.0.1:${server.address().port}`
+        const signAs = (signer, fn, args) => metaTx.signForwardRequest(forwarder, signer, {
+            to: crowdfund.target,
+            data: crowdfund.interface.encodeFunctionData(fn, args),
+        })
+
+        try {
+            const status = await (await fetch(`${relayerUrl}/status`)).json()
+            expect(status.target).to.equal(crowdfund.target)
+            expect(status.functions).to.include("refund")
+
+            const tx = await metaTx.sendGasless({ forwarder, signer: wallet, relayerUrl }, crowdfund.connect(wallet).createCampaign, "Over HTTP", wei(2), 60)
+            const receipt = await tx.wait()
+            expect(receipt.hash).to.equal(tx.hash)
+            expect((await crowdfund.campaigns(0)).creator).to.equal(wallet.address)
+
+            const metadata = await signAs(wallet, "setCampaignMetadata", [0, "Signed, not sent", ""])
+            await metaTx.relayRequest(relayerUrl, metadata)
+            const replayed = await rejection(metaTx.relayRequest(relayerUrl, metadata))
+            expect(replayed).to.be.instanceOf(metaTx.RelayError)
+            expect(replayed.reason).to.equal("nonce")
+
+            // a revert found by the relayer decodes like one from a direct call
+            await crowdfund.connect(alice).createCampaign("Cancelled", wei(1), 3600)
+            const cancel = await signAs(alice, "cancel", [1])
+            await crowdfund.connect(alice).cancel(1)
+            const reverted = await rejection(metaTx.relayRequest(relayerUrl, cancel))
+            expect(reverted.reason).to.equal("reverted")
+            expect(errorMessage(reverted, [crowdfund.interface])).to.equal(ERROR_MESSAGES.AlreadyFinalized())
+
+            // ...and so does one found while estimating, before anything is signed
+            const early = await rejection(signAs(wallet, "finalize", [0]))
+            expect(errorMessage(early, [crowdfund.interface])).to.equal(ERROR_MESSAGES.CampaignNotEnded())
+
+            const bad = await fetch(`${relayerUrl}/relay`, { method: "POST", body: "not json" })
+            expect(bad.status).to.equal(400)
+            expect((await bad.json()).reason).to.equal("malformed")
+        } finally {
+            server.close()
+        }
+    })
+
+    it("stops waiting for a relayed transaction that can no longer be mined", async function () {
+        const { crowdfund, forwarder, relayer, alice, wallet } = await setup()
+        const server = createRelayServer(relayer)
+        await new Promise((resolve) => server.listen(0, resolve))
+        const relayerUrl = `http://127.0.0.1:${server.address().port}`
+        // the relayer's transaction leaves the mempool without being mined
+        const sendDropped = async (title) => {
+            await ethers.provider.send("evm_setAutomine", [false])
+            try {
+                const tx = await metaTx.sendGasless({ forwarder, signer: wallet, relayerUrl }, crowdfund.connect(wallet).createCampaign, title, wei(1), 3600)
+                await ethers.provider.send("hardhat_dropTransaction", [tx.hash])
+                return tx
+            } finally {
+                await ethers.provider.send("evm_setAutomine", [true])
+            }
+        }
+
+        try {
+            const expired = await sendDropped("Expired")
+            await timeTravel(metaTx.REQUEST_TTL_SECONDS + 1)
+            const error = await rejection(expired.wait())
+            expect(error).to.be.instanceOf(metaTx.RelayError)
+            expect(error.reason).to.equal("expired")
+
+            // the same call signed again and sent by someone else takes the nonce
+            const superseded = await sendDropped("Superseded")
+            const again = await metaTx.signForwardRequest(forwarder, wallet, {
+                to: crowdfund.target,
+                data: crowdfund.interface.encodeFunctionData("createCampaign", ["Superseded", wei(1), 3600]),
+            })
+            const { nonce, ...data } = again
+            await forwarder.connect(alice).execute(data)
+            expect(nonce).to.equal(0n)
+            expect((await rejection(superseded.wait())).reason).to.equal("nonce")
+            expect(await crowdfund.campaignCount()).to.equal(1n)
+        } finally {
+            server.close()
+        }
+    })
+
+    it("answers a status request its node cannot serve with a 500", async function () {
+        const { relayer, logs } = await setup()
+        relayer.status = async () => {
+            throw new Error("provider down")
+        }
+        const server = createRelayServer(relayer)
+        await new Promise((resolve) => server.listen(0, resolve))
+
+        try {
+            const response = await fetch(`http://127.0.0.1:${server.address().port}/status`)
+            expect(response.status).to.equal(500)
+            expect(await response.json()).to.deep.equal({ error: "The relayer could not read its status." })
+            expect(logs.find((l) => l.event === "status_failed")).to.include({ level: "error", error: "provider down" })
+        } finally {
+            server.close()
+        }
+    })
+})
@@ -0,0 +1,181 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { deploy, timeTravel, wei } = require("./helpers")
+
+describe("CLI tasks", function () {
+    let printed
+    const originalLog = console.log
+
+    beforeEach(function () {
+        printed = []
+        console.log = (...args) => printed.push(args.join(" "))
+    })
+
+    afterEach(function () {
+        console.log = originalLog
+    })
+
+    async function setup() {
+        const ctx = await deploy()
+        const address = await ctx.crowdfund.getAddress()
+        const run = (name, args = {}) => hre.run(name, { address, ...args })
+        return { ...ctx, address, run }
+    }
+
+    async function rejection(promise) {
+        try {
+            await promise
+        } catch (error) {
+            return error
+        }
+        throw new Error("expected the task to fail")
+    }
+
+    it("creates campaigns with options and metadata", async function () {
+        const { crowdfund, alice, run } = await setup()
+        const created = await run("campaign:create", {
+            title: "CLI", goal: "1.5", duration: 100, milestones: "50,50", stretchGoals: "2,3",
+            hardCap: "4", finishOnGoal: true, tiers: "Bronze:0.1, Gold:1:5", description: "From the CLI", from: alice.address,
+        })
+
+        expect(created.id).to.equal(0)
+        const c = await crowdfund.campaigns(0)
+        expect(c.creator).to.equal(alice.address)
+        expect(c.goalWei).to.equal(wei(1.5))
+        expect((await crowdfund.getMilestoneBps(0)).map(Number)).to.deep.equal([5000, 5000])
+        expect(await crowdfund.getStretchGoals(0)).to.deep.equal([wei(2), wei(3)])
+        expect(await crowdfund.hardCaps(0)).to.equal(wei(4))
+        expect(await crowdfund.finishOnGoal(0)).to.equal(true)
+        expect((await crowdfund.getTiers(0)).map((t) => [t.minWei, t.limit])).to.deep.equal([[wei(0.1), 0n], [wei(1), 5n]])
+
+        const shown = await run("campaign:show", { id: 0 })
+        expect(shown.tiers).to.deep.equal([
+            { name: "Bronze", minimum: "0.1", limit: 0, claimed: 0 },
+            { name: "Gold", minimum: "1.0", limit: 5, claimed: 0 },
+        ])
+        expect(printed.at(-1)).to.include("tier Gold: from 1.0 ETH, 0/5 claimed")
+    })
+
+    it("lists and shows campaigns, as JSON when asked", async function () {
+        const { crowdfund, deployer, bob, carol, run } = await setup()
+        await run("campaign:create", { title: "First", goal: "1", duration: 100 })
+        await run("campaign:create", { title: "Second", goal: "2", duration: 1000 })
+        await run("campaign:contribute", { id: 0, amount: "0.25", from: bob.address })
+        await run("campaign:contribute", { id: 0, amount: "0.5", from: carol.address })
+        await timeTravel(101)
+
+        printed = []
+        const list = await run("campaign:list", { json: true })
+        expect(JSON.parse(printed.join("\n"))).to.have.length(2)
+        expect(list.map((c) => [c.title, c.status, c.raised])).to.deep.equal([
+            ["First", "expired", "0.75"],
+            ["Second", "active", "0.0"],
+        ])
+        expect((await run("campaign:list", { status: "active" })).map((c) => c.id)).to.deep.equal([1])
+        await crowdfund.connect(deployer).cancel(1)
+        expect((await run("campaign:list", { status: "cancelled" })).map((c) => c.id)).to.deep.equal([1])
+
+        const shown = await run("campaign:show", { id: 0 })
+        expect(shown.contributors.map((b) => [b.address, b.amount])).to.deep.equal([
+            [bob.address, "0.25"],
+            [carol.address, "0.5"],
+        ])
+        expect(printed.at(-1)).to.include(`${bob.address}  0.25 ETH`)
+    })
+
+    it("contributes to ERC-20 campaigns, approving first", async function () {
+        const { crowdfund, usd, bob, run } = await setup()
+        await run("campaign:create", { title: "Stable", goal: "100", duration: 100, currency: await usd.getAddress() })
+        await usd.mint(bob.address, 50_000_000n)
+
+        await run("campaign:contribute", { id: 0, amount: "25", from: bob.address })
+        expect(await crowdfund.contributions(0, bob.address)).to.equal(25_000_000n)
+    })
+
+    it("finalizes every expired campaign in bulk, then withdraws and refunds", async function () {
+        const { alice, bob, run } = await setup()
+        await run("campaign:create", { title: "Funded", goal: "1", duration: 100, from: alice.address })
+        await run("campaign:create", { title: "Short", goal: "5", duration: 100, from: alice.address })
+        await run("campaign:create", { title: "Later", goal: "1", duration: 10_000, from: alice.address })
+        await run("campaign:contribute", { id: 0, amount: "1", from: bob.address })
+        await run("campaign:contribute", { id: 1, amount: "1", from: bob.address })
+        await timeTravel(101)
+
+        const results = await run("campaign:finalize", { expired: true })
+        expect(results.map((r) => [r.id, r.ok, r.successful])).to.deep.equal([[0, true, true], [1, true, false]])
+
+        const withdrawn = await run("campaign:withdraw", { id: 0, from: alice.address })
+        expect(withdrawn.amount).to.equal("1.0")
+        const refunded = await run("campaign:refund", { id: 1, from: bob.address })
+        expect(refunded.amountWei).to.equal(wei(1))
+    })
+
+    it("reports decoded contract errors", async function () {
+        const { bob, run } = await setup()
+        await run("campaign:create", { title: "Open", goal: "1", duration: 100 })
+
+        const notEnded = await rejection(run("campaign:finalize", { ids: [0] }))
+        expect(printed.at(-1)).to.include("The campaign has not reached its deadline yet.")
+        expect(notEnded.message).to.include("1 of 1 campaigns could not be finalized")
+
+        const refund = await rejection(run("campaign:refund", { id: 0, from: bob.address }))
+        expect(refund.message).to.include("The campaign has not been finalized yet.")
+
+        const missing = await rejection(run("campaign:show", { id: 7 }))
+        expect(missing.message).to.include("Campaign 7 does not exist")
+    })
+
+    it("creates private campaigns and admits backers with a pass file", async function () {
+        const { crowdfund, gate, alice, bob, carol, dave, run } = await setup()
+        const { buildAllowlist } = await import("../shared/access.js")
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "allowlist-"))
+        const allowlistFile = path.join(dir, "allowlist.json")
+        fs.writeFileSync(allowlistFile, JSON.stringify(buildAllowlist([bob.address])))
+
+        await run("campaign:create", {
+            title: "Private", goal: "2", duration: 100, allowlist: allowlistFile, verifier: dave.address,
+            maxContribution: "1", from: alice.address,
+        })
+        expect((await gate.access(0)).maxWei).to.equal(wei(1))
+        const shown = await run("campaign:show", { id: 0 })
+        expect(shown.access).to.include({ verifier: dave.address, minContribution: null, maxContribution: "1.0" })
+
+        const denied = await rejection(run("campaign:contribute", { id: 0, amount: "0.5", from: bob.address }))
+        expect(denied.message).to.include("This campaign is private and you are not admitted")
+        await run("campaign:contribute", { id: 0, amount: "0.5", pass: allowlistFile, from: bob.address })
+        const over = await rejection(run("campaign:contribute", { id: 0, amount: "0.6", from: bob.address }))
+        expect(over.message).to.include("at most 1000000000000000000 base units")
+
+        const notVerifier = await rejection(run("campaign:attest", { id: 0, backer: carol.address, from: carol.address }))
+        expect(notVerifier.message).to.include("is not the verifier of campaign #0")
+        const attestationFile = path.join(dir, "carol.json")
+        await run("campaign:attest", { id: 0, backer: carol.address, out: attestationFile, from: dave.address })
+        await run("campaign:contribute", { id: 0, amount: "1", pass: attestationFile, from: carol.address })
+        expect(await crowdfund.contributions(0, carol.address)).to.equal(wei(1))
+        fs.rmSync(dir, { recursive: true })
+    })
+
+    it("grants the minter role and reads token balances", async function () {
+        const { token, alice, bob, run } = await setup()
+        const granted = await run("token:grant-minter", { account: alice.address })
+        expect(granted.granted).to.equal(true)
+        expect(await token.hasRole(await token.MINTER_ROLE(), alice.address)).to.equal(true)
+        expect((await run("token:grant-minter", { account: alice.address })).granted).to.equal(false)
+
+        await token.connect(alice).mint(bob.address, wei(3))
+        const balance = await run("token:balance", { account: bob.address, json: true })
+        expect(balance.balance).to.equal("3.0")
+        expect(JSON.parse(printed.at(-1))).to.include({ symbol: "CRWD", balanceWei: wei(3).toString() })
+
+        const denied = await rejection(run("token:grant-minter", { account: bob.address, from: bob.address }))
+        expect(denied.message).to.include(`Account ${bob.address} is missing the required role.`)
+    })
+
+    it("needs --address on the in-process network", async function () {
+        const err = await rejection(hre.run("campaign:list", {}))
+        expect(err.message).to.match(/No deployment manifest for hardhat \(chain 31337\); pass --address/)
+    })
+})
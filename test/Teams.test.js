@@ -0,0 +1,249 @@
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+const { deploy, timeTravel, wei, OPEN_ACCESS } = require("./helpers")
+
+const USD_OPTIONS = { milestoneBps: [], stretchGoalsWei: [], hardCapWei: 0, finishOnGoal: false, tiers: [], access: OPEN_ACCESS }
+
+describe("Team campaigns", function () {
+    let teams
+
+    before(async function () {
+        // frontend modules are ESM
+        teams = await import("../frontend/src/teams.js")
+    })
+
+    async function createTeam(factory, owners, shares, threshold) {
+        const receipt = await (await factory.createTeam(owners.map((o) => o.address ?? o), shares, threshold)).wait()
+        const created = receipt.logs.map((log) => factory.interface.parseLog(log)).find((log) => log?.name === "TeamCreated")
+        return ethers.getContractAt("CampaignTeam", created.args.team)
+    }
+
+    // alice, bob and carol own a 2-of-3 team splitting 50/30/20
+    async function setup() {
+        const ctx = await deploy()
+        const factory = await (await ethers.getContractFactory("CampaignTeamFactory")).deploy(ctx.crowdfund.target)
+        const team = await createTeam(factory, [ctx.alice, ctx.bob, ctx.carol], [5000, 3000, 2000], 2)
+        return { ...ctx, factory, team }
+    }
+
+    // proposes `call` as the first signer and approves it with the others
+    async function proposal(team, call, [proposer, ...approvers]) {
+        const id = await team.proposalCount()
+        await team.connect(proposer).propose(call.target, call.data)
+        for (const owner of approvers) await team.connect(owner).approve(id)
+        return id
+    }
+
+    const creatorCall = (crowdfund, method, args) => teams.creatorCall(crowdfund, method, args)
+    const teamCall = (team, method, args) => ({ target: team.target, data: team.interface.encodeFunctionData(method, args) })
+
+    it("validates owners, shares and threshold when a team is created", async function () {
+        const { factory, team, alice, bob, carol } = await setup()
+        const owners = [alice, bob, carol]
+
+        expect(await factory.isTeam(team.target)).to.equal(true)
+        expect(await team.getOwners()).to.deep.equal(owners.map((o) => o.address))
+        expect(await team.threshold()).to.equal(2)
+
+        await expect(factory.createTeam(owners.map((o) => o.address), [5000, 3000, 2000], 0))
+            .to.be.revertedWithCustomError(team, "BadThreshold")
+        await expect(factory.createTeam(owners.map((o) => o.address), [5000, 3000, 2000], 4))
+            .to.be.revertedWithCustomError(team, "BadThreshold")
+        await expect(factory.createTeam([alice.address, bob.address, alice.address], [5000, 3000, 2000], 2))
+            .to.be.revertedWithCustomError(team, "DuplicateOwner")
+        await expect(factory.createTeam([alice.address, ethers.ZeroAddress], [5000, 5000], 1))
+            .to.be.revertedWithCustomError(team, "BadOwner")
+        await expect(factory.createTeam(owners.map((o) => o.address), [5000, 3000, 1999], 2))
+            .to.be.revertedWithCustomError(team, "BadShares")
+        await expect(factory.createTeam(owners.map((o) => o.address), [5000, 5000], 2))
+            .to.be.revertedWithCustomError(team, "BadShares")
+        const many = Array.from({ length: 21 }, (_, i) => ethers.getAddress(ethers.toBeHex(i + 1, 20)))
+        await expect(factory.createTeam(many, [10_000, ...Array(20).fill(0)], 1))
+            .to.be.revertedWithCustomError(team, "TooManyOwners")
+
+        // an owner with no share still approves
+        const advised = await createTeam(factory, [alice, bob], [10_000, 0], 2)
+        expect(await advised.shareBps(bob.address)).to.equal(0)
+    })
+
+    it("runs creator actions only with M of N owner approvals", async function () {
+        const { crowdfund, team, alice, bob, carol, dave } = await setup()
+
+        const create = creatorCall(crowdfund, "createCampaign", ["Team", wei(2), 3600])
+        const id = await proposal(team, create, [alice])
+        expect(await team.approvals(id)).to.equal(1)
+        await expect(team.connect(alice).execute(id))
+            .to.be.revertedWithCustomError(team, "NotEnoughApprovals").withArgs(1, 2)
+        await expect(team.connect(alice).approve(id)).to.be.revertedWithCustomError(team, "AlreadyApproved")
+        await expect(team.connect(dave).approve(id)).to.be.revertedWithCustomError(team, "NotTeamOwner")
+        await expect(team.connect(dave).propose(create.target, create.data)).to.be.revertedWithCustomError(team, "NotTeamOwner")
+
+        await team.connect(carol).approve(id)
+        await expect(team.connect(dave).execute(id)).to.be.revertedWithCustomError(team, "NotTeamOwner")
+        await expect(team.connect(bob).execute(id)).to.emit(team, "Executed").withArgs(id)
+        expect((await crowdfund.campaigns(0)).creator).to.equal(team.target)
+        await expect(team.connect(bob).execute(id)).to.be.revertedWithCustomError(team, "AlreadyExecuted")
+        await expect(team.connect(bob).approve(99)).to.be.revertedWithCustomError(team, "BadProposal")
+
+        // no single owner controls the funds
+        await crowdfund.connect(dave).contribute(0, { value: wei(2) })
+        await timeTravel(3601)
+        await crowdfund.finalize(0)
+        await expect(crowdfund.connect(alice).withdraw(0)).to.be.revertedWithCustomError(crowdfund, "NotCreator")
+
+        // a call that reverts leaves the proposal open
+        const early = await proposal(team, creatorCall(crowdfund, "cancel", [0]), [alice, bob])
+        await expect(team.connect(alice).execute(early)).to.be.revertedWithCustomError(crowdfund, "AlreadyFinalized")
+        expect((await team.proposals(early)).executed).to.equal(false)
+
+        await expect(team.connect(alice).propose(dave.address, "0x")).to.be.revertedWithCustomError(team, "BadTarget")
+    })
+
+    it("handles 1-of-N and N-of-N thresholds", async function () {
+        const { crowdfund, factory, alice, bob, carol } = await setup()
+        const create = creatorCall(crowdfund, "createCampaign", ["Solo", wei(1), 3600])
+
+        // the proposer's own approval is enough
+        const anyone = await createTeam(factory, [alice, bob, carol], [3400, 3300, 3300], 1)
+        const id = await proposal(anyone, create, [carol])
+        await anyone.connect(carol).execute(id)
+        expect((await crowdfund.campaigns(0)).creator).to.equal(anyone.target)
+
+        const everyone = await createTeam(factory, [alice, bob, carol], [3400, 3300, 3300], 3)
+        const all = await proposal(everyone, create, [alice, bob])
+        await expect(everyone.connect(alice).execute(all))
+            .to.be.revertedWithCustomError(everyone, "NotEnoughApprovals").withArgs(2, 3)
+        await everyone.connect(carol).approve(all)
+        await everyone.connect(alice).execute(all)
+        expect(await crowdfund.campaignCount()).to.equal(2)
+    })
+
+    it("only counts approvals of current owners", async function () {
+        const { crowdfund, team, alice, bob, carol } = await setup()
+        const id = await proposal(team, creatorCall(crowdfund, "createCampaign", ["Team", wei(1), 3600]), [alice, bob])
+
+        await team.connect(bob).revoke(id)
+        await expect(team.connect(bob).revoke(id)).to.be.revertedWithCustomError(team, "NotApproved")
+        expect(await team.approvals(id)).to.equal(1)
+        await team.connect(bob).approve(id)
+
+        const remove = await proposal(team, teamCall(team, "removeOwner", [bob.address, [6000, 4000]]), [alice, carol])
+        await expect(team.connect(alice).execute(remove)).to.emit(team, "OwnerRemoved").withArgs(bob.address)
+        expect(await team.getOwners()).to.deep.equal([alice.address, carol.address])
+        expect(await team.shareBps(carol.address)).to.equal(4000)
+        expect(await team.approvals(id)).to.equal(1)
+        await expect(team.connect(bob).approve(id)).to.be.revertedWithCustomError(team, "NotTeamOwner")
+
+        // coming back does not revive the old approval
+        const add = await proposal(team, teamCall(team, "addOwner", [bob.address, [5000, 3000, 2000]]), [alice, carol])
+        await team.connect(alice).execute(add)
+        expect(await team.getOwners()).to.deep.equal([alice.address, carol.address, bob.address])
+        expect(await team.approvals(id)).to.equal(1)
+        await team.connect(bob).approve(id)
+        await team.connect(bob).execute(id)
+    })
+
+    it("changes owners and threshold only by proposal, keeping the threshold reachable", async function () {
+        const { team, alice, bob, carol, dave } = await setup()
+
+        await expect(team.connect(alice).addOwner(dave.address, [2500, 2500, 2500, 2500]))
+            .to.be.revertedWithCustomError(team, "OnlyTeam")
+        await expect(team.connect(alice).setThreshold(1)).to.be.revertedWithCustomError(team, "OnlyTeam")
+
+        const run = async (method, args) => {
+            const id = await proposal(team, teamCall(team, method, args), [alice, bob, carol].slice(0, Number(await team.threshold())))
+            return team.connect(alice).execute(id)
+        }
+        await expect(run("setThreshold", [0])).to.be.revertedWithCustomError(team, "BadThreshold")
+        await expect(run("setThreshold", [4])).to.be.revertedWithCustomError(team, "BadThreshold")
+        await expect(run("setThreshold", [3])).to.emit(team, "ThresholdSet").withArgs(3)
+
+        // 3 of 3: removing anyone would leave the team unable to act
+        await expect(run("removeOwner", [carol.address, [5000, 5000]])).to.be.revertedWithCustomError(team, "BadThreshold")
+        await expect(run("removeOwner", [dave.address, [5000, 5000]])).to.be.revertedWithCustomError(team, "BadOwner")
+        await expect(run("addOwner", [carol.address, [2500, 2500, 2500, 2500]])).to.be.revertedWithCustomError(team, "DuplicateOwner")
+        await expect(run("addOwner", [dave.address, [5000, 3000, 2000]])).to.be.revertedWithCustomError(team, "BadShares")
+        await run("addOwner", [dave.address, [2500, 2500, 2500, 2500]])
+        await run("removeOwner", [alice.address, [4000, 3000, 3000]])
+
+        expect(await team.getOwners()).to.deep.equal([bob.address, carol.address, dave.address])
+        expect(await team.isOwner(alice.address)).to.equal(false)
+        expect(await team.threshold()).to.equal(3)
+    })
+
+    it("splits withdrawals by the owners' shares and lets each owner claim", async function () {
+        const { crowdfund, usd, team, alice, bob, carol, dave } = await setup()
+        const run = async (call) => team.connect(alice).execute(await proposal(team, call, [alice, bob]))
+
+        await run(creatorCall(crowdfund, "createCampaign", ["ETH", wei(1), 60]))
+        await run(creatorCall(crowdfund, "createCampaignWithOptions", ["USD", 1_000_000n, 60, { ...USD_OPTIONS, currency: usd.target }]))
+        await crowdfund.connect(dave).contribute(0, { value: wei(2) })
+        await usd.mint(dave.address, 3_000_001n)
+        await usd.connect(dave).approve(crowdfund.target, 3_000_001n)
+        await crowdfund.connect(dave).contributeToken(1, 3_000_001n)
+        await timeTravel(61)
+        await crowdfund.finalize(0)
+        await crowdfund.finalize(1)
+
+        await expect(run(creatorCall(crowdfund, "withdraw", [0])))
+            .to.emit(team, "RevenueSplit").withArgs(ethers.ZeroAddress, wei(2))
+        expect(await team.owed(alice.address, ethers.ZeroAddress)).to.equal(wei(1))
+        expect(await team.owed(bob.address, ethers.ZeroAddress)).to.equal(wei(0.6))
+        expect(await team.owed(carol.address, ethers.ZeroAddress)).to.equal(wei(0.4))
+
+        // 3_000_001 * 20% rounds down; the unit of dust waits for the next split
+        await run(creatorCall(crowdfund, "withdraw", [1]))
+        expect(await team.owed(carol.address, usd.target)).to.equal(600_000n)
+        expect(await team.totalOwed(usd.target)).to.equal(3_000_000n)
+
+        await expect(team.connect(carol).claim(ethers.ZeroAddress, dave.address))
+            .to.changeEtherBalances([team, dave], [-wei(0.4), wei(0.4)])
+        await expect(team.connect(carol).claim(ethers.ZeroAddress, carol.address)).to.be.revertedWithCustomError(team, "NothingOwed")
+        await expect(team.connect(alice).claim(usd.target, ethers.ZeroAddress)).to.be.revertedWithCustomError(team, "BadRecipient")
+        await team.connect(alice).claim(usd.target, alice.address)
+        expect(await usd.balanceOf(alice.address)).to.equal(1_500_000n)
+
+        // money sent to the team outside a proposal is split on request
+        await dave.sendTransaction({ to: team.target, value: 1000n })
+        await expect(team.connect(dave).distribute(ethers.ZeroAddress))
+            .to.emit(team, "RevenueSplit").withArgs(ethers.ZeroAddress, 1000n)
+        expect(await team.owed(alice.address, ethers.ZeroAddress)).to.equal(wei(1) + 500n)
+    })
+
+    it("reads the account's teams and pending approvals for the frontend", async function () {
+        const { crowdfund, factory, team, alice, bob, dave } = await setup()
+        await createTeam(factory, [bob, dave], [5000, 5000], 1)
+        const id = await proposal(team, creatorCall(crowdfund, "createCampaign", ["Team", wei(1), 3600]), [bob])
+        const ETH = { address: ethers.ZeroAddress, symbol: "ETH", decimals: 18 }
+
+        const forAlice = await teams.fetchTeams(factory, alice.address, 0, [ETH])
+        expect(forAlice.all.size).to.equal(2)
+        expect(forAlice.mine.map((t) => t.address)).to.deep.equal([team.target])
+        const [view] = forAlice.mine
+        expect(view.threshold).to.equal(2)
+        expect(view.owners.map((o) => o.shareBps)).to.deep.equal([5000, 3000, 2000])
+        expect(view.proposals).to.deep.equal([{
+            id: Number(id), target: crowdfund.target, data: (await team.proposals(id)).data, approvals: 1, approvedByMe: false,
+        }])
+        expect(teams.awaitingApproval(forAlice.mine)).to.equal(1)
+
+        const forBob = await teams.fetchTeams(factory, bob.address, 0, [ETH])
+        expect(forBob.mine).to.have.length(2)
+        expect(teams.awaitingApproval(forBob.mine)).to.equal(0)
+
+        expect(teams.parseShares("50, 30,20", 3)).to.deep.equal([5000, 3000, 2000])
+        expect(() => teams.parseShares("50,30", 3)).to.throw("one share per owner")
+        expect(() => teams.parseShares("50,30,19", 3)).to.throw("100%")
+    })
+
+    it("keeps the frontend's team ABI in step with the contract", async function () {
+        const compiled = (await ethers.getContractFactory("CampaignTeam")).interface
+        const frontend = new ethers.Interface(teams.TEAM_ABI)
+        frontend.forEachFunction((fragment) => {
+            expect(compiled.getFunction(fragment.selector)?.format("minimal"), fragment.name).to.equal(fragment.format("minimal"))
+        })
+        compiled.forEachError((fragment) => {
+            expect(frontend.getError(fragment.selector)?.format(), fragment.name).to.equal(fragment.format())
+        })
+    })
+})
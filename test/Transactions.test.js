@@ -0,0 +1,167 @@
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+const { deploy, mineBlocks, wei, memoryStorage } = require("./helpers")
+
+const gwei = (n) => ethers.parseUnits(String(n), "gwei")
+const LOW_FEES = { maxFeePerGas: gwei(10), maxPriorityFeePerGas: gwei(1) }
+const HIGH_FEES = { maxFeePerGas: gwei(20), maxPriorityFeePerGas: gwei(2) }
+
+describe("Transaction tracker", function () {
+    let transactions
+
+    before(async function () {
+        // frontend modules are ESM
+        transactions = await import("../frontend/src/transactions.js")
+    })
+
+    // transactions stay in the mempool until a test mines them
+    beforeEach(async function () {
+        await ethers.provider.send("evm_setAutomine", [false])
+    })
+
+    afterEach(async function () {
+        await ethers.provider.send("evm_setAutomine", [true])
+    })
+
+    function tracker(account, options = {}) {
+        return new transactions.TransactionTracker(ethers.provider, { chainId: 31337, account, storage: memoryStorage(), ...options })
+    }
+
+    it("follows a transaction from pending to its target confirmations, across a reload", async function () {
+        await ethers.provider.send("evm_setAutomine", [true])
+        const { crowdfund, alice, bob } = await deploy()
+        await crowdfund.connect(alice).createCampaign("Tracked", wei(10), 3600)
+        await ethers.provider.send("evm_setAutomine", [false])
+
+        const t = tracker(bob.address)
+        const tx = await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+        const record = await t.record(tx, { type: "contribute", label: "Contributing 1 ETH...", message: "Contributed", campaignId: 0 })
+        expect(record).to.include({ id: tx.hash, hash: tx.hash, type: "contribute", campaignId: 0, nonce: tx.nonce, status: "pending" })
+        expect(record.value).to.equal(wei(1).toString())
+
+        const waited = t.wait(tx.hash)
+        await t.poll()
+        expect(t.getState()[0]).to.include({ status: "pending", confirmations: 0 })
+
+        await mineBlocks(1)
+        await t.poll()
+        expect(t.getState()[0]).to.include({ status: "confirmed", confirmations: 1 })
+        expect((await waited).hash).to.equal(tx.hash)
+
+        // a new tracker on the same storage is a page reload
+        const reloaded = new transactions.TransactionTracker(ethers.provider, { chainId: 31337, account: bob.address, storage: t.storage })
+        expect(reloaded.getState().map((r) => [r.id, r.status])).to.deep.equal([[tx.hash, "confirmed"]])
+        expect(transactions.isOpen(reloaded.getState()[0])).to.equal(true)
+        await mineBlocks(5)
+        await reloaded.poll()
+        expect(reloaded.getState()[0]).to.include({ status: "confirmed", confirmations: 6 })
+        expect(transactions.isOpen(reloaded.getState()[0])).to.equal(false)
+        expect((await reloaded.wait(tx.hash)).blockNumber).to.equal(reloaded.getState()[0].blockNumber)
+
+        // stored per chain and account
+        expect(tracker(bob.address, { storage: t.storage, chainId: 1 }).getState()).to.deep.equal([])
+        expect(tracker(alice.address, { storage: t.storage }).getState()).to.deep.equal([])
+
+        reloaded.clearSettled()
+        expect(reloaded.getState()).to.deep.equal([])
+    })
+
+    it("marks a reverted transaction as failed", async function () {
+        await ethers.provider.send("evm_setAutomine", [true])
+        const { crowdfund, bob } = await deploy()
+        await ethers.provider.send("evm_setAutomine", [false])
+
+        const t = tracker(bob.address)
+        // no such campaign; the gas limit skips estimation, which would catch it
+        const tx = await crowdfund.connect(bob).finalize(99, { gasLimit: 200_000 })
+        await t.record(tx, { type: "finalize", label: "Finalizing...", campaignId: 99 })
+        const waited = t.wait(tx.hash).catch((e) => e)
+        await mineBlocks(1)
+        await t.poll()
+
+        expect(t.getState()[0]).to.include({ status: "failed" })
+        const error = await waited
+        expect(error).to.be.instanceOf(transactions.TransactionError)
+        expect(error.message).to.equal("The transaction reverted.")
+    })
+
+    it("follows a speed-up to the new hash and ends on a cancel", async function () {
+        const [, , bob, carol] = await ethers.getSigners()
+        const t = tracker(bob.address)
+
+        const slow = await bob.sendTransaction({ to: carol.address, value: wei(1), ...LOW_FEES })
+        await t.record(slow, { type: "transfer", label: "Sending..." })
+        const fast = await bob.sendTransaction({ to: carol.address, value: wei(1), nonce: slow.nonce, ...HIGH_FEES })
+        const waited = t.wait(slow.hash)
+        await mineBlocks(1)
+        await t.poll()
+
+        const followed = t.getState()[0]
+        expect(followed).to.include({ id: slow.hash, hash: fast.hash, status: "confirmed", confirmations: 1 })
+        expect(followed.replacedHashes).to.deep.equal([slow.hash])
+        expect((await waited).hash).to.equal(fast.hash)
+
+        const next = await bob.sendTransaction({ to: carol.address, value: wei(1), ...LOW_FEES })
+        await t.record(next, { type: "transfer", label: "Sending again..." })
+        const cancel = await bob.sendTransaction({ to: bob.address, value: 0, data: "0x", nonce: next.nonce, ...HIGH_FEES })
+        const cancelled = t.wait(next.hash).catch((e) => e)
+        await mineBlocks(1)
+        await t.poll()
+
+        expect(t.getState()[0]).to.include({ id: next.hash, hash: next.hash, status: "cancelled", replacedBy: cancel.hash })
+        expect((await cancelled).record.status).to.equal("cancelled")
+
+        // any other transaction taking the nonce
+        const third = await bob.sendTransaction({ to: carol.address, value: wei(1), ...LOW_FEES })
+        await t.record(third, { type: "transfer", label: "Sending once more..." })
+        const other = await bob.sendTransaction({ to: carol.address, value: wei(2), nonce: third.nonce, ...HIGH_FEES })
+        await mineBlocks(1)
+        await t.poll()
+        expect(t.getState()[0]).to.include({ status: "replaced", replacedBy: other.hash })
+        expect(t.getState().map((r) => r.status)).to.deep.equal(["replaced", "cancelled", "confirmed"])
+    })
+
+    it("gives up on a transaction the node dropped", async function () {
+        const [, , bob, carol] = await ethers.getSigners()
+        let now = 1_000_000
+        const t = tracker(bob.address, { now: () => now })
+
+        const tx = await bob.sendTransaction({ to: carol.address, value: wei(1), ...LOW_FEES })
+        await t.record(tx, { type: "transfer", label: "Sending..." })
+        // relayed: only the hash is known
+        await t.record({ hash: ethers.hexlify(ethers.randomBytes(32)) }, { type: "contribute", label: "Relaying...", relayed: true })
+        await ethers.provider.send("hardhat_dropTransaction", [tx.hash])
+
+        now += transactions.DROPPED_AFTER_MS - 1
+        await t.poll()
+        expect(t.getState().map((r) => r.status)).to.deep.equal(["pending", "pending"])
+        expect(t.getState()[0]).to.include({ relayed: true, nonce: null })
+
+        now += 2
+        await t.poll()
+        expect(t.getState().map((r) => r.status)).to.deep.equal(["dropped", "dropped"])
+        expect((await t.wait(tx.hash).catch((e) => e)).message).to.include("dropped")
+
+        t.dismiss(tx.hash)
+        expect(t.getState()).to.have.length(1)
+    })
+
+    it("rejects a wait on a transaction that stops being tracked", async function () {
+        const [, , bob, carol] = await ethers.getSigners()
+        const t = tracker(bob.address)
+
+        const tx = await bob.sendTransaction({ to: carol.address, value: wei(1), ...LOW_FEES })
+        await t.record(tx, { type: "transfer", label: "Sending..." })
+        const waited = t.wait(tx.hash).catch((e) => e)
+        t.dismiss(tx.hash)
+
+        const error = await waited
+        expect(error).to.be.instanceOf(transactions.TransactionError)
+        expect(error.record).to.deep.equal({ id: tx.hash, status: "unknown" })
+        expect(error.message).to.equal("The transaction is no longer being tracked.")
+        expect(t.listeners.size).to.equal(0)
+
+        // likewise one this tracker never had, e.g. after a reload on another account
+        expect((await t.wait(tx.hash).catch((e) => e)).record.status).to.equal("unknown")
+    })
+})
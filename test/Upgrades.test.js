@@ -0,0 +1,207 @@
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { ethers } = hre
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { deploy, timeTravel, mineBlocks, wei, OPEN_ACCESS } = require("./helpers")
+const { writeManifest, readManifest } = require("../scripts/lib/manifest")
+const { upgradeCrowdfunding } = require("../scripts/lib/upgrades")
+const { deployGovernance } = require("../scripts/lib/governance")
+const {
+    StorageLayoutError, implementationOf, storageLayoutOf, compareStorageLayouts,
+} = require("../scripts/lib/storageLayout")
+
+const SETTINGS = { votingDelay: 1, votingPeriod: 10, proposalThreshold: 0n, quorumPercent: 4, timelockDelay: 3600 }
+const USD_OPTIONS = { milestoneBps: [], stretchGoalsWei: [], hardCapWei: 0, finishOnGoal: false, tiers: [], access: OPEN_ACCESS }
+
+describe("Upgrades", function () {
+    let tmpDir
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "upgrades-"))
+    })
+
+    afterEach(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true })
+    })
+
+    // one running ETH campaign, one running USD campaign and one that failed
+    async function midCampaign() {
+        const ctx = await deploy()
+        const { crowdfund, usd, alice, bob, carol } = ctx
+        await crowdfund.connect(alice).createCampaign("Running", wei(3), 3600)
+        await crowdfund.connect(bob).contribute(0, { value: wei(1) })
+
+        await crowdfund.connect(alice).createCampaignWithOptions("Stable", 10_000_000n, 3600, { ...USD_OPTIONS, currency: usd.target })
+        await usd.mint(carol.address, 4_000_000n)
+        await usd.connect(carol).approve(crowdfund.target, 4_000_000n)
+        await crowdfund.connect(carol).contributeToken(1, 4_000_000n)
+
+        await crowdfund.connect(alice).createCampaign("Failed", wei(5), 60)
+        await crowdfund.connect(carol).contribute(2, { value: wei(2) })
+        await timeTravel(61)
+        await crowdfund.connect(carol).finalize(2)
+
+        await writeManifest(hre, { Crowdfunding: crowdfund }, tmpDir)
+        return ctx
+    }
+
+    async function snapshot({ crowdfund, token, usd, deployer, bob, carol }) {
+        const campaigns = []
+        for (let id = 0; id < 3; id++) campaigns.push((await crowdfund.campaigns(id)).toArray())
+        const roles = [await crowdfund.DEFAULT_ADMIN_ROLE(), await crowdfund.CONFIG_ROLE(), await crowdfund.UPGRADER_ROLE()]
+        return {
+            campaigns,
+            contributions: [
+                await crowdfund.contributions(0, bob.address),
+                await crowdfund.contributions(1, carol.address),
+                await crowdfund.contributions(2, carol.address),
+            ],
+            rewards: [await crowdfund.rewardsEarned(0, bob.address), await crowdfund.rewardsEarned(1, carol.address)],
+            balances: [
+                await ethers.provider.getBalance(crowdfund.target),
+                await usd.balanceOf(crowdfund.target),
+                await token.balanceOf(crowdfund.target),
+            ],
+            settings: [
+                await crowdfund.rewardToken(), await crowdfund.badge(), await crowdfund.treasury(),
+                await crowdfund.rewardRates(usd.target), await crowdfund.allowedCurrencies(usd.target),
+                await crowdfund.minCampaignDuration(), await crowdfund.maxCampaignDuration(),
+            ],
+            roles: await Promise.all(roles.map((role) => crowdfund.hasRole(role, deployer.address))),
+        }
+    }
+
+    it("upgrades mid-campaign without losing balances, flags or contributions", async function () {
+        const ctx = await midCampaign()
+        const { crowdfund, alice, bob, carol } = ctx
+        const before = await snapshot(ctx)
+        const oldImplementation = await implementationOf(ethers.provider, crowdfund.target)
+
+        const result = await upgradeCrowdfunding(hre, { name: "CrowdfundingV2", dir: tmpDir })
+        expect(result.status).to.equal("upgraded")
+        expect(await implementationOf(ethers.provider, crowdfund.target)).to.equal(result.implementation)
+        expect(result.implementation).to.not.equal(oldImplementation)
+        expect(await snapshot(ctx)).to.deep.equal(before)
+
+        // the new release's additions work on the same proxy
+        const v2 = await ethers.getContractAt("CrowdfundingV2", crowdfund.target)
+        await v2.setReleaseNotes("v2")
+        expect(await v2.releaseNotes()).to.equal("v2")
+        expect(await v2.campaignCount()).to.equal(3n)
+
+        // ...and the campaigns carry on where they were
+        await crowdfund.connect(bob).contribute(0, { value: wei(2) })
+        await timeTravel(3600)
+        await crowdfund.finalize(0)
+        await expect(crowdfund.connect(alice).withdraw(0)).to.changeEtherBalance(alice, wei(3))
+        await expect(crowdfund.connect(carol).refund(2)).to.changeEtherBalance(carol, wei(2))
+        await crowdfund.finalize(1)
+        await expect(crowdfund.connect(carol).refund(1)).to.changeTokenBalance(ctx.usd, carol, 4_000_000n)
+
+        // the manifest now describes the new implementation
+        const entry = readManifest((await ethers.provider.getNetwork()).chainId, tmpDir).contracts.Crowdfunding
+        expect(entry.address).to.equal(crowdfund.target)
+        expect(entry.implementation.address).to.equal(result.implementation)
+        expect(entry.implementation.storageLayout.at(-1)).to.include({ label: "releaseNotes", type: "string" })
+        expect(entry.abi.some((f) => f.name === "setReleaseNotes")).to.equal(true)
+    })
+
+    it("only lets UPGRADER_ROLE upgrade, and only to a UUPS implementation", async function () {
+        const { crowdfund, token, bob } = await deploy()
+        const v2 = await (await ethers.getContractFactory("CrowdfundingV2")).deploy(ethers.ZeroAddress)
+
+        await expect(crowdfund.connect(bob).upgradeToAndCall(v2.target, "0x"))
+            .to.be.revertedWithCustomError(crowdfund, "AccessControlUnauthorizedAccount")
+            .withArgs(bob.address, await crowdfund.UPGRADER_ROLE())
+        await expect(crowdfund.upgradeToAndCall(token.target, "0x"))
+            .to.be.revertedWithCustomError(crowdfund, "ERC1967InvalidImplementation")
+        // upgrades go through the proxy, never the implementation itself
+        await expect(v2.upgradeToAndCall(v2.target, "0x"))
+            .to.be.revertedWithCustomError(v2, "UUPSUnauthorizedCallContext")
+    })
+
+    it("cannot be initialized again, or through the implementation", async function () {
+        const { crowdfund, token, badge, bob } = await deploy()
+        await expect(crowdfund.connect(bob).initialize(token.target, badge.target, bob.address))
+            .to.be.revertedWithCustomError(crowdfund, "InvalidInitialization")
+
+        const implementation = await ethers.getContractAt("Crowdfunding", await implementationOf(ethers.provider, crowdfund.target))
+        await expect(implementation.connect(bob).initialize(token.target, badge.target, bob.address))
+            .to.be.revertedWithCustomError(implementation, "InvalidInitialization")
+    })
+
+    it("flags moved, retyped, renamed and removed variables but allows appending", async function () {
+        const layout = await storageLayoutOf(hre, "Crowdfunding")
+        const shifted = layout.map((v) => ({ ...v, slot: v.slot + 1 }))
+        const appended = [...layout, { label: "extra", slot: layout.at(-1).slot + 1, offset: 0, type: "uint256" }]
+
+        expect(compareStorageLayouts(layout, await storageLayoutOf(hre, "CrowdfundingV2"))).to.deep.equal([])
+        expect(compareStorageLayouts(layout, appended)).to.deep.equal([])
+        expect(compareStorageLayouts(layout, shifted)[0]).to.equal("_roles moved from slot 0, offset 0 to slot 1, offset 0")
+        const last = layout.at(-1)
+        expect(compareStorageLayouts(layout, layout.slice(0, -1))).to.deep.equal([`${last.label} (slot ${last.slot}, offset 0) was removed`])
+
+        const i = layout.findIndex((v) => v.label === "treasury")
+        const at = `slot ${layout[i].slot}, offset 0`
+        const retyped = layout.with(i, { ...layout[i], type: "uint160" })
+        const renamed = layout.with(i, { ...layout[i], label: "feeRecipient" })
+        expect(compareStorageLayouts(layout, retyped)).to.deep.equal([`${at} held address treasury, now uint160 treasury`])
+        expect(compareStorageLayouts(layout, renamed)).to.deep.equal([`${at} held address treasury, now address feeRecipient`])
+    })
+
+    it("refuses an incompatible build before deploying anything", async function () {
+        const { crowdfund, deployer } = await midCampaign()
+        const { chainId } = await ethers.provider.getNetwork()
+        const file = path.join(tmpDir, `${chainId}.json`)
+
+        // as if the deployed implementation had a variable the current build dropped
+        const manifest = readManifest(chainId, tmpDir)
+        const { storageLayout } = manifest.contracts.Crowdfunding.implementation
+        const slot = storageLayout.at(-1).slot + 1
+        storageLayout.push({ label: "legacy", slot, offset: 0, type: "uint256" })
+        fs.writeFileSync(file, JSON.stringify(manifest))
+
+        const implementation = await implementationOf(ethers.provider, crowdfund.target)
+        const nonce = await deployer.getNonce()
+        const error = await upgradeCrowdfunding(hre, { dir: tmpDir }).catch((e) => e)
+        expect(error).to.be.instanceOf(StorageLayoutError)
+        expect(error.problems).to.deep.equal([`legacy (slot ${slot}, offset 0) was removed`])
+        expect(await deployer.getNonce()).to.equal(nonce)
+        expect(await implementationOf(ethers.provider, crowdfund.target)).to.equal(implementation)
+    })
+
+    it("hands the upgrade to governance once the timelock holds UPGRADER_ROLE", async function () {
+        const gov = await import("../shared/governance.js")
+        const ctx = await midCampaign()
+        const { crowdfund, token, alice, MINTER_ROLE, deployer } = ctx
+        await token.grantRole(MINTER_ROLE, deployer.address)
+        await token.mint(alice.address, wei(10_000))
+        const { governor } = await deployGovernance(hre, ctx, SETTINGS)
+        await token.connect(alice).delegate(alice.address)
+
+        const pending = await upgradeCrowdfunding(hre, { name: "CrowdfundingV2", dir: tmpDir })
+        expect(pending.status).to.equal("proposal")
+        expect(pending.proposal.target).to.equal(crowdfund.target)
+
+        const description = "Upgrade to V2"
+        const p = gov.buildProposal({ crowdfund, token },
+            [{ type: "upgradeCrowdfunding", params: { implementation: pending.implementation } }], description)
+        expect(p.calldatas).to.deep.equal([pending.proposal.calldata])
+        await governor.connect(alice).propose(p.targets, p.values, p.calldatas, p.description)
+        const id = await governor.hashProposal(p.targets, p.values, p.calldatas, gov.descriptionHash(description))
+        await mineBlocks(SETTINGS.votingDelay + 1)
+        await governor.connect(alice).castVote(id, gov.VOTE.for)
+        await mineBlocks(SETTINGS.votingPeriod)
+        await governor.queue(p.targets, p.values, p.calldatas, gov.descriptionHash(description))
+        await timeTravel(SETTINGS.timelockDelay)
+        await governor.execute(p.targets, p.values, p.calldatas, gov.descriptionHash(description))
+        expect(await implementationOf(ethers.provider, crowdfund.target)).to.equal(pending.implementation)
+
+        const recorded = await upgradeCrowdfunding(hre, { name: "CrowdfundingV2", dir: tmpDir, implementation: pending.implementation })
+        expect(recorded.status).to.equal("recorded")
+        const { chainId } = await ethers.provider.getNetwork()
+        expect(readManifest(chainId, tmpDir).contracts.Crowdfunding.implementation.address).to.equal(pending.implementation)
+    })
+})
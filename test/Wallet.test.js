@@ -0,0 +1,204 @@
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { EventEmitter } = require("events")
+const { memoryStorage } = require("./helpers")
+
+// Minimal EIP-1193 provider: a wallet holding `accounts`, on `chainId`,
+// which knows the chains in `knownChains`.
+class MockEthereum extends EventEmitter {
+    constructor({ accounts = ["0xA11ce00000000000000000000000000000000001"], chainId = 31337, knownChains = [31337] } = {}) {
+        super()
+        this.accounts = accounts
+        this.chainId = chainId
+        this.knownChains = new Set(knownChains)
+        this.authorized = false
+        this.rejectNext = false
+        this.calls = []
+    }
+
+    async request({ method, params }) {
+        this.calls.push(method)
+        switch (method) {
+            case "eth_accounts":
+                return this.authorized ? this.accounts : []
+            case "eth_requestAccounts":
+                if (this.rejectNext) {
+                    this.rejectNext = false
+                    throw Object.assign(new Error("User rejected the request."), { code: 4001 })
+                }
+                this.authorized = true
+                return this.accounts
+            case "eth_chainId":
+                return "0x" + this.chainId.toString(16)
+            case "wallet_switchEthereumChain": {
+                const chainId = Number(params[0].chainId)
+                if (!this.knownChains.has(chainId)) {
+                    throw Object.assign(new Error("Unrecognized chain ID"), { code: 4902 })
+                }
+                this.switchTo(chainId)
+                return null
+            }
+            case "wallet_addEthereumChain":
+                this.added = params[0]
+                this.knownChains.add(Number(params[0].chainId))
+                this.switchTo(Number(params[0].chainId))
+                return null
+            case "wallet_revokePermissions":
+                this.authorized = false
+                return null
+            default:
+                throw Object.assign(new Error(`Unsupported method ${method}`), { code: 4200 })
+        }
+    }
+
+    switchTo(chainId) {
+        this.chainId = chainId
+        this.emit("chainChanged", "0x" + chainId.toString(16))
+    }
+
+    switchAccount(accounts) {
+        this.accounts = accounts
+        this.emit("accountsChanged", accounts)
+    }
+}
+
+const BOB = "0xB0b0000000000000000000000000000000000002"
+
+describe("Wallet session", function () {
+    let WalletSession, DISCONNECTED, SUPPORTED_NETWORKS
+
+    before(async function () {
+        // frontend modules are ESM
+        const wallet = await import("../frontend/src/wallet.js")
+        const networks = await import("../frontend/src/networks.js")
+        WalletSession = wallet.WalletSession
+        DISCONNECTED = wallet.DISCONNECTED
+        SUPPORTED_NETWORKS = networks.SUPPORTED_NETWORKS
+    })
+
+    async function connected(opts) {
+        const ethereum = new MockEthereum(opts)
+        const storage = memoryStorage()
+        const session = new WalletSession(ethereum, { storage })
+        await session.start()
+        await session.connect()
+        return { ethereum, storage, session }
+    }
+
+    it("connects and reports account and chain", async function () {
+        const { ethereum, session } = await connected({ chainId: 11155111 })
+        expect(session.getState()).to.deep.equal({ status: "connected", account: ethereum.accounts[0], chainId: 11155111 })
+    })
+
+    it("stays disconnected when the user rejects the connection", async function () {
+        const ethereum = new MockEthereum()
+        ethereum.rejectNext = true
+        const session = new WalletSession(ethereum, { storage: memoryStorage() })
+        await session.start()
+
+        const err = await session.connect().catch((e) => e)
+        expect(err.code).to.equal(4001)
+        expect(session.getState()).to.equal(DISCONNECTED)
+    })
+
+    it("reconnects on load without prompting once the user has connected", async function () {
+        const { ethereum, storage, session } = await connected()
+        session.stop()
+
+        const reloaded = new WalletSession(ethereum, { storage })
+        ethereum.calls = []
+        await reloaded.start()
+        expect(reloaded.getState().account).to.equal(ethereum.accounts[0])
+        expect(ethereum.calls).to.not.include("eth_requestAccounts")
+    })
+
+    it("does not reconnect on load if the user never connected", async function () {
+        const ethereum = new MockEthereum()
+        ethereum.authorized = true
+        const session = new WalletSession(ethereum, { storage: memoryStorage() })
+        await session.start()
+        expect(session.getState()).to.equal(DISCONNECTED)
+        expect(ethereum.calls).to.deep.equal([])
+    })
+
+    it("follows account changes and notifies subscribers", async function () {
+        const { ethereum, session } = await connected()
+        const seen = []
+        session.subscribe(() => seen.push(session.getState().account))
+
+        ethereum.switchAccount([BOB])
+        expect(session.getState().account).to.equal(BOB)
+        expect(seen).to.deep.equal([BOB])
+    })
+
+    it("disconnects and forgets the wallet when it reports no accounts", async function () {
+        const { ethereum, storage, session } = await connected()
+        ethereum.switchAccount([])
+        expect(session.getState()).to.equal(DISCONNECTED)
+
+        const reloaded = new WalletSession(ethereum, { storage })
+        await reloaded.start()
+        expect(reloaded.getState()).to.equal(DISCONNECTED)
+    })
+
+    it("follows chain changes", async function () {
+        const { ethereum, session } = await connected()
+        ethereum.switchTo(11155111)
+        expect(session.getState().chainId).to.equal(11155111)
+    })
+
+    it("switches to a chain the wallet knows", async function () {
+        const { ethereum, session } = await connected({ knownChains: [31337, 11155111] })
+        await session.switchChain(11155111)
+        expect(session.getState().chainId).to.equal(11155111)
+        expect(ethereum.calls).to.not.include("wallet_addEthereumChain")
+    })
+
+    it("adds the chain when the wallet does not know it", async function () {
+        const { ethereum, session } = await connected({ knownChains: [31337] })
+        await session.switchChain(11155111)
+
+        expect(ethereum.added).to.deep.equal({ chainId: "0xaa36a7", ...SUPPORTED_NETWORKS[11155111].wallet })
+        expect(session.getState().chainId).to.equal(11155111)
+    })
+
+    it("refuses to switch to an unsupported chain", async function () {
+        const { ethereum, session } = await connected()
+        const err = await session.switchChain(1).catch((e) => e)
+        expect(err.message).to.match(/Unsupported chain 1/)
+        expect(ethereum.calls).to.not.include("wallet_switchEthereumChain")
+    })
+
+    it("disconnect clears the session and stops a reload from reconnecting", async function () {
+        const { ethereum, storage, session } = await connected()
+        await session.disconnect()
+        expect(session.getState()).to.equal(DISCONNECTED)
+        expect(ethereum.authorized).to.equal(false)
+
+        // events from the wallet no longer revive the session
+        ethereum.switchAccount([BOB])
+        expect(session.getState()).to.equal(DISCONNECTED)
+
+        const reloaded = new WalletSession(ethereum, { storage })
+        await reloaded.start()
+        expect(reloaded.getState()).to.equal(DISCONNECTED)
+    })
+
+    it("stop() detaches from the provider", async function () {
+        const { ethereum, session } = await connected()
+        session.stop()
+        expect(ethereum.listenerCount("accountsChanged")).to.equal(0)
+        expect(ethereum.listenerCount("chainChanged")).to.equal(0)
+    })
+
+    it("supports exactly the networks configured in hardhat.config.js", function () {
+        const configured = Object.entries(hre.config.networks).filter(([name]) => name !== "hardhat")
+        expect(Object.values(SUPPORTED_NETWORKS).map((n) => n.name)).to.have.members(configured.map(([name]) => name))
+        for (const [name, config] of configured) {
+            const network = SUPPORTED_NETWORKS[config.chainId]
+            expect(network, name).to.not.equal(undefined)
+            expect(network.name).to.equal(name)
+        }
+        expect(SUPPORTED_NETWORKS[31337].wallet.rpcUrls).to.include(hre.config.networks.localhost.url)
+    })
+})
@@ -0,0 +1,368 @@
+const { ethers } = require("hardhat")
+const { deploy, OPEN_ACCESS } = require("./helpers")
+
+// Randomized action sequences against Crowdfunding for Invariants.test.js:
+// actors create, contribute to, finalize, withdraw from and get refunds or
+// rewards from campaigns while time moves on, and the funding invariants are
+// checked after every step. One actor, also the fee treasury, is a contract
+// wallet that rejects ETH, so its ETH payouts are deferred to pendingPayouts
+// until it claims them. A failing sequence is shrunk to one from which no
+// step can be removed without the failure going away.
+
+// "multisig" is a RejectingReceiver driven through its execute()
+const ACTORS = ["alice", "bob", "carol", "dave", "multisig"]
+const CURRENCIES = ["ETH", "mUSD"]
+const GOALS = [1, 3, 10]
+const AMOUNTS = [0.1, 0.5, 1, 2, 5]
+const DURATIONS = [600, 3600, 86400]
+const JUMPS = [60, 600, 3600, 86400]
+// `campaign` picks, modulo their number, among the campaigns the action can
+// apply to (all of them if there are none), so a sequence stays meaningful
+// when the shrinker drops steps
+const CAMPAIGN_PICKS = 8
+
+const FINALIZED = 1n
+const SUCCESSFUL = 2n
+
+// Campaigns an action can apply to, given each one's on-chain state.
+const ELIGIBLE = {
+    contribute: (c, now) => c.deadline > now,
+    finalize: (c, now) => c.deadline <= now && (c.flags & FINALIZED) === 0n,
+    withdraw: (c, _, campaign) => (c.flags & SUCCESSFUL) !== 0n && !campaign.withdrawn,
+    refund: (c, _, campaign) => (c.flags & (FINALIZED | SUCCESSFUL)) === FINALIZED && campaign.backers.length > 0,
+    claimRewards: (c) => (c.flags & SUCCESSFUL) !== 0n,
+}
+
+// how often each action is drawn
+const WEIGHTS = { create: 2, contribute: 7, timeTravel: 2, finalize: 3, withdraw: 2, refund: 2, claimRewards: 2, claimPayout: 2 }
+
+// Reverts an action may legitimately hit; anything else fails the run.
+const EXPECTED_REVERTS = {
+    create: [],
+    contribute: ["CampaignEnded"],
+    finalize: ["CampaignNotEnded", "AlreadyFinalized"],
+    withdraw: ["NotFinalized", "NotSuccessful", "WithdrawNothing"],
+    refund: ["NotFinalized", "AlreadyFinalized", "RefundNothing"],
+    claimRewards: ["ClaimNothing"],
+    claimPayout: ["NoPendingPayout"],
+}
+
+// mulberry32: small, seedable and good enough to pick actions
+function random(seed) {
+    let state = seed >>> 0
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0
+        let t = state
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+    return {
+        int: (n) => Math.floor(next() * n),
+        pick: (list) => list[Math.floor(next() * list.length)],
+    }
+}
+
+function randomAction(r) {
+    const total = Object.values(WEIGHTS).reduce((a, b) => a + b, 0)
+    let roll = r.int(total)
+    const type = Object.keys(WEIGHTS).find((t) => (roll -= WEIGHTS[t]) < 0)
+    const actor = r.int(ACTORS.length)
+    switch (type) {
+        case "create":
+            return { type, actor, currency: r.int(CURRENCIES.length), goal: r.pick(GOALS), duration: r.pick(DURATIONS) }
+        case "contribute":
+            return { type, actor, campaign: r.int(CAMPAIGN_PICKS), amount: r.pick(AMOUNTS) }
+        case "timeTravel":
+            return { type, seconds: r.pick(JUMPS) }
+        case "withdraw":
+            // by the creator; a random actor would almost always get NotCreator
+            return { type, campaign: r.int(CAMPAIGN_PICKS) }
+        case "claimPayout":
+            return { type, actor, currency: r.int(CURRENCIES.length) }
+        default:
+            return { type, actor, campaign: r.int(CAMPAIGN_PICKS) }
+    }
+}
+
+function generate(seed, steps) {
+    const r = random(seed)
+    return Array.from({ length: steps }, () => randomAction(r))
+}
+
+function describeAction(a) {
+    const who = ACTORS[a.actor]
+    switch (a.type) {
+        case "create":
+            return `${who} creates a ${a.goal} ${CURRENCIES[a.currency]} campaign for ${a.duration}s`
+        case "contribute":
+            return `${who} contributes ${a.amount} to campaign pick ${a.campaign}`
+        case "timeTravel":
+            return `time moves ${a.seconds}s`
+        case "withdraw":
+            return `the creator withdraws campaign pick ${a.campaign}`
+        case "refund":
+        case "claimRewards":
+            return `backer pick ${a.actor} calls ${a.type} on campaign pick ${a.campaign}`
+        case "claimPayout":
+            return `payee pick ${a.actor} claims its ${CURRENCIES[a.currency]} payouts`
+        default:
+            return `${who} calls ${a.type} on campaign pick ${a.campaign}`
+    }
+}
+
+// Deploys once (5% fee to the multisig, every actor holding and having
+// approved mUSD) and snapshots; each run starts from that snapshot.
+async function setup() {
+    const ctx = await deploy()
+    const { crowdfund, usd } = ctx
+    await crowdfund.setPlatformFee(500)
+    const address = await crowdfund.getAddress()
+    // the deployer pays for the multisig's calls and ETH contributions
+    ctx.multisig = await (await ethers.getContractFactory("RejectingReceiver")).deploy()
+    await crowdfund.setTreasury(await ctx.multisig.getAddress())
+    ctx.actors = ACTORS.map((name) => ctx[name])
+    ctx.addresses = await Promise.all(ctx.actors.map((a) => a.getAddress()))
+    for (const index of ctx.actors.keys()) {
+        await usd.mint(ctx.addresses[index], ethers.parseUnits("1000", 6))
+        await send(ctx, index, usd, "approve", [address, ethers.MaxUint256])
+    }
+    ctx.currencies = [
+        { address: ethers.ZeroAddress, decimals: 18, rate: await crowdfund.rewardRates(ethers.ZeroAddress) },
+        { address: await usd.getAddress(), decimals: 6, rate: await crowdfund.rewardRates(await usd.getAddress()) },
+    ]
+    ctx.snapshot = await ethers.provider.send("evm_snapshot", [])
+    return ctx
+}
+
+// Calls `fn` on `contract` as actor `index`; the multisig relays it through
+// execute(), which bubbles up the call's revert.
+async function send(ctx, index, contract, fn, args, value = 0n) {
+    const actor = ctx.actors[index]
+    if (actor !== ctx.multisig) return contract.connect(actor)[fn](...args, { value })
+    const data = contract.interface.encodeFunctionData(fn, args)
+    return ctx.multisig.execute(await contract.getAddress(), data, { value })
+}
+
+async function reset(ctx) {
+    await ethers.provider.send("evm_revert", [ctx.snapshot])
+    ctx.snapshot = await ethers.provider.send("evm_snapshot", [])
+}
+
+function revertName(ctx, error) {
+    for (const contract of [ctx.crowdfund, ctx.usd]) {
+        try {
+            const parsed = error.data && contract.interface.parseError(error.data)
+            if (parsed) return parsed.name
+        } catch {
+            // not this contract's error
+        }
+    }
+    return null
+}
+
+// What the harness saw succeed; the invariants compare the chain against it.
+function newLedger() {
+    return {
+        campaigns: [], // [{ creator, currency, backers, withdrawn }] by id
+        // by backers other than the creator, who earns no rewards
+        contributedEver: CURRENCIES.map(() => 0n),
+        refundedEver: CURRENCIES.map(() => 0n),
+    }
+}
+
+async function pickCampaign(ctx, ledger, action) {
+    const now = BigInt((await ethers.provider.getBlock("latest")).timestamp)
+    const state = await Promise.all(ledger.campaigns.map((_, id) => ctx.crowdfund.campaigns(id)))
+    const eligible = [...ledger.campaigns.keys()].filter((id) => ELIGIBLE[action.type](state[id], now, ledger.campaigns[id]))
+    const ids = eligible.length > 0 ? eligible : [...ledger.campaigns.keys()]
+    return ids[action.campaign % ids.length]
+}
+
+// Withdrawals come from the creator, refunds and claims from one of the
+// campaign's backers (when it has any) so they get past the access checks, and
+// payout claims from an actor with something pending (when there is one).
+async function actorIndex(ctx, action, campaign) {
+    if (action.type === "withdraw") return campaign.creator
+    if (["refund", "claimRewards"].includes(action.type) && campaign.backers.length > 0) {
+        return campaign.backers[action.actor % campaign.backers.length]
+    }
+    if (action.type === "claimPayout") {
+        const currency = ctx.currencies[action.currency].address
+        const pending = await Promise.all(ctx.addresses.map((a) => ctx.crowdfund.pendingPayouts(a, currency)))
+        const payees = [...pending.keys()].filter((i) => pending[i] > 0n)
+        if (payees.length > 0) return payees[action.actor % payees.length]
+    }
+    return action.actor
+}
+
+// Runs one action. Returns null, the name of an expected revert, or
+// "NoCampaign" when there is nothing to act on yet; throws on anything else.
+async function apply(ctx, ledger, action) {
+    const { crowdfund } = ctx
+    if (action.type === "timeTravel") {
+        await ethers.provider.send("evm_increaseTime", [action.seconds])
+        await ethers.provider.send("evm_mine", [])
+        return null
+    }
+    let id = null
+    if (!["create", "claimPayout"].includes(action.type)) {
+        if (ledger.campaigns.length === 0) return "NoCampaign"
+        id = await pickCampaign(ctx, ledger, action)
+    }
+    const campaign = ledger.campaigns[id]
+    const index = await actorIndex(ctx, action, campaign)
+    const address = ctx.addresses[index]
+    const call = (fn, args, value) => send(ctx, index, crowdfund, fn, args, value)
+    const currency = ctx.currencies[campaign ? campaign.currency : action.currency]
+    const units = (n) => ethers.parseUnits(String(n), currency.decimals)
+
+    try {
+        switch (action.type) {
+            case "create": {
+                const options = { milestoneBps: [], stretchGoalsWei: [], currency: currency.address, hardCapWei: 0, finishOnGoal: false, tiers: [], access: OPEN_ACCESS }
+                await call("createCampaignWithOptions", [`Fuzz ${ledger.campaigns.length}`, units(action.goal), action.duration, options])
+                ledger.campaigns.push({ creator: action.actor, currency: action.currency, backers: [], withdrawn: false })
+                break
+            }
+            case "contribute": {
+                const amount = units(action.amount)
+                if (campaign.currency === 0) await call("contribute", [id], amount)
+                else await call("contributeToken", [id, amount])
+                if (index !== campaign.creator) ledger.contributedEver[campaign.currency] += amount
+                if (!campaign.backers.includes(action.actor)) campaign.backers.push(action.actor)
+                break
+            }
+            case "refund": {
+                const amount = await crowdfund.contributions(id, address)
+                await call("refund", [id])
+                if (index !== campaign.creator) ledger.refundedEver[campaign.currency] += amount
+                break
+            }
+            case "withdraw":
+                await call("withdraw", [id])
+                campaign.withdrawn = true
+                break
+            case "claimPayout":
+                // the multisig has it paid out to the deployer, who can take ETH
+                await call("claimPayout", [currency.address, ctx.actors[index] === ctx.multisig ? ctx.deployer.address : address])
+                break
+            default:
+                await call(action.type, [id])
+        }
+        return null
+    } catch (error) {
+        const name = revertName(ctx, error)
+        if (name && EXPECTED_REVERTS[action.type].includes(name)) return name
+        throw new Error(`unexpected ${name ?? error.shortMessage ?? error.message}`)
+    }
+}
+
+// Each returns null or a description of the violation.
+const INVARIANTS = [
+    {
+        name: "the contract holds every campaign's totalRaised plus undelivered payouts",
+        async check(ctx, ledger) {
+            const raised = await Promise.all(ledger.campaigns.map((_, id) => ctx.crowdfund.campaigns(id)))
+            for (const [i, currency] of ctx.currencies.entries()) {
+                const pending = await Promise.all(ctx.addresses.map((h) => ctx.crowdfund.pendingPayouts(h, currency.address)))
+                const expected = raised.reduce((sum, c, id) => sum + (ledger.campaigns[id].currency === i ? c.totalRaised : 0n), 0n)
+                    + pending.reduce((a, b) => a + b, 0n)
+                const contract = await ctx.crowdfund.getAddress()
+                const held = i === 0 ? await ethers.provider.getBalance(contract) : await ctx.usd.balanceOf(contract)
+                if (held !== expected) return `${CURRENCIES[i]} balance ${held}, expected ${expected}`
+            }
+            return null
+        },
+    },
+    {
+        name: "contributions add up to totalRaised until the campaign is withdrawn",
+        async check(ctx, ledger) {
+            for (const [id, campaign] of ledger.campaigns.entries()) {
+                if (campaign.withdrawn) continue
+                const [c, ...held] = await Promise.all([
+                    ctx.crowdfund.campaigns(id),
+                    ...ctx.addresses.map((a) => ctx.crowdfund.contributions(id, a)),
+                ])
+                const sum = held.reduce((a, b) => a + b, 0n)
+                if (sum !== c.totalRaised) return `campaign ${id}: contributions ${sum}, totalRaised ${c.totalRaised}`
+            }
+            return null
+        },
+    },
+    {
+        name: "CRWD supply is RATE times everything backers contributed, less refunds",
+        async check(ctx, ledger) {
+            const expected = ctx.currencies.reduce(
+                (sum, c, i) => sum + (ledger.contributedEver[i] - ledger.refundedEver[i]) * c.rate, 0n)
+            const supply = await ctx.token.totalSupply()
+            return supply === expected ? null : `totalSupply ${supply}, expected ${expected}`
+        },
+    },
+    {
+        name: "the contract holds every unclaimed reward",
+        async check(ctx, ledger) {
+            let unclaimed = 0n
+            for (const id of ledger.campaigns.keys()) {
+                for (const a of ctx.addresses) {
+                    const [earned, claimed] = await Promise.all([
+                        ctx.crowdfund.rewardsEarned(id, a),
+                        ctx.crowdfund.rewardsClaimed(id, a),
+                    ])
+                    unclaimed += earned - claimed
+                }
+            }
+            const held = await ctx.token.balanceOf(await ctx.crowdfund.getAddress())
+            return held === unclaimed ? null : `CRWD held ${held}, unclaimed ${unclaimed}`
+        },
+    },
+]
+
+// Runs `actions` from the snapshot, checking `invariants` after each step.
+// Returns null, or { step, invariant, message } for the first failure.
+async function run(ctx, actions, invariants = INVARIANTS) {
+    await reset(ctx)
+    const ledger = newLedger()
+    for (const [step, action] of actions.entries()) {
+        try {
+            await apply(ctx, ledger, action)
+        } catch (error) {
+            return { step, invariant: "no unexpected reverts", message: error.message }
+        }
+        for (const invariant of invariants) {
+            const message = await invariant.check(ctx, ledger)
+            if (message) return { step, invariant: invariant.name, message }
+        }
+    }
+    return null
+}
+
+// Drops chunks of steps, halving the chunk size, for as long as the same
+// invariant still fails. Returns the shortest sequence and its failure.
+async function shrink(ctx, actions, failure, invariants = INVARIANTS) {
+    let current = actions.slice(0, failure.step + 1)
+    let last = failure
+    for (let chunk = Math.ceil(current.length / 2); chunk >= 1; chunk = Math.floor(chunk / 2)) {
+        for (let start = 0; start < current.length;) {
+            const candidate = [...current.slice(0, start), ...current.slice(start + chunk)]
+            const result = candidate.length > 0 ? await run(ctx, candidate, invariants) : null
+            if (result?.invariant === failure.invariant) {
+                current = candidate.slice(0, result.step + 1)
+                last = result
+            } else {
+                start += chunk
+            }
+        }
+    }
+    return { actions: current, failure: last }
+}
+
+function formatFailure(seed, { actions, failure }) {
+    return [
+        `seed ${seed}: "${failure.invariant}" broke after step ${failure.step + 1}: ${failure.message}`,
+        "minimal reproduction:",
+        ...actions.map((a, i) => `  ${i + 1}. ${describeAction(a)}`),
+    ].join("\n")
+}
+
+module.exports = { INVARIANTS, generate, setup, run, shrink, formatFailure, describeAction }
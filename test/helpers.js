@@ -0,0 +1,64 @@
+const hre = require("hardhat")
+const { ethers } = hre
+const { deployCrowdfundingProxy } = require("../scripts/lib/upgrades")
+
+// Shared fixtures for test files other than Crowdfunding.test.js
+
+async function deploy() {
+    const [deployer, alice, bob, carol, dave] = await ethers.getSigners()
+
+    const RewardToken = await ethers.getContractFactory("RewardToken")
+    const token = await RewardToken.deploy("Crowd Reward", "CRWD", deployer.address)
+
+    const BackerBadge = await ethers.getContractFactory("BackerBadge")
+    const badge = await BackerBadge.deploy("Crowd Backer Badge", "CBADGE", deployer.address)
+
+    const forwarder = await (await ethers.getContractFactory("CrowdForwarder")).deploy()
+
+    const crowdfund = await deployCrowdfundingProxy(hre, { token, badge, forwarder }, deployer)
+    const gate = await (await ethers.getContractFactory("ContributionGate")).deploy(await crowdfund.getAddress())
+    await crowdfund.setContributionGate(await gate.getAddress())
+    // short test campaigns earn rewards; the reward vesting tests set their own
+    await crowdfund.setRewardVesting(0, 0)
+
+    const MINTER_ROLE = await token.MINTER_ROLE()
+    await token.grantRole(MINTER_ROLE, await crowdfund.getAddress())
+    await token.grantRole(await token.BURNER_ROLE(), await crowdfund.getAddress())
+    await badge.grantRole(await badge.MINTER_ROLE(), await crowdfund.getAddress())
+
+    // 6-decimals stablecoin; 1 USD => 1000 CRWD
+    const MockERC20 = await ethers.getContractFactory("MockERC20")
+    const usd = await MockERC20.deploy("Mock USD", "mUSD", 6)
+    await crowdfund.setCurrencyAllowed(await usd.getAddress(), true)
+    await crowdfund.setRewardRate(await usd.getAddress(), 1000n * 10n ** 12n)
+
+    return { deployer, alice, bob, carol, dave, token, badge, forwarder, crowdfund, gate, usd, MINTER_ROLE }
+}
+
+async function timeTravel(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds])
+    await ethers.provider.send("evm_mine", [])
+}
+
+async function mineBlocks(count) {
+    await ethers.provider.send("hardhat_mine", [ethers.toQuantity(count)])
+}
+
+// CampaignOptions.access for a campaign anyone can back with any amount
+const OPEN_ACCESS = { allowlistRoot: ethers.ZeroHash, verifier: ethers.ZeroAddress, minWei: 0, maxWei: 0 }
+
+function wei(nEth) {
+    return ethers.parseEther(String(nEth))
+}
+
+// localStorage stand-in for the frontend's WalletSession and TransactionTracker
+function memoryStorage() {
+    const items = new Map()
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+    }
+}
+
+module.exports = { deploy, timeTravel, mineBlocks, wei, memoryStorage, OPEN_ACCESS }